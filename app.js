@@ -5,8 +5,38 @@
 class VirtualKeyboardTester {
     constructor() {
         this.firmwareParser = new FirmwareParser();
+        this.keymapAnalyzer = new KeymapAnalyzer();
+        this.keymapAnalysis = null;
+        this.keymapExporter = new KeymapExporter(this.firmwareParser.keycodes);
+        this.keymapDiff = new KeymapDiff();
+        this.currentDiff = null;
+        this.comparedFirmware = null;
+        this.editMode = false;
+        this.selectedKeyId = null;
+        this.keyEventIndex = new Map(); // KeyboardEvent.code -> [{ keyId, layer }]
+        this.realKeysDown = new Map(); // KeyboardEvent.code -> key ID it was matched to
+        this.rolloverTest = new RolloverTest();
+        this.rolloverActive = false;
+        this.encoderMonitor = new EncoderMonitor();
+        this.encoderElements = new Map(); // encoder ID -> its panel in the encoder section
+        this.encoderEventIndex = new Map(); // KeyboardEvent.code -> [{ encoderId, direction, layer }]
+        this.displayStates = new Map(); // display ID -> { display, emulator, canvas, bitmaps, source, tested }
+        this.pointingBenches = new Map(); // trackball ID -> { bench, element, canvas, stats, lastTime }
+        this.lightingEngine = null;
+        this.lightingFrame = null; // requestAnimationFrame handle while an effect runs
+        this.featureElements = new Map(); // 'combo:0', 'dance:TD(0)', 'macro:NAME' -> its card in the feature section
+        this.featureUsage = new Map(); // same IDs -> { count, outcomes: Set } seen in the tester
+        this.activeTimers = new Map(); // component card -> timer that clears its 'active' highlight
+        this.hidInput = null;
+        this.hidDeviceName = null;
+        this.hidKeysDown = new Map(); // HID input ID (page:usage) -> key ID it was matched to
+        this.hidUsagesByKey = new Map(); // key ID -> Set of HID input IDs received for it
+        this.unmatchedHidUsages = new Set();
         this.keyboardRenderer = null;
         this.currentFirmware = null;
+        this.currentFile = null;
+        this.currentLayout = null;
+        this.currentKeymapBackup = null;
         this.testLog = [];
         
         this.initializeElements();
@@ -21,6 +51,7 @@ class VirtualKeyboardTester {
         // File upload elements
         this.uploadArea = document.getElementById('uploadArea');
         this.fileInput = document.getElementById('fileInput');
+        this.matrixSizeInput = document.getElementById('matrixSizeInput');
         this.firmwareInfo = document.getElementById('firmwareInfo');
         
         // Firmware info elements
@@ -32,15 +63,50 @@ class VirtualKeyboardTester {
         // Workspace elements
         this.workspace = document.getElementById('workspace');
         this.keyboardCanvas = document.getElementById('keyboardCanvas');
+        this.zoomInBtn = document.getElementById('zoomIn');
+        this.zoomOutBtn = document.getElementById('zoomOut');
+        this.fitKeyboardBtn = document.getElementById('fitKeyboard');
+        this.fitWidthBtn = document.getElementById('fitWidth');
         
         // Control elements
         this.resetTestBtn = document.getElementById('resetTest');
         this.toggleLabelsBtn = document.getElementById('toggleLabels');
         this.exportResultsBtn = document.getElementById('exportResults');
+        this.rolloverTestBtn = document.getElementById('rolloverTest');
+        this.skipChordBtn = document.getElementById('skipChord');
+        this.connectHidBtn = document.getElementById('connectHid');
+        this.readBoardKeymapBtn = document.getElementById('readBoardKeymap');
+        this.editKeymapBtn = document.getElementById('editKeymap');
+        this.keymapEditor = document.getElementById('keymapEditor');
+        this.selectedKeyLabel = document.getElementById('selectedKeyLabel');
+        this.keycodeInput = document.getElementById('keycodeInput');
+        this.keycodeOptions = document.getElementById('keycodeOptions');
+        this.applyKeycodeBtn = document.getElementById('applyKeycode');
+        this.addLayerBtn = document.getElementById('addLayer');
+        this.exportFormatSelect = document.getElementById('exportFormat');
+        this.exportKeymapBtn = document.getElementById('exportKeymap');
+        this.imageFormatSelect = document.getElementById('imageFormat');
+        this.exportImageBtn = document.getElementById('exportImage');
+        this.compareFirmwareBtn = document.getElementById('compareFirmware');
+        this.compareFileInput = document.getElementById('compareFileInput');
+        this.exportDiffBtn = document.getElementById('exportDiff');
+        this.layoutGroup = document.getElementById('layoutGroup');
+        this.layoutSelect = document.getElementById('layoutSelect');
+        this.layerGroup = document.getElementById('layerGroup');
+        this.layerSelect = document.getElementById('layerSelect');
+        this.chatterWindowInput = document.getElementById('chatterWindow');
+        this.lightingGroup = document.getElementById('lightingGroup');
+        this.lightingEffectSelect = document.getElementById('lightingEffect');
+        this.lightingFlagsSelect = document.getElementById('lightingFlags');
+        this.lightingHueInput = document.getElementById('lightingHue');
+        this.lightingSpeedInput = document.getElementById('lightingSpeed');
+        this.ledNumbersInput = document.getElementById('ledNumbers');
         
         // Stats elements
         this.keysTestered = document.getElementById('keysTestered');
         this.totalKeys = document.getElementById('totalKeys');
+        this.switchFaults = document.getElementById('switchFaults');
+        this.maxRollover = document.getElementById('maxRollover');
         
         // Additional components
         this.encoderSection = document.getElementById('encoderSection');
@@ -49,12 +115,16 @@ class VirtualKeyboardTester {
         this.encodersContainer = document.getElementById('encodersContainer');
         this.trackballContainer = document.getElementById('trackballContainer');
         this.displayContainer = document.getElementById('displayContainer');
+        this.featureSection = document.getElementById('featureSection');
+        this.featureContainer = document.getElementById('featureContainer');
+        this.showCombosInput = document.getElementById('showCombos');
         
         // Log container
         this.logContainer = document.getElementById('logContainer');
         
         // Initialize keyboard renderer
         this.keyboardRenderer = new KeyboardRenderer(this.keyboardCanvas);
+        this.layoutImageExporter = new LayoutImageExporter(this.keyboardRenderer);
     }
 
     /**
@@ -81,15 +151,121 @@ class VirtualKeyboardTester {
             this.exportResults();
         });
         
+        this.rolloverTestBtn.addEventListener('click', () => {
+            if (this.rolloverActive) {
+                this.stopRolloverTest();
+            } else {
+                this.startRolloverTest();
+            }
+        });
+        
+        this.skipChordBtn.addEventListener('click', () => {
+            this.recordChord(this.rolloverTest.skipChord());
+        });
+        
+        this.readBoardKeymapBtn.addEventListener('click', () => {
+            this.readBoardKeymap(new WebHidTransport([{ usagePage: 0xFF60, usage: 0x61 }]));
+        });
+        
+        this.editKeymapBtn.addEventListener('click', () => {
+            this.setEditMode(!this.editMode);
+        });
+        
+        this.applyKeycodeBtn.addEventListener('click', () => {
+            this.applyKeycode();
+        });
+        
+        this.keycodeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.applyKeycode();
+        });
+        
+        this.addLayerBtn.addEventListener('click', () => {
+            this.addLayer();
+        });
+        
+        this.exportKeymapBtn.addEventListener('click', () => {
+            this.exportKeymap();
+        });
+        
+        this.exportImageBtn.addEventListener('click', () => {
+            this.exportImage();
+        });
+        
+        this.zoomInBtn.addEventListener('click', () => {
+            this.keyboardRenderer.zoomAt(1.25);
+        });
+        
+        this.zoomOutBtn.addEventListener('click', () => {
+            this.keyboardRenderer.zoomAt(0.8);
+        });
+        
+        this.fitKeyboardBtn.addEventListener('click', () => {
+            this.keyboardRenderer.fitView('fit');
+        });
+        
+        this.fitWidthBtn.addEventListener('click', () => {
+            this.keyboardRenderer.fitView('width');
+        });
+        
+        this.compareFirmwareBtn.addEventListener('click', () => {
+            if (this.currentDiff) {
+                this.clearDiff();
+                this.addLogEntry('Keymap comparison cleared', 'info');
+            } else {
+                this.compareFileInput.click();
+            }
+        });
+        
+        this.compareFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.compareFirmware(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        this.exportDiffBtn.addEventListener('click', () => {
+            this.exportDiff();
+        });
+        
+        this.connectHidBtn.addEventListener('click', () => {
+            if (this.hidInput) {
+                this.disconnectHid();
+            } else {
+                this.connectHid(new WebHidTransport());
+            }
+        });
+        
+        this.layoutSelect.addEventListener('change', () => {
+            this.selectLayout(this.layoutSelect.value);
+        });
+        
+        this.layerSelect.addEventListener('change', () => {
+            this.keyboardRenderer.setActiveLayer(Number(this.layerSelect.value));
+        });
+        
         // Keyboard renderer events
         this.keyboardCanvas.addEventListener('keyTested', (e) => {
             this.onKeyTested(e.detail);
         });
         
+        this.keyboardCanvas.addEventListener('keySelected', (e) => {
+            this.onKeySelected(e.detail);
+        });
+        
         this.keyboardCanvas.addEventListener('keyTestLog', (e) => {
             this.addLogEntry(e.detail.message, e.detail.type);
         });
         
+        this.keyboardCanvas.addEventListener('layerChanged', (e) => {
+            this.layerSelect.value = String(e.detail.layer);
+            const layer = this.currentFirmware.layers[e.detail.layer];
+            this.addLogEntry(`Active layer: ${layer ? layer.name : e.detail.layer}`, 'info');
+            if (this.selectedKeyId !== null) this.showSelectedKeycode();
+            if (this.currentDiff) this.showDiffHighlights();
+            this.updateEncoderElements();
+            this.refreshStatusScreens();
+        });
+        
         this.keyboardCanvas.addEventListener('testReset', () => {
             this.updateStats();
             this.addLogEntry('Test reset - all keys marked as untested', 'info');
@@ -103,6 +279,52 @@ class VirtualKeyboardTester {
         document.addEventListener('keyup', (e) => {
             this.handleRealKeyRelease(e);
         });
+        
+        window.addEventListener('blur', () => {
+            this.releaseRealKeys();
+        });
+        
+        this.chatterWindowInput.addEventListener('change', () => {
+            const ms = Number(this.chatterWindowInput.value);
+            if (ms > 0) {
+                this.keyboardRenderer.setChatterWindow(ms);
+                this.addLogEntry(`Chatter window set to ${ms} ms`, 'info');
+            }
+        });
+        
+        this.lightingEffectSelect.addEventListener('change', () => {
+            this.setLightingEffect(this.lightingEffectSelect.value);
+        });
+        this.lightingFlagsSelect.addEventListener('change', () => {
+            if (this.lightingEngine) this.lightingEngine.setFlagFilter(this.lightingFlagsSelect.value);
+        });
+        this.lightingHueInput.addEventListener('input', () => {
+            if (this.lightingEngine) this.lightingEngine.hsv.h = Number(this.lightingHueInput.value);
+        });
+        this.lightingSpeedInput.addEventListener('input', () => {
+            if (this.lightingEngine) this.lightingEngine.speed = Number(this.lightingSpeedInput.value);
+        });
+        this.ledNumbersInput.addEventListener('change', () => {
+            this.keyboardRenderer.showLedNumbers = this.ledNumbersInput.checked;
+            this.keyboardRenderer.render();
+        });
+        
+        this.keyboardCanvas.addEventListener('keyPressed', (e) => {
+            if (this.lightingEngine) this.lightingEngine.keyPressed(e.detail.keyId, e.detail.time);
+        });
+        
+        this.keyboardCanvas.addEventListener('behaviorTriggered', (e) => {
+            const report = e.detail.report;
+            if (report.event === 'combo') {
+                this.recordFeatureUse(`combo:${report.combo.index}`, null);
+            } else {
+                this.recordFeatureUse(`dance:${report.keycode}`, report.outcome);
+            }
+        });
+        
+        this.showCombosInput.addEventListener('change', () => {
+            this.keyboardRenderer.setShowCombos(this.showCombosInput.checked);
+        });
     }
 
     /**
@@ -152,24 +374,374 @@ class VirtualKeyboardTester {
         this.addLogEntry(`Processing ${files.length} file(s)...`, 'info');
         
         try {
-            // For now, handle the first file
-            const file = files[0];
-            this.addLogEntry(`Parsing firmware file: ${file.name}`, 'info');
+            // Binary builds are parsed last, so an info.json or VIA definition dropped with them sizes their matrix
+            const parsed = [];
+            const ordered = [...files.filter(file => !this.isBinaryFirmware(file)), ...files.filter(file => this.isBinaryFirmware(file))];
+            for (const file of ordered) {
+                this.addLogEntry(`Parsing firmware file: ${file.name}`, 'info');
+                const layout = parsed.map(entry => entry.data).find(data => !data.metadata.keymapBackup) || this.currentLayout;
+                parsed.push({ file, data: await this.firmwareParser.parseFirmware(file, { matrix: this.getMatrixHint(layout) }) });
+            }
             
-            const firmwareData = await this.firmwareParser.parseFirmware(file);
-            this.currentFirmware = firmwareData;
+            // A VIA/Vial keymap backup, or the keymap table of a compiled build, is laid onto the layout
+            // dropped with it, or the one already loaded
+            const layoutEntry = parsed.find(entry => !entry.data.metadata.keymapBackup);
+            const backupEntry = parsed.find(entry => entry.data.metadata.keymapBackup);
+            
+            if (layoutEntry) {
+                // A backup loaded on its own is kept for the first layout that follows it
+                if (this.currentLayout) {
+                    this.currentKeymapBackup = null;
+                }
+                this.currentFile = layoutEntry.file;
+                this.currentLayout = layoutEntry.data;
+            }
+            if (backupEntry) {
+                this.currentKeymapBackup = backupEntry.data;
+            }
             
-            this.displayFirmwareInfo(firmwareData);
-            this.initializeWorkspace(firmwareData);
-            this.showWorkspace();
+            const firmwareData = this.composeFirmware();
+            this.loadFirmware(firmwareData);
             
             this.addLogEntry(`Successfully loaded firmware: ${firmwareData.name}`, 'success');
+            if (backupEntry) {
+                const target = firmwareData.metadata.layoutSource || 'a generated matrix layout';
+                this.addLogEntry(`Applied ${backupEntry.data.metadata.format} keymap (${firmwareData.layers.length} layers) to ${target}`, 'info');
+            }
         } catch (error) {
             this.addLogEntry(`Error loading firmware: ${error.message}`, 'error');
             console.error('Firmware loading error:', error);
         }
     }
 
+    /**
+     * Whether a file is a compiled build, whose keymap table has to be found by its matrix size
+     */
+    isBinaryFirmware(file) {
+        return /\.(hex|uf2)$/i.test(file.name);
+    }
+
+    /**
+     * Matrix size to look for in a compiled build: typed by the user, or declared by a loaded layout
+     */
+    getMatrixHint(layout) {
+        const typed = this.matrixSizeInput.value.trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+        if (typed) return { rows: Number(typed[1]), cols: Number(typed[2]) };
+        
+        const metadata = (layout && layout.metadata) || {};
+        const declared = metadata.matrixSize || metadata.matrix;
+        return declared && declared.rows && declared.cols ? { rows: declared.rows, cols: declared.cols } : null;
+    }
+
+    /**
+     * Combine the loaded layout with the loaded keymap backup, if any
+     */
+    composeFirmware() {
+        if (!this.currentKeymapBackup) return this.currentLayout;
+        return this.firmwareParser.applyViaKeymap(this.currentKeymapBackup, this.currentLayout);
+    }
+
+    /**
+     * Read the live keymap from a board running VIA and lay it onto the loaded layout
+     */
+    async readBoardKeymap(transport) {
+        const matrix = this.getLayoutMatrix(this.currentLayout);
+        if (!matrix) {
+            this.addLogEntry('Load the board\'s VIA definition or info.json first: the VIA protocol does not report the matrix size', 'error');
+            return;
+        }
+        
+        try {
+            const devices = await transport.open();
+            const name = devices[0].productName || 'VIA keyboard';
+            this.addLogEntry(`Reading keymap from ${name} (${matrix.rows}x${matrix.cols} matrix)...`, 'info');
+            
+            const dump = await new ViaProtocol(transport).readKeymap({
+                rows: matrix.rows,
+                cols: matrix.cols,
+                encoderCount: this.currentLayout.encoders.length
+            });
+            this.currentKeymapBackup = this.firmwareParser.parseViaDeviceKeymap(dump, name);
+            this.loadFirmware(this.composeFirmware());
+            
+            this.addLogEntry(`Read ${dump.layerCount} layer(s) from ${name} over VIA protocol ${dump.protocolVersion}`, 'success');
+        } catch (error) {
+            this.addLogEntry(`Reading keymap from board failed: ${error.message}`, 'error');
+        } finally {
+            await transport.close();
+        }
+    }
+
+    /**
+     * Matrix size declared by a layout, or implied by its highest row and column
+     */
+    getLayoutMatrix(layout) {
+        if (!layout || layout.keys.length === 0) return null;
+        
+        const metadata = layout.metadata || {};
+        const declared = metadata.matrixSize || metadata.matrix;
+        if (declared && declared.rows && declared.cols) return declared;
+        
+        const rows = Math.max(...layout.keys.map(key => key.row)) + 1;
+        const cols = Math.max(...layout.keys.map(key => key.col)) + 1;
+        if (!Number.isInteger(rows) || !Number.isInteger(cols)) return null;
+        
+        this.addLogEntry(`${layout.name} does not declare its matrix size; assuming ${rows}x${cols} from its keys`, 'info');
+        return { rows, cols };
+    }
+
+    /**
+     * Show parsed firmware in the workspace
+     */
+    loadFirmware(firmwareData) {
+        if (this.rolloverActive) this.stopRolloverTest();
+        this.rolloverTest = new RolloverTest();
+        this.currentFirmware = firmwareData;
+        
+        this.displayFirmwareInfo(firmwareData);
+        this.updateLayoutSelect(firmwareData);
+        this.initializeWorkspace(firmwareData);
+        this.buildKeyEventIndex(firmwareData);
+        this.clearHidResults();
+        this.updateLayerSelect(firmwareData);
+        this.setupLighting(firmwareData);
+        this.updateKeymapEditor(firmwareData);
+        this.clearDiff();
+        this.showWorkspace();
+        this.reportParserFindings(firmwareData);
+        this.analyzeKeymap(firmwareData);
+    }
+
+    /**
+     * Check the layers for unreachable and trap layers and keys that do nothing
+     */
+    analyzeKeymap(firmwareData) {
+        if (!firmwareData.layers || firmwareData.layers.length === 0) {
+            this.keymapAnalysis = null;
+            return;
+        }
+        
+        this.keymapAnalysis = this.keymapAnalyzer.analyze(firmwareData);
+        this.describeKeymapAnalysis(this.keymapAnalysis).forEach(entry => this.addLogEntry(entry.message, entry.type));
+    }
+
+    /**
+     * Re-run the analysis after a keymap edit, logging the findings only when they changed
+     */
+    refreshKeymapAnalysis() {
+        const before = this.keymapAnalysis ? this.describeKeymapAnalysis(this.keymapAnalysis) : [];
+        if (this.currentFirmware.layers.length === 0) {
+            this.keymapAnalysis = null;
+            return;
+        }
+        
+        this.keymapAnalysis = this.keymapAnalyzer.analyze(this.currentFirmware);
+        const after = this.describeKeymapAnalysis(this.keymapAnalysis);
+        if (JSON.stringify(after) !== JSON.stringify(before)) {
+            after.forEach(entry => this.addLogEntry(entry.message, entry.type));
+        }
+    }
+
+    /**
+     * Test log entries for an analysis result
+     */
+    describeKeymapAnalysis(analysis) {
+        const entries = [];
+        const warn = message => entries.push({ message: `⚠️ ${message}`, type: 'warning' });
+        const layerNames = layers => layers.map(layer => `${layer.index} (${layer.name})`).join(', ');
+        const keyNames = keys => keys.map(key => key.row !== null ? `${key.id} [${key.row},${key.col}]` : `${key.id}`).join(', ');
+        
+        if (analysis.unreachableLayers.length > 0) {
+            warn(`Unreachable layer(s): ${layerNames(analysis.unreachableLayers)}`);
+        }
+        analysis.trapLayers.forEach(trap => {
+            warn(`Trap layer ${trap.index} (${trap.name}): no key leads back from layers ${trap.activeLayers.join(', ')}`);
+        });
+        analysis.missingLayerRefs.forEach(ref => {
+            warn(`${ref.keycode} on layer ${ref.layer} (key ${ref.key.id}) targets a layer that does not exist`);
+        });
+        if (analysis.deadKeys.length > 0) {
+            warn(`Key(s) dead on every layer: ${keyNames(analysis.deadKeys)}`);
+        }
+        if (analysis.transparentKeys.length > 0) {
+            warn(`Key(s) transparent on every layer: ${keyNames(analysis.transparentKeys)}`);
+        }
+        if (analysis.truncated) {
+            entries.push({ message: 'Layer analysis stopped early: too many layer combinations', type: 'info' });
+        }
+        
+        const problems = analysis.unreachableLayers.length + analysis.trapLayers.length +
+            analysis.missingLayerRefs.length + analysis.deadKeys.length + analysis.transparentKeys.length;
+        if (problems === 0) {
+            entries.push({ message: `Keymap analysis: all ${analysis.layerCount} layers reachable, no dead keys`, type: 'success' });
+        }
+        return entries;
+    }
+
+    /**
+     * Offer the LAYOUT_* variants of an info.json for selection
+     */
+    updateLayoutSelect(firmwareData) {
+        const metadata = firmwareData.metadata || {};
+        const layouts = metadata.availableLayouts || [];
+        const aliases = Object.keys(metadata.layoutAliases || {});
+        
+        if (layouts.length + aliases.length < 2) {
+            this.layoutGroup.style.display = 'none';
+            return;
+        }
+        
+        this.layoutSelect.innerHTML = '';
+        layouts.forEach(name => {
+            this.layoutSelect.appendChild(new Option(name, name));
+        });
+        aliases.forEach(alias => {
+            this.layoutSelect.appendChild(new Option(`${alias} → ${metadata.layoutAliases[alias]}`, alias));
+        });
+        
+        this.layoutSelect.value = metadata.layoutName;
+        this.layoutGroup.style.display = 'flex';
+    }
+
+    /**
+     * Offer the lighting preview when the firmware describes LEDs, and report what it found
+     */
+    setupLighting(firmwareData) {
+        this.setLightingEffect('off');
+        const lighting = firmwareData.lighting;
+        this.lightingEngine = lighting ? new LightingEngine(lighting) : null;
+        if (!lighting) {
+            this.lightingGroup.style.display = 'none';
+            return;
+        }
+        
+        this.lightingFlagsSelect.value = this.lightingEngine.flagFilter;
+        this.lightingHueInput.value = String(this.lightingEngine.hsv.h);
+        this.lightingSpeedInput.value = String(this.lightingEngine.speed);
+        this.keyboardRenderer.showLedNumbers = this.ledNumbersInput.checked;
+        this.keyboardRenderer.render();
+        this.lightingGroup.style.display = 'flex';
+        
+        if (lighting.matrix) {
+            const onKeys = lighting.matrix.leds.filter(led => led.keyId !== null).length;
+            this.addLogEntry(`RGB matrix: ${lighting.matrix.leds.length} LEDs, ${onKeys} on keys`, 'info');
+        }
+        if (lighting.underglow) {
+            this.addLogEntry(`RGB underglow: ${lighting.underglow.count} LEDs`, 'info');
+        }
+    }
+
+    /**
+     * Run one of the lighting engine's effects on the canvas, or 'off' to stop it
+     */
+    setLightingEffect(effect) {
+        cancelAnimationFrame(this.lightingFrame);
+        this.lightingFrame = null;
+        this.lightingEffectSelect.value = effect;
+        
+        if (effect === 'off' || !this.lightingEngine) {
+            if (this.keyboardRenderer.ledColors) this.keyboardRenderer.setLedColors(null);
+            return;
+        }
+        
+        this.lightingEngine.setEffect(effect);
+        const frame = (time) => {
+            this.keyboardRenderer.setLedColors(this.lightingEngine.getColors(time));
+            this.lightingFrame = requestAnimationFrame(frame);
+        };
+        this.lightingFrame = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Offer the firmware's layers for display
+     */
+    updateLayerSelect(firmwareData) {
+        const layers = firmwareData.layers || [];
+        
+        if (layers.length < 2) {
+            this.layerGroup.style.display = 'none';
+            return;
+        }
+        
+        this.layerSelect.innerHTML = '';
+        layers.forEach((layer, index) => {
+            this.layerSelect.appendChild(new Option(`${index}: ${layer.name}`, String(index)));
+        });
+        
+        this.layerSelect.value = '0';
+        this.layerGroup.style.display = 'flex';
+    }
+
+    /**
+     * Re-parse the current file with a different LAYOUT_*
+     */
+    async selectLayout(layoutName) {
+        if (!this.currentFile) return;
+        
+        try {
+            this.currentLayout = await this.firmwareParser.parseFirmware(this.currentFile, { layoutName });
+            const firmwareData = this.composeFirmware();
+            this.loadFirmware(firmwareData);
+            this.addLogEntry(`Switched to layout ${firmwareData.metadata.layoutName}`, 'info');
+        } catch (error) {
+            this.addLogEntry(`Error switching layout: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Log parser notes and integrity problems found in the firmware file
+     */
+    reportParserFindings(firmwareData) {
+        const metadata = firmwareData.metadata || {};
+        
+        if (metadata.format && metadata.size !== undefined) {
+            const range = metadata.startAddress !== undefined
+                ? ` at 0x${metadata.startAddress.toString(16)}-0x${metadata.endAddress.toString(16)}`
+                : '';
+            this.addLogEntry(`${metadata.format}: ${metadata.size} bytes${range}`, 'info');
+        }
+        
+        if (metadata.segments && metadata.segments.length > 1) {
+            const ranges = metadata.segments.map(segment => `0x${segment.start.toString(16)}-0x${segment.end.toString(16)}`);
+            this.addLogEntry(`${metadata.format} data is split into ${metadata.segments.length} segments: ${ranges.join(', ')}`, 'info');
+        }
+        
+        // Combined UF2 images carry several families, each with its own block numbering
+        (metadata.families || []).forEach(family => {
+            const name = family.family ? `UF2 family ${family.family} (${family.familyId})` : 'UF2 blocks without a family';
+            const board = metadata.board && family.family === metadata.family ? `, board ${metadata.board}` : '';
+            this.addLogEntry(`${name}: ${family.blockCount} block(s)${board}`, 'info');
+            if (family.missingBlocks.length > 0) {
+                this.addLogEntry(`${name} is missing block(s) ${family.missingBlocks.join(', ')} of ${family.declaredBlocks}`, 'error');
+            }
+            if (family.addressGaps.length > 0) {
+                this.addLogEntry(`${name} has ${family.addressGaps.length} address gap(s)`, 'info');
+            }
+        });
+        
+        if (metadata.invalidBlocks && metadata.invalidBlocks.length > 0) {
+            metadata.invalidBlocks.forEach(block => {
+                this.addLogEntry(`UF2 block ${block.index} rejected: ${block.reason}`, 'error');
+            });
+        }
+        
+        if (metadata.checksumErrors && metadata.checksumErrors.length > 0) {
+            metadata.checksumErrors.forEach(error => {
+                this.addLogEntry(`Checksum error on line ${error.line}: expected 0x${error.expected.toString(16)}, got 0x${error.actual.toString(16)}`, 'error');
+            });
+        }
+        
+        if (metadata.note) {
+            this.addLogEntry(metadata.note, 'info');
+        }
+        
+        if (metadata.warnings && metadata.warnings.length > 0) {
+            metadata.warnings.forEach(warning => {
+                this.addLogEntry(`⚠️ ${warning}`, 'warning');
+            });
+        }
+    }
+
     /**
      * Display firmware information
      */
@@ -198,6 +770,7 @@ class VirtualKeyboardTester {
         this.setupEncoders(firmwareData.encoders);
         this.setupTrackballs(firmwareData.trackballs);
         this.setupDisplays(firmwareData.displays);
+        this.setupKeymapFeatures(firmwareData);
         
         this.addLogEntry(`Initialized keyboard with ${keyboardInfo.totalKeys} keys`, 'info');
     }
@@ -206,6 +779,8 @@ class VirtualKeyboardTester {
      * Setup encoders
      */
     setupEncoders(encoders) {
+        this.encoderMonitor.reset(encoders);
+        this.encoderElements.clear();
         if (encoders.length === 0) {
             this.encoderSection.style.display = 'none';
             return;
@@ -215,7 +790,9 @@ class VirtualKeyboardTester {
         encoders.forEach(encoder => {
             const encoderElement = this.createEncoderElement(encoder);
             this.encodersContainer.appendChild(encoderElement);
+            this.encoderElements.set(encoder.id, encoderElement);
         });
+        this.updateEncoderElements();
         
         this.encoderSection.style.display = 'block';
         this.addLogEntry(`Found ${encoders.length} encoder(s)`, 'info');
@@ -234,6 +811,8 @@ class VirtualKeyboardTester {
                 <button class="encoder-btn" data-direction="cw">↷</button>
                 <button class="encoder-btn" data-direction="press">●</button>
             </div>
+            <div class="encoder-mapping"></div>
+            <div class="encoder-progress"></div>
         `;
         
         // Add event listeners
@@ -241,18 +820,65 @@ class VirtualKeyboardTester {
             btn.addEventListener('click', () => {
                 const direction = btn.dataset.direction;
                 this.testEncoder(encoder, direction);
-                div.classList.add('active');
-                setTimeout(() => div.classList.remove('active'), 200);
+                this.flashActive(div, 200);
             });
         });
         
+        // The mouse wheel turns the encoder a detent per notch; scrolling up is clockwise
+        let wheelDelta = 0;
+        div.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            wheelDelta += e.deltaMode === 0 ? e.deltaY : Math.sign(e.deltaY) * 100;
+            while (Math.abs(wheelDelta) >= 100) {
+                this.testEncoder(encoder, wheelDelta < 0 ? 'cw' : 'ccw');
+                wheelDelta -= Math.sign(wheelDelta) * 100;
+            }
+        }, { passive: false });
+        
         return div;
     }
 
+    /**
+     * Highlight a component card for a moment; a new flash restarts the timer rather than adding one
+     */
+    flashActive(element, duration) {
+        clearTimeout(this.activeTimers.get(element));
+        element.classList.add('active');
+        this.activeTimers.set(element, setTimeout(() => {
+            element.classList.remove('active');
+            this.activeTimers.delete(element);
+        }, duration));
+    }
+
+    /**
+     * Show what each encoder sends on the active layers and how far its test has come
+     */
+    updateEncoderElements() {
+        this.encoderElements.forEach((div, encoderId) => {
+            const sends = direction => {
+                const resolved = this.keyboardRenderer.resolveEncoderKeycode(encoderId, direction);
+                return resolved.keycode ? this.keyboardRenderer.formatKeycode(resolved.keycode) : '—';
+            };
+            const progress = direction => {
+                const { detents, steps } = this.encoderMonitor.getProgress(encoderId, direction);
+                return `${detents}/${steps}`;
+            };
+            const stats = this.encoderMonitor.stats.get(encoderId);
+            
+            div.querySelector('.encoder-mapping').textContent = `↶ ${sends('ccw')}  ↷ ${sends('cw')}`;
+            div.querySelector('.encoder-progress').textContent = `↶ ${progress('ccw')}  ↷ ${progress('cw')}  ● ${stats.presses}`;
+            
+            const state = this.encoderMonitor.getState(encoderId);
+            div.classList.toggle('tested', state === 'tested');
+            div.classList.toggle('partial', state === 'partial');
+        });
+    }
+
     /**
      * Setup trackballs
      */
     setupTrackballs(trackballs) {
+        this.pointingBenches.clear();
         if (trackballs.length === 0) {
             this.trackballSection.style.display = 'none';
             return;
@@ -276,41 +902,78 @@ class VirtualKeyboardTester {
         div.className = 'trackball';
         div.innerHTML = `
             <h4>${trackball.name}</h4>
-            <div class="trackball-area" style="width: 100px; height: 100px; border: 2px solid #ddd; border-radius: 50%; position: relative; cursor: crosshair;">
-                <div class="trackball-cursor" style="width: 10px; height: 10px; background: #667eea; border-radius: 50%; position: absolute; top: 45px; left: 45px; transition: all 0.1s;"></div>
+            <canvas class="trackball-area" width="160" height="160"></canvas>
+            <div class="trackball-controls">
+                <select class="trackball-mode">
+                    <option value="cursor">Cursor</option>
+                    <option value="scroll">Drag Scroll</option>
+                    <option value="sniping">Sniping</option>
+                </select>
+                <select class="trackball-curve">
+                    <option value="none">No acceleration</option>
+                    <option value="linear">Linear</option>
+                    <option value="sigmoid">Sigmoid</option>
+                </select>
             </div>
-            <p>Move cursor to test</p>
+            <div class="trackball-stats"></div>
+            <p>Move over the pad, or click it to capture the mouse</p>
         `;
         
-        const trackballArea = div.querySelector('.trackball-area');
-        const cursor = div.querySelector('.trackball-cursor');
+        const entry = {
+            bench: new PointingBench(trackball),
+            element: div,
+            canvas: div.querySelector('.trackball-area'),
+            stats: div.querySelector('.trackball-stats'),
+            lastTime: null
+        };
+        this.pointingBenches.set(trackball.id, entry);
         
-        trackballArea.addEventListener('mousemove', (e) => {
-            const rect = trackballArea.getBoundingClientRect();
-            const x = e.clientX - rect.left - 5; // Adjust for cursor size
-            const y = e.clientY - rect.top - 5;
-            
-            cursor.style.left = Math.max(0, Math.min(90, x)) + 'px';
-            cursor.style.top = Math.max(0, Math.min(90, y)) + 'px';
-            
-            div.classList.add('active');
-            this.testTrackball(trackball, x - 45, y - 45);
+        div.querySelector('.trackball-mode').addEventListener('change', (e) => {
+            entry.bench.setMode(e.target.value);
+            this.addLogEntry(`Trackball "${trackball.name}": ${e.target.selectedOptions[0].textContent} at ${entry.bench.getCpi()} CPI`, 'info');
+            this.updateTrackballElement(entry);
+        });
+        div.querySelector('.trackball-curve').addEventListener('change', (e) => {
+            entry.bench.setCurve(e.target.value);
+            this.updateTrackballElement(entry);
         });
         
-        trackballArea.addEventListener('mouseleave', () => {
-            // Reset cursor to center
-            cursor.style.left = '45px';
-            cursor.style.top = '45px';
+        // movementX/Y keep coming under pointer lock, so a long throw is not cut off at the pad's edge
+        entry.canvas.addEventListener('click', () => {
+            if (entry.canvas.requestPointerLock) entry.canvas.requestPointerLock();
+        });
+        entry.canvas.addEventListener('mousemove', (e) => {
+            const dt = entry.lastTime === null ? 16 : Math.min(e.timeStamp - entry.lastTime, 100);
+            entry.lastTime = e.timeStamp;
+            div.classList.add('active');
+            this.testTrackball(trackball, e.movementX, e.movementY, dt);
+        });
+        entry.canvas.addEventListener('mouseleave', () => {
+            entry.lastTime = null;
             div.classList.remove('active');
         });
         
+        this.updateTrackballElement(entry);
         return div;
     }
 
+    /**
+     * Redraw a pointing device's travel plot and figures
+     */
+    updateTrackballElement(entry) {
+        const bench = entry.bench;
+        bench.render(entry.canvas);
+        entry.stats.textContent = `${bench.getCpi()} CPI × ${bench.device.sensitivity} · ` +
+            `${bench.getCoveredCount()}/8 directions · ${bench.distance.toFixed(1)} in · max ${bench.maxSpeed.toFixed(1)} in/s` +
+            (bench.mode === 'scroll' ? ` · scroll ${bench.scroll.h}, ${bench.scroll.v}` : '');
+        entry.element.classList.toggle('tested', bench.isPassed());
+    }
+
     /**
      * Setup displays
      */
     setupDisplays(displays) {
+        this.displayStates.clear();
         if (displays.length === 0) {
             this.displaySection.style.display = 'none';
             return;
@@ -334,38 +997,318 @@ class VirtualKeyboardTester {
         div.className = 'display';
         div.innerHTML = `
             <h4>${display.name}</h4>
-            <div class="display-screen" style="width: ${display.width/2}px; height: ${display.height*2}px; background: #000; color: #0f0; font-family: monospace; font-size: 10px; padding: 5px; border-radius: 3px;">
-                <div>Display: ${display.width}x${display.height}</div>
-                <div>Type: ${display.type.toUpperCase()}</div>
-                <div id="display-${display.id}-content">Ready...</div>
+            <canvas class="display-screen"></canvas>
+            <div class="display-info">${display.width}x${display.height} ${display.type.toUpperCase()}</div>
+            <div class="display-controls">
+                <select class="display-source"></select>
+                <select class="display-rotation">
+                    <option value="0">0°</option>
+                    <option value="90">90°</option>
+                    <option value="180">180°</option>
+                    <option value="270">270°</option>
+                </select>
+            </div>
+            <div class="display-controls">
+                <input type="text" class="display-text" placeholder="oled_write text">
+                <button class="display-write-btn">Write</button>
+            </div>
+            <div class="display-controls">
+                <button class="test-display-btn">Test Display</button>
+                <button class="display-load-btn">Load C Source</button>
+                <input type="file" class="display-file" accept=".c,.h" style="display: none;">
             </div>
-            <button class="test-display-btn">Test Display</button>
         `;
         
+        const state = {
+            display,
+            emulator: new OledEmulator(display.width, display.height, display.rotation),
+            canvas: div.querySelector('.display-screen'),
+            sourceSelect: div.querySelector('.display-source'),
+            bitmaps: [],
+            source: 'status',
+            tested: false
+        };
+        this.displayStates.set(display.id, state);
+        this.addDisplayBitmaps(state, (this.currentFirmware && this.currentFirmware.metadata.bitmaps) || []);
+        
+        state.sourceSelect.addEventListener('change', () => {
+            state.source = state.sourceSelect.value;
+            this.showDisplaySource(state);
+        });
+        
+        const rotationSelect = div.querySelector('.display-rotation');
+        rotationSelect.value = String(state.emulator.rotation);
+        rotationSelect.addEventListener('change', () => {
+            state.emulator.setRotation(Number(rotationSelect.value));
+            this.showDisplaySource(state);
+        });
+        
+        const textInput = div.querySelector('.display-text');
+        const writeText = () => {
+            state.emulator.write(textInput.value);
+            state.emulator.render(state.canvas);
+            textInput.value = '';
+        };
+        div.querySelector('.display-write-btn').addEventListener('click', writeText);
+        textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') writeText();
+        });
+        
+        const fileInput = div.querySelector('.display-file');
+        div.querySelector('.display-load-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadDisplaySource(state, e.target.files[0]);
+            e.target.value = '';
+        });
+        
         const testBtn = div.querySelector('.test-display-btn');
         testBtn.addEventListener('click', () => {
             this.testDisplay(display);
-            div.classList.add('active');
-            setTimeout(() => div.classList.remove('active'), 1000);
+            this.flashActive(div, 1000);
         });
         
+        this.showDisplaySource(state);
         return div;
     }
 
     /**
-     * Show workspace
+     * Offer byte arrays as pictures for a display; arrays named like a font become its glcdfont
      */
-    showWorkspace() {
-        this.workspace.style.display = 'block';
-        this.workspace.classList.add('fade-in');
+    addDisplayBitmaps(state, bitmaps) {
+        bitmaps.forEach(bitmap => {
+            if (/font/i.test(bitmap.name) && bitmap.bytes.length % state.emulator.fontWidth === 0) {
+                state.emulator.setFont(bitmap.bytes);
+                return;
+            }
+            state.bitmaps = state.bitmaps.filter(known => known.name !== bitmap.name).concat(bitmap);
+        });
+        
+        state.sourceSelect.innerHTML = '';
+        state.sourceSelect.appendChild(new Option('Status screen', 'status'));
+        state.bitmaps.forEach(bitmap => {
+            state.sourceSelect.appendChild(new Option(`${bitmap.name} (${bitmap.bytes.length} bytes)`, bitmap.name));
+        });
+        if (!state.bitmaps.some(bitmap => bitmap.name === state.source)) state.source = 'status';
+        state.sourceSelect.value = state.source;
     }
 
     /**
-     * Handle key tested event
+     * Draw what a display's source selector asks for: the status screen or one of its byte arrays
+     */
+    showDisplaySource(state) {
+        const bitmap = state.bitmaps.find(candidate => candidate.name === state.source);
+        if (bitmap) {
+            this.drawBitmap(state.emulator, bitmap.bytes);
+        } else {
+            this.drawStatusScreen(state);
+        }
+        state.emulator.render(state.canvas);
+    }
+
+    /**
+     * A byte array as QMK would draw it: whole pages of pixels go through oled_write_raw, anything else is glyph codes for oled_write
+     */
+    drawBitmap(emulator, bytes) {
+        emulator.clear();
+        if (bytes.length % emulator.logicalWidth === 0 && bytes.length <= emulator.buffer.length) {
+            emulator.writeRaw(bytes);
+            return;
+        }
+        emulator.write(bytes);
+    }
+
+    /**
+     * Stand-in status screen: ZMK's built-in widgets (output and battery above, layer below) or a typical QMK oled_task_user
+     */
+    drawStatusScreen(state) {
+        const emulator = state.emulator;
+        const firmware = this.currentFirmware;
+        const activeLayers = this.keyboardRenderer ? this.keyboardRenderer.activeLayers : [0];
+        const top = activeLayers[activeLayers.length - 1];
+        const layer = firmware && firmware.layers[top];
+        const layerName = layer ? layer.name : `Layer ${top}`;
+        
+        emulator.clear();
+        if (firmware && firmware.type === 'ZMK') {
+            const battery = '100%';
+            emulator.write('USB');
+            emulator.setCursor(emulator.columns - battery.length, 0);
+            emulator.write(battery);
+            emulator.setCursor(0, emulator.lines - 1);
+            emulator.write(layerName.toUpperCase().slice(0, emulator.columns));
+            return;
+        }
+        
+        emulator.writeLine((firmware ? firmware.name : state.display.name).slice(0, emulator.columns));
+        emulator.write('Layer: ');
+        emulator.writeLine(layerName);
+    }
+
+    /**
+     * Redraw the displays showing the status screen, e.g. after a layer change
+     */
+    refreshStatusScreens() {
+        this.displayStates.forEach(state => {
+            if (state.source === 'status') this.showDisplaySource(state);
+        });
+    }
+
+    /**
+     * Read logos and fonts from a C file (keymap.c, glcdfont.c) for one display
+     */
+    async loadDisplaySource(state, file) {
+        try {
+            const content = await this.firmwareParser.readFileContent(file);
+            const { text } = this.firmwareParser.preprocessor.preprocess(content, { OLED_ENABLE: 1 });
+            const bitmaps = this.firmwareParser.parseCByteArrays(text);
+            if (bitmaps.length === 0) {
+                this.addLogEntry(`${file.name} defines no byte arrays to draw`, 'warning');
+                return;
+            }
+            
+            this.addDisplayBitmaps(state, bitmaps);
+            const pictures = bitmaps.filter(bitmap => state.bitmaps.includes(bitmap));
+            if (pictures.length > 0) {
+                state.source = pictures[0].name;
+                state.sourceSelect.value = state.source;
+            }
+            this.showDisplaySource(state);
+            this.addLogEntry(`Loaded ${bitmaps.map(bitmap => bitmap.name).join(', ')} from ${file.name} for "${state.display.name}"`, 'info');
+        } catch (error) {
+            this.addLogEntry(`Error reading ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * List the keymap's combos, tap dances and macros, each marked off as the tester triggers it
+     */
+    setupKeymapFeatures(firmwareData) {
+        const combos = firmwareData.combos || [];
+        const tapDances = firmwareData.tapDances || [];
+        const macros = firmwareData.macros || [];
+        this.featureElements.clear();
+        this.featureUsage.clear();
+        this.featureContainer.innerHTML = '';
+        this.showCombosInput.checked = this.keyboardRenderer.showCombos;
+        
+        if (combos.length + tapDances.length + macros.length === 0) {
+            this.featureSection.style.display = 'none';
+            return;
+        }
+        
+        const format = keycode => this.keyboardRenderer.formatKeycode(keycode);
+        const outcomeNames = { tap: 'Tap', hold: 'Hold', doubleTap: 'Double tap', tapHold: 'Tap + hold' };
+        
+        combos.forEach(combo => {
+            const keyIds = combo.positions.map(position => firmwareData.keys[position].id);
+            this.addFeatureElement(`combo:${combo.index}`, `Combo ${combo.name || combo.index}`, [
+                `${combo.keys.map(format).join(' + ')} → ${format(combo.result)}`,
+                (keyIds.length > 0 ? `keys ${keyIds.join(', ')}` : 'cannot be pressed on this keymap') +
+                    (combo.timeout ? ` · ${combo.timeout} ms` : '') + (combo.layers ? ` · layers ${combo.layers.join(', ')}` : '')
+            ]);
+        });
+        tapDances.forEach(dance => {
+            const lines = Object.keys(outcomeNames)
+                .filter(outcome => !this.keyboardRenderer.simulator.isUnset(dance[outcome]))
+                .map(outcome => `${outcomeNames[outcome]}: ${format(dance[outcome])}`);
+            if (dance.handler) lines.push(`decided by ${dance.handler}`);
+            this.addFeatureElement(`dance:${dance.name}`, `Tap dance ${dance.name}`, lines);
+        });
+        macros.forEach(macro => {
+            this.addFeatureElement(`macro:${macro.name}`, `Macro ${macro.name}`, [this.describeMacro(macro)]);
+        });
+        this.updateFeatureElements();
+        
+        this.featureSection.style.display = 'block';
+        this.addLogEntry(`Found ${combos.length} combo(s), ${tapDances.length} tap dance(s) and ${macros.length} macro(s)`, 'info');
+    }
+
+    /**
+     * Add one card to the feature section
+     */
+    addFeatureElement(id, title, lines) {
+        const div = document.createElement('div');
+        div.className = 'feature';
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        div.appendChild(heading);
+        lines.forEach(line => {
+            const detail = document.createElement('div');
+            detail.className = 'feature-detail';
+            detail.textContent = line;
+            div.appendChild(detail);
+        });
+        
+        this.featureContainer.appendChild(div);
+        this.featureElements.set(id, div);
+    }
+
+    /**
+     * Macro actions in short form: "text" is typed, ↓KEY / ↑KEY press and release, 100 ms waits
+     */
+    describeMacro(macro) {
+        const format = keycode => this.keyboardRenderer.formatKeycode(keycode || 'KC_NO');
+        return macro.actions.map(action => {
+            switch (action.type) {
+                case 'text': return JSON.stringify(action.value);
+                case 'delay': return `${action.value} ms`;
+                case 'down': return action.keys.map(keycode => `↓${format(keycode)}`).join(' ');
+                case 'up': return action.keys.map(keycode => `↑${format(keycode)}`).join(' ');
+                default: return action.keys.map(format).join('+');
+            }
+        }).join(' ');
+    }
+
+    /**
+     * Count a combo firing, a tap dance outcome or a macro being sent
+     */
+    recordFeatureUse(id, outcome) {
+        const usage = this.featureUsage.get(id) || { count: 0, outcomes: new Set() };
+        usage.count++;
+        if (outcome) usage.outcomes.add(outcome);
+        this.featureUsage.set(id, usage);
+        this.updateFeatureElements();
+    }
+
+    /**
+     * Mark cards tested once used; a tap dance needs every outcome it defines
+     */
+    updateFeatureElements() {
+        const dances = new Map((this.currentFirmware.tapDances || []).map(dance => [`dance:${dance.name}`, dance]));
+        this.featureElements.forEach((div, id) => {
+            const usage = this.featureUsage.get(id);
+            const dance = dances.get(id);
+            let tested = Boolean(usage);
+            if (usage && dance && !dance.handler) {
+                tested = ['tap', 'hold', 'doubleTap', 'tapHold']
+                    .filter(outcome => !this.keyboardRenderer.simulator.isUnset(dance[outcome]))
+                    .every(outcome => usage.outcomes.has(outcome));
+            }
+            div.classList.toggle('tested', tested);
+            div.classList.toggle('partial', Boolean(usage) && !tested);
+        });
+    }
+
+    /**
+     * Show workspace
+     */
+    showWorkspace() {
+        this.workspace.style.display = 'block';
+        this.workspace.classList.add('fade-in');
+    }
+
+    /**
+     * Handle key tested event
      */
     onKeyTested(detail) {
         this.updateStats();
         
+        const macro = (this.currentFirmware.macros || []).find(entry => entry.name === detail.keycode);
+        if (macro) {
+            this.addLogEntry(`Macro ${macro.name} sends ${this.describeMacro(macro)}`, 'info');
+            this.recordFeatureUse(`macro:${macro.name}`, null);
+        }
+        
         // Check if all keys are tested
         const stats = this.keyboardRenderer.getTestStats();
         if (stats.testedKeys === stats.totalKeys && stats.totalKeys > 0) {
@@ -380,6 +1323,8 @@ class VirtualKeyboardTester {
         const stats = this.keyboardRenderer.getTestStats();
         this.keysTestered.textContent = stats.testedKeys;
         this.totalKeys.textContent = stats.totalKeys;
+        this.switchFaults.textContent = stats.chatterKeys + stats.stuckKeys;
+        this.maxRollover.textContent = this.rolloverTest.maxSimultaneous;
     }
 
     /**
@@ -389,6 +1334,21 @@ class VirtualKeyboardTester {
         if (this.keyboardRenderer) {
             this.keyboardRenderer.resetTest();
         }
+        this.rolloverTest.reset();
+        this.encoderMonitor.reset();
+        this.updateEncoderElements();
+        this.displayStates.forEach(state => {
+            state.tested = false;
+        });
+        this.pointingBenches.forEach(entry => {
+            entry.bench.reset();
+            this.updateTrackballElement(entry);
+        });
+        this.featureUsage.clear();
+        this.updateFeatureElements();
+        this.clearHidResults();
+        this.updateStats();
+        if (this.rolloverActive) this.guideNextChord();
         this.addLogEntry('Test reset', 'info');
     }
 
@@ -415,23 +1375,356 @@ class VirtualKeyboardTester {
         const results = this.keyboardRenderer.exportResults();
         results.keyboard = this.currentFirmware.name;
         results.firmwareType = this.currentFirmware.type;
+        results.keymapAnalysis = this.keymapAnalysis;
+        if (this.currentDiff) results.keymapDiff = this.currentDiff;
+        results.encoders = this.encoderMonitor.exportResults().map(result => ({
+            ...result,
+            mappings: this.currentFirmware.layers.map(layer => (layer.encoders && layer.encoders[result.id]) || null)
+        }));
+        results.pointingDevices = Array.from(this.pointingBenches.values(), entry => entry.bench.exportResults());
+        results.displays = Array.from(this.displayStates.values(), state => ({
+            id: state.display.id,
+            name: state.display.name,
+            width: state.display.width,
+            height: state.display.height,
+            rotation: state.emulator.rotation,
+            source: state.source,
+            tested: state.tested
+        }));
+        const usage = id => this.featureUsage.get(id) || { count: 0, outcomes: new Set() };
+        results.combos = (this.currentFirmware.combos || []).map(combo => ({
+            name: combo.name || `Combo ${combo.index}`,
+            keys: combo.keys,
+            keyIds: combo.positions.map(position => this.currentFirmware.keys[position].id),
+            result: combo.result,
+            fired: usage(`combo:${combo.index}`).count
+        }));
+        results.tapDances = (this.currentFirmware.tapDances || []).map(dance => ({
+            ...dance,
+            outcomesSeen: Array.from(usage(`dance:${dance.name}`).outcomes)
+        }));
+        results.macros = (this.currentFirmware.macros || []).map(macro => ({
+            ...macro,
+            sent: usage(`macro:${macro.name}`).count
+        }));
+        results.rollover = {
+            nkroClaimed: this.isNkroClaimed(),
+            ...this.rolloverTest.exportResults()
+        };
+        if (this.hidDeviceName) {
+            results.hid = {
+                device: this.hidDeviceName,
+                reportCount: this.hidInput ? this.hidInput.reportCount : null,
+                unmatchedUsages: Array.from(this.unmatchedHidUsages)
+            };
+            results.keyDetails.forEach(detail => {
+                detail.hidUsages = Array.from(this.hidUsagesByKey.get(detail.id) || []);
+            });
+        }
         results.testLog = this.testLog;
         
-        // Download as JSON file
-        const blob = new Blob([JSON.stringify(results, null, 2)], {
-            type: 'application/json'
+        this.downloadFile(JSON.stringify(results, null, 2), `keyboard-test-results-${Date.now()}.json`, 'application/json');
+        this.addLogEntry('Test results exported', 'success');
+    }
+
+    /**
+     * Offer text or a blob as a file download
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], {
+            type: mimeType
         });
         
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `keyboard-test-results-${Date.now()}.json`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reset the keymap editor for new firmware and default the export format to its notation
+     */
+    updateKeymapEditor(firmwareData) {
+        const isZmk = firmwareData.type === 'ZMK';
+        this.updateKeycodeOptions(firmwareData);
+        this.keycodeInput.placeholder = isZmk ? 'Search behaviors, e.g. &kp A' : 'Search keycodes, e.g. KC_A';
+        this.exportFormatSelect.value = isZmk ? 'zmk' : 'keymap.c';
+        this.selectedKeyId = null;
+        this.selectedKeyLabel.textContent = 'Click a key to edit it';
+    }
+
+    /**
+     * Fill the keycode picker, layer keys included for every layer
+     */
+    updateKeycodeOptions(firmwareData) {
+        const names = this.firmwareParser.keycodes.listKeycodes(firmwareData.type, firmwareData.layers.length);
         
-        this.addLogEntry('Test results exported', 'success');
+        this.keycodeOptions.innerHTML = '';
+        names.forEach(name => {
+            this.keycodeOptions.appendChild(new Option(name, name));
+        });
+    }
+
+    /**
+     * Make canvas clicks select keys for editing instead of testing them
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled;
+        this.keyboardRenderer.setEditMode(enabled);
+        this.keymapEditor.style.display = enabled ? 'flex' : 'none';
+        this.editKeymapBtn.textContent = enabled ? 'Done Editing' : 'Edit Keymap';
+        this.selectedKeyId = null;
+        this.selectedKeyLabel.textContent = 'Click a key to edit it';
+        this.addLogEntry(enabled ? 'Keymap editing on: click a key, then pick its keycode' : 'Keymap editing off', 'info');
+    }
+
+    /**
+     * Show the clicked key's keycode on the layer being edited
+     */
+    onKeySelected(detail) {
+        this.selectedKeyId = detail.keyId;
+        this.showSelectedKeycode();
+        this.keycodeInput.focus();
+        this.keycodeInput.select();
+    }
+
+    /**
+     * Fill the picker with the selected key's keycode on the active layer; layer switches call this
+     * without taking the focus, so typing keeps reaching the tester
+     */
+    showSelectedKeycode() {
+        const layer = this.keyboardRenderer.getActiveLayer();
+        const layers = this.currentFirmware.layers;
+        const position = this.keyboardRenderer.keyIndex.get(this.selectedKeyId);
+        const keycode = layers.length > 0 ? layers[layer].keys[position] : this.currentFirmware.keys[position].keycode;
+        
+        this.selectedKeyLabel.textContent = `Key ${this.selectedKeyId}, layer ${layer}:`;
+        this.keycodeInput.value = keycode || '';
+    }
+
+    /**
+     * Keycode typed into the picker in the firmware's notation, or null if it is not one
+     */
+    normalizeKeycode(value) {
+        const text = value.trim();
+        if (this.currentFirmware.type === 'ZMK') {
+            return /^&\w+/.test(text) ? text.split(/\s+/).join(' ') : null;
+        }
+        if (text.startsWith('&')) return null;
+        return this.firmwareParser.parseQmkKeycodes(text)[0] || null;
+    }
+
+    /**
+     * Put the picked keycode on the selected key in the top active layer
+     */
+    applyKeycode() {
+        if (this.selectedKeyId === null) {
+            this.addLogEntry('Select a key to edit first', 'error');
+            return;
+        }
+        
+        const keycode = this.normalizeKeycode(this.keycodeInput.value);
+        if (!keycode) {
+            const expected = this.currentFirmware.type === 'ZMK' ? 'a ZMK binding such as &kp A' : 'a QMK keycode such as KC_A';
+            this.addLogEntry(`"${this.keycodeInput.value}" is not ${expected}`, 'error');
+            return;
+        }
+        
+        // Boards without layer data get their base keycodes as layer 0
+        if (this.currentFirmware.layers.length === 0) {
+            this.keyboardRenderer.addLayer({ name: 'Layer 0', keys: this.currentFirmware.keys.map(key => key.keycode || 'KC_NO') });
+        }
+        
+        const layerIndex = this.keyboardRenderer.getActiveLayer();
+        const layer = this.currentFirmware.layers[layerIndex];
+        const position = this.keyboardRenderer.keyIndex.get(this.selectedKeyId);
+        const previous = layer.keys[position];
+        this.keyboardRenderer.setKeycode(this.selectedKeyId, layerIndex, keycode);
+        
+        // ZMK layers also carry the parsed bindings
+        if (layer.bindings) {
+            layer.bindings[position] = this.firmwareParser.parseZmkBindings(keycode.split(' '))[0];
+        }
+        
+        this.buildKeyEventIndex(this.currentFirmware);
+        this.refreshDiff();
+        this.addLogEntry(`Key ${this.selectedKeyId} on layer ${layerIndex} (${layer.name}): ${previous} → ${keycode}`, 'success');
+        this.refreshKeymapAnalysis();
+    }
+
+    /**
+     * Append a transparent layer and switch to it for editing
+     */
+    addLayer() {
+        const firmware = this.currentFirmware;
+        if (!firmware) return;
+        
+        if (firmware.layers.length === 0) {
+            this.keyboardRenderer.addLayer({ name: 'Layer 0', keys: firmware.keys.map(key => key.keycode || 'KC_NO') });
+        }
+        
+        const index = firmware.layers.length;
+        const isZmk = firmware.type === 'ZMK';
+        this.keyboardRenderer.addLayer({
+            name: `Layer ${index}`,
+            index,
+            keys: firmware.keys.map(() => (isZmk ? '&trans' : 'KC_TRNS')),
+            encoders: []
+        });
+        
+        this.updateLayerSelect(firmware);
+        this.updateKeycodeOptions(firmware);
+        this.refreshDiff();
+        this.keyboardRenderer.setActiveLayer(index);
+        this.addLogEntry(`Added layer ${index}; reach it with a layer key such as ${isZmk ? `&mo ${index}` : `MO(${index})`}`, 'info');
+        this.refreshKeymapAnalysis();
+    }
+
+    /**
+     * Download the current (possibly edited) keymap as keymap.c, keymap.json or a ZMK .keymap
+     */
+    exportKeymap() {
+        if (!this.currentFirmware) {
+            this.addLogEntry('No keymap to export', 'error');
+            return;
+        }
+        
+        const result = this.keymapExporter.export(this.currentFirmware, this.exportFormatSelect.value);
+        result.warnings.forEach(warning => {
+            this.addLogEntry(`⚠️ ${warning}`, 'warning');
+        });
+        
+        this.downloadFile(result.content, result.fileName, result.mimeType);
+        this.addLogEntry(`Keymap exported as ${result.fileName}`, 'success');
+    }
+
+    /**
+     * Download the layout as an SVG or PNG picture with a panel per layer
+     */
+    async exportImage() {
+        if (!this.currentFirmware) {
+            this.addLogEntry('No layout to export', 'error');
+            return;
+        }
+        
+        const svg = this.layoutImageExporter.toSvg(this.currentFirmware);
+        const baseName = `${this.currentFirmware.name.replace(/[^\w-]+/g, '-').toLowerCase()}-layout`;
+        if (this.imageFormatSelect.value === 'svg') {
+            this.downloadFile(svg, `${baseName}.svg`, 'image/svg+xml');
+            this.addLogEntry(`Layout exported as ${baseName}.svg`, 'success');
+            return;
+        }
+        
+        try {
+            const png = await this.layoutImageExporter.toPng(svg);
+            this.downloadFile(png, `${baseName}.png`, 'image/png');
+            this.addLogEntry(`Layout exported as ${baseName}.png`, 'success');
+        } catch (error) {
+            this.addLogEntry(`PNG export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Compare the loaded keymap with another firmware file, e.g. the build about to be flashed
+     */
+    async compareFirmware(file) {
+        if (!this.currentFirmware) {
+            this.addLogEntry('Load a firmware file before comparing', 'error');
+            return;
+        }
+        
+        try {
+            let other = await this.firmwareParser.parseFirmware(file, { matrix: this.getMatrixHint(this.currentLayout) });
+            // A keymap backup is compared as it would look on the loaded layout
+            if (other.metadata.keymapBackup) {
+                other = this.firmwareParser.applyViaKeymap(other, this.currentLayout);
+            }
+            
+            const diff = this.keymapDiff.compare(this.currentFirmware, other);
+            this.currentDiff = diff;
+            this.comparedFirmware = other;
+            this.compareFirmwareBtn.textContent = 'Clear Compare';
+            this.exportDiffBtn.style.display = 'inline-block';
+            this.showDiffHighlights();
+            this.reportDiff(diff);
+        } catch (error) {
+            this.addLogEntry(`Error comparing firmware: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Log a keymap diff: layer and key count changes, then every changed key and encoder
+     */
+    reportDiff(diff) {
+        this.addLogEntry(`Comparing ${diff.base.name} with ${diff.other.name}: ${diff.changeCount} change(s)`, diff.changeCount > 0 ? 'warning' : 'success');
+        if (diff.base.type !== diff.other.type) {
+            this.addLogEntry(`${diff.base.type} and ${diff.other.type} keymaps are compared as written; every key will differ`, 'info');
+        }
+        if (diff.base.layerCount !== diff.other.layerCount) {
+            this.addLogEntry(`Layer count: ${diff.base.layerCount} → ${diff.other.layerCount}`, 'warning');
+        }
+        if (diff.unmatchedKeys.base.length + diff.unmatchedKeys.other.length > 0) {
+            this.addLogEntry(`Keys only in ${diff.base.name}: ${diff.unmatchedKeys.base.length}, only in ${diff.other.name}: ${diff.unmatchedKeys.other.length}`, 'warning');
+        }
+        
+        diff.layers.forEach(layer => {
+            if (layer.status === 'added' || layer.status === 'removed') {
+                this.addLogEntry(`Layer ${layer.index} (${layer.name}) ${layer.status}`, 'warning');
+            }
+            if (layer.previousName) {
+                this.addLogEntry(`Layer ${layer.index} renamed: ${layer.previousName} → ${layer.name}`, 'info');
+            }
+            layer.changes.forEach(change => {
+                this.addLogEntry(`Layer ${layer.index} key ${change.keyId} [${change.row},${change.col}]: ${change.before} → ${change.after}`, 'info');
+            });
+        });
+        diff.encoders.forEach(change => {
+            this.addLogEntry(`Layer ${change.layer} encoder ${change.encoder} ${change.direction}: ${change.before || 'none'} → ${change.after || 'none'}`, 'info');
+        });
+    }
+
+    /**
+     * Highlight the keys that changed on the layer shown
+     */
+    showDiffHighlights() {
+        const layer = this.currentDiff.layers[this.keyboardRenderer.getActiveLayer()];
+        this.keyboardRenderer.clearHighlights();
+        this.keyboardRenderer.highlightKeys(layer ? layer.changes.map(change => change.keyId) : []);
+    }
+
+    /**
+     * Recompute the comparison after the loaded keymap was edited
+     */
+    refreshDiff() {
+        if (!this.currentDiff) return;
+        
+        this.currentDiff = this.keymapDiff.compare(this.currentFirmware, this.comparedFirmware);
+        this.showDiffHighlights();
+    }
+
+    /**
+     * Drop the comparison and its highlights
+     */
+    clearDiff() {
+        this.currentDiff = null;
+        this.comparedFirmware = null;
+        this.keyboardRenderer.clearHighlights();
+        this.compareFirmwareBtn.textContent = 'Compare Firmware';
+        this.exportDiffBtn.style.display = 'none';
+    }
+
+    /**
+     * Download the comparison as a Markdown report
+     */
+    exportDiff() {
+        if (!this.currentDiff) return;
+        
+        this.downloadFile(this.keymapDiff.toMarkdown(this.currentDiff), `keymap-diff-${Date.now()}.md`, 'text/markdown');
+        this.addLogEntry('Keymap diff exported', 'success');
     }
 
     /**
@@ -440,86 +1733,452 @@ class VirtualKeyboardTester {
     handleRealKeyPress(e) {
         if (!this.currentFirmware) return;
         
-        // Map browser key codes to firmware key IDs (simplified)
+        // Typing a keycode into the editor's picker is not a key test
+        if (e.target === this.keycodeInput) return;
+        
+        // With HID capture on, the same presses arrive as reports; the OS copy is only kept off the page
+        if (this.hidInput) {
+            if (!this.isFormTarget(e.target)) e.preventDefault();
+            return;
+        }
+        
+        // Auto-repeat belongs to the key already held for this code
+        if (e.repeat) {
+            if (this.realKeysDown.has(e.code)) {
+                e.preventDefault();
+                this.keyboardRenderer.simulateKeyRepeat(this.realKeysDown.get(e.code));
+            }
+            return;
+        }
+        
+        const encoderTurn = this.mapEventToEncoder(e.code);
+        if (encoderTurn) {
+            if (!this.isFormTarget(e.target)) e.preventDefault();
+            this.testEncoder(encoderTurn.encoder, encoderTurn.direction);
+            return;
+        }
+        
         const keyId = this.mapBrowserKeyToFirmwareKey(e.code);
-        if (keyId !== null) {
-            this.keyboardRenderer.simulateKeyPress(keyId);
+        if (this.rolloverActive) this.trackRollover(e.code, keyId);
+        if (keyId === null) return;
+        
+        // Keep Tab, Space, F5 and friends from acting on the page while they are being tested
+        if (!this.isFormTarget(e.target)) {
+            e.preventDefault();
         }
+        
+        this.realKeysDown.set(e.code, keyId);
+        this.keyboardRenderer.simulateKeyDown(keyId, e.timeStamp);
     }
 
     /**
      * Handle real keyboard key release
      */
     handleRealKeyRelease(e) {
-        // Could be used for more advanced key state management
+        if (this.rolloverActive) this.recordChord(this.rolloverTest.keyUp(e.code));
+        
+        const keyId = this.realKeysDown.get(e.code);
+        if (keyId === undefined) return;
+        
+        this.realKeysDown.delete(e.code);
+        this.keyboardRenderer.simulateKeyUp(keyId, e.timeStamp);
     }
 
     /**
-     * Map browser key codes to firmware key IDs (simplified mapping)
+     * Release held keys when the window loses focus; their keyup events will never arrive
      */
-    mapBrowserKeyToFirmwareKey(keyCode) {
-        // This is a simplified mapping - in a real implementation,
-        // this would be more sophisticated and based on the actual firmware layout
-        const keyMap = {
-            'Escape': 0,
-            'Digit1': 1, 'Digit2': 2, 'Digit3': 3, 'Digit4': 4, 'Digit5': 5,
-            'Digit6': 6, 'Digit7': 7, 'Digit8': 8, 'Digit9': 9, 'Digit0': 10,
-            'KeyQ': 14, 'KeyW': 15, 'KeyE': 16, 'KeyR': 17, 'KeyT': 18,
-            'KeyY': 19, 'KeyU': 20, 'KeyI': 21, 'KeyO': 22, 'KeyP': 23,
-            'KeyA': 28, 'KeyS': 29, 'KeyD': 30, 'KeyF': 31, 'KeyG': 32,
-            'KeyH': 33, 'KeyJ': 34, 'KeyK': 35, 'KeyL': 36,
-            'KeyZ': 42, 'KeyX': 43, 'KeyC': 44, 'KeyV': 45, 'KeyB': 46,
-            'KeyN': 47, 'KeyM': 48,
-            'Space': 57
+    releaseRealKeys() {
+        if (this.realKeysDown.size === 0) return;
+        
+        this.addLogEntry(`Window lost focus: released ${this.realKeysDown.size} held key(s)`, 'info');
+        this.realKeysDown.forEach(keyId => {
+            this.keyboardRenderer.simulateKeyUp(keyId);
+        });
+        this.realKeysDown.clear();
+        this.rolloverTest.releaseAll();
+    }
+
+    /**
+     * Whether a key event is aimed at a form control the user is operating
+     */
+    isFormTarget(target) {
+        return ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(target.tagName);
+    }
+
+    /**
+     * Read key presses from raw HID reports instead of browser key events
+     */
+    async connectHid(transport) {
+        const input = new HidInput(transport, this.firmwareParser.keycodes);
+        input.onEvent = (event) => this.handleHidEvent(event);
+        input.onDisconnect = () => {
+            this.detachHid();
+            this.addLogEntry('HID device disconnected', 'warning');
         };
         
-        return keyMap[keyCode] !== undefined ? keyMap[keyCode] : null;
+        try {
+            const devices = await input.open();
+            this.releaseRealKeys();
+            this.hidInput = input;
+            this.hidDeviceName = devices[0].productName || 'HID device';
+            this.connectHidBtn.textContent = 'Disconnect HID';
+            
+            this.addLogEntry(`HID capture: ${this.hidDeviceName} (${devices.length} interface(s), ${input.layouts.size} input report(s)); browser key events are ignored until it is disconnected`, 'success');
+            if (input.layouts.size === 0) {
+                this.addLogEntry('⚠️ The device describes no input reports; the browser may be withholding keyboard and mouse collections', 'warning');
+            }
+        } catch (error) {
+            this.addLogEntry(`HID connection failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Stop HID capture and return to browser key events
+     */
+    async disconnectHid() {
+        if (!this.hidInput) return;
+        
+        await this.hidInput.close();
+        this.detachHid();
+        this.addLogEntry('HID capture stopped', 'info');
+    }
+
+    /**
+     * Forget the HID input once it is closed or unplugged
+     */
+    detachHid() {
+        this.hidInput = null;
+        this.hidKeysDown.clear();
+        this.connectHidBtn.textContent = 'Connect HID';
+    }
+
+    /**
+     * Apply a press or release decoded from a HID report
+     */
+    handleHidEvent(event) {
+        if (event.type === 'rollover-error') {
+            this.addLogEntry('⚠️ Keyboard reported ErrorRollOver: more keys held than its report can carry', 'warning');
+            return;
+        }
+        if (!this.currentFirmware) return;
+        
+        if (event.type === 'release') {
+            if (this.rolloverActive) this.recordChord(this.rolloverTest.keyUp(event.id));
+            
+            const keyId = this.hidKeysDown.get(event.id);
+            if (keyId === undefined) return;
+            this.hidKeysDown.delete(event.id);
+            this.keyboardRenderer.simulateKeyUp(keyId, event.time);
+            return;
+        }
+        
+        const encoderTurn = event.code ? this.mapEventToEncoder(event.code) : null;
+        if (encoderTurn) {
+            this.testEncoder(encoderTurn.encoder, encoderTurn.direction);
+            return;
+        }
+        
+        const keyId = event.code ? this.mapBrowserKeyToFirmwareKey(event.code) : null;
+        if (this.rolloverActive) this.trackRollover(event.id, keyId);
+        
+        if (keyId === null) {
+            if (!this.unmatchedHidUsages.has(event.id)) {
+                const name = event.code ? ` (${event.code})` : '';
+                this.addLogEntry(`HID usage ${event.id}${name} matches no key in the keymap`, 'warning');
+            }
+            this.unmatchedHidUsages.add(event.id);
+            return;
+        }
+        
+        if (!this.hidUsagesByKey.has(keyId)) this.hidUsagesByKey.set(keyId, new Set());
+        this.hidUsagesByKey.get(keyId).add(event.id);
+        this.hidKeysDown.set(event.id, keyId);
+        this.keyboardRenderer.simulateKeyDown(keyId, event.time);
+    }
+
+    /**
+     * Forget the HID usages recorded for each key
+     */
+    clearHidResults() {
+        this.hidKeysDown.clear();
+        this.hidUsagesByKey.clear();
+        this.unmatchedHidUsages.clear();
+    }
+
+    /**
+     * Start counting simultaneous keys and guide the user through the matrix chords
+     */
+    startRolloverTest() {
+        if (!this.currentFirmware) return;
+        
+        // Only keys that send something on the current layers can be seen by the browser
+        const activeLayers = this.keyboardRenderer.activeLayers;
+        const reportable = new Set();
+        this.keyEventIndex.forEach(candidates => {
+            candidates.forEach(candidate => {
+                if (activeLayers.includes(candidate.layer)) reportable.add(candidate.keyId);
+            });
+        });
+        
+        this.rolloverTest.reset();
+        const chords = this.rolloverTest.buildChords(this.currentFirmware.keys, key => reportable.has(key.id));
+        this.rolloverActive = true;
+        this.rolloverTestBtn.textContent = 'Stop Rollover Test';
+        this.skipChordBtn.style.display = chords.length > 0 ? '' : 'none';
+        this.updateStats();
+        
+        this.addLogEntry(`Rollover test started${this.isNkroClaimed() ? ' (firmware declares NKRO)' : ''}: hold as many keys as you can`, 'info');
+        if (chords.length === 0) {
+            this.addLogEntry('No matrix chords to test: chords need keys with row/col positions that send a key code', 'info');
+        }
+        this.guideNextChord();
+    }
+
+    /**
+     * End the rollover test and log the outcome
+     */
+    stopRolloverTest() {
+        this.rolloverActive = false;
+        this.rolloverTestBtn.textContent = 'Rollover Test';
+        this.skipChordBtn.style.display = 'none';
+        this.keyboardRenderer.setGuideKeys([]);
+        
+        const max = this.rolloverTest.maxSimultaneous;
+        const summary = this.rolloverTest.summarize();
+        if (summary.total > 0) {
+            const failed = summary.ghosting + summary.blocked;
+            this.addLogEntry(
+                `Rollover test: ${summary.passed}/${summary.total} chords passed, ${summary.ghosting} ghosting, ${summary.blocked} blocked, ${summary.skipped + summary.untested} not tested`,
+                failed > 0 ? 'warning' : (summary.passed === summary.total ? 'success' : 'info')
+            );
+        }
+        this.addLogEntry(`Highest rollover: ${max} key(s) reported at once`, 'info');
+        
+        // Six keys is the boot keyboard report limit
+        if (this.isNkroClaimed() && max === 6) {
+            this.addLogEntry('⚠️ Firmware declares NKRO but reports stopped at 6 keys; NKRO may be switched off', 'warning');
+        }
+    }
+
+    /**
+     * Record a real key down for the rollover test
+     */
+    trackRollover(code, keyId) {
+        const chord = this.rolloverTest.getCurrentChord();
+        const { count, record } = this.rolloverTest.keyDown(code, keyId);
+        if (record) {
+            this.maxRollover.textContent = count;
+            if (count > 1) this.addLogEntry(`Rollover: ${count} keys held at once`, 'info');
+        }
+        if (chord && chord.ghostKeys.includes(keyId === null ? code : keyId)) {
+            this.addLogEntry(`⚠️ ${this.describeKeys([keyId === null ? code : keyId])} reported while chord keys were held`, 'warning');
+        }
+    }
+
+    /**
+     * Log a finished chord and move the guide to the next one
+     */
+    recordChord(chord) {
+        if (!chord) return;
+        
+        const messages = {
+            pass: ['Chord passed', 'success'],
+            ghost: [`Chord ghosted (extra: ${this.describeKeys(chord.ghostKeys)})`, 'error'],
+            blocked: ['Chord blocked: the three keys never registered together', 'error'],
+            skipped: ['Chord skipped', 'info']
+        };
+        const [message, type] = messages[chord.result];
+        this.addLogEntry(`${message}: ${this.describeKeys(chord.keys)}`, type);
+        
+        this.guideNextChord();
+    }
+
+    /**
+     * Outline the next chord to press, or finish when all are done
+     */
+    guideNextChord() {
+        const chord = this.rolloverTest.getCurrentChord();
+        if (!chord) {
+            this.keyboardRenderer.setGuideKeys([]);
+            if (this.rolloverTest.chords.length > 0) this.stopRolloverTest();
+            return;
+        }
+        
+        this.keyboardRenderer.setGuideKeys(chord.keys);
+        const number = this.rolloverTest.current + 1;
+        this.addLogEntry(`Chord ${number}/${this.rolloverTest.chords.length}: hold ${this.describeKeys(chord.keys)} together, then release`, 'info');
+    }
+
+    /**
+     * Keys as "KC_A [0,1]" for the log
+     */
+    describeKeys(keyIds) {
+        return keyIds.map(keyId => {
+            const key = this.currentFirmware.keys.find(k => k.id === keyId);
+            if (!key) return String(keyId);
+            const keycode = this.keyboardRenderer.resolveKeycode(key).keycode;
+            return `${this.keyboardRenderer.formatKeycode(keycode)} [${key.row},${key.col}]`;
+        }).join(' + ');
+    }
+
+    /**
+     * Whether the firmware says it supports N-key rollover
+     */
+    isNkroClaimed() {
+        const features = (this.currentFirmware && this.currentFirmware.metadata.features) || {};
+        return features.nkro === true;
+    }
+
+    /**
+     * Index every key by the KeyboardEvent.code its keycodes produce, on every layer
+     */
+    buildKeyEventIndex(firmwareData) {
+        this.keyEventIndex = new Map();
+        this.realKeysDown.clear();
+        
+        const keycodes = this.firmwareParser.keycodes;
+        const layers = firmwareData.layers.length > 0
+            ? firmwareData.layers.map(layer => layer.keys)
+            : [firmwareData.keys.map(key => key.keycode)];
+        
+        layers.forEach((layerKeys, layer) => {
+            firmwareData.keys.forEach((key, position) => {
+                keycodes.toEventCodes(layerKeys[position]).forEach(code => {
+                    if (!this.keyEventIndex.has(code)) this.keyEventIndex.set(code, []);
+                    this.keyEventIndex.get(code).push({ keyId: key.id, layer });
+                });
+            });
+        });
+        
+        // A real encoder taps its mapped keycode once per detent, so its turns arrive as key events too
+        this.encoderEventIndex = new Map();
+        firmwareData.layers.forEach((layer, index) => {
+            (layer.encoders || []).forEach((pair, encoderId) => {
+                ['ccw', 'cw'].forEach((direction, side) => {
+                    keycodes.toEventCodes(pair[side]).forEach(code => {
+                        if (!this.encoderEventIndex.has(code)) this.encoderEventIndex.set(code, []);
+                        this.encoderEventIndex.get(code).push({ encoderId, direction, layer: index });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Map a browser KeyboardEvent.code to the firmware key that sends it
+     */
+    mapBrowserKeyToFirmwareKey(keyCode) {
+        const candidates = this.keyEventIndex.get(keyCode) || [];
+        if (candidates.length === 0) return null;
+        
+        // Keys sending this code on the layers shown now win over keys on other layers
+        const activeLayers = this.keyboardRenderer.activeLayers;
+        const active = candidates.filter(candidate => activeLayers.includes(candidate.layer));
+        const group = active.length > 0 ? active : candidates;
+        
+        // Duplicate keycodes (both Shifts, split space bars): take a free, untested key first. A key
+        // held, repeating, stuck or flagged for chatter is busy
+        const states = this.keyboardRenderer.keyStates;
+        const idle = ['untested', 'tested', 'hover'];
+        const free = group.filter(candidate => idle.includes(states.get(candidate.keyId)) &&
+            !this.keyboardRenderer.switchMonitor.isDown(candidate.keyId));
+        const untested = free.find(candidate => states.get(candidate.keyId) !== 'tested');
+        const choice = untested || free[0] || group[0];
+        
+        return choice.keyId;
     }
 
     /**
      * Test encoder
      */
     testEncoder(encoder, direction) {
-        const action = direction === 'press' ? 'pressed' : `rotated ${direction}`;
-        this.addLogEntry(`Encoder "${encoder.name}" ${action}`, 'success');
+        let nowTested;
+        if (direction === 'press') {
+            nowTested = this.encoderMonitor.press(encoder.id).nowTested;
+            this.addLogEntry(`Encoder "${encoder.name}" pressed`, 'success');
+        } else {
+            const turn = this.encoderMonitor.turn(encoder.id, direction);
+            const resolved = this.keyboardRenderer.resolveEncoderKeycode(encoder.id, direction);
+            const sends = resolved.keycode ? `sends ${resolved.keycode} (layer ${resolved.layer})` : 'sends nothing on this layer';
+            nowTested = turn.nowTested;
+            
+            this.addLogEntry(`Encoder "${encoder.name}" ${direction === 'cw' ? '↷' : '↶'} ${sends}; ${turn.detents} detent(s), ${turn.pulses} pulses`, 'success');
+            if (turn.fullTurn) {
+                this.addLogEntry(`Encoder "${encoder.name}" completed a full ${direction} turn of ${encoder.steps} detents`, 'info');
+            }
+        }
+        
+        if (nowTested) {
+            this.addLogEntry(`✅ Encoder "${encoder.name}" tested: a full turn each way and a press`, 'success');
+        }
+        this.updateEncoderElements();
+    }
+
+    /**
+     * Encoder turn behind a key event: a code an encoder sends on the active layers that no key there sends
+     */
+    mapEventToEncoder(code) {
+        const activeLayers = this.keyboardRenderer.activeLayers;
+        const turns = (this.encoderEventIndex.get(code) || []).filter(turn => activeLayers.includes(turn.layer));
+        if (turns.length === 0) return null;
+        
+        const keys = (this.keyEventIndex.get(code) || []).filter(candidate => activeLayers.includes(candidate.layer));
+        if (keys.length > 0) return null;
+        
+        // The highest active layer decides, as it does for the encoder's own keycode
+        const turn = turns.reduce((best, candidate) => (candidate.layer > best.layer ? candidate : best));
+        return { encoder: this.encoderMonitor.getEncoder(turn.encoderId), direction: turn.direction };
     }
 
     /**
      * Test trackball
      */
-    testTrackball(trackball, deltaX, deltaY) {
-        if (Math.abs(deltaX) > 2 || Math.abs(deltaY) > 2) {
-            this.addLogEntry(`Trackball "${trackball.name}" moved: X=${deltaX.toFixed(1)}, Y=${deltaY.toFixed(1)}`, 'success');
+    testTrackball(trackball, deltaX, deltaY, dt) {
+        const entry = this.pointingBenches.get(trackball.id);
+        const report = entry ? entry.bench.move(deltaX, deltaY, dt) : null;
+        if (!report) return;
+        
+        if (report.newDirection) {
+            this.addLogEntry(`Trackball "${trackball.name}" moved ${report.direction} (${entry.bench.getCoveredCount()}/8 directions)`, 'success');
         }
+        if (report.nowPassed) {
+            this.addLogEntry(`✅ Trackball "${trackball.name}" tested: all 8 directions covered`, 'success');
+        }
+        this.updateTrackballElement(entry);
     }
 
     /**
      * Test display
      */
     testDisplay(display) {
-        const content = document.getElementById(`display-${display.id}-content`);
-        if (content) {
-            const messages = [
-                'Testing display...',
-                'Display functional!',
-                `${display.width}x${display.height} OK`,
-                'All pixels working'
-            ];
-            
-            let index = 0;
-            const interval = setInterval(() => {
-                content.textContent = messages[index];
+        const state = this.displayStates.get(display.id);
+        if (!state) return;
+        
+        // Every pixel on, a checkerboard to catch stuck neighbours, then the full character set
+        const emulator = state.emulator;
+        const steps = [
+            () => emulator.fillPattern('on'),
+            () => emulator.fillPattern('checker'),
+            () => {
+                emulator.clear();
+                for (let code = 0x20; code < 0x7F; code++) emulator.writeChar(code);
+            }
+        ];
+        
+        let index = 0;
+        const interval = setInterval(() => {
+            if (index < steps.length) {
+                steps[index]();
+                emulator.render(state.canvas);
                 index++;
-                if (index >= messages.length) {
-                    clearInterval(interval);
-                    setTimeout(() => {
-                        content.textContent = 'Ready...';
-                    }, 1000);
-                }
-            }, 200);
-        }
+                return;
+            }
+            clearInterval(interval);
+            this.showDisplaySource(state);
+        }, 400);
         
-        this.addLogEntry(`Display "${display.name}" test completed`, 'success');
+        state.tested = true;
+        this.addLogEntry(`Display "${display.name}" test pattern: all ${display.width * display.height} pixels, checkerboard, character set`, 'success');
     }
 
     /**
@@ -0,0 +1,666 @@
+/**
+ * Behavior Simulator - Runs key presses through a keymap's layer stack with QMK and ZMK semantics
+ */
+
+class BehaviorSimulator {
+    constructor(layers, options = {}) {
+        this.layers = layers || [];
+        this.tappingTerm = options.tappingTerm || 200;
+        // TT(layer) toggles its layer after this many taps in a row (QMK's TAPPING_TOGGLE)
+        this.tappingToggle = options.tappingToggle || 5;
+
+        // How an undecided hold-tap reacts to other keys: QMK's default is tap-preferred,
+        // PERMISSIVE_HOLD is balanced and HOLD_ON_OTHER_KEY_PRESS is hold-preferred
+        this.flavor = options.flavor || 'tap-preferred';
+        this.zmkFlavors = { '&lt': 'tap-preferred', '&mt': 'hold-preferred' };
+        this.zmkTappingTerms = {};
+        Object.entries(options.holdTaps || {}).forEach(([behavior, holdTap]) => {
+            if (holdTap.flavor) this.zmkFlavors[behavior] = holdTap.flavor;
+            if (holdTap.tappingTerm) this.zmkTappingTerms[behavior] = holdTap.tappingTerm;
+        });
+
+        // Mod-tap shorthands (LCTL_T, MEH_T, ...) -> modifiers held
+        this.modTapPrefixes = {
+            LCTL: ['LCTL'], CTL: ['LCTL'], LSFT: ['LSFT'], SFT: ['LSFT'],
+            LALT: ['LALT'], ALT: ['LALT'], LOPT: ['LALT'], OPT: ['LALT'],
+            LGUI: ['LGUI'], GUI: ['LGUI'], LCMD: ['LGUI'], CMD: ['LGUI'], LWIN: ['LGUI'],
+            RCTL: ['RCTL'], RSFT: ['RSFT'], RALT: ['RALT'], ROPT: ['RALT'], ALGR: ['RALT'],
+            RGUI: ['RGUI'], RCMD: ['RGUI'], RWIN: ['RGUI'],
+            C_S: ['LCTL', 'LSFT'], LCA: ['LCTL', 'LALT'], LSA: ['LSFT', 'LALT'],
+            LCG: ['LCTL', 'LGUI'], LSG: ['LSFT', 'LGUI'], SGUI: ['LSFT', 'LGUI'],
+            LAG: ['LALT', 'LGUI'], RCG: ['RCTL', 'RGUI'], RSG: ['RSFT', 'RGUI'],
+            MEH: ['LCTL', 'LSFT', 'LALT'], LCAG: ['LCTL', 'LALT', 'LGUI'],
+            HYPR: ['LCTL', 'LSFT', 'LALT', 'LGUI'], ALL: ['LCTL', 'LSFT', 'LALT', 'LGUI']
+        };
+
+        // Combos need key positions (see FirmwareParser.locateCombos); tap dances are found by keycode, e.g. TD(0) or &td0
+        this.combos = (options.combos || []).filter(combo => combo.positions && combo.positions.length > 1);
+        this.tapDances = options.tapDances || [];
+        this.danceOutcomes = { tap: 'tapped', hold: 'held', doubleTap: 'double-tapped', tapHold: 'tapped then held' };
+
+        this.reset();
+    }
+
+    /**
+     * Release everything and return to the default layer
+     */
+    reset() {
+        this.defaultLayer = 0;
+        this.layerState = new Set();
+        this.oneShot = null;     // { layer, position, held, interrupted, consumedBy }
+        this.held = new Map();   // position -> action cached at press time
+        this.pending = null;     // undecided hold-tap
+        this.queue = [];         // events buffered while a hold-tap is undecided
+        this.comboBuffer = [];   // presses held back while they could still be part of a combo
+        this.comboDeadline = null;
+        this.activeCombos = [];  // fired combos: { combo, held: positions still down, released }
+        this.dance = null;       // tap dance being counted: { dance, position, entry, count, held, deadline }
+        this.tapToggle = null;   // TT taps counted so far: { position, count, time of the last release }
+    }
+
+    /**
+     * Replace the momentary/toggled layers, e.g. when a layer is picked by hand
+     */
+    setLayerState(layers) {
+        this.layerState = new Set(layers.filter(layer => layer !== this.defaultLayer));
+        this.oneShot = null;
+    }
+
+    /**
+     * Active layers in ascending order, the default layer included
+     */
+    getActiveLayers() {
+        const layers = new Set([this.defaultLayer, ...this.layerState]);
+        if (this.oneShot) layers.add(this.oneShot.layer);
+        return Array.from(layers).sort((a, b) => a - b);
+    }
+
+    /**
+     * Next time something waiting has to be settled (hold-tap, combo or tap dance), or null
+     */
+    getPendingDeadline() {
+        const deadlines = [this.pending && this.pending.deadline, this.comboDeadline, this.dance && this.dance.deadline]
+            .filter(deadline => deadline !== null && deadline !== undefined);
+        return deadlines.length > 0 ? Math.min(...deadlines) : null;
+    }
+
+    /**
+     * Feed a key press at key position `position`; returns what the firmware did
+     */
+    press(position, time) {
+        return this.handle({ type: 'press', position, time });
+    }
+
+    /**
+     * Feed a key release
+     */
+    release(position, time) {
+        return this.handle({ type: 'release', position, time });
+    }
+
+    /**
+     * Let time pass without key events (resolves hold-taps held past the tapping term)
+     */
+    tick(time) {
+        const reports = [];
+        this.checkTimeout(time, reports);
+        return reports;
+    }
+
+    /**
+     * Run an event through the combo stage, then the hold-tap buffer
+     */
+    handle(event) {
+        const reports = [];
+        this.checkTimeout(event.time, reports);
+        if (!this.matchCombo(event, reports)) this.route(event, reports);
+        return reports;
+    }
+
+    /**
+     * Route an event through the hold-tap buffer
+     */
+    route(event, reports) {
+        if (this.pending && event.time >= this.pending.deadline) this.decide('hold', reports);
+
+        if (this.pending) {
+            const pending = this.pending;
+            if (event.type === 'release' && event.position === pending.position) {
+                this.decide('tap', reports);
+            } else {
+                this.queue.push(event);
+                const interruptedByPress = event.type === 'press' && pending.flavor === 'hold-preferred';
+                // Balanced: another key pressed and released inside the hold-tap
+                const nestedTap = event.type === 'release' && pending.flavor === 'balanced' &&
+                    this.queue.some(queued => queued.type === 'press' && queued.position === event.position);
+                if (interruptedByPress || nestedTap) this.decide('hold', reports);
+                return;
+            }
+        }
+
+        this.process(event, reports);
+    }
+
+    /**
+     * Settle whatever has waited past its time: a combo that did not complete, a tap dance
+     * and an undecided hold-tap
+     */
+    checkTimeout(time, reports) {
+        if (this.comboBuffer.length > 0 && time >= this.comboDeadline) this.flushCombo(reports);
+        if (this.dance && time >= this.dance.deadline) this.finishDance(reports);
+        if (this.pending && time >= this.pending.deadline) {
+            this.decide('hold', reports);
+        }
+    }
+
+    /**
+     * Settle the undecided hold-tap and replay the events buffered behind it
+     */
+    decide(decision, reports) {
+        const position = this.pending.position;
+        const entry = this.held.get(position);
+        this.pending = null;
+        entry.decision = decision;
+
+        const action = entry.action;
+        let emitted = [];
+        if (decision === 'tap') {
+            // TT taps are counted when the key comes up
+            if (action.type !== 'tt') emitted = [action.tap];
+        } else if (action.type === 'mt') {
+            emitted = action.mods;
+        } else {
+            this.layerState.add(action.layer);
+        }
+        reports.push(this.report(position, entry, decision, emitted));
+
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(event => {
+            this.route(event, reports);
+        });
+    }
+
+    /**
+     * Combo stage, ahead of everything else as in the firmware: hold back presses that could start
+     * a combo until all its keys are down, another key breaks the chord or the combo times out.
+     * Returns true when the event was consumed
+     */
+    matchCombo(event, reports) {
+        if (event.type === 'release') {
+            // Letting go of a held-back key ends the chord attempt
+            if (this.comboBuffer.some(queued => queued.position === event.position)) this.flushCombo(reports);
+
+            const active = this.activeCombos.find(entry => entry.held.has(event.position));
+            if (!active) return false;
+            this.releaseCombo(active, event, reports);
+            return true;
+        }
+
+        const pressed = [...this.comboBuffer.map(queued => queued.position), event.position];
+        const candidates = this.combos.filter(combo => this.isComboActive(combo) &&
+            pressed.every(position => combo.positions.includes(position)));
+        if (candidates.length === 0) {
+            if (this.comboBuffer.length === 0) return false;
+            // The held-back keys go through as themselves; this press may still start another combo
+            this.flushCombo(reports);
+            return this.matchCombo(event, reports);
+        }
+
+        if (this.comboBuffer.length === 0) {
+            this.comboDeadline = event.time + Math.min(...candidates.map(combo => combo.timeout || 50));
+        }
+        this.comboBuffer.push(event);
+
+        // With a longer combo on the same keys still possible, the shorter one waits for its timeout
+        const complete = candidates.find(combo => combo.positions.length === pressed.length);
+        if (complete && candidates.length === 1) this.flushCombo(reports);
+        return true;
+    }
+
+    /**
+     * Combos restricted to layers only fire while one of those is the top layer
+     */
+    isComboActive(combo) {
+        if (!combo.layers) return true;
+        const active = this.getActiveLayers();
+        return combo.layers.includes(active[active.length - 1]);
+    }
+
+    /**
+     * Fire the combo the held-back presses complete, or pass them on as ordinary presses
+     */
+    flushCombo(reports) {
+        const buffered = this.comboBuffer;
+        this.comboBuffer = [];
+        this.comboDeadline = null;
+
+        const positions = buffered.map(event => event.position);
+        const combo = this.combos.find(candidate => this.isComboActive(candidate) &&
+            candidate.positions.length === positions.length &&
+            positions.every(position => candidate.positions.includes(position)));
+        if (!combo) {
+            buffered.forEach(event => this.route(event, reports));
+            return;
+        }
+
+        if (this.dance) this.finishDance(reports, true);
+        this.activeCombos.push({ combo, held: new Set(positions), released: false });
+        reports.push(this.reportCombo(combo, positions[0], 'combo', this.trigger(combo.result, true)));
+    }
+
+    /**
+     * A combo key coming up; the result is released with the first of them, as QMK and ZMK do
+     */
+    releaseCombo(active, event, reports) {
+        active.held.delete(event.position);
+        if (!active.released) {
+            active.released = true;
+            reports.push(this.reportCombo(active.combo, event.position, 'release', this.untrigger(active.combo.result)));
+        }
+        if (active.held.size === 0) {
+            this.activeCombos = this.activeCombos.filter(entry => entry !== active);
+        }
+    }
+
+    /**
+     * Describe a combo firing or being released
+     */
+    reportCombo(combo, position, event, emitted) {
+        const activeLayers = this.getActiveLayers();
+        return {
+            position,
+            event,
+            keycode: combo.result,
+            layer: activeLayers[activeLayers.length - 1],
+            action: 'combo',
+            emitted,
+            combo,
+            activeLayers
+        };
+    }
+
+    /**
+     * Count another press of the tap dance key, or start a new dance
+     */
+    pressDance(position, entry, time) {
+        const dance = entry.action.dance;
+        const term = dance.tappingTerm || this.tappingTerm;
+
+        if (this.dance) {
+            this.dance.count++;
+            this.dance.entry = entry;
+            this.dance.held = true;
+            this.dance.deadline = time + term;
+        } else {
+            this.dance = { dance, position, entry, count: 1, held: true, deadline: time + term };
+        }
+    }
+
+    /**
+     * Decide a tap dance: single or double tap, or a hold of the last press. Outcomes the dance
+     * leaves unset fall back to the tap, as Vial's do
+     */
+    finishDance(reports, interrupted = false) {
+        const { dance, position, entry, count, held } = this.dance;
+        this.dance = null;
+
+        // Another key going down while the dance key is held counts as a tap
+        const stillHeld = held && !interrupted;
+        let outcome;
+        if (count === 1) {
+            outcome = stillHeld ? 'hold' : 'tap';
+        } else {
+            outcome = stillHeld ? 'tapHold' : 'doubleTap';
+        }
+        const fallbacks = { tap: [], hold: ['tap'], doubleTap: ['tap'], tapHold: ['hold', 'tap'] };
+        const chosen = [outcome, ...fallbacks[outcome]].find(name => !this.isUnset(dance[name]));
+        const keycode = chosen ? dance[chosen] : null;
+
+        // A held outcome stays down until the key is released
+        if (stillHeld && keycode) entry.outcome = keycode;
+        const report = this.report(position, entry, 'dance', keycode ? this.trigger(keycode, stillHeld) : []);
+        report.outcome = outcome;
+        report.result = keycode;
+        report.count = count;
+        reports.push(report);
+    }
+
+    /**
+     * Whether a tap dance outcome is left empty
+     */
+    isUnset(keycode) {
+        return !keycode || keycode === 'KC_NO' || keycode === '&none';
+    }
+
+    /**
+     * Carry out the keycode a combo or tap dance resolved to and return the keycodes it sends;
+     * momentary layer keys only take effect while `held`
+     */
+    trigger(keycode, held) {
+        const action = this.parseAction(keycode);
+        switch (action.type) {
+            case 'key':
+                return [action.code];
+            case 'mo':
+            case 'lm':
+                if (held) this.layerState.add(action.layer);
+                return action.mods || [];
+            case 'tg':
+                this.toggleLayer(action.layer);
+                return [];
+            case 'to':
+                this.layerState.clear();
+                if (action.layer !== this.defaultLayer) this.layerState.add(action.layer);
+                return [];
+            case 'df':
+                this.defaultLayer = action.layer;
+                return [];
+            case 'lt':
+            case 'mt':
+                return [action.tap];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Release what trigger pressed
+     */
+    untrigger(keycode) {
+        const action = this.parseAction(keycode);
+        switch (action.type) {
+            case 'key':
+                return [action.code];
+            case 'mo':
+            case 'lm':
+                this.layerState.delete(action.layer);
+                return action.mods || [];
+            case 'lt':
+            case 'mt':
+                return [action.tap];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Apply a press or release once no hold-tap is waiting for a decision
+     */
+    process(event, reports) {
+        if (event.type === 'press') {
+            this.processPress(event, reports);
+        } else {
+            this.processRelease(event, reports);
+        }
+    }
+
+    /**
+     * Resolve the key on the current layer stack and act on it
+     */
+    processPress(event, reports) {
+        const { position, time } = event;
+        if (this.dance && position !== this.dance.position) this.finishDance(reports, true);
+
+        const entry = { ...this.lookup(position), time, decision: null };
+        const action = entry.action;
+        this.held.set(position, entry);
+
+        // Any other key breaks a run of TT taps
+        if (this.tapToggle && this.tapToggle.position !== position) this.tapToggle = null;
+
+        if (this.oneShot && position !== this.oneShot.position) {
+            if (this.oneShot.held) {
+                this.oneShot.interrupted = true;
+            } else if (this.oneShot.consumedBy === null) {
+                this.oneShot.consumedBy = position;
+            }
+        }
+
+        let emitted = [];
+        switch (action.type) {
+            case 'key':
+                emitted = [action.code];
+                break;
+            case 'mo':
+                this.layerState.add(action.layer);
+                break;
+            case 'lm':
+                this.layerState.add(action.layer);
+                emitted = action.mods;
+                break;
+            case 'tg':
+                this.toggleLayer(action.layer);
+                break;
+            case 'to':
+                this.layerState.clear();
+                this.oneShot = null;
+                if (action.layer !== this.defaultLayer) this.layerState.add(action.layer);
+                break;
+            case 'df':
+                this.defaultLayer = action.layer;
+                break;
+            case 'osl':
+                this.oneShot = { layer: action.layer, position, held: true, interrupted: false, consumedBy: null };
+                break;
+            case 'td':
+                this.pressDance(position, entry, time);
+                break;
+            case 'lt':
+            case 'mt':
+            case 'tt':
+                this.pending = {
+                    position,
+                    flavor: action.flavor || this.flavor,
+                    deadline: time + (action.tappingTerm || this.tappingTerm)
+                };
+                break;
+            default:
+                break;
+        }
+
+        reports.push(this.report(position, entry, 'press', emitted));
+    }
+
+    /**
+     * Undo what the cached press action did
+     */
+    processRelease(event, reports) {
+        const { position } = event;
+        const entry = this.held.get(position);
+        if (!entry) return;
+        this.held.delete(position);
+
+        const action = entry.action;
+        let emitted = [];
+        switch (action.type) {
+            case 'key':
+                emitted = [action.code];
+                break;
+            case 'mo':
+            case 'lm':
+                this.layerState.delete(action.layer);
+                emitted = action.mods || [];
+                break;
+            case 'osl':
+                // Used as a momentary layer if another key went down while it was held
+                if (this.oneShot && this.oneShot.position === position) {
+                    if (this.oneShot.interrupted) {
+                        this.oneShot = null;
+                    } else {
+                        this.oneShot.held = false;
+                    }
+                }
+                break;
+            case 'lt':
+            case 'tt':
+                if (entry.decision === 'hold') this.layerState.delete(action.layer);
+                if (entry.decision === 'tap' && action.type === 'lt') emitted = [action.tap];
+                if (entry.decision === 'tap' && action.type === 'tt') this.countTapToggle(position, entry, event.time);
+                break;
+            case 'mt':
+                emitted = entry.decision === 'hold' ? action.mods : [action.tap];
+                break;
+            case 'td':
+                // The dance is decided a tapping term after the last release, unless it already was as a hold
+                if (this.dance && this.dance.position === position) {
+                    this.dance.held = false;
+                    this.dance.deadline = event.time + (action.dance.tappingTerm || this.tappingTerm);
+                }
+                if (entry.outcome) emitted = this.untrigger(entry.outcome);
+                break;
+            default:
+                break;
+        }
+
+        // A one-shot layer ends with the release of the key it applied to
+        if (this.oneShot && this.oneShot.consumedBy === position) {
+            this.oneShot = null;
+        }
+
+        reports.push(this.report(position, entry, 'release', emitted));
+    }
+
+    /**
+     * Count a TT tap; each tap has to start within the tapping term of the previous one's release,
+     * and the layer flips once TAPPING_TOGGLE of them came in a row
+     */
+    countTapToggle(position, entry, time) {
+        const previous = this.tapToggle;
+        const inRow = previous && previous.position === position && entry.time - previous.time < this.tappingTerm;
+        const count = inRow ? previous.count + 1 : 1;
+
+        if (count >= this.tappingToggle) {
+            this.toggleLayer(entry.action.layer);
+            this.tapToggle = null;
+        } else {
+            this.tapToggle = { position, count, time };
+        }
+    }
+
+    /**
+     * Flip a toggled layer
+     */
+    toggleLayer(layer) {
+        if (this.layerState.has(layer)) {
+            this.layerState.delete(layer);
+        } else {
+            this.layerState.add(layer);
+        }
+    }
+
+    /**
+     * Describe one step of the simulation
+     */
+    report(position, entry, event, emitted) {
+        return {
+            position,
+            event,
+            keycode: entry.keycode,
+            layer: entry.layer,
+            action: entry.action.type,
+            emitted,
+            activeLayers: this.getActiveLayers()
+        };
+    }
+
+    /**
+     * Find the keycode at a position on the highest active layer that is not transparent
+     */
+    lookup(position) {
+        const active = this.getActiveLayers();
+        for (let i = active.length - 1; i >= 0; i--) {
+            const layer = this.layers[active[i]];
+            const keycode = layer ? layer.keys[position] : undefined;
+            if (keycode === undefined) continue;
+
+            const action = this.parseAction(keycode);
+            if (action.type !== 'trans') {
+                return { keycode, layer: active[i], action };
+            }
+        }
+        return { keycode: 'KC_NO', layer: this.defaultLayer, action: { type: 'none' } };
+    }
+
+    /**
+     * Classify a QMK keycode or ZMK binding by what it does to the layer stack
+     */
+    parseAction(keycode) {
+        const text = String(keycode).trim();
+
+        const dance = this.tapDances.find(item => item.name === text);
+        if (dance) return { type: 'td', dance };
+
+        if (text.startsWith('&')) return this.parseZmkAction(text);
+
+        if (['KC_TRNS', 'KC_TRANSPARENT', '_______'].includes(text)) return { type: 'trans' };
+        if (['KC_NO', 'XXXXXXX', ''].includes(text)) return { type: 'none' };
+
+        let match = text.match(/^(MO|TG|TO|OSL|TT|DF|PDF)\((\d+)\)$/);
+        if (match) {
+            const type = { PDF: 'df' }[match[1]] || match[1].toLowerCase();
+            return { type, layer: Number(match[2]) };
+        }
+
+        match = text.match(/^LT\((\d+),\s*(.+)\)$/);
+        if (match) return { type: 'lt', layer: Number(match[1]), tap: match[2] };
+
+        match = text.match(/^LM\((\d+),\s*(.+)\)$/);
+        if (match) return { type: 'lm', layer: Number(match[1]), mods: this.parseModMask(match[2]) };
+
+        match = text.match(/^MT\((.+?),\s*([^,]+)\)$/);
+        if (match) return { type: 'mt', mods: this.parseModMask(match[1]), tap: match[2] };
+
+        match = text.match(/^(\w+)_T\((.+)\)$/);
+        if (match && this.modTapPrefixes[match[1]]) {
+            return { type: 'mt', mods: this.modTapPrefixes[match[1]].map(mod => `KC_${mod}`), tap: match[2] };
+        }
+
+        return { type: 'key', code: text };
+    }
+
+    /**
+     * Classify a ZMK binding such as `&lt 1 SPACE`
+     */
+    parseZmkAction(text) {
+        const [behavior, ...params] = text.split(/\s+/);
+        const layer = Number(params[0]);
+
+        switch (behavior) {
+            case '&trans': return { type: 'trans' };
+            case '&none': return { type: 'none' };
+            case '&kp': return { type: 'key', code: params.join(' ') };
+            case '&mo': return { type: 'mo', layer };
+            case '&tog': return { type: 'tg', layer };
+            case '&to': return { type: 'to', layer };
+            case '&sl': return { type: 'osl', layer };
+            case '&lt':
+                return {
+                    type: 'lt',
+                    layer,
+                    tap: params.slice(1).join(' '),
+                    flavor: this.zmkFlavors['&lt'],
+                    tappingTerm: this.zmkTappingTerms['&lt']
+                };
+            case '&mt':
+                return {
+                    type: 'mt',
+                    mods: [params[0]],
+                    tap: params.slice(1).join(' '),
+                    flavor: this.zmkFlavors['&mt'],
+                    tappingTerm: this.zmkTappingTerms['&mt']
+                };
+            default:
+                return { type: 'key', code: text };
+        }
+    }
+
+    /**
+     * `MOD_LCTL | MOD_LSFT` -> ['KC_LCTL', 'KC_LSFT']
+     */
+    parseModMask(mask) {
+        return mask.split('|')
+            .map(mod => mod.trim().replace(/^MOD_/, 'KC_'))
+            .filter(mod => mod.length > 0);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * Devicetree Parser - Builds a node tree from preprocessed ZMK devicetree source
+ */
+
+class DevicetreeParser {
+    /**
+     * Parse devicetree source into a root node
+     */
+    parse(text) {
+        this.text = text;
+        this.position = 0;
+
+        const root = this.createNode('/', null);
+
+        while (this.skipWhitespace() < this.text.length) {
+            if (this.text.startsWith('/dts-v1/', this.position) || this.text.startsWith('/plugin/', this.position)) {
+                this.position += 8;
+                this.expect(';');
+                continue;
+            }
+            this.parseStatement(root);
+        }
+
+        this.mergeOverlays(root);
+        return root;
+    }
+
+    /**
+     * Merge each `&label { ... };` overlay into the node carrying that label. A label defined in a file
+     * that is not part of the source (ZMK's built-in `&mt`, `&lt`, ...) gets a node of its own, so the
+     * overridden properties can still be found by label
+     */
+    mergeOverlays(root) {
+        const overlays = root.children.filter(node => node.name.startsWith('&'));
+        root.children = root.children.filter(node => !node.name.startsWith('&'));
+
+        overlays.forEach(overlay => {
+            const label = overlay.name.slice(1);
+            const target = this.findNode(root, node => node.label === label);
+            if (target) {
+                this.mergeNode(target, overlay);
+            } else {
+                root.children.push({ ...overlay, name: label, label });
+            }
+        });
+    }
+
+    /**
+     * Copy a node's properties over `target` and merge children with the same name
+     */
+    mergeNode(target, source) {
+        Object.assign(target.properties, source.properties);
+        source.children.forEach(child => {
+            const existing = target.children.find(node => node.name === child.name);
+            if (existing) {
+                if (child.label) existing.label = child.label;
+                this.mergeNode(existing, child);
+            } else {
+                target.children.push(child);
+            }
+        });
+    }
+
+    /**
+     * Create an empty node
+     */
+    createNode(name, label) {
+        return { name, label, properties: {}, children: [] };
+    }
+
+    /**
+     * Parse a property assignment or child node into `parent`
+     */
+    parseStatement(parent) {
+        let label = null;
+        let name = this.readName();
+
+        // `label: node-name { ... }`
+        if (this.peek() === ':') {
+            this.position++;
+            label = name;
+            name = this.readName();
+        }
+
+        if (this.peek() === '{') {
+            this.position++;
+            // Root blocks (`/ { ... };`) merge into the same tree; `&label { ... };` overlays are merged
+            // into their labelled node once the whole source is read
+            const node = name === '/' && parent.name === '/' ? parent : this.createNode(name, label);
+            while (this.peek() !== '}') {
+                if (this.position >= this.text.length) {
+                    throw new Error(`Unterminated node "${name}"`);
+                }
+                this.parseStatement(node);
+            }
+            this.position++;
+            this.expect(';');
+            if (node !== parent) parent.children.push(node);
+            return;
+        }
+
+        if (this.peek() === '=') {
+            this.position++;
+            parent.properties[name] = this.parseValues();
+        } else {
+            // Boolean property
+            parent.properties[name] = [];
+        }
+        this.expect(';');
+    }
+
+    /**
+     * Parse the comma-separated values of a property
+     */
+    parseValues() {
+        const values = [];
+
+        do {
+            if (this.peek() === ',') this.position++;
+            const char = this.peek();
+
+            if (char === '"') {
+                values.push({ type: 'string', value: this.readString() });
+            } else if (char === '<') {
+                this.position++;
+                values.push({ type: 'cells', cells: this.readCells() });
+            } else if (char === '[') {
+                const end = this.text.indexOf(']', this.position);
+                const bytes = this.text.slice(this.position + 1, end).trim().split(/\s+/).filter(Boolean);
+                values.push({ type: 'bytes', bytes: bytes.map(byte => parseInt(byte, 16)) });
+                this.position = end + 1;
+            } else {
+                values.push({ type: 'ref', value: this.readName() });
+            }
+        } while (this.peek() === ',');
+
+        return values;
+    }
+
+    /**
+     * Read the cells of a `< ... >` list, keeping parenthesised expressions whole
+     */
+    readCells() {
+        const cells = [];
+
+        while (this.peek() !== '>') {
+            if (this.position >= this.text.length) {
+                throw new Error('Unterminated cell list');
+            }
+
+            const start = this.position;
+            let depth = 0;
+            while (this.position < this.text.length) {
+                const char = this.text[this.position];
+                if (char === '(') depth++;
+                if (char === ')') depth--;
+                if (depth === 0 && (/\s/.test(char) || char === '>')) break;
+                this.position++;
+            }
+            cells.push(this.text.slice(start, this.position).replace(/\s+/g, ' '));
+        }
+        this.position++;
+
+        return cells;
+    }
+
+    /**
+     * Read a quoted string
+     */
+    readString() {
+        let value = '';
+        this.position++;
+        while (this.position < this.text.length && this.text[this.position] !== '"') {
+            if (this.text[this.position] === '\\') this.position++;
+            value += this.text[this.position++];
+        }
+        this.position++;
+        return value;
+    }
+
+    /**
+     * Read a node, label, property name or reference
+     */
+    readName() {
+        this.skipWhitespace();
+        const pattern = /[A-Za-z0-9_,.+\-@#/&?]+/y;
+        pattern.lastIndex = this.position;
+        const match = pattern.exec(this.text);
+        if (!match) {
+            throw new Error(`Unexpected "${this.text[this.position]}" at line ${this.lineAt(this.position)}`);
+        }
+        this.position += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Next significant character
+     */
+    peek() {
+        this.skipWhitespace();
+        return this.text[this.position];
+    }
+
+    /**
+     * Consume an expected character
+     */
+    expect(char) {
+        if (this.peek() !== char) {
+            throw new Error(`Expected "${char}" at line ${this.lineAt(this.position)}`);
+        }
+        this.position++;
+    }
+
+    /**
+     * Skip whitespace and return the new position
+     */
+    skipWhitespace() {
+        while (this.position < this.text.length && /\s/.test(this.text[this.position])) {
+            this.position++;
+        }
+        return this.position;
+    }
+
+    /**
+     * 1-based line number of an offset
+     */
+    lineAt(offset) {
+        return this.text.slice(0, offset).split('\n').length;
+    }
+
+    /**
+     * Depth-first search for the first node matching a predicate
+     */
+    findNode(node, predicate) {
+        if (predicate(node)) return node;
+        for (const child of node.children) {
+            const found = this.findNode(child, predicate);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Every node matching a predicate, in document order
+     */
+    findNodes(node, predicate, found = []) {
+        if (predicate(node)) found.push(node);
+        node.children.forEach(child => this.findNodes(child, predicate, found));
+        return found;
+    }
+
+    /**
+     * First string value of a property
+     */
+    getString(node, name) {
+        const value = (node.properties[name] || []).find(item => item.type === 'string');
+        return value ? value.value : null;
+    }
+
+    /**
+     * All cells of a property, concatenated across `<...>, <...>` groups
+     */
+    getCells(node, name) {
+        return (node.properties[name] || [])
+            .filter(item => item.type === 'cells')
+            .reduce((cells, item) => cells.concat(item.cells), []);
+    }
+}
\ No newline at end of file
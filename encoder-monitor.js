@@ -0,0 +1,113 @@
+/**
+ * Encoder Monitor - Counts detents per direction and presses of each rotary encoder against its steps per turn
+ */
+
+class EncoderMonitor {
+    constructor() {
+        this.reset([]);
+    }
+
+    /**
+     * Start over with a set of encoders ({ id, name, steps, resolution })
+     */
+    reset(encoders = this.encoders) {
+        this.encoders = encoders;
+        this.stats = new Map(); // encoder id -> { cw, ccw, presses, reversals, lastDirection }
+        encoders.forEach(encoder => {
+            this.stats.set(encoder.id, { cw: 0, ccw: 0, presses: 0, reversals: 0, lastDirection: null });
+        });
+    }
+
+    /**
+     * Encoder definition by ID
+     */
+    getEncoder(encoderId) {
+        return this.encoders.find(encoder => encoder.id === encoderId);
+    }
+
+    /**
+     * Record detents turned one way; reports whether a full turn completed and whether the encoder just became tested
+     */
+    turn(encoderId, direction, detents = 1) {
+        const stats = this.stats.get(encoderId);
+        const encoder = this.getEncoder(encoderId);
+        if (!stats || !encoder) return null;
+
+        const wasTested = this.isTested(encoderId);
+        const before = stats[direction];
+        if (stats.lastDirection && stats.lastDirection !== direction) stats.reversals++;
+        stats[direction] += detents;
+        stats.lastDirection = direction;
+
+        return {
+            detents: stats[direction],
+            pulses: stats[direction] * encoder.resolution,
+            fullTurn: Math.floor(stats[direction] / encoder.steps) > Math.floor(before / encoder.steps),
+            nowTested: !wasTested && this.isTested(encoderId)
+        };
+    }
+
+    /**
+     * Record a press of the encoder's switch
+     */
+    press(encoderId) {
+        const stats = this.stats.get(encoderId);
+        if (!stats) return null;
+
+        const wasTested = this.isTested(encoderId);
+        stats.presses++;
+        return { presses: stats.presses, nowTested: !wasTested && this.isTested(encoderId) };
+    }
+
+    /**
+     * Detents toward the next full turn in one direction, e.g. 7 of 20
+     */
+    getProgress(encoderId, direction) {
+        const stats = this.stats.get(encoderId);
+        const encoder = this.getEncoder(encoderId);
+        if (!stats || !encoder) return { detents: 0, steps: 0 };
+        return { detents: Math.min(stats[direction], encoder.steps), steps: encoder.steps };
+    }
+
+    /**
+     * An encoder is tested once it has turned a full turn both ways and been pressed
+     */
+    isTested(encoderId) {
+        const stats = this.stats.get(encoderId);
+        const encoder = this.getEncoder(encoderId);
+        if (!stats || !encoder) return false;
+        return stats.cw >= encoder.steps && stats.ccw >= encoder.steps && stats.presses > 0;
+    }
+
+    /**
+     * 'untested', 'partial' or 'tested'
+     */
+    getState(encoderId) {
+        const stats = this.stats.get(encoderId);
+        if (this.isTested(encoderId)) return 'tested';
+        return stats && (stats.cw > 0 || stats.ccw > 0 || stats.presses > 0) ? 'partial' : 'untested';
+    }
+
+    /**
+     * Per-encoder counts for the exported report
+     */
+    exportResults() {
+        return this.encoders.map(encoder => {
+            const stats = this.stats.get(encoder.id);
+            return {
+                id: encoder.id,
+                name: encoder.name,
+                steps: encoder.steps,
+                resolution: encoder.resolution,
+                state: this.getState(encoder.id),
+                cwDetents: stats.cw,
+                ccwDetents: stats.ccw,
+                cwTurns: Math.floor(stats.cw / encoder.steps),
+                ccwTurns: Math.floor(stats.ccw / encoder.steps),
+                pulses: (stats.cw + stats.ccw) * encoder.resolution,
+                presses: stats.presses,
+                reversals: stats.reversals
+            };
+        });
+    }
+}
\ No newline at end of file
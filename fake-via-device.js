@@ -0,0 +1,110 @@
+/**
+ * Fake VIA Device - Answers VIA raw HID commands from an in-memory keymap so ViaProtocol can run offline
+ */
+
+class FakeViaDevice {
+    constructor(options = {}) {
+        this.productName = options.productName || 'Fake VIA Keyboard';
+        this.protocolVersion = options.protocolVersion || 12;
+        this.rows = options.rows || 2;
+        this.cols = options.cols || 3;
+        this.layoutOptions = options.layoutOptions || 0;
+
+        // Keymap as numeric QMK keycodes, [layer][row * cols + col]
+        this.layers = options.layers || [
+            [0x04, 0x05, 0x06, 0x07, 0x08, 0x5221],
+            [0x1E, 0x1F, 0x20, 0x21, 0x22, 0x01]
+        ];
+
+        // Encoder keycodes as [layer][encoder] = [counter-clockwise, clockwise]; null answers "unhandled"
+        this.encoders = options.encoders === undefined ? [[[0xA9, 0xAA]], [[0xAB, 0xAC]]] : options.encoders;
+
+        this.opened = false;
+        this.requests = []; // every command received, for inspection
+    }
+
+    /**
+     * "Connect" the device
+     */
+    async open() {
+        this.opened = true;
+        return [{ productName: this.productName, vendorId: 0xFEED, productId: 0x0001, collections: [{ usagePage: 0xFF60, usage: 0x61 }] }];
+    }
+
+    /**
+     * "Disconnect" the device
+     */
+    async close() {
+        this.opened = false;
+    }
+
+    /**
+     * Handle one 32-byte request and resolve with the reply, as the firmware's raw_hid_receive does
+     */
+    async exchange(request) {
+        if (!this.opened) throw new Error('No HID device open');
+
+        const data = Uint8Array.from(request);
+        const reply = new Uint8Array(32);
+        reply.set(data.subarray(0, 32));
+        this.requests.push(data[0]);
+
+        const setWord = (index, value) => {
+            reply[index] = (value >> 8) & 0xFF;
+            reply[index + 1] = value & 0xFF;
+        };
+        const cells = this.rows * this.cols;
+
+        switch (data[0]) {
+            case 0x01: // id_get_protocol_version
+                setWord(1, this.protocolVersion);
+                break;
+            case 0x02: // id_get_keyboard_value
+                if (data[1] === 0x02) {
+                    setWord(2, this.layoutOptions >>> 16);
+                    setWord(4, this.layoutOptions & 0xFFFF);
+                } else {
+                    reply[0] = 0xFF;
+                }
+                break;
+            case 0x04: { // id_dynamic_keymap_get_keycode
+                const layer = this.layers[data[1]];
+                setWord(4, layer ? layer[data[2] * this.cols + data[3]] || 0 : 0);
+                break;
+            }
+            case 0x05: { // id_dynamic_keymap_set_keycode
+                const layer = this.layers[data[1]];
+                if (layer) layer[data[2] * this.cols + data[3]] = (data[4] << 8) | data[5];
+                break;
+            }
+            case 0x11: // id_dynamic_keymap_get_layer_count
+                reply[1] = this.layers.length;
+                break;
+            case 0x12: { // id_dynamic_keymap_get_buffer
+                const offset = (data[1] << 8) | data[2];
+                const size = Math.min(data[3], 28);
+                for (let i = 0; i < size; i += 2) {
+                    const index = (offset + i) / 2;
+                    const layer = this.layers[Math.floor(index / cells)];
+                    setWord(4 + i, layer ? layer[index % cells] || 0 : 0);
+                }
+                break;
+            }
+            case 0x14: { // id_dynamic_keymap_get_encoder
+                if (this.encoders === null) {
+                    reply[0] = 0xFF;
+                    break;
+                }
+                const layer = this.encoders[data[1]] || [];
+                const pair = layer[data[2]] || [0, 0];
+                setWord(4, pair[data[3] ? 1 : 0]);
+                break;
+            }
+            default:
+                reply[0] = 0xFF;
+                break;
+        }
+
+        return reply;
+    }
+}
\ No newline at end of file
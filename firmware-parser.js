@@ -4,7 +4,7 @@
 
 class FirmwareParser {
     constructor() {
-        this.supportedFormats = ['.json', '.hex', '.uf2', '.keymap', '.c', '.h'];
+        this.supportedFormats = ['.json', '.vil', '.hex', '.uf2', '.keymap', '.c', '.h'];
         this.keyboardLayouts = {
             // Common keyboard layouts with key positions
             'tkl': { rows: 6, cols: 17, name: 'Tenkeyless' },
@@ -15,12 +15,91 @@ class FirmwareParser {
             'ortho': { rows: 4, cols: 12, name: 'Ortholinear' },
             'split': { rows: 4, cols: 6, name: 'Split' }
         };
+        this.keycodes = new Keycodes();
+        this.preprocessor = new SourcePreprocessor();
+        this.devicetree = new DevicetreeParser();
+
+        // UF2 family IDs (https://github.com/microsoft/uf2/blob/master/utils/uf2families.json)
+        this.uf2Families = {
+            0xADA52840: 'nRF52840',
+            0x621E937A: 'nRF52833',
+            0x1B57745F: 'nRF52',
+            0xE48BFF56: 'RP2040',
+            0xE48BFF57: 'RP2XXX_ABSOLUTE',
+            0xE48BFF59: 'RP2350_ARM_S',
+            0xE48BFF5A: 'RP2350_RISCV',
+            0xE48BFF5B: 'RP2350_ARM_NS',
+            0x68ED2B88: 'SAMD21',
+            0x55114460: 'SAMD51',
+            0x5EE21072: 'STM32F1',
+            0x5D1A0A2E: 'STM32F2',
+            0x6B846188: 'STM32F3',
+            0x57755A57: 'STM32F401',
+            0x6D0922FA: 'STM32F407',
+            0x53B80F00: 'STM32F7',
+            0x300F5633: 'STM32G0',
+            0x4C71240A: 'STM32G4',
+            0x6DB66082: 'STM32H7',
+            0x00FF6919: 'STM32L4',
+            0x1C5F21B0: 'ESP32',
+            0xBFDD4EEE: 'ESP32-S2',
+            0xC47E5767: 'ESP32-S3',
+            0xD42BA06C: 'ESP32-C3'
+        };
+
+        // ZMK's built-in sensor rotation behaviors -> the behaviors they run clockwise and counter-clockwise,
+        // each taking one of the sensor binding's parameters
+        this.zmkSensorRotateBehaviors = {
+            '&inc_dec_kp': ['&kp', '&kp']
+        };
+
+        // Counts per inch QMK's pointing device drivers start at when the keyboard does not set one
+        this.pointingDeviceCpi = {
+            pmw3360: 1600,
+            pmw3389: 1600,
+            cirque: 1024
+        };
+
+        // ZMK behavior device names (current node names and legacy labels) -> devicetree reference
+        this.zmkBehaviorDevices = {
+            key_press: { ref: '&kp', params: 1 }, KEY_PRESS: { ref: '&kp', params: 1 },
+            momentary_layer: { ref: '&mo', params: 1 }, MO: { ref: '&mo', params: 1 },
+            layer_tap: { ref: '&lt', params: 2 }, LAYER_TAP: { ref: '&lt', params: 2 },
+            mod_tap: { ref: '&mt', params: 2 }, MOD_TAP: { ref: '&mt', params: 2 },
+            toggle_layer: { ref: '&tog', params: 1 }, TOGGLE_LAYER: { ref: '&tog', params: 1 },
+            to_layer: { ref: '&to', params: 1 }, TO_LAYER: { ref: '&to', params: 1 },
+            sticky_layer: { ref: '&sl', params: 1 }, STICKY_LAYER: { ref: '&sl', params: 1 },
+            sticky_key: { ref: '&sk', params: 1 }, STICKY_KEY: { ref: '&sk', params: 1 },
+            key_toggle: { ref: '&kt', params: 1 },
+            transparent: { ref: '&trans', params: 0 }, TRANS: { ref: '&trans', params: 0 },
+            none: { ref: '&none', params: 0 }, NONE: { ref: '&none', params: 0 },
+            bluetooth: { ref: '&bt', params: 2 }, BLUETOOTH: { ref: '&bt', params: 2 },
+            outputs: { ref: '&out', params: 1 }, OUTPUTS: { ref: '&out', params: 1 },
+            sysreset: { ref: '&sys_reset', params: 0 }, SYSRESET: { ref: '&sys_reset', params: 0 },
+            bootload: { ref: '&bootloader', params: 0 }, BOOTLOAD: { ref: '&bootloader', params: 0 },
+            caps_word: { ref: '&caps_word', params: 0 },
+            key_repeat: { ref: '&key_repeat', params: 0 },
+            grave_escape: { ref: '&gresc', params: 0 }, GRAVE_ESCAPE: { ref: '&gresc', params: 0 },
+            rgb_ug: { ref: '&rgb_ug', params: 2 }, RGB_UG: { ref: '&rgb_ug', params: 2 },
+            extpower: { ref: '&ext_power', params: 1 }, EXTPOWER: { ref: '&ext_power', params: 1 },
+            mouse_key_press: { ref: '&mkp', params: 1 }
+        };
+
+        // Zephyr boards ZMK is commonly built for
+        this.zephyrBoards = [
+            'nice_nano_v2', 'nice_nano', 'nrfmicro_13_52833', 'nrfmicro_13', 'nrfmicro_11',
+            'bluemicro840_v1', 'xiao_ble', 'seeeduino_xiao_ble', 'puchi_ble_v1', 'mikoto',
+            'nrf52840dk_nrf52840', 'nice60', 'bt60', 'bt65', 'bt75', 'glove80_lh', 'glove80_rh',
+            'corneish_zen_v2_left', 'corneish_zen_v2_right', 'nice_nano@2.0.0',
+            'rpi_pico', 'sparkfun_pro_micro_rp2040', 'adafruit_kb2040', 'seeeduino_xiao_rp2040',
+            'boardsource_blok', 'planck_rev6', 'proton_c', 'kb2040'
+        ];
     }
 
     /**
      * Parse firmware file and extract keyboard configuration
      */
-    async parseFirmware(file) {
+    async parseFirmware(file, options = {}) {
         const fileName = file.name.toLowerCase();
         const fileExtension = fileName.substring(fileName.lastIndexOf('.'));
         
@@ -39,14 +118,14 @@ class FirmwareParser {
                 metadata: {}
             };
 
-            if (fileExtension === '.json') {
-                parsedData = await this.parseJsonFirmware(content, fileName);
+            if (fileExtension === '.json' || fileExtension === '.vil') {
+                parsedData = await this.parseJsonFirmware(content, fileName, options);
             } else if (fileExtension === '.keymap') {
                 parsedData = await this.parseZmkKeymap(content, fileName);
             } else if (fileExtension === '.c' || fileExtension === '.h') {
                 parsedData = await this.parseQmkSource(content, fileName);
             } else if (fileExtension === '.hex' || fileExtension === '.uf2') {
-                parsedData = await this.parseBinaryFirmware(content, fileName);
+                parsedData = await this.parseBinaryFirmware(content, fileName, options);
             }
 
             // Auto-detect layout if not specified
@@ -83,175 +162,2087 @@ class FirmwareParser {
     /**
      * Parse JSON firmware configuration
      */
-    async parseJsonFirmware(content, fileName) {
+    async parseJsonFirmware(content, fileName, options = {}) {
+        // Only a syntax error is reported as such; the format parsers below explain what is wrong themselves
+        let config;
         try {
-            const config = JSON.parse(content);
-            
-            const parsedData = {
-                type: this.detectFirmwareType(config),
-                name: config.keyboard_name || config.keyboard || config.name || fileName,
-                layout: config.layout || this.detectLayoutFromConfig(config),
-                keys: this.extractKeys(config),
-                encoders: this.extractEncoders(config),
-                trackballs: this.extractTrackballs(config),
-                displays: this.extractDisplays(config),
-                layers: this.extractLayers(config),
-                metadata: {
-                    version: config.version,
-                    author: config.author,
-                    description: config.description,
-                    isSplit: this.detectSplitKeyboard(config),
-                    split: config.split || null
-                }
-            };
-            
-            return parsedData;
+            config = this.parseJsonContent(content);
         } catch (error) {
             throw new Error('Invalid JSON format');
         }
+        if (!config || typeof config !== 'object') {
+            throw new Error('Invalid JSON format: expected an object or an array of KLE rows');
+        }
+
+        // Keyboard Layout Editor raw data is an array of rows
+        if (Array.isArray(config)) {
+            return this.parseKleLayout(config, fileName);
+        }
+
+        // QMK keymap.json lists keycodes in LAYOUT_* argument order
+        if (this.isQmkKeymapJson(config)) {
+            return this.parseQmkKeymapJson(config, fileName, options);
+        }
+
+        // VIA exports and Vial .vil backups hold keycodes in matrix order
+        if (this.isViaKeymapBackup(config)) {
+            return this.parseViaKeymap(config, fileName, options);
+        }
+
+        // VIA keyboard definitions describe their layout as KLE data
+        if (config.layouts && Array.isArray(config.layouts.keymap)) {
+            return this.parseViaDefinition(config, fileName);
+        }
+
+        const layoutName = this.resolveLayoutName(config, options.layoutName);
+        const keys = this.extractKeys(config, layoutName);
+        const lighting = this.extractLighting(config, keys);
+        
+        const parsedData = {
+            type: this.detectFirmwareType(config),
+            name: config.keyboard_name || config.keyboard || config.name || fileName,
+            layout: config.layout || this.detectLayoutFromConfig(config),
+            keys: keys,
+            encoders: this.extractEncoders(config),
+            trackballs: this.extractTrackballs(config),
+            displays: this.extractDisplays(config),
+            lighting,
+            layers: this.extractLayers(config),
+            metadata: {
+                version: config.version,
+                author: config.author,
+                description: config.description,
+                isSplit: this.detectSplitKeyboard(config),
+                split: config.split || null,
+                ...this.extractMatrixMetadata(config),
+                layoutName: layoutName,
+                keyboardFolder: config.keyboard_folder || config.keyboard || null,
+                availableLayouts: Object.keys(config.layouts || {}),
+                layoutAliases: config.layout_aliases || {},
+                tappingTerm: config.tapping && config.tapping.term,
+                tappingToggle: config.tapping && config.tapping.toggle,
+                warnings: this.validateKeyboardConfig(config, layoutName, options.layoutName)
+                    .concat(this.validateLighting(config, lighting, keys))
+            }
+        };
+        
+        return parsedData;
+    }
+
+    /**
+     * Parse JSON, also accepting KLE raw data (unquoted property names, no outer brackets)
+     */
+    parseJsonContent(content) {
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            const trimmed = content.trim();
+            if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) throw error;
+
+            const quoted = trimmed.replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":');
+            try {
+                const rows = JSON.parse(quoted);
+                if (Array.isArray(rows) && rows.every(row => typeof row === 'object')) return rows;
+            } catch (unwrappedError) {
+                // Raw data lists rows without the enclosing array
+            }
+            return JSON.parse(`[${quoted}]`);
+        }
+    }
+
+    /**
+     * Parse a Keyboard Layout Editor layout into keys with full geometry
+     */
+    parseKleLayout(rows, fileName) {
+        const kle = this.parseKleKeys(rows);
+
+        return {
+            type: 'Generic',
+            name: kle.meta.name || fileName,
+            layout: null,
+            keys: kle.keys,
+            encoders: this.createEncoders(kle.encoderCount),
+            trackballs: [],
+            displays: [],
+            layers: [],
+            metadata: {
+                format: 'KLE',
+                author: kle.meta.author,
+                matrixFromLegends: kle.keys.length > 0 && kle.keys.every(key => key.matrixFromLegend),
+                layoutOptions: kle.layoutOptions
+            }
+        };
+    }
+
+    /**
+     * Walk KLE rows and property objects into keys, following kle-serial's rules
+     */
+    parseKleKeys(rows) {
+        // Legend order in the file -> legend position on the key, per alignment flag `a`
+        const labelMap = [
+            [0, 6, 2, 8, 9, 11, 3, 5, 1, 4, 7, 10],
+            [1, 7, -1, -1, 9, 11, 4, -1, -1, -1, -1, 10],
+            [3, -1, 5, -1, 9, 11, -1, -1, 4, -1, -1, 10],
+            [4, -1, -1, -1, 9, 11, -1, -1, -1, -1, -1, 10],
+            [0, 6, 2, 8, 10, -1, 3, 5, 1, 4, 7, -1],
+            [1, 7, -1, -1, 10, -1, 4, -1, -1, -1, -1, -1],
+            [3, -1, 5, -1, 10, -1, -1, -1, 4, -1, -1, -1],
+            [4, -1, -1, -1, 10, -1, -1, -1, -1, -1, -1, -1]
+        ];
+
+        const keys = [];
+        const layoutOptions = {};
+        let encoderCount = 0;
+        let meta = {};
+        const current = {
+            x: 0, y: 0, width: 1, height: 1, x2: 0, y2: 0, width2: 0, height2: 0,
+            rotation: 0, rotationX: 0, rotationY: 0, align: 4, decal: false, stepped: false
+        };
+        const cluster = { x: 0, y: 0 };
+
+        rows.forEach((row, rowIndex) => {
+            if (!Array.isArray(row)) {
+                // A leading object holds keyboard metadata
+                if (rowIndex === 0) meta = row;
+                return;
+            }
+
+            row.forEach(item => {
+                if (typeof item === 'object' && item !== null) {
+                    if (item.r !== undefined) current.rotation = item.r;
+                    if (item.rx !== undefined) {
+                        current.rotationX = cluster.x = item.rx;
+                        current.x = cluster.x;
+                        current.y = cluster.y;
+                    }
+                    if (item.ry !== undefined) {
+                        current.rotationY = cluster.y = item.ry;
+                        current.x = cluster.x;
+                        current.y = cluster.y;
+                    }
+                    if (item.x) current.x += item.x;
+                    if (item.y) current.y += item.y;
+                    if (item.w) current.width = current.width2 = item.w;
+                    if (item.h) current.height = current.height2 = item.h;
+                    if (item.x2) current.x2 = item.x2;
+                    if (item.y2) current.y2 = item.y2;
+                    if (item.w2) current.width2 = item.w2;
+                    if (item.h2) current.height2 = item.h2;
+                    if (item.a !== undefined) current.align = item.a;
+                    if (item.d) current.decal = true;
+                    if (item.l) current.stepped = true;
+                    return;
+                }
+
+                const legends = new Array(12).fill('');
+                String(item).split('\n').forEach((text, index) => {
+                    const position = (labelMap[current.align] || labelMap[4])[index];
+                    if (position !== undefined && position >= 0) legends[position] = text;
+                });
+
+                // VIA marks an encoder with "index,direction" top-left and "e" in the centre;
+                // decals are printed labels, not switches
+                const encoder = legends[4] === 'e' && (legends[0] || '').match(/^\s*(\d+)\s*,\s*[01]\s*$/);
+                if (encoder) {
+                    encoderCount = Math.max(encoderCount, Number(encoder[1]) + 1);
+                } else if (!current.decal) {
+                    keys.push(this.createKleKey(keys.length, current, legends, layoutOptions));
+                }
+
+                current.x += current.width;
+                current.width = current.height = 1;
+                current.x2 = current.y2 = current.width2 = current.height2 = 0;
+                current.decal = current.stepped = false;
+            });
+
+            current.y++;
+            current.x = current.rotationX;
+        });
+
+        return { keys, meta, layoutOptions, encoderCount };
+    }
+
+    /**
+     * Build a key from the KLE cursor state; units are converted to canvas pixels
+     */
+    createKleKey(id, state, legends, layoutOptions) {
+        const unit = 50;
+        const matrix = (legends[0] || '').match(/^\s*(\d+)\s*,\s*(\d+)\s*$/);
+        const option = (legends[8] || '').match(/^\s*(\d+)\s*,\s*(\d+)\s*$/);
+        const label = legends[4] || legends.find((text, index) => text && (!matrix || index !== 0) && (!option || index !== 8)) || '';
+
+        const key = {
+            id: id,
+            row: matrix ? Number(matrix[1]) : Math.floor(state.y),
+            col: matrix ? Number(matrix[2]) : Math.floor(state.x),
+            x: state.x * unit + 10,
+            y: state.y * unit + 10,
+            width: state.width * unit - 5,
+            height: state.height * unit - 5,
+            keycode: 'KC_NO',
+            label: label,
+            legends: legends,
+            matrixFromLegend: Boolean(matrix)
+        };
+
+        if (state.rotation) {
+            key.rotation = {
+                angle: state.rotation,
+                x: state.rotationX * unit + 10,
+                y: state.rotationY * unit + 10
+            };
+        }
+
+        // Second rectangle of non-rectangular keys (ISO Enter, big-ass Enter, stepped caps)
+        const width2 = state.width2 || state.width;
+        const height2 = state.height2 || state.height;
+        if (state.x2 || state.y2 || width2 !== state.width || height2 !== state.height) {
+            key.secondary = {
+                x: state.x2 * unit,
+                y: state.y2 * unit,
+                width: width2 * unit - 5,
+                height: height2 * unit - 5
+            };
+        }
+        if (state.stepped) key.stepped = true;
+
+        // VIA layout options: "group,choice" in the bottom-right legend
+        if (option) {
+            key.layoutOption = { group: Number(option[1]), choice: Number(option[2]) };
+            const group = layoutOptions[option[1]] || (layoutOptions[option[1]] = []);
+            if (!group.includes(Number(option[2]))) group.push(Number(option[2]));
+        }
+
+        return key;
+    }
+
+    /**
+     * Recognise a VIA keymap export (`layers` of keycode lists) or a Vial .vil backup
+     */
+    isViaKeymapBackup(config) {
+        if (config.vial_protocol !== undefined || (config.uid !== undefined && Array.isArray(config.layout))) {
+            return true;
+        }
+        return Array.isArray(config.layers) && config.layers.length > 0 && config.layers.every(Array.isArray);
+    }
+
+    /**
+     * Recognise a QMK keymap.json (Configurator export, `qmk c2json` output): `layout` names the LAYOUT_* macro
+     */
+    isQmkKeymapJson(config) {
+        return typeof config.layout === 'string' && Array.isArray(config.layers) && config.layers.every(Array.isArray);
+    }
+
+    /**
+     * Parse a QMK keymap.json; like a VIA backup it is laid onto a layout, but by argument order
+     */
+    parseQmkKeymapJson(config, fileName, options = {}) {
+        const toKeycode = value => this.normalizeViaKeycode(value) || 'KC_NO';
+
+        // Encoder entries are { ccw, cw } per encoder, per layer
+        const encoders = (config.encoders || []).map(layer => layer.map(entry => [
+            toKeycode(entry.ccw),
+            toKeycode(entry.cw)
+        ]));
+
+        const backup = {
+            type: 'QMK',
+            name: config.keyboard || fileName,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            tapDances: [],
+            combos: [],
+            macros: [],
+            metadata: {
+                format: 'QMK keymap.json',
+                keyboardFolder: config.keyboard || null,
+                keymapName: config.keymap,
+                layoutMacro: config.layout,
+                keymapBackup: {
+                    rows: null,
+                    cols: null,
+                    layoutOrder: true,
+                    layers: config.layers.map(layer => layer.map(toKeycode)),
+                    encoders
+                }
+            }
+        };
+
+        return this.applyViaKeymap(backup, options.baseLayout || null);
+    }
+
+    /**
+     * Parse a VIA keymap export or Vial backup; keycodes are kept in matrix order
+     * so they can be laid onto any layout definition for the same keyboard
+     */
+    parseViaKeymap(config, fileName, options = {}) {
+        const isVial = Array.isArray(config.layout);
+        const toKeycode = value => this.normalizeViaKeycode(value);
+
+        let rows = null;
+        let cols = null;
+        let layers;
+        if (isVial) {
+            // .vil layouts are [layer][row][col]
+            rows = config.layout.length > 0 ? config.layout[0].length : 0;
+            cols = rows > 0 ? Math.max(...config.layout[0].map(row => row.length)) : 0;
+            layers = config.layout.map(layer => {
+                const codes = new Array(rows * cols).fill(null);
+                layer.forEach((row, r) => row.forEach((value, c) => {
+                    codes[r * cols + c] = toKeycode(value);
+                }));
+                return codes;
+            });
+        } else {
+            // VIA exports flatten each layer row by row; the column count comes from the layout
+            layers = config.layers.map(layer => layer.map(toKeycode));
+        }
+
+        const encoderLayers = (isVial ? config.encoder_layout : config.encoders) || [];
+        const backup = {
+            type: 'QMK',
+            name: config.name || fileName,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            tapDances: this.parseVialTapDances(config.tap_dance || []),
+            combos: this.parseVialCombos(config.combo || []),
+            macros: this.parseViaMacros(config.macro || config.macros || []),
+            metadata: {
+                format: isVial ? 'Vial' : 'VIA',
+                vendorProductId: config.vendorProductId,
+                uid: config.uid,
+                viaProtocol: config.via_protocol,
+                vialProtocol: config.vial_protocol,
+                layoutOptions: config.layout_options,
+                keymapBackup: {
+                    rows,
+                    cols,
+                    layers,
+                    encoders: encoderLayers.map(layer => layer.map(pair => pair.map(toKeycode)))
+                }
+            }
+        };
+
+        return this.applyViaKeymap(backup, options.baseLayout || null);
+    }
+
+    /**
+     * Parse a keymap read from a running board with ViaProtocol.readKeymap
+     */
+    parseViaDeviceKeymap(dump, name, options = {}) {
+        const toKeycode = value => this.normalizeViaKeycode(value);
+        const warnings = [];
+
+        // Protocol 12 came with QMK 0.19, which renumbered everything above the basic keycodes
+        if (dump.protocolVersion < 12) {
+            warnings.push(`VIA protocol ${dump.protocolVersion} predates QMK 0.19 keycodes; layer and quantum keys may be misread`);
+        }
+
+        const backup = {
+            type: 'QMK',
+            name,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            tapDances: [],
+            combos: [],
+            macros: [],
+            metadata: {
+                format: 'VIA device',
+                viaProtocol: dump.protocolVersion,
+                layoutOptions: dump.layoutOptions,
+                keymapBackup: {
+                    rows: dump.rows,
+                    cols: dump.cols,
+                    layers: dump.layers.map(layer => layer.map(toKeycode)),
+                    encoders: dump.encoders.map(layer => layer.map(pair => pair.map(toKeycode))),
+                    warnings
+                }
+            }
+        };
+
+        return this.applyViaKeymap(backup, options.baseLayout || null);
+    }
+
+    /**
+     * Lay a parsed VIA/Vial backup onto a layout (info.json, KLE or VIA definition) by matrix position,
+     * or a keymap.json backup (`layoutOrder`) by position in the layout
+     */
+    applyViaKeymap(backup, layoutData) {
+        const matrix = backup.metadata.keymapBackup;
+        const hasLayout = Boolean(layoutData && layoutData.keys.length > 0);
+        const layoutMeta = hasLayout ? layoutData.metadata || {} : {};
+        const declared = layoutMeta.matrixSize || layoutMeta.matrix || null;
+        const warnings = (matrix.warnings || []).slice();
+
+        let cols = matrix.cols;
+        if (cols === null && hasLayout && !matrix.layoutOrder) {
+            cols = declared ? declared.cols : Math.max(...layoutData.keys.map(key => key.col)) + 1;
+        }
+        if (matrix.layoutOrder && hasLayout && backup.metadata.layoutMacro) {
+            const aliases = layoutMeta.layoutAliases || {};
+            const macro = aliases[backup.metadata.layoutMacro] || backup.metadata.layoutMacro;
+            if (layoutMeta.layoutName && macro !== layoutMeta.layoutName) {
+                warnings.push(`Keymap is written for ${backup.metadata.layoutMacro} but ${layoutData.name} shows ${layoutMeta.layoutName}`);
+            }
+        }
+        if (declared && matrix.cols !== null && declared.cols !== matrix.cols) {
+            warnings.push(`Keymap matrix has ${matrix.cols} columns but ${layoutData.name} declares ${declared.cols}`);
+        }
+
+        let keys;
+        if (hasLayout) {
+            keys = layoutData.keys.map(key => ({ ...key }));
+        } else if (cols !== null) {
+            keys = this.generateMatrixKeyPositions({
+                rows: matrix.rows,
+                cols,
+                layers: matrix.layers.map(codes => codes.map(code => code || 'KC_NO'))
+            });
+        } else {
+            keys = this.generateKeyPositions(matrix.layers.length > 0 ? matrix.layers[0].length : 0);
+        }
+
+        // Without any matrix information keys can only be matched by index
+        const cellOf = (key, position) => {
+            if (matrix.layoutOrder) return position;
+            return cols !== null ? key.row * cols + key.col : key.id;
+        };
+        const cellCount = matrix.layers.length > 0 ? matrix.layers[0].length : 0;
+
+        const outside = keys.filter((key, position) => cellOf(key, position) >= cellCount || (cols !== null && key.col >= cols));
+        if (outside.length > 0) {
+            warnings.push(`${outside.length} layout key(s) lie outside the keymap matrix: ` +
+                outside.map(key => `${key.row},${key.col}`).join(', '));
+        }
+
+        if (hasLayout) {
+            const covered = new Set(keys.map(cellOf));
+            const orphaned = [];
+            for (let cell = 0; cell < cellCount; cell++) {
+                const assigned = matrix.layers.some(codes => codes[cell] && codes[cell] !== 'KC_NO');
+                if (assigned && !covered.has(cell)) {
+                    orphaned.push(matrix.layoutOrder ? `#${cell}` : `${Math.floor(cell / cols)},${cell % cols}`);
+                }
+            }
+            if (orphaned.length > 0) {
+                const what = matrix.layoutOrder ? 'keymap entries' : 'matrix position(s)';
+                warnings.push(`${orphaned.length} programmed ${what} are not in the layout: ${orphaned.join(', ')}`);
+            }
+        }
+
+        const layers = matrix.layers.map((codes, index) => ({
+            name: `Layer ${index}`,
+            index,
+            keys: keys.map((key, position) => codes[cellOf(key, position)] || 'KC_NO'),
+            encoders: matrix.encoders[index] || []
+        }));
+
+        keys.forEach((key, index) => {
+            key.keycode = layers.length > 0 ? layers[0].keys[index] : 'KC_NO';
+        });
+
+        const encoderCount = matrix.encoders.length > 0 ? matrix.encoders[0].length : 0;
+        const encoders = this.createEncoders(encoderCount, hasLayout ? layoutData.encoders : []);
+
+        return {
+            ...backup,
+            name: hasLayout ? layoutData.name : backup.name,
+            layout: hasLayout ? layoutData.layout : null,
+            keys,
+            encoders,
+            trackballs: hasLayout ? layoutData.trackballs : [],
+            displays: hasLayout ? layoutData.displays : [],
+            lighting: hasLayout ? layoutData.lighting : null,
+            layers,
+            combos: this.locateCombos(backup.combos || [], layers, warnings),
+            metadata: {
+                ...backup.metadata,
+                isSplit: Boolean(layoutMeta.isSplit),
+                layoutSource: hasLayout ? layoutData.name : null,
+                layoutName: layoutMeta.layoutName,
+                keyboardFolder: backup.metadata.keyboardFolder || layoutMeta.keyboardFolder || null,
+                availableLayouts: layoutMeta.availableLayouts || [],
+                layoutAliases: layoutMeta.layoutAliases || {},
+                matrix: cols !== null ? { rows: Math.ceil(cellCount / cols), cols } : null,
+                warnings
+            }
+        };
+    }
+
+    /**
+     * Normalise a VIA/Vial keycode (name, numeric value or hex string) to QMK source form
+     */
+    normalizeViaKeycode(value) {
+        // Vial marks matrix cells without a switch with -1
+        if (value === -1 || value === null || value === undefined) return null;
+        if (typeof value === 'number') return this.keycodes.decode(value);
+
+        const text = String(value).trim();
+        if (/^0x[0-9a-f]+$/i.test(text)) return this.keycodes.decode(parseInt(text, 16));
+        return this.parseQmkKeycodes(text)[0] || 'KC_NO';
+    }
+
+    /**
+     * Vial tap dance entries: [on_tap, on_hold, on_double_tap, on_tap_hold, tapping_term]
+     */
+    parseVialTapDances(entries) {
+        return entries
+            .map((entry, index) => ({
+                index,
+                name: `TD(${index})`,
+                tap: this.normalizeViaKeycode(entry[0]) || 'KC_NO',
+                hold: this.normalizeViaKeycode(entry[1]) || 'KC_NO',
+                doubleTap: this.normalizeViaKeycode(entry[2]) || 'KC_NO',
+                tapHold: this.normalizeViaKeycode(entry[3]) || 'KC_NO',
+                tappingTerm: entry[4]
+            }))
+            .filter(dance => [dance.tap, dance.hold, dance.doubleTap, dance.tapHold].some(code => code !== 'KC_NO'));
+    }
+
+    /**
+     * Vial combo entries: up to four trigger keys followed by the output keycode
+     */
+    parseVialCombos(entries) {
+        return entries
+            .map((entry, index) => ({
+                index,
+                keys: entry.slice(0, -1)
+                    .map(code => this.normalizeViaKeycode(code))
+                    .filter(code => code && code !== 'KC_NO'),
+                result: this.normalizeViaKeycode(entry[entry.length - 1]) || 'KC_NO'
+            }))
+            .filter(combo => combo.keys.length > 0);
+    }
+
+    /**
+     * Dynamic macros: Vial stores action lists, VIA stores text with {KC_*} key tokens
+     */
+    parseViaMacros(macros) {
+        return macros
+            .map((macro, index) => ({
+                index,
+                name: `QK_MACRO_${index}`,
+                actions: Array.isArray(macro)
+                    ? macro.map(action => this.parseVialMacroAction(action))
+                    : this.parseViaMacroText(String(macro))
+            }))
+            .filter(macro => macro.actions.length > 0);
+    }
+
+    /**
+     * Vial macro action: ["text", "..."], ["tap" | "down" | "up", keycodes...] or ["delay", ms]
+     */
+    parseVialMacroAction(action) {
+        const [type, ...args] = action;
+        if (type === 'text') return { type, value: args.join('') };
+        if (type === 'delay') return { type, value: Number(args[0]) };
+        return { type, keys: args.map(code => this.normalizeViaKeycode(code)) };
+    }
+
+    /**
+     * VIA macro text: {KC_A,KC_B} taps a chord, {+KC_X}/{-KC_X} press/release, {100} waits
+     */
+    parseViaMacroText(text) {
+        const actions = [];
+        const pattern = /\{([^}]*)\}/g;
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > last) actions.push({ type: 'text', value: text.slice(last, match.index) });
+            last = pattern.lastIndex;
+
+            const token = match[1].trim();
+            if (/^\d+$/.test(token)) {
+                actions.push({ type: 'delay', value: Number(token) });
+            } else if (/^[+-]/.test(token)) {
+                actions.push({ type: token[0] === '+' ? 'down' : 'up', keys: [this.normalizeViaKeycode(token.slice(1))] });
+            } else {
+                actions.push({ type: 'tap', keys: token.split(',').map(code => this.normalizeViaKeycode(code)) });
+            }
+        }
+        if (last < text.length) actions.push({ type: 'text', value: text.slice(last) });
+
+        return actions;
+    }
+
+    /**
+     * Give every combo the key positions it is pressed on. QMK and VIA combos name their keys by keycode,
+     * which the firmware matches wherever it sits, so they are looked up on the base layer; ZMK combos
+     * come with positions and get the base layer keycodes found there
+     */
+    locateCombos(combos, layers, warnings) {
+        const base = layers.length > 0 ? layers[0].keys : [];
+
+        // A combo missing any of its keys can never fire, so it gets no positions at all
+        return combos.map(combo => {
+            const label = combo.name || `Combo ${combo.index}`;
+            if (combo.positions) {
+                const outside = combo.positions.filter(position => position >= base.length);
+                if (outside.length > 0) warnings.push(`${label}: key position(s) ${outside.join(', ')} are not in the keymap`);
+                return {
+                    ...combo,
+                    keys: combo.positions.filter(position => position < base.length).map(position => base[position]),
+                    positions: outside.length > 0 ? [] : combo.positions
+                };
+            }
+
+            const positions = combo.keys.map(keycode => base.indexOf(keycode));
+            const missing = combo.keys.filter((_, index) => positions[index] === -1);
+            if (missing.length > 0) warnings.push(`${label}: ${missing.join(', ')} not found on the base layer, so the combo cannot be pressed there`);
+            return { ...combo, positions: missing.length > 0 ? [] : positions };
+        });
+    }
+
+    /**
+     * Parse a VIA keyboard definition; its layout is KLE data with "row,col" legends
+     */
+    parseViaDefinition(config, fileName) {
+        const kle = this.parseKleKeys(config.layouts.keymap);
+
+        // VIA shows the first choice of every layout option until another is picked
+        const keys = kle.keys
+            .filter(key => !key.layoutOption || key.layoutOption.choice === 0)
+            .map((key, index) => ({ ...key, id: index }));
+
+        return {
+            type: 'QMK',
+            name: config.name || fileName,
+            layout: null,
+            keys,
+            encoders: this.createEncoders(kle.encoderCount),
+            trackballs: [],
+            displays: [],
+            layers: [],
+            metadata: {
+                format: 'VIA definition',
+                vendorId: config.vendorId,
+                productId: config.productId,
+                matrixSize: config.matrix ? { rows: config.matrix.rows, cols: config.matrix.cols } : null,
+                layoutOptions: kle.layoutOptions,
+                layoutLabels: config.layouts.labels || []
+            }
+        };
+    }
+
+
+    /**
+     * Parse ZMK keymap file
+     */
+    async parseZmkKeymap(content, fileName) {
+        const keymap = {
+            type: 'ZMK',
+            name: fileName,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            tapDances: [],
+            combos: [],
+            macros: [],
+            metadata: {}
+        };
+
+        // Extract keyboard name
+        const keyboardMatch = content.match(/#include\s*[<"](.*?)[>"]/);
+        if (keyboardMatch) {
+            keymap.name = keyboardMatch[1].replace(/\.dtsi$/, '');
+        }
+
+        // Check for split keyboard indicators in comments or layout
+        const isSplitFromContent = content.includes('split') || 
+                                   content.includes('left half') || 
+                                   content.includes('right half') ||
+                                   content.includes('|   |') || // Common split layout comment pattern
+                                   /\/\/.*\|.*\|.*\|.*\|.*\|.*\|.*\|.*\|/.test(content); // Split layout comments
+
+        // Extract keymaps
+        const { text } = this.preprocessor.preprocess(content);
+        const tree = this.devicetree.parse(text);
+        const keymapNode = this.devicetree.findNode(tree, node => this.devicetree.getString(node, 'compatible') === 'zmk,keymap');
+        if (keymapNode) {
+            keymapNode.children.forEach(layerNode => {
+                if (!layerNode.properties.bindings) return;
+
+                const bindings = this.parseZmkBindings(this.devicetree.getCells(layerNode, 'bindings'));
+                keymap.layers.push({
+                    name: this.devicetree.getString(layerNode, 'display-name') ||
+                          this.devicetree.getString(layerNode, 'label') ||
+                          layerNode.name,
+                    bindings: bindings,
+                    keys: bindings.map(binding => this.formatZmkBinding(binding)),
+                    encoders: this.parseZmkSensorBindings(this.devicetree.getCells(layerNode, 'sensor-bindings'), tree)
+                });
+            });
+            keymap.encoders = this.createEncoders(Math.max(0, ...keymap.layers.map(layer => layer.encoders.length)));
+        }
+
+        // Generate key positions based on layers
+        if (keymap.layers.length > 0) {
+            const firstLayerKeyCount = keymap.layers[0].keys.length;
+            
+            // For ZMK split keyboards, detect if this looks like a split based on key count and content
+            if (isSplitFromContent || (firstLayerKeyCount >= 30 && firstLayerKeyCount <= 50)) {
+                keymap.keys = this.generateSplitKeyPositions(firstLayerKeyCount);
+                keymap.metadata.isSplit = true;
+            } else {
+                keymap.keys = this.generateKeyPositions(firstLayerKeyCount);
+            }
+
+            keymap.keys.forEach((key, index) => {
+                key.keycode = keymap.layers[0].keys[index] || 'KC_NO';
+            });
+        }
+
+        const holdTaps = this.parseZmkHoldTaps(tree);
+        if (Object.keys(holdTaps).length > 0) keymap.metadata.holdTaps = holdTaps;
+
+        const warnings = [];
+        keymap.tapDances = this.parseZmkTapDances(tree);
+        keymap.combos = this.locateCombos(this.parseZmkCombos(tree), keymap.layers, warnings);
+        keymap.macros = this.parseZmkMacros(tree);
+        if (warnings.length > 0) keymap.metadata.warnings = warnings;
+
+        return keymap;
+    }
+
+    /**
+     * Parse QMK source files
+     */
+    async parseQmkSource(content, fileName) {
+        const keymap = {
+            type: 'QMK',
+            name: fileName,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            tapDances: [],
+            combos: [],
+            macros: [],
+            metadata: {}
+        };
+
+        // Extract keyboard name from config
+        const keyboardMatch = content.match(/#define\s+KEYBOARD_NAME\s+"([^"]+)"/);
+        if (keyboardMatch) {
+            keymap.name = keyboardMatch[1];
+        }
+
+        // Expand the file's own macros, leaving LAYOUT_* calls intact so layers stay in key order.
+        // ENCODER_MAP_ENABLE and OLED_ENABLE are set in rules.mk, which is not part of the keymap, so assume them.
+        const { text, defines } = this.preprocessor.preprocess(content, { ENCODER_MAP_ENABLE: 1, OLED_ENABLE: 1 }, name => /^LAYOUT/.test(name));
+        const enums = this.parseCEnums(text);
+
+        // Keyboard headers define LAYOUT macros that map arguments to matrix positions
+        const layoutMacros = this.extractLayoutMacros(defines);
+        const layoutNames = Object.keys(layoutMacros);
+        if (layoutNames.length > 0) {
+            keymap.keys = this.generateKeysFromMatrixPositions(layoutMacros[layoutNames[0]]);
+        }
+
+        // Extract keymaps
+        keymap.layers = this.parseQmkKeymapTable(text, enums);
+
+        // encoder_map entries go onto the layers they are designated for
+        const encoderMap = this.parseQmkEncoderMap(text, enums);
+        keymap.layers.forEach(layer => {
+            layer.encoders = encoderMap.get(layer.index) || [];
+        });
+        keymap.encoders = this.createEncoders(Math.max(0, ...keymap.layers.map(layer => layer.encoders.length)));
+
+        if (keymap.layers.length > 0) {
+            const baseLayer = keymap.layers[0];
+            const layoutPositions = layoutMacros[baseLayer.layout];
+
+            if (layoutPositions) {
+                keymap.keys = this.generateKeysFromMatrixPositions(layoutPositions);
+            } else if (keymap.keys.length !== baseLayer.keys.length) {
+                keymap.keys = baseLayer.layout && /split/i.test(baseLayer.layout)
+                    ? this.generateSplitKeyPositions(baseLayer.keys.length)
+                    : this.generateKeyPositions(baseLayer.keys.length);
+            }
+
+            keymap.keys.forEach((key, index) => {
+                key.keycode = baseLayer.keys[index] || 'KC_NO';
+            });
+            keymap.metadata.layoutMacro = baseLayer.layout;
+        }
+
+        // config.h settings included alongside the keymap
+        if (defines.has('TAPPING_TERM')) {
+            keymap.metadata.tappingTerm = this.preprocessor.evaluateExpression('TAPPING_TERM', defines);
+        }
+        if (defines.has('TAPPING_TOGGLE')) {
+            keymap.metadata.tappingToggle = this.preprocessor.evaluateExpression('TAPPING_TOGGLE', defines);
+        }
+
+        const warnings = [];
+        keymap.tapDances = this.parseQmkTapDances(text, enums, keymap.metadata.tappingTerm);
+        keymap.combos = this.locateCombos(this.parseQmkCombos(text, enums, defines), keymap.layers, warnings);
+        keymap.macros = this.parseQmkMacros(text);
+        if (warnings.length > 0) keymap.metadata.warnings = warnings;
+
+        // A keymap that draws on an OLED gets one, with the logos and fonts it defines
+        const bitmaps = this.parseCByteArrays(text);
+        if (bitmaps.length > 0) keymap.metadata.bitmaps = bitmaps;
+        if (/\boled_task_(user|kb)\s*\(/.test(text)) {
+            const rotation = text.match(/\boled_init_(?:user|kb)\s*\([^)]*\)\s*\{[^}]*?\bOLED_ROTATION_(\d+)/);
+            keymap.displays.push({
+                id: 0,
+                name: 'OLED',
+                type: 'ssd1306',
+                width: 128,
+                height: defines.has('OLED_DISPLAY_128X64') ? 64 : 32,
+                rotation: rotation ? Number(rotation[1]) : 0
+            });
+        }
+
+        return keymap;
+    }
+
+    /**
+     * Byte arrays initialized with numeric or character literals, e.g. `static const char PROGMEM logo[] = { 0x80, ... }`
+     */
+    parseCByteArrays(text) {
+        const arrays = [];
+        const declaration = /\b(?:char|uint8_t)\s+(?:PROGMEM\s+)?(\w+)\s*(?:\[[^\]]*\]\s*)+(?:PROGMEM\s*)?=\s*\{/g;
+        let match;
+
+        while ((match = declaration.exec(text)) !== null) {
+            const open = match.index + match[0].length - 1;
+            const items = this.flattenBraces(text.slice(open, this.preprocessor.findClosing(text, open) + 1))
+                .split(',')
+                .map(item => item.trim())
+                .filter(item => item.length > 0);
+            const bytes = items.map(item => this.parseCByte(item));
+            if (bytes.length > 0 && bytes.every(byte => byte !== null)) {
+                arrays.push({ name: match[1], bytes });
+            }
+        }
+
+        return arrays;
+    }
+
+    /**
+     * Value of a hex, binary, decimal or character literal that fits a byte; null for anything else
+     */
+    parseCByte(literal) {
+        const text = literal.replace(/[uUlL]+$/, '');
+        const escapes = { n: 10, r: 13, t: 9, 0: 0, '\\': 92, "'": 39 };
+        let value = null;
+        if (/^0x[0-9a-f]+$/i.test(text)) value = parseInt(text.slice(2), 16);
+        else if (/^0b[01]+$/i.test(text)) value = parseInt(text.slice(2), 2);
+        else if (/^\d+$/.test(text)) value = parseInt(text, 10);
+        else if (/^'[^'\\]'$/.test(text)) value = text.charCodeAt(1);
+        else if (/^'\\.'$/.test(text) && escapes[text[2]] !== undefined) value = escapes[text[2]];
+        return value !== null && value <= 0xFF ? value : null;
+    }
+
+    /**
+     * Collect enum constants (e.g. `enum layers { _BASE, _LOWER };`) with their values
+     */
+    parseCEnums(text) {
+        const values = new Map();
+        const enumPattern = /\benum\b[^{;]*\{([^}]*)\}/g;
+        let match;
+
+        while ((match = enumPattern.exec(text)) !== null) {
+            let next = 0;
+            this.preprocessor.splitTopLevel(match[1], ',').forEach(item => {
+                const [name, expression] = item.split('=').map(part => part.trim());
+                if (!/^[A-Za-z_]\w*$/.test(name || '')) return;
+
+                const value = expression !== undefined
+                    ? this.resolveConstant(expression, values)
+                    : next;
+                values.set(name, value);
+                next = value + 1;
+            });
+        }
+
+        return values;
+    }
+
+    /**
+     * Evaluate a constant expression against known enum values
+     */
+    resolveConstant(expression, enums) {
+        const constants = new Map();
+        enums.forEach((value, name) => constants.set(name, { params: null, body: String(value) }));
+        return this.preprocessor.evaluateExpression(expression, constants);
+    }
+
+    /**
+     * Map each LAYOUT macro's parameters to the matrix cell they are placed in
+     */
+    extractLayoutMacros(defines) {
+        const layouts = {};
+
+        defines.forEach((macro, name) => {
+            if (!/^LAYOUT/.test(name) || !macro.params || !macro.body.trim().startsWith('{')) return;
+
+            const cells = {};
+            const body = macro.body.trim();
+            const rows = this.preprocessor.splitTopLevel(body.slice(1, this.preprocessor.findClosing(body, 0)), ',');
+            rows.forEach((rowText, row) => {
+                const rowBody = rowText.trim().replace(/^\{|\}$/g, '');
+                this.preprocessor.splitTopLevel(rowBody, ',').forEach((cellText, col) => {
+                    cells[cellText.trim()] = { row, col };
+                });
+            });
+
+            layouts[name] = macro.params
+                .map(param => cells[param])
+                .filter(position => position !== undefined);
+        });
+
+        return layouts;
+    }
+
+    /**
+     * Generate key positions from matrix coordinates
+     */
+    generateKeysFromMatrixPositions(positions) {
+        const perRow = {};
+
+        return positions.map((position, index) => {
+            // Lay keys out in argument order along each matrix row
+            const slot = perRow[position.row] || 0;
+            perRow[position.row] = slot + 1;
+
+            return {
+                id: index,
+                row: position.row,
+                col: position.col,
+                x: slot * 50 + 10,
+                y: position.row * 50 + 10,
+                width: 45,
+                height: 45,
+                keycode: 'KC_NO'
+            };
+        });
+    }
+
+    /**
+     * Read the `keymaps[][MATRIX_ROWS][MATRIX_COLS]` initializer into layers
+     */
+    parseQmkKeymapTable(text, enums) {
+        const start = /\bkeymaps\s*(\[[^\]]*\]\s*){3}=\s*\{/.exec(text);
+        if (!start) return [];
+
+        const open = start.index + start[0].length - 1;
+        const body = text.slice(open + 1, this.preprocessor.findClosing(text, open));
+        const layers = [];
+
+        this.preprocessor.splitTopLevel(body, ',').forEach(entryText => {
+            let entry = entryText.trim();
+            if (entry.length === 0) return;
+
+            // Designated initializer: [_LOWER] = LAYOUT(...)
+            let name = null;
+            let index = layers.length > 0 ? layers[layers.length - 1].index + 1 : 0;
+            const designator = entry.match(/^\[([^\]]+)\]\s*=\s*/);
+            if (designator) {
+                index = this.resolveConstant(designator[1].trim(), enums);
+                // [1] = ... names nothing; [_LOWER] = ... names the layer
+                if (!/^\d+$/.test(designator[1].trim())) name = designator[1].trim();
+                entry = entry.slice(designator[0].length);
+            }
+
+            let layout = null;
+            let keys;
+            const call = entry.match(/^(\w+)\s*\(/);
+            if (call) {
+                layout = call[1];
+                const callOpen = call[0].length - 1;
+                keys = this.parseQmkKeycodes(entry.slice(callOpen + 1, this.preprocessor.findClosing(entry, callOpen)));
+            } else if (entry.startsWith('{')) {
+                // Raw matrix initializer: { { KC_A, ... }, ... }
+                keys = this.parseQmkKeycodes(this.flattenBraces(entry));
+            } else {
+                return;
+            }
+
+            // Layer arguments such as MO(_LOWER) are resolved to their indices
+            layers.push({
+                name: name || `Layer ${index}`,
+                index,
+                layout,
+                keys: keys.map(key => this.resolveEnumArguments(key, enums))
+            });
+        });
+
+        layers.sort((a, b) => a.index - b.index);
+
+        // Indices skipped by designated initializers are zero-filled (KC_NO) in the firmware
+        const dense = [];
+        layers.forEach(layer => {
+            while (dense.length < layer.index) {
+                dense.push({
+                    name: `Layer ${dense.length}`,
+                    index: dense.length,
+                    layout: layer.layout,
+                    keys: new Array(layer.keys.length).fill('KC_NO')
+                });
+            }
+            dense.push(layer);
+        });
+
+        return dense;
+    }
+
+    /**
+     * Read `encoder_map[][NUM_ENCODERS][NUM_DIRECTIONS]` into layer index -> [[ccw, cw], ...]
+     */
+    parseQmkEncoderMap(text, enums) {
+        const layers = new Map();
+        const start = /\bencoder_map\s*(\[[^\]]*\]\s*){3}=\s*\{/.exec(text);
+        if (!start) return layers;
+
+        const open = start.index + start[0].length - 1;
+        const body = text.slice(open + 1, this.preprocessor.findClosing(text, open));
+        let index = 0;
+
+        this.preprocessor.splitTopLevel(body, ',').forEach(entryText => {
+            let entry = entryText.trim();
+            if (entry.length === 0) return;
+
+            const designator = entry.match(/^\[([^\]]+)\]\s*=\s*/);
+            if (designator) {
+                index = this.resolveConstant(designator[1].trim(), enums);
+                entry = entry.slice(designator[0].length);
+            }
+            if (!entry.startsWith('{')) return;
+
+            // { ENCODER_CCW_CW(KC_VOLD, KC_VOLU), ... } or raw { { KC_VOLD, KC_VOLU }, ... }
+            const inner = entry.slice(1, this.preprocessor.findClosing(entry, 0));
+            const pairs = this.preprocessor.splitTopLevel(inner, ',')
+                .map(pairText => pairText.trim())
+                .filter(pairText => pairText.length > 0)
+                .map(pairText => {
+                    const args = pairText.replace(/^ENCODER_CCW_CW\s*\(|^\{/, '').replace(/[)}]$/, '');
+                    return this.parseQmkKeycodes(args).map(key => this.resolveEnumArguments(key, enums));
+                });
+            layers.set(index, pairs);
+            index++;
+        });
+
+        return layers;
+    }
+
+    /**
+     * Resolve enum names used as keycode arguments, e.g. MO(_LOWER) -> MO(1) and TD(TD_ESC) -> TD(0);
+     * bare custom keycodes such as LOWER keep their names
+     */
+    resolveEnumArguments(keycode, enums) {
+        const open = keycode.indexOf('(');
+        if (open === -1) return keycode;
+        return keycode.slice(0, open + 1) + keycode.slice(open + 1).replace(/\b[A-Za-z_]\w*\b/g,
+            identifier => (enums.has(identifier) ? String(enums.get(identifier)) : identifier));
+    }
+
+    /**
+     * `combo_t key_combos[]` entries written with COMBO(trigger, result), where each trigger is a
+     * `const uint16_t PROGMEM name[] = { KC_Q, KC_W, COMBO_END }` array
+     */
+    parseQmkCombos(text, enums, defines) {
+        const start = /\bkey_combos\s*\[[^\]]*\]\s*=\s*\{/.exec(text);
+        if (!start) return [];
+
+        const triggers = new Map();
+        const triggerPattern = /\b(\w+)\s*\[\s*\]\s*=\s*\{([^{}]*\bCOMBO_END\b[^{}]*)\}/g;
+        let match;
+        while ((match = triggerPattern.exec(text)) !== null) {
+            triggers.set(match[1], this.parseQmkKeycodes(match[2])
+                .filter(key => key !== 'COMBO_END')
+                .map(key => this.resolveEnumArguments(key, enums)));
+        }
+
+        const timeout = defines.has('COMBO_TERM') ? this.preprocessor.evaluateExpression('COMBO_TERM', defines) : 50;
+        const open = start.index + start[0].length - 1;
+        const body = text.slice(open + 1, this.preprocessor.findClosing(text, open));
+        const combos = [];
+
+        this.preprocessor.splitTopLevel(body, ',').forEach(entryText => {
+            let entry = entryText.trim();
+            let index = combos.length > 0 ? combos[combos.length - 1].index + 1 : 0;
+            let name = null;
+            const designator = entry.match(/^\[([^\]]+)\]\s*=\s*/);
+            if (designator) {
+                index = this.resolveConstant(designator[1].trim(), enums);
+                if (!/^\d+$/.test(designator[1].trim())) name = designator[1].trim();
+                entry = entry.slice(designator[0].length);
+            }
+
+            const call = entry.match(/^COMBO\s*\(\s*(\w+)\s*,/);
+            if (!call || !triggers.has(call[1])) return;
+            const args = this.parseQmkKeycodes(entry.slice(call[0].length, this.preprocessor.findClosing(entry, entry.indexOf('('))));
+            combos.push({
+                index,
+                name: name || call[1],
+                keys: triggers.get(call[1]),
+                result: args.length > 0 ? this.resolveEnumArguments(args[0], enums) : 'KC_NO',
+                timeout,
+                layers: null
+            });
+        });
+
+        return combos;
+    }
+
+    /**
+     * `tap_dance_actions[]` entries built with the ACTION_TAP_DANCE_* helpers, in the shape of Vial tap dances
+     */
+    parseQmkTapDances(text, enums, tappingTerm) {
+        const start = /\btap_dance_actions\s*\[[^\]]*\]\s*=\s*\{/.exec(text);
+        if (!start) return [];
+
+        const open = start.index + start[0].length - 1;
+        const body = text.slice(open + 1, this.preprocessor.findClosing(text, open));
+        const dances = [];
+
+        this.preprocessor.splitTopLevel(body, ',').forEach(entryText => {
+            let entry = entryText.trim();
+            let index = dances.length > 0 ? dances[dances.length - 1].index + 1 : 0;
+            const designator = entry.match(/^\[([^\]]+)\]\s*=\s*/);
+            if (designator) {
+                index = this.resolveConstant(designator[1].trim(), enums);
+                entry = entry.slice(designator[0].length);
+            }
+
+            const call = entry.match(/^(ACTION_TAP_DANCE_\w+)\s*\(/);
+            if (!call) return;
+            const callOpen = call[0].length - 1;
+            const args = this.parseQmkKeycodes(entry.slice(callOpen + 1, this.preprocessor.findClosing(entry, callOpen)))
+                .map(arg => this.resolveEnumArguments(arg, enums));
+
+            const dance = {
+                index,
+                name: `TD(${index})`,
+                tap: 'KC_NO',
+                hold: 'KC_NO',
+                doubleTap: 'KC_NO',
+                tapHold: 'KC_NO',
+                tappingTerm: tappingTerm || null
+            };
+            switch (call[1]) {
+                case 'ACTION_TAP_DANCE_DOUBLE':
+                    dance.tap = args[0];
+                    dance.doubleTap = args[1];
+                    break;
+                case 'ACTION_TAP_DANCE_LAYER_MOVE':
+                    dance.tap = args[0];
+                    dance.doubleTap = `TO(${this.resolveConstant(args[1], enums)})`;
+                    break;
+                case 'ACTION_TAP_DANCE_LAYER_TOGGLE':
+                    dance.tap = args[0];
+                    dance.doubleTap = `TG(${this.resolveConstant(args[1], enums)})`;
+                    break;
+                default:
+                    // ACTION_TAP_DANCE_FN and _FN_ADVANCED decide in C; only the callbacks are known
+                    dance.handler = args.filter(arg => arg !== 'NULL').join(', ');
+                    break;
+            }
+            dances.push(dance);
+        });
+
+        return dances;
+    }
+
+    /**
+     * Macros sent from `process_record_user`: `case NAME: if (record->event.pressed) { SEND_STRING(...); }`,
+     * including tap_code, register_code/unregister_code and wait_ms calls
+     */
+    parseQmkMacros(text) {
+        const start = /\bprocess_record_user\s*\([^)]*\)\s*\{/.exec(text);
+        if (!start) return [];
+
+        const open = start.index + start[0].length - 1;
+        const body = text.slice(open + 1, this.preprocessor.findClosing(text, open));
+        const labels = Array.from(body.matchAll(/\bcase\s+(\w+)\s*:/g));
+        const calls = {
+            SEND_STRING: 'text', send_string: 'text',
+            tap_code: 'tap', tap_code16: 'tap',
+            register_code: 'down', register_code16: 'down',
+            unregister_code: 'up', unregister_code16: 'up',
+            wait_ms: 'delay'
+        };
+        const macros = [];
+
+        labels.forEach((label, position) => {
+            let section = body.slice(label.index + label[0].length, position + 1 < labels.length ? labels[position + 1].index : body.length);
+
+            // Only what runs on the press; releases usually just return
+            const pressed = /\bif\s*\(\s*record\s*->\s*event\.pressed\s*\)\s*\{/.exec(section);
+            if (pressed) {
+                const branchOpen = pressed.index + pressed[0].length - 1;
+                section = section.slice(branchOpen + 1, this.preprocessor.findClosing(section, branchOpen));
+            }
+
+            const actions = [];
+            const callPattern = new RegExp(`\\b(${Object.keys(calls).join('|')})\\s*\\(`, 'g');
+            let match;
+            while ((match = callPattern.exec(section)) !== null) {
+                const callOpen = match.index + match[0].length - 1;
+                const close = this.preprocessor.findClosing(section, callOpen);
+                const argument = section.slice(callOpen + 1, close).trim();
+                callPattern.lastIndex = close + 1;
+
+                const type = calls[match[1]];
+                if (type === 'text') {
+                    actions.push(...this.parseSendString(argument));
+                } else if (type === 'delay') {
+                    actions.push({ type, value: Number(argument) });
+                } else {
+                    actions.push({ type, keys: this.parseQmkKeycodes(argument) });
+                }
+            }
+
+            if (actions.length > 0) macros.push({ index: macros.length, name: label[1], actions });
+        });
+
+        return macros;
+    }
+
+    /**
+     * SEND_STRING argument as macro actions: string literals are typed, SS_TAP/SS_DOWN/SS_UP(X_*) press keys,
+     * SS_DELAY waits and SS_LCTL("c") and friends type their string with the modifier held
+     */
+    parseSendString(argument) {
+        const actions = [];
+        const tokenPattern = /"((?:[^"\\]|\\.)*)"|\b(SS_\w+)\s*\(/g;
+        const escapes = { n: '\n', t: '\t' };
+        let match;
+
+        while ((match = tokenPattern.exec(argument)) !== null) {
+            if (match[1] !== undefined) {
+                // Adjacent literals are one string to the compiler
+                const value = match[1].replace(/\\(.)/g, (_, char) => escapes[char] || char);
+                const last = actions[actions.length - 1];
+                if (last && last.type === 'text') {
+                    last.value += value;
+                } else {
+                    actions.push({ type: 'text', value });
+                }
+                continue;
+            }
+
+            const open = match.index + match[0].length - 1;
+            const close = this.preprocessor.findClosing(argument, open);
+            const inner = argument.slice(open + 1, close).trim();
+            const key = inner.replace(/^X_/, 'KC_');
+            tokenPattern.lastIndex = close + 1;
+
+            if (match[2] === 'SS_TAP') {
+                actions.push({ type: 'tap', keys: [key] });
+            } else if (match[2] === 'SS_DOWN') {
+                actions.push({ type: 'down', keys: [key] });
+            } else if (match[2] === 'SS_UP') {
+                actions.push({ type: 'up', keys: [key] });
+            } else if (match[2] === 'SS_DELAY') {
+                actions.push({ type: 'delay', value: Number(inner) });
+            } else {
+                const modifier = `KC_${match[2].slice(3)}`;
+                actions.push({ type: 'down', keys: [modifier] }, ...this.parseSendString(inner), { type: 'up', keys: [modifier] });
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Flatten nested brace initializers into one comma-separated list
+     */
+    flattenBraces(text) {
+        const trimmed = text.trim();
+        if (!trimmed.startsWith('{')) return trimmed;
+
+        const inner = trimmed.slice(1, this.preprocessor.findClosing(trimmed, 0));
+        return this.preprocessor.splitTopLevel(inner, ',')
+            .map(item => this.flattenBraces(item))
+            .join(',');
+    }
+
+    /**
+     * Parse binary firmware files
+     */
+    async parseBinaryFirmware(content, fileName, options = {}) {
+        if (fileName.endsWith('.uf2')) {
+            return this.parseUf2Firmware(content, fileName, options);
+        }
+        return this.parseIntelHexFirmware(content, fileName, options);
+    }
+
+    /**
+     * Parse a UF2 container, validate its blocks and recover the embedded keymap
+     */
+    parseUf2Firmware(content, fileName, options = {}) {
+        const uf2 = this.decodeUf2(content);
+        const segments = uf2.families.flatMap(family => family.segments.map(segment => ({ ...segment, family })));
+
+        const keymap = {
+            type: 'unknown',
+            name: fileName,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            metadata: {
+                format: 'UF2',
+                familyId: uf2.families[0].familyId,
+                family: uf2.families[0].family,
+                families: uf2.families.map(family => ({
+                    familyId: family.familyId,
+                    family: family.family,
+                    blockCount: family.blockCount,
+                    declaredBlocks: family.declaredBlocks,
+                    missingBlocks: family.missingBlocks,
+                    duplicateBlocks: family.duplicateBlocks,
+                    addressGaps: family.addressGaps
+                })),
+                startAddress: uf2.startAddress,
+                endAddress: uf2.endAddress,
+                size: uf2.dataBytes,
+                imageSize: segments.reduce((total, segment) => total + segment.image.length, 0),
+                segments: segments.map(segment => ({ start: segment.address, end: segment.address + segment.image.length })),
+                blockCount: uf2.blockCount,
+                invalidBlocks: uf2.invalidBlocks
+            }
+        };
+
+        // The build banner and the keymap may sit in any segment of any family
+        const build = { board: null, zephyrVersion: null };
+        let zmk = null;
+        segments.forEach(segment => {
+            const info = this.findZephyrBuildInfo(segment.image);
+            build.board = build.board || info.board;
+            build.zephyrVersion = build.zephyrVersion || info.zephyrVersion;
+            if (!zmk) {
+                zmk = this.findZmkKeymap(segment.image, segment.address);
+                if (zmk) this.setUf2KeymapFamily(keymap, segment.family);
+            }
+        });
+
+        if (build.zephyrVersion || zmk) {
+            keymap.type = 'ZMK';
+            keymap.metadata.board = build.board;
+            keymap.metadata.zephyrVersion = build.zephyrVersion;
+            if (build.board) {
+                keymap.name = build.board;
+            }
+
+            if (zmk) {
+                keymap.layers = zmk.layers;
+                keymap.keys = this.generateKeyPositions(zmk.keyCount);
+                keymap.keys.forEach((key, index) => {
+                    key.keycode = zmk.layers[0].keys[index];
+                });
+                keymap.metadata.keymapAddress = zmk.address;
+            }
+        } else {
+            // QMK also ships UF2 builds (RP2040, STM32 with tinyuf2)
+            let table = null;
+            const segment = segments.find(candidate => {
+                table = this.findQmkKeymapTable(candidate.image, options.matrix);
+                return table !== null;
+            });
+            if (table) {
+                keymap.type = 'QMK';
+                this.setUf2KeymapFamily(keymap, segment.family);
+                return this.applyQmkKeymapTable(keymap, table, segment.address + table.offset, options);
+            }
+        }
+
+        if (keymap.keys.length === 0) {
+            keymap.keys = this.generateKeyPositions(61);
+            keymap.metadata.note = 'No keymap found in UF2 payload';
+        }
+
+        return keymap;
+    }
+
+    /**
+     * Report the family whose flash holds the keymap
+     */
+    setUf2KeymapFamily(keymap, family) {
+        keymap.metadata.familyId = family.familyId;
+        keymap.metadata.family = family.family;
+    }
+
+    /**
+     * Walk the 512-byte blocks of a UF2 file and rebuild the flash segments of each family in it
+     */
+    decodeUf2(buffer) {
+        const BLOCK_SIZE = 512;
+        const MAGIC_START0 = 0x0A324655;
+        const MAGIC_START1 = 0x9E5D5157;
+        const MAGIC_END = 0x0AB16F30;
+        const FLAG_NOT_MAIN_FLASH = 0x00000001;
+        const FLAG_FILE_CONTAINER = 0x00001000;
+        const FLAG_FAMILY_ID = 0x00002000;
+
+        if (buffer.byteLength === 0 || buffer.byteLength % BLOCK_SIZE !== 0) {
+            throw new Error(`UF2 size ${buffer.byteLength} is not a multiple of ${BLOCK_SIZE} bytes`);
+        }
+
+        const view = new DataView(buffer);
+        const invalidBlocks = [];
+        // Combined images (an RP2350 build with an absolute block, say) number the blocks of each family apart
+        const families = new Map();
+
+        for (let offset = 0; offset < buffer.byteLength; offset += BLOCK_SIZE) {
+            const index = offset / BLOCK_SIZE;
+            if (view.getUint32(offset, true) !== MAGIC_START0 ||
+                view.getUint32(offset + 4, true) !== MAGIC_START1 ||
+                view.getUint32(offset + 508, true) !== MAGIC_END) {
+                invalidBlocks.push({ index, reason: 'bad magic' });
+                continue;
+            }
+
+            const flags = view.getUint32(offset + 8, true);
+            const targetAddress = view.getUint32(offset + 12, true);
+            const payloadSize = view.getUint32(offset + 16, true);
+            const blockNo = view.getUint32(offset + 20, true);
+            const numBlocks = view.getUint32(offset + 24, true);
+            const familyOrSize = view.getUint32(offset + 28, true);
+
+            if (payloadSize > 476) {
+                invalidBlocks.push({ index, reason: `payload size ${payloadSize}` });
+                continue;
+            }
+            if (flags & (FLAG_NOT_MAIN_FLASH | FLAG_FILE_CONTAINER)) {
+                // Not part of the flash image (comments, embedded files)
+                continue;
+            }
+
+            const familyId = flags & FLAG_FAMILY_ID ? familyOrSize : null;
+            if (!families.has(familyId)) {
+                families.set(familyId, { familyId, declaredBlocks: numBlocks, seenBlocks: new Set(), duplicateBlocks: [], chunks: [] });
+            }
+            const family = families.get(familyId);
+
+            if (numBlocks !== family.declaredBlocks) {
+                invalidBlocks.push({ index, reason: `block count ${numBlocks} != ${family.declaredBlocks}` });
+            }
+            if (family.seenBlocks.has(blockNo)) {
+                family.duplicateBlocks.push(blockNo);
+            }
+            family.seenBlocks.add(blockNo);
+
+            family.chunks.push({
+                blockNo,
+                address: targetAddress,
+                data: new Uint8Array(buffer, offset + 32, payloadSize)
+            });
+        }
+
+        if (families.size === 0) {
+            throw new Error('UF2 file contains no valid flash blocks');
+        }
+
+        const decoded = [...families.values()].map(family => {
+            const missingBlocks = [];
+            for (let blockNo = 0; blockNo < family.declaredBlocks; blockNo++) {
+                if (!family.seenBlocks.has(blockNo)) missingBlocks.push(blockNo);
+            }
+
+            // Address gaps between consecutive blocks in target order
+            const ordered = family.chunks.slice().sort((a, b) => a.address - b.address);
+            const addressGaps = [];
+            for (let i = 1; i < ordered.length; i++) {
+                const previousEnd = ordered[i - 1].address + ordered[i - 1].data.length;
+                if (ordered[i].address > previousEnd) {
+                    addressGaps.push({ from: previousEnd, to: ordered[i].address });
+                }
+            }
+
+            return {
+                familyId: family.familyId !== null ? `0x${family.familyId.toString(16).toUpperCase().padStart(8, '0')}` : null,
+                family: family.familyId !== null ? (this.uf2Families[family.familyId] || 'unknown') : null,
+                segments: this.buildFlashSegments(family.chunks),
+                blockCount: family.chunks.length,
+                declaredBlocks: family.declaredBlocks,
+                missingBlocks,
+                duplicateBlocks: family.duplicateBlocks,
+                addressGaps,
+                dataBytes: family.chunks.reduce((total, chunk) => total + chunk.data.length, 0)
+            };
+        });
+
+        const segments = decoded.flatMap(family => family.segments);
+        return {
+            families: decoded,
+            startAddress: Math.min(...segments.map(segment => segment.address)),
+            endAddress: Math.max(...segments.map(segment => segment.address + segment.image.length)),
+            dataBytes: decoded.reduce((total, family) => total + family.dataBytes, 0),
+            blockCount: decoded.reduce((total, family) => total + family.blockCount, 0),
+            invalidBlocks
+        };
+    }
+
+    /**
+     * Extract printable ASCII strings (NUL-terminated) from a flash image
+     */
+    extractStrings(image, minLength = 4) {
+        const strings = [];
+        let start = -1;
+
+        for (let i = 0; i <= image.length; i++) {
+            const byte = i < image.length ? image[i] : 0;
+            if (byte >= 0x20 && byte < 0x7F) {
+                if (start < 0) start = i;
+                continue;
+            }
+            if (start >= 0 && i - start >= minLength) {
+                strings.push({
+                    offset: start,
+                    text: new TextDecoder('latin1').decode(image.subarray(start, i)),
+                    terminated: byte === 0
+                });
+            }
+            start = -1;
+        }
+
+        return strings;
+    }
+
+    /**
+     * Find the Zephyr version banner and board name in a firmware image
+     */
+    findZephyrBuildInfo(image) {
+        const strings = this.extractStrings(image);
+        const info = { board: null, zephyrVersion: null };
+
+        strings.forEach(({ text }) => {
+            const banner = text.match(/Zephyr OS (?:build )?(v?\d+\.\d+\.\d+[\w.-]*)/);
+            if (banner && !info.zephyrVersion) {
+                info.zephyrVersion = banner[1];
+            }
+            if (!info.board) {
+                const tokens = text.split(/[^\w@.]+/);
+                info.board = this.zephyrBoards.find(board => tokens.includes(board)) || null;
+            }
+        });
+
+        return info;
+    }
+
+    /**
+     * Recover the zmk_keymap binding table from a ZMK firmware image
+     */
+    findZmkKeymap(image, baseAddress) {
+        // Behavior bindings reference their device by a pointer to its name string
+        // (matched as a suffix, since the previous string may run straight into it)
+        const devicesByAddress = new Map();
+        const deviceNames = Object.keys(this.zmkBehaviorDevices);
+        this.extractStrings(image, 2).forEach(({ offset, text, terminated }) => {
+            if (!terminated) return;
+            deviceNames.forEach(name => {
+                if (text.endsWith(name)) {
+                    const address = baseAddress + offset + text.length - name.length;
+                    devicesByAddress.set(address, this.zmkBehaviorDevices[name]);
+                }
+            });
+        });
+        if (devicesByAddress.size === 0) return null;
+
+        const view = new DataView(image.buffer, image.byteOffset, image.byteLength);
+        const readBinding = (offset) => {
+            if (offset + 12 > image.length) return null;
+            const device = devicesByAddress.get(view.getUint32(offset, true));
+            if (!device) return null;
+            return {
+                device,
+                param1: view.getUint32(offset + 4, true),
+                param2: view.getUint32(offset + 8, true)
+            };
+        };
+
+        // Bindings are { const char *behavior_dev; uint32_t param1, param2; }, optionally
+        // preceded by a 16-bit local id (padded to 4 bytes) on newer ZMK
+        let best = null;
+        [12, 16].forEach(stride => {
+            const pointerOffset = stride === 16 ? 4 : 0;
+            for (let offset = 0; offset + stride <= image.length; offset += 4) {
+                if (!readBinding(offset + pointerOffset)) continue;
+
+                const bindings = [];
+                let cursor = offset;
+                while (cursor + stride <= image.length) {
+                    const binding = readBinding(cursor + pointerOffset);
+                    if (!binding) break;
+                    bindings.push(binding);
+                    cursor += stride;
+                }
+
+                if (!best || bindings.length > best.bindings.length) {
+                    best = { offset, bindings };
+                }
+                offset = cursor - 4;
+            }
+        });
+
+        if (!best || best.bindings.length < 8) return null;
+
+        const keyCount = this.detectZmkLayerLength(best.bindings);
+        const layers = [];
+        for (let start = 0; start + keyCount <= best.bindings.length; start += keyCount) {
+            const bindings = best.bindings.slice(start, start + keyCount).map(binding => this.decodeZmkBinding(binding));
+            layers.push({
+                name: `layer_${layers.length}`,
+                bindings: bindings,
+                keys: bindings.map(binding => this.formatZmkBinding(binding))
+            });
+        }
+
+        return {
+            address: baseAddress + best.offset,
+            keyCount,
+            layers
+        };
+    }
+
+    /**
+     * Work out the per-layer key count of a flat zmk_keymap[layers][keys] table
+     */
+    detectZmkLayerLength(bindings) {
+        const total = bindings.length;
+        const isTrans = (binding) => binding.device.ref === '&trans';
+        const same = (a, b) => a.device === b.device && a.param1 === b.param1 && a.param2 === b.param2;
+        let best = { length: total, ratio: 0 };
+
+        // Layers repeat modifiers and thumb keys at the same positions, so the true layer
+        // length lines bindings up with their counterparts one layer further on. Runs of
+        // &trans match at any stride and say nothing, so those pairs are skipped.
+        for (let length = 8; length <= total / 2; length++) {
+            if (total % length !== 0) continue;
+
+            // The base layer has nothing below it to fall through to
+            const baseTrans = bindings.slice(0, length).filter(isTrans).length;
+            if (baseTrans > length / 10) continue;
+
+            let matches = 0;
+            let compared = 0;
+            for (let i = 0; i + length < total; i++) {
+                if (isTrans(bindings[i]) && isTrans(bindings[i + length])) continue;
+                compared++;
+                if (same(bindings[i], bindings[i + length])) matches++;
+            }
+            const ratio = compared > 0 ? matches / compared : 0;
+            if (ratio > best.ratio) {
+                best = { length, ratio };
+            }
+        }
+
+        return best.length;
+    }
+
+    /**
+     * Turn a raw binding struct from a firmware image into a { behavior, params } binding
+     */
+    decodeZmkBinding({ device, param1, param2 }) {
+        const layerBehaviors = ['&mo', '&tog', '&to', '&sl'];
+        const params = [];
+
+        if (device.ref === '&kp' || device.ref === '&sk' || device.ref === '&kt') {
+            params.push(this.keycodes.decodeZmk(param1));
+        } else if (layerBehaviors.includes(device.ref)) {
+            params.push(param1);
+        } else if (device.ref === '&lt') {
+            params.push(param1, this.keycodes.decodeZmk(param2));
+        } else if (device.ref === '&mt') {
+            params.push(this.keycodes.decodeZmk(param1), this.keycodes.decodeZmk(param2));
+        } else if (device.ref === '&bt') {
+            const commands = ['BT_CLR', 'BT_NXT', 'BT_PRV', 'BT_SEL', 'BT_CLR_ALL', 'BT_DISC'];
+            params.push(commands[param1] || param1);
+            if (param1 === 3 || param1 === 5) params.push(param2);
+        } else if (device.ref === '&out') {
+            params.push(['OUT_TOG', 'OUT_USB', 'OUT_BLE'][param1] || param1);
+        } else if (device.params > 0) {
+            params.push(param1);
+            if (device.params > 1) params.push(param2);
+        }
+
+        return { behavior: device.ref, params: params.map(String) };
+    }
+
+    /**
+     * Parse an Intel HEX file and recover the QMK keymap from the flash image
+     */
+    parseIntelHexFirmware(content, fileName, options = {}) {
+        const text = typeof content === 'string' ? content : new TextDecoder('ascii').decode(content);
+        const hex = this.decodeIntelHex(text);
+
+        const keymap = {
+            type: 'QMK',
+            name: fileName,
+            layout: null,
+            keys: [],
+            encoders: [],
+            trackballs: [],
+            displays: [],
+            layers: [],
+            metadata: {
+                format: 'Intel HEX',
+                startAddress: hex.startAddress,
+                endAddress: hex.endAddress,
+                size: hex.dataBytes,
+                imageSize: hex.segments.reduce((total, segment) => total + segment.image.length, 0),
+                segments: hex.segments.map(segment => ({ start: segment.address, end: segment.address + segment.image.length })),
+                recordCount: hex.recordCount,
+                entryPoint: hex.entryPoint,
+                checksumErrors: hex.checksumErrors
+            }
+        };
+
+        let table = null;
+        const segment = hex.segments.find(candidate => {
+            table = this.findQmkKeymapTable(candidate.image, options.matrix);
+            return table !== null;
+        });
+        if (table) {
+            return this.applyQmkKeymapTable(keymap, table, segment.address + table.offset, options);
+        }
+
+        keymap.keys = this.generateKeyPositions(61);
+        keymap.metadata.note = 'No keymap table found in flash image';
+        return keymap;
+    }
+
+    /**
+     * Keep a keymap table recovered from flash as a keymap backup in matrix order, so it is laid onto
+     * the board's info.json or VIA definition like a VIA backup, or onto a generated matrix without one
+     */
+    applyQmkKeymapTable(keymap, table, address, options = {}) {
+        keymap.metadata.keymapAddress = address;
+        const warnings = [];
+        if (table.alternatives.length > 0) {
+            warnings.push(`Matrix size ${table.rows}x${table.cols} is a guess: the keymap also reads as ` +
+                `${table.alternatives.join(', ')}. Enter the board's matrix size next to the upload area, or drop its info.json with the build`);
+        }
+        keymap.metadata.keymapBackup = {
+            rows: table.rows,
+            cols: table.cols,
+            layers: table.layers,
+            encoders: [],
+            warnings
+        };
+        return this.applyViaKeymap(keymap, options.baseLayout || null);
+    }
+
+    /**
+     * Decode Intel HEX records into contiguous flash segments
+     */
+    decodeIntelHex(text) {
+        const chunks = [];
+        const checksumErrors = [];
+        let baseAddress = 0;
+        let recordCount = 0;
+        let entryPoint = null;
+        let endOfFile = false;
+
+        const lines = text.split(/\r?\n/);
+        for (let lineIndex = 0; lineIndex < lines.length && !endOfFile; lineIndex++) {
+            const line = lines[lineIndex].trim();
+            if (line.length === 0) continue;
+
+            const lineNumber = lineIndex + 1;
+            if (line[0] !== ':' || !/^:([0-9A-Fa-f]{2})+$/.test(line)) {
+                throw new Error(`Malformed HEX record on line ${lineNumber}`);
+            }
+
+            const bytes = [];
+            for (let i = 1; i < line.length; i += 2) {
+                bytes.push(parseInt(line.substr(i, 2), 16));
+            }
+
+            const length = bytes[0];
+            if (bytes.length !== length + 5) {
+                throw new Error(`HEX record length mismatch on line ${lineNumber}`);
+            }
+
+            const sum = bytes.slice(0, -1).reduce((total, byte) => total + byte, 0);
+            const expected = (0x100 - (sum & 0xFF)) & 0xFF;
+            const actual = bytes[bytes.length - 1];
+            if (expected !== actual) {
+                checksumErrors.push({ line: lineNumber, expected, actual });
+            }
+
+            const address = (bytes[1] << 8) | bytes[2];
+            const recordType = bytes[3];
+            const data = bytes.slice(4, 4 + length);
+            recordCount++;
+
+            switch (recordType) {
+                case 0x00: // Data
+                    chunks.push({ address: baseAddress + address, data });
+                    break;
+                case 0x01: // End of file
+                    endOfFile = true;
+                    break;
+                case 0x02: // Extended segment address
+                    baseAddress = ((data[0] << 8) | data[1]) * 16;
+                    break;
+                case 0x03: // Start segment address (CS:IP)
+                    entryPoint = ((data[0] << 8) | data[1]) * 16 + ((data[2] << 8) | data[3]);
+                    break;
+                case 0x04: // Extended linear address
+                    baseAddress = ((data[0] << 24) | (data[1] << 16)) >>> 0;
+                    break;
+                case 0x05: // Start linear address
+                    entryPoint = ((data[0] << 24) | (data[1] << 16) | (data[2] << 8) | data[3]) >>> 0;
+                    break;
+                default:
+                    throw new Error(`Unknown HEX record type ${recordType} on line ${lineNumber}`);
+            }
+        }
+
+        if (chunks.length === 0) {
+            throw new Error('HEX file contains no data records');
+        }
+
+        const segments = this.buildFlashSegments(chunks);
+        const last = segments[segments.length - 1];
+
+        return {
+            segments,
+            startAddress: segments[0].address,
+            endAddress: last.address + last.image.length,
+            dataBytes: chunks.reduce((total, chunk) => total + chunk.data.length, 0),
+            recordCount,
+            entryPoint,
+            checksumErrors,
+            endOfFile
+        };
+    }
+
+    /**
+     * Lay `{ address, data }` chunks into flash images. Chunks far apart, such as a bootloader at 0x0 and the
+     * application at 0x08000000, become separate segments; smaller gaps between chunks read back as erased flash
+     */
+    buildFlashSegments(chunks) {
+        const MAX_GAP = 0x10000;
+        const ranges = [];
+        chunks.slice().sort((a, b) => a.address - b.address).forEach(chunk => {
+            const end = chunk.address + chunk.data.length;
+            const last = ranges[ranges.length - 1];
+            if (last && chunk.address - last.end <= MAX_GAP) {
+                last.end = Math.max(last.end, end);
+            } else {
+                ranges.push({ start: chunk.address, end });
+            }
+        });
+
+        const segments = ranges.map(range => ({
+            address: range.start,
+            image: new Uint8Array(range.end - range.start).fill(0xFF)
+        }));
+        chunks.forEach(chunk => {
+            const segment = segments[ranges.findIndex(range => chunk.address < range.end)];
+            segment.image.set(chunk.data, chunk.address - segment.address);
+        });
+        return segments;
     }
 
     /**
-     * Parse ZMK keymap file
+     * Search a flash image for the keymaps[][][] uint16 table of a QMK build
      */
-    async parseZmkKeymap(content, fileName) {
-        const keymap = {
-            type: 'ZMK',
-            name: fileName,
-            layout: null,
-            keys: [],
-            encoders: [],
-            trackballs: [],
-            displays: [],
-            layers: [],
-            metadata: {}
-        };
+    findQmkKeymapTable(image, matrix = null) {
+        const candidates = matrix ? [matrix] : this.getCandidateMatrixSizes();
+        // AVR keeps PROGMEM tables byte-aligned; ARM images are large and 2-byte aligned
+        const step = image.length <= 0x20000 ? 1 : 2;
+        const ranks = [];
+        let best = null;
 
-        // Extract keyboard name
-        const keyboardMatch = content.match(/#include\s*[<"](.*?)[>"]/);
-        if (keyboardMatch) {
-            keymap.name = keyboardMatch[1].replace(/\.dtsi$/, '');
+        // Per offset: how many plausible keycodes follow, and how many of those are letters,
+        // so each candidate window can be rejected without re-reading the image
+        const knownRun = new Int32Array(image.length + 2);
+        const letterRun = new Int32Array(image.length + 2);
+        for (let offset = image.length - 2; offset >= 0; offset--) {
+            const code = image[offset] | (image[offset + 1] << 8);
+            const known = this.keycodes.isKnown(code);
+            knownRun[offset] = known ? knownRun[offset + 2] + 1 : 0;
+            letterRun[offset] = letterRun[offset + 2] + (code >= 0x04 && code <= 0x1D ? 1 : 0);
         }
 
-        // Check for split keyboard indicators in comments or layout
-        const isSplitFromContent = content.includes('split') || 
-                                   content.includes('left half') || 
-                                   content.includes('right half') ||
-                                   content.includes('|   |') || // Common split layout comment pattern
-                                   /\/\/.*\|.*\|.*\|.*\|.*\|.*\|.*\|.*\|/.test(content); // Split layout comments
+        candidates.forEach(({ rows, cols }) => {
+            const cells = rows * cols;
+            for (let offset = 0; offset + cells * 2 <= image.length; offset += step) {
+                if (knownRun[offset] < cells) continue;
+                if (letterRun[offset] - letterRun[offset + cells * 2] < 20) continue;
 
-        // Extract keymaps
-        const keymapMatches = content.match(/keymap\s*{[\s\S]*?}/g);
-        if (keymapMatches) {
-            keymapMatches.forEach(match => {
-                const layerMatches = match.match(/(\w+)\s*{([^}]*)}/g);
-                if (layerMatches) {
-                    layerMatches.forEach(layer => {
-                        const layerName = layer.match(/(\w+)\s*{/)[1];
-                        const bindings = layer.match(/bindings\s*=\s*<([^>]*)>/);
-                        if (bindings) {
-                            const keys = this.parseZmkBindings(bindings[1]);
-                            keymap.layers.push({
-                                name: layerName,
-                                keys: keys
-                            });
-                        }
-                    });
+                const base = this.readKeymapLayer(image, offset, cells);
+
+                // A base layer carries most of the alphabet
+                const letters = new Set(base.filter(code => code >= 0x04 && code <= 0x1D));
+                if (letters.size < 20) continue;
+
+                const layers = [base];
+                const baseTail = this.countZeroTail(base);
+                while (layers.length < 32 && knownRun[offset] >= (layers.length + 1) * cells) {
+                    const layer = this.readKeymapLayer(image, offset + layers.length * cells * 2, cells);
+                    // An all-KC_NO layer is indistinguishable from zero padding, and so is a layer that
+                    // ends in a row or more of KC_NO the base layer does not have: a wrong stride runs
+                    // into the padding after the table
+                    const tail = this.countZeroTail(layer);
+                    if (tail === cells || (tail >= cols && tail > baseTail)) break;
+                    layers.push(layer);
                 }
-            });
-        }
 
-        // Generate key positions based on layers
-        if (keymap.layers.length > 0) {
-            const firstLayerKeyCount = keymap.layers[0].keys.length;
-            
-            // For ZMK split keyboards, detect if this looks like a split based on key count and content
-            if (isSplitFromContent || (firstLayerKeyCount >= 30 && firstLayerKeyCount <= 50)) {
-                keymap.keys = this.generateSplitKeyPositions(firstLayerKeyCount);
-                keymap.metadata.isSplit = true;
-            } else {
-                keymap.keys = this.generateKeyPositions(firstLayerKeyCount);
+                // Rank by alphabet coverage, then by how many layers line up as whole layers at
+                // this stride; a transparent key on the base layer means the window is off. On a tie
+                // the matrix covering more of the table wins, since a smaller one reads the same bytes
+                // minus a row; trailing KC_NO may be padding, so it only counts towards the tighter
+                // matrix. Basic keycodes outweigh quantum ones, which settles off-by-one alignments
+                const transparent = base.filter(code => code === 1).length;
+                const weight = base.reduce((sum, code) => sum + (code <= 0xFF ? 2 : 1), 0) / cells;
+                const rank = letters.size * 1000000 - transparent * 100000 + this.countAlignedLayers(layers) * 1000;
+                const score = rank + (cells - baseTail) * 10 - cells + weight;
+                if (!best || score > best.score) {
+                    best = { rows, cols, offset, layers, rank, score };
+                }
+                ranks.push({ size: `${rows}x${cols}`, rank, score });
             }
-        }
+        });
 
-        return keymap;
+        // A matrix size that does not fit the image is only a wrong hint; fall back to the usual sizes
+        if (!best) return matrix ? this.findQmkKeymapTable(image) : null;
+
+        // Other sizes that read just as well leave the matrix a guess; the closest three are named
+        const bestSize = `${best.rows}x${best.cols}`;
+        const alternatives = [];
+        ranks
+            .filter(({ size, rank }) => rank === best.rank && size !== bestSize)
+            .sort((a, b) => b.score - a.score)
+            .forEach(({ size }) => {
+                if (alternatives.length < 3 && !alternatives.includes(size)) alternatives.push(size);
+            });
+
+        return {
+            rows: best.rows,
+            cols: best.cols,
+            offset: best.offset,
+            layers: best.layers.map(layer => layer.map(code => this.keycodes.decode(code))),
+            alternatives
+        };
     }
 
     /**
-     * Parse QMK source files
+     * Count the consecutive layers above the base that fit as whole layers at this stride. Unpopulated cells
+     * (KC_NO on the base layer) stay KC_NO on every layer; on a full matrix the transparent and KC_NO
+     * keys of neighbouring layers mostly fall on the same cells instead
      */
-    async parseQmkSource(content, fileName) {
-        const keymap = {
-            type: 'QMK',
-            name: fileName,
-            layout: null,
-            keys: [],
-            encoders: [],
-            trackballs: [],
-            displays: [],
-            layers: [],
-            metadata: {}
-        };
-
-        // Extract keyboard name from config
-        const keyboardMatch = content.match(/#define\s+KEYBOARD_NAME\s+"([^"]+)"/);
-        if (keyboardMatch) {
-            keymap.name = keyboardMatch[1];
-        }
+    countAlignedLayers(layers) {
+        const base = layers[0];
+        const unpopulated = [];
+        base.forEach((code, cell) => {
+            if (code === 0) unpopulated.push(cell);
+        });
 
-        // Extract layout macro
-        const layoutMatch = content.match(/LAYOUT[^(]*\([^)]*\)/g);
-        if (layoutMatch) {
-            const layoutStr = layoutMatch[0];
-            const keyMatches = layoutStr.match(/k\w\w/g);
-            if (keyMatches) {
-                keymap.keys = this.generateKeyPositions(keyMatches.length);
+        let aligned = 0;
+        for (let index = 1; index < layers.length; index++) {
+            const layer = layers[index];
+            let fit;
+            if (unpopulated.length > 0) {
+                fit = unpopulated.filter(cell => layer[cell] === 0).length / unpopulated.length;
+            } else if (index === 1) {
+                // A full matrix has no unpopulated cells to check against the base layer
+                fit = 1;
+            } else {
+                const below = layers[index - 1];
+                let shared = 0;
+                let either = 0;
+                layer.forEach((code, cell) => {
+                    if (code <= 1 || below[cell] <= 1) either++;
+                    if (code <= 1 && below[cell] <= 1) shared++;
+                });
+                fit = either > 0 ? shared / either : 1;
             }
+            if (fit < 0.5) break;
+            aligned++;
         }
 
-        // Extract keymaps
-        const keymapMatches = content.match(/\[([^\]]+)\]\s*=\s*LAYOUT[^(]*\(([^)]*)\)/g);
-        if (keymapMatches) {
-            keymapMatches.forEach(match => {
-                const layerMatch = match.match(/\[([^\]]+)\]/);
-                const keysMatch = match.match(/LAYOUT[^(]*\(([^)]*)\)/);
-                
-                if (layerMatch && keysMatch) {
-                    const layerName = layerMatch[1].trim();
-                    const keys = this.parseQmkKeycodes(keysMatch[1]);
-                    keymap.layers.push({
-                        name: layerName,
-                        keys: keys
-                    });
-                }
-            });
+        return aligned;
+    }
+
+    /**
+     * Number of KC_NO cells a layer ends with
+     */
+    countZeroTail(layer) {
+        let count = 0;
+        while (count < layer.length && layer[layer.length - 1 - count] === 0) count++;
+        return count;
+    }
+
+    /**
+     * Read one layer of little-endian keycodes
+     */
+    readKeymapLayer(image, offset, cells) {
+        const codes = [];
+        for (let i = 0; i < cells; i++) {
+            codes.push(image[offset + i * 2] | (image[offset + i * 2 + 1] << 8));
         }
+        return codes;
+    }
 
-        return keymap;
+    /**
+     * Matrix sizes to try when the keymap dimensions are not known
+     */
+    getCandidateMatrixSizes() {
+        const sizes = [];
+        Object.values(this.keyboardLayouts).forEach(({ rows, cols }) => {
+            sizes.push({ rows, cols });
+            // Split boards stack both halves in the matrix rows
+            sizes.push({ rows: rows * 2, cols });
+        });
+        return sizes;
     }
 
     /**
-     * Parse binary firmware files (basic info extraction)
+     * Generate key positions for the populated cells of a keymap matrix
      */
-    async parseBinaryFirmware(content, fileName) {
-        // For binary files, we can only provide basic info
-        // Real parsing would require complex reverse engineering
-        
-        return {
-            type: fileName.endsWith('.uf2') ? 'ZMK' : 'QMK',
-            name: fileName,
-            layout: this.keyboardLayouts['60'], // Default assumption
-            keys: this.generateKeyPositions(61), // Standard 60% layout
-            encoders: [],
-            trackballs: [],
-            displays: [],
-            layers: [
-                { name: 'base', keys: new Array(61).fill('KC_NO') }
-            ],
-            metadata: {
-                note: 'Binary firmware - limited parsing available'
-            }
-        };
+    generateMatrixKeyPositions(table) {
+        const keys = [];
+        const cells = table.rows * table.cols;
+
+        for (let index = 0; index < cells; index++) {
+            // Cells that are KC_NO on every layer have no switch behind them
+            if (table.layers.every(layer => layer[index] === 'KC_NO')) continue;
+
+            const row = Math.floor(index / table.cols);
+            const col = index % table.cols;
+            keys.push({
+                id: keys.length,
+                row: row,
+                col: col,
+                x: col * 50 + 10,
+                y: row * 50 + 10,
+                width: 45,
+                height: 45,
+                keycode: table.layers[0][index]
+            });
+        }
+
+        return keys;
     }
 
     /**
@@ -313,18 +2304,16 @@ class FirmwareParser {
     /**
      * Extract keys from configuration
      */
-    extractKeys(config) {
+    extractKeys(config, layoutName = null) {
         if (config.keys) return config.keys;
         if (config.layout && config.layout.keys) return config.layout.keys;
         
-        // Handle split keyboard layouts
+        // Handle QMK info.json / keyboard.json layouts
         if (config.layouts) {
-            for (const layoutName in config.layouts) {
-                const layoutConfig = config.layouts[layoutName];
-                if (layoutConfig.layout && Array.isArray(layoutConfig.layout)) {
-                    const isSplit = this.detectSplitKeyboard(config);
-                    return this.generateKeysFromLayout(layoutConfig.layout, isSplit);
-                }
+            const layoutConfig = config.layouts[layoutName || this.resolveLayoutName(config)];
+            if (layoutConfig && Array.isArray(layoutConfig.layout)) {
+                const isSplit = this.detectSplitKeyboard(config);
+                return this.generateKeysFromLayout(layoutConfig.layout, isSplit);
             }
         }
         
@@ -346,6 +2335,137 @@ class FirmwareParser {
         return this.generateKeyPositions(61); // Default 60%
     }
 
+    /**
+     * Pick the LAYOUT_* to render, following layout_aliases; falls back to the first layout
+     */
+    resolveLayoutName(config, requested = null) {
+        const layouts = config.layouts || {};
+        const aliases = config.layout_aliases || {};
+        let name = requested;
+
+        // Aliases may chain (LAYOUT -> LAYOUT_60_ansi -> LAYOUT_all)
+        const visited = new Set();
+        while (name && aliases[name] && !visited.has(name)) {
+            visited.add(name);
+            name = aliases[name];
+        }
+
+        if (name && layouts[name]) return name;
+
+        const available = Object.keys(layouts);
+        return available.length > 0 ? available[0] : null;
+    }
+
+    /**
+     * Collect matrix wiring and feature flags from an info.json / keyboard.json
+     */
+    extractMatrixMetadata(config) {
+        const pins = config.matrix_pins || {};
+        const split = config.split && typeof config.split === 'object' ? config.split : {};
+        const rightPins = split.matrix_pins && split.matrix_pins.right ? split.matrix_pins.right : null;
+
+        return {
+            diodeDirection: config.diode_direction || null,
+            matrixPins: pins.rows || pins.cols ? { rows: pins.rows || [], cols: pins.cols || [] } : null,
+            directPins: pins.direct || null,
+            rightMatrixPins: rightPins,
+            matrixSize: this.getDeclaredMatrixSize(config),
+            features: config.features || {}
+        };
+    }
+
+    /**
+     * Matrix size declared by matrix_size (or a generic config's matrix) or implied by the matrix pins
+     */
+    getDeclaredMatrixSize(config) {
+        if (config.matrix_size) {
+            return { rows: config.matrix_size.rows, cols: config.matrix_size.cols };
+        }
+        if (config.matrix && Number.isInteger(config.matrix.rows) && Number.isInteger(config.matrix.cols)) {
+            return { rows: config.matrix.rows, cols: config.matrix.cols };
+        }
+
+        const pins = config.matrix_pins;
+        if (!pins) return null;
+
+        let rows;
+        let cols;
+        if (pins.direct) {
+            rows = pins.direct.length;
+            cols = Math.max(0, ...pins.direct.map(row => row.length));
+        } else if (pins.rows && pins.cols) {
+            rows = pins.rows.length;
+            cols = pins.cols.length;
+        } else {
+            return null;
+        }
+
+        // Each half of a split keyboard contributes its own set of rows
+        if (this.detectSplitKeyboard(config)) {
+            rows *= 2;
+        }
+
+        return { rows, cols };
+    }
+
+    /**
+     * Check an info.json / keyboard.json layout against its matrix declaration
+     */
+    validateKeyboardConfig(config, layoutName, requestedLayout = null) {
+        const warnings = [];
+        const layouts = config.layouts || {};
+        const aliases = config.layout_aliases || {};
+
+        if (requestedLayout && requestedLayout !== layoutName && aliases[requestedLayout] === undefined && !layouts[requestedLayout]) {
+            warnings.push(`Layout ${requestedLayout} not found, using ${layoutName}`);
+        }
+
+        Object.entries(aliases).forEach(([alias, target]) => {
+            if (!layouts[target] && aliases[target] === undefined) {
+                warnings.push(`Layout alias ${alias} points to missing layout ${target}`);
+            }
+        });
+
+        const pins = config.matrix_pins || {};
+        if (pins.rows && pins.cols && !pins.direct && !config.diode_direction) {
+            warnings.push('matrix_pins declares rows and cols but diode_direction is missing');
+        }
+
+        const split = config.split && typeof config.split === 'object' ? config.split : {};
+        const right = split.matrix_pins && split.matrix_pins.right;
+        if (right && pins.rows && right.rows && right.rows.length !== pins.rows.length) {
+            warnings.push(`Right half declares ${right.rows.length} rows, left half ${pins.rows.length}`);
+        }
+
+        const layoutConfig = layouts[layoutName];
+        if (!layoutConfig || !Array.isArray(layoutConfig.layout)) {
+            return warnings;
+        }
+
+        const size = this.getDeclaredMatrixSize(config);
+        const seen = new Map();
+        layoutConfig.layout.forEach((keyDef, index) => {
+            if (!Array.isArray(keyDef.matrix) || keyDef.matrix.length !== 2) {
+                warnings.push(`${layoutName} key ${index} has no matrix position`);
+                return;
+            }
+
+            const [row, col] = keyDef.matrix;
+            const position = `${row},${col}`;
+            if (seen.has(position)) {
+                warnings.push(`${layoutName} keys ${seen.get(position)} and ${index} share matrix position [${position}]`);
+            } else {
+                seen.set(position, index);
+            }
+
+            if (size && (row < 0 || col < 0 || row >= size.rows || col >= size.cols)) {
+                warnings.push(`${layoutName} key ${index} at [${position}] is outside the ${size.rows}x${size.cols} matrix`);
+            }
+        });
+
+        return warnings;
+    }
+
     /**
      * Extract encoders from configuration
      */
@@ -357,13 +2477,46 @@ class FirmwareParser {
                     id: index,
                     name: encoder.name || `Encoder ${index + 1}`,
                     pins: encoder.pins || [],
-                    steps: encoder.steps || 20
+                    steps: encoder.steps || 20,
+                    resolution: encoder.resolution || 4,
+                    half: encoder.half
                 });
             });
+            return encoders;
         }
+        
+        // info.json: encoder.rotary, then the right half's, which repeat the left's unless given
+        const left = (config.encoder && config.encoder.rotary) || [];
+        const splitEncoder = config.split && config.split.encoder && config.split.encoder.right;
+        const right = splitEncoder && splitEncoder.rotary
+            ? splitEncoder.rotary
+            : (config.split && config.split.enabled ? left : []);
+        [...left.map(rotary => [rotary, 'left']), ...right.map(rotary => [rotary, 'right'])].forEach(([rotary, half], index) => {
+            encoders.push({
+                id: index,
+                name: `Encoder ${index + 1}`,
+                pins: [rotary.pin_a, rotary.pin_b].filter(Boolean),
+                steps: 20,
+                resolution: rotary.resolution || 4,
+                half: config.split && config.split.enabled ? half : undefined
+            });
+        });
         return encoders;
     }
 
+    /**
+     * Encoders for a keymap that maps `count` of them; ones the layout describes are kept
+     */
+    createEncoders(count, known = []) {
+        return Array.from({ length: Math.max(count, known.length) }, (_, index) => known[index] || {
+            id: index,
+            name: `Encoder ${index + 1}`,
+            pins: [],
+            steps: 20,
+            resolution: 4
+        });
+    }
+
     /**
      * Extract trackballs from configuration
      */
@@ -372,11 +2525,17 @@ class FirmwareParser {
         if (config.trackballs || config.pointing_devices) {
             const devices = config.trackballs || config.pointing_devices;
             devices.forEach((device, index) => {
+                const type = device.type || 'trackball';
+                const cpi = device.cpi || this.pointingDeviceCpi[type.split('_')[0]] || 800;
                 trackballs.push({
                     id: index,
                     name: device.name || `Trackball ${index + 1}`,
-                    type: device.type || 'trackball',
-                    sensitivity: device.sensitivity || 1.0
+                    type,
+                    sensitivity: device.sensitivity || 1.0,
+                    cpi,
+                    snipingCpi: device.sniping_cpi || Math.round(cpi / 4),
+                    scrollDivisor: device.scroll_divisor || 64,
+                    half: device.half
                 });
             });
         }
@@ -396,13 +2555,111 @@ class FirmwareParser {
                     name: display.name || `Display ${index + 1}`,
                     type: display.type || 'oled',
                     width: display.width || 128,
-                    height: display.height || 32
+                    height: display.height || 32,
+                    rotation: display.rotation || 0
                 });
             });
         }
         return displays;
     }
 
+    /**
+     * Extract the RGB matrix (per-LED positions and flags) and rgblight underglow strip, or null when neither is usable
+     */
+    extractLighting(config, keys) {
+        const matrixConfig = config.rgb_matrix;
+        const underglowConfig = config.rgblight;
+        if (!matrixConfig && !underglowConfig) return null;
+
+        const keysByPosition = new Map();
+        keys.forEach(key => {
+            if (Number.isInteger(key.row) && Number.isInteger(key.col)) keysByPosition.set(`${key.row},${key.col}`, key.id);
+        });
+
+        let matrix = null;
+        if (matrixConfig && Array.isArray(matrixConfig.layout)) {
+            matrix = {
+                driver: matrixConfig.driver || null,
+                maxBrightness: matrixConfig.max_brightness || 255,
+                splitCount: matrixConfig.split_count || null,
+                defaults: matrixConfig.default || {},
+                // g_led_config: points in a 224x64 space, flags 1 modifier, 2 underglow, 4 key light, 8 indicator
+                leds: matrixConfig.layout.map((led, index) => {
+                    const position = Array.isArray(led.matrix) ? led.matrix : null;
+                    const keyId = position ? keysByPosition.get(`${position[0]},${position[1]}`) : undefined;
+                    return {
+                        index,
+                        x: led.x || 0,
+                        y: led.y || 0,
+                        flags: led.flags !== undefined ? led.flags : 4,
+                        matrix: position,
+                        keyId: keyId === undefined ? null : keyId
+                    };
+                })
+            };
+        }
+
+        let underglow = null;
+        if (underglowConfig && underglowConfig.led_count) {
+            underglow = {
+                driver: underglowConfig.driver || null,
+                count: underglowConfig.led_count,
+                maxBrightness: underglowConfig.max_brightness || 255,
+                splitCount: underglowConfig.split_count || null,
+                defaults: underglowConfig.default || {}
+            };
+        }
+
+        return matrix || underglow ? { matrix, underglow } : null;
+    }
+
+    /**
+     * LED layout problems: lighting sections that cannot be previewed, LEDs on matrix positions without a key,
+     * keys sharing or lacking an LED, split counts that do not add up
+     */
+    validateLighting(config, lighting, keys) {
+        const warnings = [];
+        if (config.rgb_matrix && !(lighting && lighting.matrix)) {
+            warnings.push('rgb_matrix has no layout, so its LEDs are left out of the lighting preview');
+        }
+        if (config.rgblight && !(lighting && lighting.underglow)) {
+            warnings.push('rgblight has no led_count, so the underglow is left out of the lighting preview');
+        }
+        if (!lighting) return warnings;
+
+        const matrix = lighting.matrix;
+
+        if (matrix) {
+            const litKeys = new Map();
+            matrix.leds.forEach(led => {
+                if (led.matrix && led.keyId === null) {
+                    warnings.push(`RGB matrix LED ${led.index} is at matrix [${led.matrix.join(',')}], where the layout has no key`);
+                }
+                if (led.keyId === null) return;
+                if (litKeys.has(led.keyId)) {
+                    warnings.push(`RGB matrix LEDs ${litKeys.get(led.keyId)} and ${led.index} light the same key ${led.keyId}`);
+                } else {
+                    litKeys.set(led.keyId, led.index);
+                }
+            });
+
+            const unlit = keys.filter(key => !litKeys.has(key.id));
+            if (litKeys.size > 0 && unlit.length > 0) {
+                warnings.push(`${unlit.length} key(s) have no RGB matrix LED: ${unlit.map(key => key.id).join(', ')}`);
+            }
+            if (matrix.splitCount && matrix.splitCount.reduce((total, count) => total + count, 0) !== matrix.leds.length) {
+                warnings.push(`rgb_matrix split_count [${matrix.splitCount.join(', ')}] does not add up to its ${matrix.leds.length} LEDs`);
+            }
+        }
+
+        const underglow = lighting.underglow;
+        if (underglow && underglow.splitCount && underglow.splitCount.reduce((total, count) => total + count, 0) !== underglow.count) {
+            warnings.push(`rgblight split_count [${underglow.splitCount.join(', ')}] does not add up to led_count ${underglow.count}`);
+        }
+
+        return warnings;
+    }
+
     /**
      * Extract layers from configuration
      */
@@ -412,7 +2669,8 @@ class FirmwareParser {
             config.layers.forEach((layer, index) => {
                 layers.push({
                     name: layer.name || `Layer ${index}`,
-                    keys: layer.keys || []
+                    keys: layer.keys || [],
+                    encoders: layer.encoders || []
                 });
             });
         }
@@ -420,18 +2678,167 @@ class FirmwareParser {
     }
 
     /**
-     * Parse ZMK bindings
+     * Group devicetree cells into behavior bindings: each `&ref` takes the cells up to the next one
+     */
+    parseZmkBindings(cells) {
+        const bindings = [];
+        cells.forEach(cell => {
+            if (cell.startsWith('&')) {
+                bindings.push({ behavior: cell, params: [] });
+            } else if (bindings.length > 0) {
+                bindings[bindings.length - 1].params.push(cell);
+            } else {
+                throw new Error(`Binding parameter "${cell}" has no behavior`);
+            }
+        });
+        return bindings;
+    }
+
+    /**
+     * Format a ZMK binding back into devicetree syntax
+     */
+    formatZmkBinding(binding) {
+        return [binding.behavior, ...binding.params].join(' ');
+    }
+
+    /**
+     * Turn a layer's `sensor-bindings` into [ccw, cw] binding pairs, one per encoder
+     */
+    parseZmkSensorBindings(cells, tree) {
+        return this.parseZmkBindings(cells).map(binding => {
+            const [cw, ccw] = this.resolveZmkSensorRotate(binding, tree);
+            return [ccw, cw];
+        });
+    }
+
+    /**
+     * Bindings a sensor rotation behavior runs clockwise and counter-clockwise, as [cw, ccw]
+     */
+    resolveZmkSensorRotate(binding, tree) {
+        const node = this.devicetree.findNode(tree, candidate => candidate.label === binding.behavior.slice(1));
+        const compatible = node ? this.devicetree.getString(node, 'compatible') : null;
+
+        // sensor-rotate carries complete bindings; sensor-rotate-var takes its parameters from the sensor binding
+        if (compatible === 'zmk,behavior-sensor-rotate') {
+            return this.parseZmkBindings(this.devicetree.getCells(node, 'bindings'))
+                .slice(0, 2)
+                .map(inner => this.formatZmkBinding(inner));
+        }
+        const behaviors = compatible === 'zmk,behavior-sensor-rotate-var'
+            ? this.parseZmkBindings(this.devicetree.getCells(node, 'bindings')).map(inner => inner.behavior)
+            : this.zmkSensorRotateBehaviors[binding.behavior];
+        if (behaviors) {
+            return behaviors.slice(0, 2).map((behavior, direction) => this.formatZmkBinding({
+                behavior,
+                params: binding.params[direction] !== undefined ? [binding.params[direction]] : []
+            }));
+        }
+
+        // Unknown behavior: it is invoked for both directions
+        const text = this.formatZmkBinding(binding);
+        return [text, text];
+    }
+
+    /**
+     * Children of the `zmk,combos` node: key positions, the binding they trigger, timeout and layers
+     */
+    parseZmkCombos(tree) {
+        const combosNode = this.devicetree.findNode(tree, node => this.devicetree.getString(node, 'compatible') === 'zmk,combos');
+        if (!combosNode) return [];
+
+        return combosNode.children
+            .filter(node => node.properties['key-positions'] && node.properties.bindings)
+            .map((node, index) => {
+                const bindings = this.parseZmkBindings(this.devicetree.getCells(node, 'bindings'));
+                const timeout = this.devicetree.getCells(node, 'timeout-ms');
+                const layers = this.devicetree.getCells(node, 'layers').map(Number);
+                return {
+                    index,
+                    name: node.name,
+                    positions: this.devicetree.getCells(node, 'key-positions').map(Number),
+                    result: bindings.length > 0 ? this.formatZmkBinding(bindings[0]) : '&none',
+                    timeout: timeout.length > 0 ? Number(timeout[0]) : 50,
+                    // Without `layers` a combo works on every layer
+                    layers: layers.length > 0 ? layers : null
+                };
+            });
+    }
+
+    /**
+     * Tapping term and flavor of the built-in `&mt` and `&lt` hold-taps, as overridden by
+     * `&mt { tapping-term-ms = <...>; flavor = "..."; };` overlays
+     */
+    parseZmkHoldTaps(tree) {
+        const holdTaps = {};
+        ['mt', 'lt'].forEach(label => {
+            const node = this.devicetree.findNode(tree, candidate => candidate.label === label);
+            if (!node) return;
+
+            const term = this.devicetree.getCells(node, 'tapping-term-ms');
+            const flavor = this.devicetree.getString(node, 'flavor');
+            holdTaps[`&${label}`] = {
+                tappingTerm: term.length > 0 ? Number(term[0]) : null,
+                flavor: flavor || null
+            };
+        });
+        return holdTaps;
+    }
+
+    /**
+     * `zmk,behavior-tap-dance` nodes; the first binding is the single tap and the second the double tap
+     */
+    parseZmkTapDances(tree) {
+        return this.devicetree.findNodes(tree, node => this.devicetree.getString(node, 'compatible') === 'zmk,behavior-tap-dance')
+            .map((node, index) => {
+                const bindings = this.parseZmkBindings(this.devicetree.getCells(node, 'bindings'))
+                    .map(binding => this.formatZmkBinding(binding));
+                const term = this.devicetree.getCells(node, 'tapping-term-ms');
+                return {
+                    index,
+                    name: `&${node.label || node.name}`,
+                    tap: bindings[0] || '&none',
+                    hold: '&none',
+                    doubleTap: bindings[1] || '&none',
+                    tapHold: '&none',
+                    tappingTerm: term.length > 0 ? Number(term[0]) : 200
+                };
+            });
+    }
+
+    /**
+     * `zmk,behavior-macro` nodes as macro actions; &macro_tap, &macro_press and &macro_release
+     * set how the bindings after them are sent
      */
-    parseZmkBindings(bindingsStr) {
-        const bindings = bindingsStr.trim().split(/\s+/);
-        return bindings.filter(binding => binding.length > 0);
+    parseZmkMacros(tree) {
+        const modes = { '&macro_tap': 'tap', '&macro_press': 'down', '&macro_release': 'up' };
+
+        return this.devicetree.findNodes(tree, node => /^zmk,behavior-macro/.test(this.devicetree.getString(node, 'compatible') || ''))
+            .map((node, index) => {
+                let mode = 'tap';
+                const actions = [];
+                this.parseZmkBindings(this.devicetree.getCells(node, 'bindings')).forEach(binding => {
+                    // &macro_wait_time, &macro_tap_time and &macro_pause_for_release change timing only
+                    if (modes[binding.behavior]) {
+                        mode = modes[binding.behavior];
+                    } else if (!binding.behavior.startsWith('&macro_')) {
+                        actions.push({ type: mode, keys: [this.formatZmkBinding(binding)] });
+                    }
+                });
+                return { index, name: `&${node.label || node.name}`, actions };
+            });
     }
 
     /**
      * Parse QMK keycodes
      */
     parseQmkKeycodes(keysStr) {
-        const keys = keysStr.split(',').map(key => key.trim());
+        // Only top-level commas separate keys: LT(1, KC_SPC) is one keycode
+        const keys = this.preprocessor.splitTopLevel(keysStr, ',').map(key => key
+            .replace(/\s+/g, ' ')
+            .replace(/\(\s*/g, '(')
+            .replace(/\s*\)/g, ')')
+            .replace(/\s*,\s*/g, ', ')
+            .trim());
         return keys.filter(key => key.length > 0);
     }
 
@@ -596,17 +3003,29 @@ class FirmwareParser {
                 half = 'right';
             }
             
-            keys.push({
+            const shift = half === 'right' && isSplit ? splitGap : 0;
+            const key = {
                 id: index,
                 row: keyDef.matrix ? keyDef.matrix[0] : Math.floor(keyDef.y),
                 col: keyDef.matrix ? keyDef.matrix[1] : Math.floor(keyDef.x),
-                x: keyX + (half === 'right' && isSplit ? splitGap : 0),
+                x: keyX + shift,
                 y: keyY,
                 width: (keyDef.w || 1) * 45,
                 height: (keyDef.h || 1) * 45,
                 keycode: keyDef.keycode || 'KC_NO',
                 half: half
-            });
+            };
+            
+            // Thumb clusters turn around (rx, ry), which defaults to the layout's origin
+            if (keyDef.r) {
+                key.rotation = {
+                    angle: keyDef.r,
+                    x: (keyDef.rx || 0) * 50 + 10 + shift,
+                    y: (keyDef.ry || 0) * 50 + 10
+                };
+            }
+            
+            keys.push(key);
         });
         
         return keys;
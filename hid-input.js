@@ -0,0 +1,205 @@
+/**
+ * HID Input - Decodes raw keyboard, consumer and mouse reports into key presses and releases
+ */
+
+class HidInput {
+    constructor(transport, keycodes) {
+        // Anything with open(), close() and onReport/onDisconnect callbacks: WebHidTransport, MockHidTransport
+        this.transport = transport;
+        this.keycodes = keycodes;
+        this.devices = [];
+        this.layouts = new Map(); // "device:reportId" -> { fields, bits }
+        this.pressed = new Map(); // "device:reportId" -> Map of input ID -> event held in that report
+        this.reportCount = 0;
+        this.onEvent = null;
+        this.onDisconnect = null;
+    }
+
+    /**
+     * Open the transport and read the report layouts of every interface it exposes
+     */
+    async open() {
+        this.transport.onReport = (device, reportId, data, time) => this.handleReport(device, reportId, data, time);
+        this.transport.onDisconnect = () => this.handleDisconnect();
+
+        this.devices = await this.transport.open();
+        this.layouts = new Map();
+        this.pressed = new Map();
+        this.devices.forEach((device, index) => {
+            this.collectLayouts(index, device.collections || []);
+        });
+
+        return this.devices;
+    }
+
+    /**
+     * Release everything still held and close the transport
+     */
+    async close() {
+        this.releaseAll(performance.now());
+        await this.transport.close();
+    }
+
+    /**
+     * Walk the collection tree in descriptor order, laying out each input report's fields
+     * bit by bit; constant (padding) items only advance the offset
+     */
+    collectLayouts(device, collections) {
+        collections.forEach(collection => {
+            (collection.inputReports || []).forEach(report => {
+                const id = `${device}:${report.reportId}`;
+                if (!this.layouts.has(id)) this.layouts.set(id, { fields: [], bits: 0 });
+                const layout = this.layouts.get(id);
+
+                report.items.forEach(item => {
+                    if (!item.isConstant) {
+                        layout.fields.push({
+                            offset: layout.bits,
+                            size: item.reportSize,
+                            count: item.reportCount,
+                            isArray: item.isArray,
+                            isAbsolute: item.isAbsolute,
+                            isRange: item.isRange,
+                            usages: item.usages || [],
+                            usageMinimum: item.usageMinimum,
+                            logicalMinimum: item.logicalMinimum,
+                            logicalMaximum: item.logicalMaximum
+                        });
+                    }
+                    layout.bits += item.reportSize * item.reportCount;
+                });
+            });
+            this.collectLayouts(device, collection.children || []);
+        });
+    }
+
+    /**
+     * Decode one input report and emit presses and releases for what changed since the last one
+     */
+    handleReport(device, reportId, data, time) {
+        const id = `${device}:${reportId}`;
+        const layout = this.layouts.get(id);
+        if (!layout) return;
+        this.reportCount++;
+
+        const decoded = this.decodeReport(layout, data);
+        if (decoded.rolloverError) {
+            // Per the HID spec the whole report is invalid; the previous state stands
+            this.emit({ type: 'rollover-error', device, reportId, time });
+            return;
+        }
+
+        const previous = this.pressed.get(id) || new Map();
+        previous.forEach((input, inputId) => {
+            if (!decoded.inputs.has(inputId)) this.emit({ ...input, type: 'release', time });
+        });
+        decoded.inputs.forEach((input, inputId) => {
+            if (!previous.has(inputId)) this.emit({ ...input, type: 'press', time });
+        });
+        this.pressed.set(id, decoded.inputs);
+    }
+
+    /**
+     * Inputs active in a report: keys and buttons by usage, relative axes by usage and direction
+     */
+    decodeReport(layout, data) {
+        const inputs = new Map();
+        let rolloverError = false;
+
+        const add = (usage, direction = '') => {
+            const page = usage >>> 16;
+            const id = usage & 0xFFFF;
+            const inputId = `${this.keycodes.formatHidUsage(page, id)}${direction}`;
+            inputs.set(inputId, {
+                id: inputId,
+                page,
+                usage: id,
+                direction,
+                code: this.keycodes.hidUsageToEventCode(page, id, direction) || null
+            });
+        };
+
+        layout.fields.forEach(field => {
+            const signed = field.logicalMinimum < 0;
+            for (let i = 0; i < field.count; i++) {
+                const value = this.readBits(data, field.offset + i * field.size, field.size, signed);
+
+                if (field.isArray) {
+                    const usage = this.arrayUsage(field, value);
+                    if (usage === null) continue;
+                    // Keyboard page 0x01-0x03: ErrorRollOver, POSTFail, ErrorUndefined
+                    if (usage >>> 16 === 0x07 && (usage & 0xFFFF) <= 0x03) {
+                        rolloverError = true;
+                    } else {
+                        add(usage);
+                    }
+                    continue;
+                }
+
+                const usage = field.isRange
+                    ? field.usageMinimum + i
+                    : field.usages[Math.min(i, field.usages.length - 1)];
+                if (usage === undefined || value === 0) continue;
+
+                if (field.isAbsolute || field.size === 1) {
+                    add(usage);
+                } else {
+                    add(usage, value > 0 ? '+' : '-');
+                }
+            }
+        });
+
+        return { inputs, rolloverError };
+    }
+
+    /**
+     * Usage selected by an array field value, or null for "no key"
+     */
+    arrayUsage(field, value) {
+        if (value < field.logicalMinimum || value > field.logicalMaximum) return null;
+
+        const index = value - field.logicalMinimum;
+        const usage = field.isRange ? field.usageMinimum + index : field.usages[index];
+        if (usage === undefined || (usage & 0xFFFF) === 0) return null;
+        return usage;
+    }
+
+    /**
+     * Read a little-endian bit field from a report
+     */
+    readBits(data, offset, size, signed) {
+        let value = 0;
+        for (let bit = 0; bit < size; bit++) {
+            const byte = (offset + bit) >> 3;
+            if (byte >= data.byteLength) break;
+            if ((data.getUint8(byte) >> ((offset + bit) & 7)) & 1) value += 2 ** bit;
+        }
+        if (signed && value >= 2 ** (size - 1)) value -= 2 ** size;
+        return value;
+    }
+
+    /**
+     * Emit releases for every input still held
+     */
+    releaseAll(time) {
+        this.pressed.forEach(inputs => {
+            inputs.forEach(input => this.emit({ ...input, type: 'release', time }));
+        });
+        this.pressed.clear();
+    }
+
+    /**
+     * Device unplugged or closed by the browser
+     */
+    handleDisconnect() {
+        this.releaseAll(performance.now());
+        if (this.onDisconnect) this.onDisconnect();
+    }
+
+    /**
+     * Pass an event to the listener
+     */
+    emit(event) {
+        if (this.onEvent) this.onEvent(event);
+    }
+}
\ No newline at end of file
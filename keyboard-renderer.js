@@ -7,11 +7,37 @@ class KeyboardRenderer {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.keys = [];
-        this.keyStates = new Map(); // key_id -> state (untested, tested, pressed)
+        this.keyStates = new Map(); // key_id -> state (untested, tested, pressed, repeating, chatter, stuck)
+        this.layers = [];
+        this.activeLayers = [0]; // ascending; the last entry is the top layer
+        this.keyIndex = new Map(); // key_id -> position in layer key lists
+        this.simulator = null;
+        this.simulationTimer = null;
+        this.lastReports = new Map(); // key_id -> latest simulator report for that key
+        this.heldKey = null;
+        this.switchMonitor = new SwitchMonitor();
+        this.guideKeys = new Set(); // keys outlined as the next thing to press
+        this.highlights = new Map(); // key_id -> tint color, e.g. keys changed in a keymap diff
+        this.editMode = false; // clicks select keys for the keymap editor instead of pressing them
+        this.selectedKey = null;
         this.showLabels = true;
+        this.lighting = null; // LED layout from the firmware, see FirmwareParser.extractLighting
+        this.ledColors = null; // { matrix, underglow } colors from the lighting preview, or null when it is off
+        this.showLedNumbers = false;
+        this.combos = []; // combos with their key positions, drawn as links between their keys
+        this.showCombos = true;
         this.scale = 1;
         this.offsetX = 0;
         this.offsetY = 0;
+        this.width = canvas.width; // drawing size in CSS pixels; the backing store is pixelRatio times larger
+        this.height = canvas.height;
+        this.pixelRatio = 1;
+        this.bounds = null; // layout-space box around all keys
+        this.fitMode = 'fit'; // 'fit', 'width', or null once zoomed or panned by hand
+        this.minScale = 0.2;
+        this.maxScale = 5;
+        this.maxFitScale = 2; // fitting a macropad should not blow its keys up to full zoom
+        this.panStart = null;
         
         // Colors
         this.colors = {
@@ -23,11 +49,42 @@ class KeyboardRenderer {
             testedBorder: '#28a745',
             pressedBorder: '#dc3545',
             hoverBorder: '#ffc107',
+            repeating: '#cfe2ff',
+            repeatingBorder: '#0d6efd',
+            chatter: '#ffe5d0',
+            chatterBorder: '#fd7e14',
+            stuck: '#e2d9f3',
+            stuckBorder: '#6f42c1',
+            guide: '#0dcaf0',
+            selected: '#d63384',
+            highlight: '#ffeb3b',
+            combo: '#6610f2',
+            comboFired: '#20c997',
             text: '#333',
+            transparentText: '#8a9199',
+            transparentBorder: '#adb5bd',
             background: '#f8f9fa'
         };
         
         this.setupEventListeners();
+        this.updatePixelRatio();
+    }
+
+    /**
+     * Size the backing store for the display's pixel density, so keys stay sharp on HiDPI screens;
+     * runs again whenever the density changes (browser zoom, moving to another monitor)
+     */
+    updatePixelRatio() {
+        this.pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        this.canvas.style.width = `${this.width}px`;
+        
+        if (typeof window !== 'undefined' && window.matchMedia) {
+            window.matchMedia(`(resolution: ${this.pixelRatio}dppx)`)
+                .addEventListener('change', () => this.updatePixelRatio(), { once: true });
+        }
+        this.render();
     }
 
     /**
@@ -35,7 +92,32 @@ class KeyboardRenderer {
      */
     initializeKeyboard(firmwareData) {
         this.keys = firmwareData.keys || [];
+        this.layers = firmwareData.layers || [];
+        this.activeLayers = [0];
         this.keyStates.clear();
+        this.switchMonitor.reset();
+        this.guideKeys.clear();
+        this.highlights.clear();
+        this.selectedKey = null;
+        this.lighting = firmwareData.lighting || null;
+        this.ledColors = null;
+        this.combos = firmwareData.combos || [];
+        this.keyIndex = new Map(this.keys.map((key, index) => [key.id, index]));
+        if (!this.fitMode) this.fitMode = 'fit';
+        
+        // Boards without layer data simulate their base keycodes as a single layer
+        const simulatedLayers = this.layers.length > 0
+            ? this.layers
+            : [{ name: 'Base', keys: this.keys.map(key => key.keycode || 'KC_NO') }];
+        this.simulator = new BehaviorSimulator(simulatedLayers, {
+            tappingTerm: (firmwareData.metadata && firmwareData.metadata.tappingTerm) || 200,
+            tappingToggle: firmwareData.metadata && firmwareData.metadata.tappingToggle,
+            holdTaps: firmwareData.metadata && firmwareData.metadata.holdTaps,
+            combos: this.combos,
+            tapDances: firmwareData.tapDances || []
+        });
+        this.lastReports.clear();
+        clearTimeout(this.simulationTimer);
         
         // Initialize all keys as untested
         this.keys.forEach(key => {
@@ -47,46 +129,153 @@ class KeyboardRenderer {
         
         return {
             totalKeys: this.keys.length,
+            totalLayers: this.layers.length,
             layout: firmwareData.layout
         };
     }
 
     /**
-     * Calculate keyboard bounds and set appropriate scale
+     * Calculate keyboard bounds and fit them to the canvas
      */
     calculateBounds() {
-        if (this.keys.length === 0) return;
+        if (this.keys.length === 0) {
+            this.bounds = null;
+            return;
+        }
         
         let minX = Infinity, minY = Infinity;
         let maxX = -Infinity, maxY = -Infinity;
         
+        // Rotated keys reach past their unrotated box, so measure every corner
         this.keys.forEach(key => {
-            minX = Math.min(minX, key.x);
-            minY = Math.min(minY, key.y);
-            maxX = Math.max(maxX, key.x + key.width);
-            maxY = Math.max(maxY, key.y + key.height);
+            this.getKeyCorners(key).forEach(corner => {
+                minX = Math.min(minX, corner.x);
+                minY = Math.min(minY, corner.y);
+                maxX = Math.max(maxX, corner.x);
+                maxY = Math.max(maxY, corner.y);
+            });
         });
         
-        const keyboardWidth = maxX - minX;
-        const keyboardHeight = maxY - minY;
+        this.bounds = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+        this.applyFit();
+    }
+
+    /**
+     * Scale and center the keyboard for the current fit mode; a hand-set view is left alone
+     */
+    applyFit() {
+        if (!this.bounds || !this.fitMode) return;
         
-        // Calculate scale to fit canvas
-        const scaleX = (this.canvas.width - 40) / keyboardWidth;
-        const scaleY = (this.canvas.height - 40) / keyboardHeight;
-        this.scale = Math.min(scaleX, scaleY, 1); // Don't scale up beyond 1
+        const { x, y, width, height } = this.bounds;
+        const margin = 20;
+        const scaleX = (this.width - margin * 2) / width;
+        const scaleY = (this.height - margin * 2) / height;
+        const scale = this.fitMode === 'width' ? scaleX : Math.min(scaleX, scaleY);
+        this.scale = Math.min(Math.max(scale, this.minScale), this.maxFitScale);
         
-        // Center the keyboard
-        this.offsetX = (this.canvas.width - keyboardWidth * this.scale) / 2 - minX * this.scale;
-        this.offsetY = (this.canvas.height - keyboardHeight * this.scale) / 2 - minY * this.scale;
+        // Center the keyboard; a fitted width taller than the canvas starts at the top and pans down
+        this.offsetX = (this.width - width * this.scale) / 2 - x * this.scale;
+        this.offsetY = Math.max(margin, (this.height - height * this.scale) / 2) - y * this.scale;
+    }
+
+    /**
+     * Fit the whole keyboard ('fit') or its width ('width') to the canvas
+     */
+    fitView(mode = 'fit') {
+        this.fitMode = mode;
+        this.applyFit();
+        this.render();
+    }
+
+    /**
+     * Zoom by `factor` around a canvas point, keeping the layout under it in place
+     */
+    zoomAt(factor, x = this.width / 2, y = this.height / 2) {
+        const scale = Math.min(Math.max(this.scale * factor, this.minScale), this.maxScale);
+        this.offsetX = x - (x - this.offsetX) * scale / this.scale;
+        this.offsetY = y - (y - this.offsetY) * scale / this.scale;
+        this.scale = scale;
+        this.fitMode = null;
+        this.render();
+    }
+
+    /**
+     * Move the view by a distance in canvas pixels
+     */
+    panBy(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+        this.fitMode = null;
+        this.render();
+    }
+
+    /**
+     * Rectangles making up a key in layout coordinates, before rotation: the key itself and, for
+     * ISO Enter, big-ass Enter and stepped caps, a second one offset from the key's corner
+     */
+    getKeyRects(key) {
+        const rects = [{ x: key.x, y: key.y, width: key.width, height: key.height }];
+        if (key.secondary) {
+            rects.push({
+                x: key.x + key.secondary.x,
+                y: key.y + key.secondary.y,
+                width: key.secondary.width,
+                height: key.secondary.height
+            });
+        }
+        return rects;
+    }
+
+    /**
+     * Turn a layout point around the key's rotation origin; direction -1 undoes the rotation
+     */
+    rotatePoint(key, x, y, direction = 1) {
+        if (!key.rotation || !key.rotation.angle) return { x, y };
+        
+        const radians = key.rotation.angle * Math.PI / 180 * direction;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const dx = x - key.rotation.x;
+        const dy = y - key.rotation.y;
+        return {
+            x: key.rotation.x + dx * cos - dy * sin,
+            y: key.rotation.y + dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Corners of every key rectangle after rotation, in layout coordinates
+     */
+    getKeyCorners(key) {
+        const corners = [];
+        this.getKeyRects(key).forEach(rect => {
+            [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(([fx, fy]) => {
+                corners.push(this.rotatePoint(key, rect.x + rect.width * fx, rect.y + rect.height * fy));
+            });
+        });
+        return corners;
+    }
+
+    /**
+     * Whether a layout point lies on the key, rotation and second rectangle included
+     */
+    containsPoint(key, x, y) {
+        const point = this.rotatePoint(key, x, y, -1);
+        return this.getKeyRects(key).some(rect =>
+            point.x >= rect.x && point.x <= rect.x + rect.width &&
+            point.y >= rect.y && point.y <= rect.y + rect.height);
     }
 
     /**
      * Render the keyboard
      */
     render() {
+        // Draw in CSS pixels on the denser backing store
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        
         // Clear canvas
         this.ctx.fillStyle = this.colors.background;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.width, this.height);
         
         if (this.keys.length === 0) {
             this.renderPlaceholder();
@@ -97,6 +286,178 @@ class KeyboardRenderer {
         this.keys.forEach(key => {
             this.renderKey(key);
         });
+        
+        if (this.showCombos && this.combos.length > 0) {
+            this.renderCombos();
+        }
+        
+        if (this.lighting && (this.ledColors || this.showLedNumbers)) {
+            this.renderLeds();
+        }
+    }
+
+    /**
+     * Draw each combo as lines from its keys to a tag with its result; combos that are down light up
+     */
+    renderCombos() {
+        const fired = new Set(this.simulator ? this.simulator.activeCombos.map(entry => entry.combo) : []);
+        const fontSize = Math.max(8, Math.round(10 * this.scale));
+        
+        this.ctx.save();
+        this.ctx.font = `bold ${fontSize}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.combos.forEach(combo => {
+            const points = combo.positions
+                .map(position => this.keys[position])
+                .filter(key => key)
+                .map(key => {
+                    const center = this.rotatePoint(key, key.x + key.width / 2, key.y + key.height / 2);
+                    return { x: center.x * this.scale + this.offsetX, y: center.y * this.scale + this.offsetY };
+                });
+            if (points.length < 2) return;
+            
+            const hub = {
+                x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+            };
+            const color = fired.has(combo) ? this.colors.comboFired : this.colors.combo;
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = fired.has(combo) ? 3 : 1.5;
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.beginPath();
+            points.forEach(point => {
+                this.ctx.moveTo(hub.x, hub.y);
+                this.ctx.lineTo(point.x, point.y);
+            });
+            this.ctx.stroke();
+            this.ctx.globalAlpha = 1;
+            
+            const label = this.formatKeycode(combo.result);
+            const width = this.ctx.measureText(label).width + fontSize;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(hub.x - width / 2, hub.y - fontSize * 0.75, width, fontSize * 1.5);
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText(label, hub.x, hub.y);
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Show or hide the combo links
+     */
+    setShowCombos(show) {
+        this.showCombos = show;
+        this.render();
+    }
+
+    /**
+     * Draw every LED as a dot in its current color (a ring while off), numbered on request
+     */
+    renderLeds() {
+        const colors = this.ledColors || { matrix: [], underglow: [] };
+        const leds = this.getLedPoints();
+        const radius = Math.max(2, 5 * this.scale);
+        
+        this.ctx.save();
+        this.ctx.font = `${Math.max(8, Math.round(9 * this.scale))}px Arial`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        leds.forEach(led => {
+            const x = led.x * this.scale + this.offsetX;
+            const y = led.y * this.scale + this.offsetY;
+            const color = colors[led.group][led.index];
+            
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            if (color && color.r + color.g + color.b > 0) {
+                this.ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+                this.ctx.shadowColor = this.ctx.fillStyle;
+                this.ctx.shadowBlur = radius * 2;
+                this.ctx.fill();
+                this.ctx.shadowBlur = 0;
+            } else {
+                this.ctx.strokeStyle = this.colors.border;
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+            }
+            
+            if (this.showLedNumbers) {
+                this.ctx.fillStyle = this.colors.text;
+                this.ctx.fillText(led.group === 'underglow' ? `U${led.index}` : String(led.index), x + radius + 2, y);
+            }
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Layout positions of the LEDs: per-key LEDs near the top of their key, other matrix LEDs placed
+     * from their 224x64 point, underglow spread evenly around the board (each half on its own)
+     */
+    getLedPoints() {
+        const points = [];
+        const bounds = this.bounds;
+        if (!bounds) return points;
+        
+        const matrix = this.lighting.matrix;
+        if (matrix) {
+            const keysById = new Map(this.keys.map(key => [key.id, key]));
+            matrix.leds.forEach(led => {
+                const key = keysById.get(led.keyId);
+                const point = key
+                    ? this.rotatePoint(key, key.x + key.width / 2, key.y + key.height * 0.22)
+                    : { x: bounds.x + led.x / 224 * bounds.width, y: bounds.y + led.y / 64 * bounds.height };
+                points.push({ group: 'matrix', index: led.index, ...point });
+            });
+        }
+        
+        const underglow = this.lighting.underglow;
+        if (underglow) {
+            const left = this.keys.filter(key => key.half === 'left');
+            const right = this.keys.filter(key => key.half === 'right');
+            const sections = underglow.splitCount && left.length > 0 && right.length > 0
+                ? [[left, underglow.splitCount[0]], [right, underglow.splitCount[1]]]
+                : [[this.keys, underglow.count]];
+            
+            let index = 0;
+            sections.forEach(([keys, count]) => {
+                this.getPerimeterPoints(keys, count).forEach(point => {
+                    if (index < underglow.count) points.push({ group: 'underglow', index: index++, ...point });
+                });
+            });
+        }
+        return points;
+    }
+
+    /**
+     * `count` points spaced evenly clockwise around the box of some keys, starting at its top-left corner
+     */
+    getPerimeterPoints(keys, count) {
+        const corners = keys.flatMap(key => this.getKeyCorners(key));
+        const minX = Math.min(...corners.map(corner => corner.x));
+        const minY = Math.min(...corners.map(corner => corner.y));
+        const width = Math.max(...corners.map(corner => corner.x)) - minX;
+        const height = Math.max(...corners.map(corner => corner.y)) - minY;
+        const perimeter = 2 * (width + height);
+        
+        return Array.from({ length: count }, (_, index) => {
+            let distance = (index + 0.5) * perimeter / count;
+            if (distance < width) return { x: minX + distance, y: minY };
+            distance -= width;
+            if (distance < height) return { x: minX + width, y: minY + distance };
+            distance -= height;
+            if (distance < width) return { x: minX + width - distance, y: minY + height };
+            return { x: minX, y: minY + height - (distance - width) };
+        });
+    }
+
+    /**
+     * Show LED colors from the lighting preview; null turns the overlay off
+     */
+    setLedColors(colors) {
+        this.ledColors = colors;
+        this.render();
     }
 
     /**
@@ -109,8 +470,8 @@ class KeyboardRenderer {
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText(
             'Upload firmware to see keyboard layout',
-            this.canvas.width / 2,
-            this.canvas.height / 2
+            this.width / 2,
+            this.height / 2
         );
     }
 
@@ -118,26 +479,113 @@ class KeyboardRenderer {
      * Render a single key
      */
     renderKey(key) {
-        const x = key.x * this.scale + this.offsetX;
-        const y = key.y * this.scale + this.offsetY;
-        const width = key.width * this.scale;
-        const height = key.height * this.scale;
+        const rects = this.getKeyRects(key).map(rect => ({
+            x: rect.x * this.scale + this.offsetX,
+            y: rect.y * this.scale + this.offsetY,
+            width: rect.width * this.scale,
+            height: rect.height * this.scale
+        }));
+        const { x, y, width, height } = rects[0];
         
         const state = this.keyStates.get(key.id) || 'untested';
+        const resolved = this.resolveKeycode(key);
         
-        // Key background
+        // Rotated keys are drawn in a canvas turned around their rotation origin
+        this.ctx.save();
+        if (key.rotation && key.rotation.angle) {
+            const originX = key.rotation.x * this.scale + this.offsetX;
+            const originY = key.rotation.y * this.scale + this.offsetY;
+            this.ctx.translate(originX, originY);
+            this.ctx.rotate(key.rotation.angle * Math.PI / 180);
+            this.ctx.translate(-originX, -originY);
+        }
+        
+        // Key background; both rectangles go in one path so their overlap is painted once
+        this.traceRects(rects, 0);
         this.ctx.fillStyle = this.colors[state];
-        this.ctx.fillRect(x, y, width, height);
+        this.ctx.fill();
         
-        // Key border
-        this.ctx.strokeStyle = this.getBorderColor(state);
+        // Highlights tint the key without hiding its test state
+        if (this.highlights.has(key.id)) {
+            this.ctx.globalAlpha = 0.5;
+            this.ctx.fillStyle = this.highlights.get(key.id);
+            this.ctx.fill();
+            this.ctx.globalAlpha = 1;
+        }
+        
+        // Key border; transparent keys are dashed so the fall-through is visible
+        this.ctx.strokeStyle = resolved.transparent && state === 'untested'
+            ? this.colors.transparentBorder
+            : this.getBorderColor(state);
         this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(x, y, width, height);
+        if (resolved.transparent) this.ctx.setLineDash([4, 3]);
+        this.strokeOutline(rects, 0);
+        this.ctx.setLineDash([]);
+        
+        // Stepped caps show the raised step inside the key
+        if (key.stepped && rects.length > 1) {
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(rects[1].x + 3, rects[1].y + 3, rects[1].width - 6, rects[1].height - 6);
+        }
+        
+        // Guided keys get a second, inner outline that survives every state color
+        if (this.guideKeys.has(key.id)) {
+            this.ctx.strokeStyle = this.colors.guide;
+            this.ctx.lineWidth = 3;
+            this.strokeOutline(rects, 4);
+        }
+        
+        // The key open in the keymap editor is framed outside its border
+        if (this.selectedKey === key.id) {
+            this.ctx.strokeStyle = this.colors.selected;
+            this.ctx.lineWidth = 3;
+            this.strokeOutline(rects, -3);
+        }
         
         // Key label
         if (this.showLabels && width > 20 && height > 20) {
-            this.renderKeyLabel(key, x, y, width, height);
+            this.renderKeyLabel(key, x, y, width, height, resolved);
+        }
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Start a path of the rectangles, shrunk by `inset` on every side (negative grows them)
+     */
+    traceRects(rects, inset) {
+        this.ctx.beginPath();
+        rects.forEach(rect => {
+            this.ctx.rect(rect.x + inset, rect.y + inset, rect.width - inset * 2, rect.height - inset * 2);
+        });
+    }
+
+    /**
+     * Stroke the outline of the union of the rectangles: each one is stroked with the inside
+     * of the others clipped away, so no border runs across the key face
+     */
+    strokeOutline(rects, inset) {
+        if (rects.length === 1) {
+            this.traceRects(rects, inset);
+            this.ctx.stroke();
+            return;
         }
+        
+        const halfLine = this.ctx.lineWidth / 2;
+        rects.forEach((rect, index) => {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(-1e5, -1e5, 2e5, 2e5);
+            rects.forEach((other, otherIndex) => {
+                if (otherIndex === index) return;
+                const edge = inset + halfLine;
+                this.ctx.rect(other.x + edge, other.y + edge, other.width - edge * 2, other.height - edge * 2);
+            });
+            this.ctx.clip('evenodd');
+            this.traceRects([rect], inset);
+            this.ctx.stroke();
+            this.ctx.restore();
+        });
     }
 
     /**
@@ -148,6 +596,9 @@ class KeyboardRenderer {
             case 'tested': return this.colors.testedBorder;
             case 'pressed': return this.colors.pressedBorder;
             case 'hover': return this.colors.hoverBorder;
+            case 'repeating': return this.colors.repeatingBorder;
+            case 'chatter': return this.colors.chatterBorder;
+            case 'stuck': return this.colors.stuckBorder;
             default: return this.colors.border;
         }
     }
@@ -155,8 +606,8 @@ class KeyboardRenderer {
     /**
      * Render key label
      */
-    renderKeyLabel(key, x, y, width, height) {
-        this.ctx.fillStyle = this.colors.text;
+    renderKeyLabel(key, x, y, width, height, resolved = this.resolveKeycode(key)) {
+        this.ctx.fillStyle = resolved.transparent ? this.colors.transparentText : this.colors.text;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         
@@ -164,20 +615,101 @@ class KeyboardRenderer {
         const fontSize = Math.min(width / 3, height / 3, 14);
         this.ctx.font = `${fontSize}px Arial`;
         
-        // Draw key ID or keycode
-        const label = key.keycode && key.keycode !== 'KC_NO' 
-            ? this.formatKeycode(key.keycode)
-            : key.id.toString();
+        // Draw keycode, then legend (e.g. from KLE), then key ID
+        const keycode = resolved.keycode;
+        const label = keycode && keycode !== 'KC_NO' && !this.isTransparent(keycode)
+            ? this.formatKeycode(keycode)
+            : (key.label || key.id.toString());
             
         this.ctx.fillText(label, x + width / 2, y + height / 2);
     }
 
+    /**
+     * Switch the top layer; the default layer stays active underneath
+     */
+    setActiveLayer(index) {
+        const layer = Math.max(0, Math.min(index, this.layers.length - 1));
+        const layers = layer > 0 ? [0, layer] : [0];
+        if (this.simulator) this.simulator.setLayerState(layers);
+        this.setLayerState(layers);
+        return layer;
+    }
+
+    /**
+     * Set every active layer at once, e.g. while a momentary layer is held on top of a toggled one
+     */
+    setLayerState(layers) {
+        this.activeLayers = Array.from(new Set(layers))
+            .filter(index => index >= 0 && index < Math.max(this.layers.length, 1))
+            .sort((a, b) => a - b);
+        if (this.activeLayers.length === 0) this.activeLayers = [0];
+        this.render();
+        
+        this.canvas.dispatchEvent(new CustomEvent('layerChanged', {
+            detail: { layer: this.getActiveLayer(), activeLayers: this.activeLayers.slice() }
+        }));
+    }
+
+    /**
+     * Highest active layer
+     */
+    getActiveLayer() {
+        return this.activeLayers[this.activeLayers.length - 1];
+    }
+
+    /**
+     * Keycode a key sends on a layer state (the current one by default), following transparent keys downwards
+     */
+    resolveKeycode(key, activeLayers = this.activeLayers) {
+        if (this.layers.length === 0) {
+            return { keycode: key.keycode, layer: 0, transparent: false };
+        }
+        
+        const position = this.keyIndex.get(key.id);
+        const top = activeLayers[activeLayers.length - 1];
+        for (let i = activeLayers.length - 1; i >= 0; i--) {
+            const layer = this.layers[activeLayers[i]];
+            const keycode = layer && layer.keys[position];
+            if (keycode !== undefined && !this.isTransparent(keycode)) {
+                return { keycode, layer: activeLayers[i], transparent: activeLayers[i] !== top };
+            }
+        }
+        
+        // Transparent all the way down
+        const own = this.layers[top] ? this.layers[top].keys[position] : undefined;
+        return { keycode: own || key.keycode, layer: top, transparent: top > 0 };
+    }
+
+    /**
+     * Keycode an encoder sends turning one way ('cw' or 'ccw'), following transparent mappings downwards
+     */
+    resolveEncoderKeycode(encoderIndex, direction, activeLayers = this.activeLayers) {
+        const side = direction === 'cw' ? 1 : 0;
+        const top = activeLayers[activeLayers.length - 1];
+        for (let i = activeLayers.length - 1; i >= 0; i--) {
+            const layer = this.layers[activeLayers[i]];
+            const pair = layer && layer.encoders ? layer.encoders[encoderIndex] : null;
+            const keycode = pair ? pair[side] : null;
+            if (keycode && !this.isTransparent(keycode)) {
+                return { keycode, layer: activeLayers[i], transparent: activeLayers[i] !== top };
+            }
+        }
+        return { keycode: null, layer: top, transparent: false };
+    }
+
+    /**
+     * Check for transparent keycodes in QMK and ZMK notation
+     */
+    isTransparent(keycode) {
+        return ['KC_TRNS', 'KC_TRANSPARENT', '_______', '&trans'].includes(keycode);
+    }
+
     /**
      * Format keycode for display
      */
     formatKeycode(keycode) {
-        // Remove common prefixes
-        let formatted = keycode.replace(/^KC_/, '');
+        // Remove common prefixes (QMK KC_, ZMK plain key presses)
+        let formatted = keycode.replace(/^KC_/, '').replace(/^&kp /, '');
         
         // Handle special cases
         const specialKeys = {
@@ -206,11 +738,14 @@ class KeyboardRenderer {
     setupEventListeners() {
         let hoveredKey = null;
         
-        // Mouse move for hover effects
+        // Mouse move for hover effects, or panning while dragging the background
         this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+            const { x, y } = this.getCanvasPoint(e);
+            if (this.panStart) {
+                this.panBy(x - this.panStart.x, y - this.panStart.y);
+                this.panStart = { x, y };
+                return;
+            }
             
             const key = this.getKeyAtPosition(x, y);
             
@@ -232,6 +767,11 @@ class KeyboardRenderer {
         
         // Mouse leave to clear hover
         this.canvas.addEventListener('mouseleave', () => {
+            this.endPan();
+            if (this.heldKey) {
+                this.releaseKey(this.heldKey);
+                this.heldKey = null;
+            }
             if (hoveredKey && this.keyStates.get(hoveredKey.id) === 'hover') {
                 this.keyStates.set(hoveredKey.id, 'untested');
                 hoveredKey = null;
@@ -239,33 +779,94 @@ class KeyboardRenderer {
             }
         });
         
-        // Mouse click for key testing
-        this.canvas.addEventListener('click', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+        // Mouse down/up press and release keys, so holding a key past the tapping term holds it
+        this.canvas.addEventListener('mousedown', (e) => {
+            const { x, y } = this.getCanvasPoint(e);
             
             const key = this.getKeyAtPosition(x, y);
-            if (key) {
-                this.testKey(key);
+            if (key && this.editMode) {
+                this.selectKey(key.id);
+            } else if (key) {
+                this.heldKey = key;
+                this.pressKey(key);
+            } else if (this.keys.length > 0) {
+                this.panStart = { x, y };
+                this.canvas.style.cursor = 'grabbing';
             }
         });
+        
+        this.canvas.addEventListener('mouseup', () => {
+            this.endPan();
+            if (this.heldKey) {
+                this.releaseKey(this.heldKey);
+                this.heldKey = null;
+            }
+        });
+        
+        // Wheel zooms around the pointer; trackpad pinches arrive as wheel events with ctrlKey set
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.keys.length === 0) return;
+            e.preventDefault();
+            
+            const { x, y } = this.getCanvasPoint(e);
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Firefox may count lines
+            this.zoomAt(Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.0015)), x, y);
+        }, { passive: false });
+        
+        // Two-finger pinch zooms and pans on touch screens
+        let pinch = null;
+        const pinchState = (touches) => {
+            const a = this.getCanvasPoint(touches[0]);
+            const b = this.getCanvasPoint(touches[1]);
+            return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+        };
+        this.canvas.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2) pinch = pinchState(e.touches);
+        });
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (!pinch || e.touches.length !== 2) return;
+            e.preventDefault();
+            
+            const next = pinchState(e.touches);
+            this.panBy(next.x - pinch.x, next.y - pinch.y);
+            if (pinch.distance > 0) this.zoomAt(next.distance / pinch.distance, next.x, next.y);
+            pinch = next;
+        }, { passive: false });
+        this.canvas.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) pinch = null;
+        });
     }
 
     /**
-     * Get key at specific canvas position
+     * Pointer position in canvas CSS pixels, also when the page shrinks the canvas to fit the screen
+     */
+    getCanvasPoint(e) {
+        // clientLeft/clientWidth leave out the canvas border
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left - (this.canvas.clientLeft || 0)) * this.width / (this.canvas.clientWidth || this.width),
+            y: (e.clientY - rect.top - (this.canvas.clientTop || 0)) * this.height / (this.canvas.clientHeight || this.height)
+        };
+    }
+
+    /**
+     * Stop a background drag
+     */
+    endPan() {
+        if (!this.panStart) return;
+        this.panStart = null;
+        this.canvas.style.cursor = '';
+    }
+
+    /**
+     * Get key at a canvas position in CSS pixels, at any zoom level
      */
     getKeyAtPosition(x, y) {
-        for (const key of this.keys) {
-            const keyX = key.x * this.scale + this.offsetX;
-            const keyY = key.y * this.scale + this.offsetY;
-            const keyWidth = key.width * this.scale;
-            const keyHeight = key.height * this.scale;
-            
-            if (x >= keyX && x <= keyX + keyWidth && 
-                y >= keyY && y <= keyY + keyHeight) {
-                return key;
-            }
+        // Back to front, so the key drawn on top wins where rotated keys overlap
+        const layoutX = (x - this.offsetX) / this.scale;
+        const layoutY = (y - this.offsetY) / this.scale;
+        for (let index = this.keys.length - 1; index >= 0; index--) {
+            if (this.containsPoint(this.keys[index], layoutX, layoutY)) return this.keys[index];
         }
         return null;
     }
@@ -274,31 +875,175 @@ class KeyboardRenderer {
      * Test a key (simulate key press)
      */
     testKey(key) {
-        // Briefly show pressed state
+        this.pressKey(key);
+        
+        // A short tap, well inside the tapping term
+        setTimeout(() => {
+            this.releaseKey(key);
+        }, 150);
+    }
+
+    /**
+     * Press a key and run it through the behavior simulator
+     */
+    pressKey(key, time = performance.now()) {
+        if (this.switchMonitor.isDown(key.id)) return;
+        
+        const press = this.switchMonitor.keyDown(key.id, time);
         this.keyStates.set(key.id, 'pressed');
-        this.render();
+        if (press.chatter) {
+            this.dispatchLog(`Key ${key.id} chatter: pressed again ${press.interval.toFixed(1)} ms after the previous press`, 'warning');
+        }
+        setTimeout(() => this.checkStuckKeys(), this.switchMonitor.stuckTimeout + 1);
+        
+        this.applySimulation(this.simulator.press(this.keyIndex.get(key.id), time));
+        this.canvas.dispatchEvent(new CustomEvent('keyPressed', {
+            detail: { key, keyId: key.id, time }
+        }));
         
         // Log the key test
         this.logKeyTest(key);
+    }
+
+    /**
+     * Release a held key and mark it tested
+     */
+    releaseKey(key, time = performance.now()) {
+        if (!this.switchMonitor.isDown(key.id)) return;
         
-        // After a short delay, mark as tested
-        setTimeout(() => {
-            this.keyStates.set(key.id, 'tested');
+        const release = this.switchMonitor.keyUp(key.id, time);
+        if (this.keyStates.get(key.id) === 'stuck') {
+            this.dispatchLog(`Key ${key.id} released after ${(release.holdTime / 1000).toFixed(1)} s`, 'info');
+        }
+        this.keyStates.set(key.id, this.switchMonitor.hasChattered(key.id) ? 'chatter' : 'tested');
+        
+        const position = this.keyIndex.get(key.id);
+        const reports = this.simulator.release(position, time);
+        this.applySimulation(reports);
+        
+        // Dispatch custom event for app to handle
+        const report = this.lastReports.get(key.id);
+        this.canvas.dispatchEvent(new CustomEvent('keyTested', {
+            detail: {
+                key: key,
+                keyId: key.id,
+                keycode: report ? report.keycode : key.keycode,
+                layer: report ? report.layer : 0,
+                emitted: reports
+                    .filter(item => item.position === position)
+                    .reduce((codes, item) => codes.concat(item.emitted), [])
+            }
+        }));
+    }
+
+    /**
+     * Record an auto-repeat event for a held key
+     */
+    repeatKey(key) {
+        if (!this.switchMonitor.isDown(key.id)) return;
+        
+        if (this.switchMonitor.keyRepeat(key.id) === 1) {
+            this.dispatchLog(`Key ${key.id} is auto-repeating`, 'info');
+        }
+        if (this.keyStates.get(key.id) === 'pressed') {
+            this.keyStates.set(key.id, 'repeating');
             this.render();
+        }
+    }
+
+    /**
+     * Flag keys that have been down longer than the stuck timeout
+     */
+    checkStuckKeys() {
+        const stuck = this.switchMonitor.checkStuck(performance.now());
+        stuck.forEach(keyId => {
+            this.keyStates.set(keyId, 'stuck');
+            this.dispatchLog(`Key ${keyId} stuck: held for over ${this.switchMonitor.stuckTimeout / 1000} s without a release`, 'warning');
+        });
+        if (stuck.length > 0) this.render();
+    }
+
+    /**
+     * Set the interval below which two presses of one key count as chatter
+     */
+    setChatterWindow(ms) {
+        this.switchMonitor.chatterWindow = ms;
+    }
+
+    /**
+     * Send a message to the test log
+     */
+    dispatchLog(message, type) {
+        this.canvas.dispatchEvent(new CustomEvent('keyTestLog', {
+            detail: { message: message, type: type }
+        }));
+    }
+
+    /**
+     * Show the outcome of simulator steps: log layer changes and hold-tap decisions, sync layers
+     */
+    applySimulation(reports) {
+        reports.forEach(report => {
+            const key = this.keys[report.position];
+            if (key) this.lastReports.set(key.id, report);
+            if (report.event === 'combo' || report.event === 'dance') {
+                this.canvas.dispatchEvent(new CustomEvent('behaviorTriggered', { detail: { report } }));
+            }
             
-            // Dispatch custom event for app to handle
-            this.canvas.dispatchEvent(new CustomEvent('keyTested', {
-                detail: { key: key, keyId: key.id }
-            }));
-        }, 150);
+            const message = this.describeReport(report);
+            if (message) {
+                this.dispatchLog(message, 'info');
+            }
+        });
+        
+        const layers = this.simulator.getActiveLayers();
+        if (layers.join() !== this.activeLayers.join()) {
+            this.setLayerState(layers);
+        } else {
+            this.render();
+        }
+        
+        // Wake up when an undecided hold-tap reaches its tapping term
+        clearTimeout(this.simulationTimer);
+        const deadline = this.simulator.getPendingDeadline();
+        if (deadline !== null) {
+            this.simulationTimer = setTimeout(() => {
+                this.applySimulation(this.simulator.tick(performance.now()));
+            }, Math.max(0, deadline - performance.now()) + 1);
+        }
+    }
+
+    /**
+     * Describe a hold-tap decision, fired combo or tap dance outcome for the test log; presses are logged by logKeyTest and
+     * layer changes by the layerChanged listener
+     */
+    describeReport(report) {
+        const result = report.emitted.length > 0 ? `: sends ${report.emitted.join(' + ')}` : '';
+        if (report.event === 'combo') {
+            const keys = report.combo.positions.map(position => (this.keys[position] ? this.keys[position].id : position));
+            return `Combo ${report.combo.name || report.combo.index} (keys ${keys.join(' + ')}) fired: ${result ? result.slice(2) : report.keycode}`;
+        }
+        if (report.event === 'dance') {
+            // Tapped more than twice still picks the double tap, as Vial's tap dances do
+            const verb = this.simulator.danceOutcomes[report.outcome];
+            const times = report.count > 2 ? ` (${report.count} taps)` : '';
+            const outcome = report.result ? `: ${result ? result.slice(2) : report.result}` : ': no keycode for this outcome';
+            return `${report.keycode} ${verb}${times}${outcome}`;
+        }
+        if (report.event !== 'tap' && report.event !== 'hold') return null;
+        
+        const verb = report.event === 'tap' ? 'tapped' : 'held';
+        return `${report.keycode} ${verb}${result}`;
     }
 
     /**
      * Log key test to console and UI
      */
     logKeyTest(key) {
-        const keycode = key.keycode || 'KC_NO';
-        const message = `Key ${key.id} tested (${keycode}) - Row: ${key.row}, Col: ${key.col}`;
+        const report = this.lastReports.get(key.id);
+        const keycode = report ? report.keycode : (key.keycode || 'KC_NO');
+        const layer = this.layers.length > 1 && report ? `, Layer ${report.layer}` : '';
+        const message = `Key ${key.id} tested (${keycode}${layer}) - Row: ${key.row}, Col: ${key.col}`;
         console.log(message);
         
         // Dispatch log event
@@ -323,6 +1068,13 @@ class KeyboardRenderer {
         this.keys.forEach(key => {
             this.keyStates.set(key.id, 'untested');
         });
+        this.switchMonitor.reset();
+        if (this.simulator) {
+            this.simulator.reset();
+            clearTimeout(this.simulationTimer);
+            this.lastReports.clear();
+            this.setLayerState(this.simulator.getActiveLayers());
+        }
         this.render();
         
         // Dispatch reset event
@@ -334,13 +1086,20 @@ class KeyboardRenderer {
      */
     getTestStats() {
         let testedCount = 0;
+        let chatterCount = 0;
+        let stuckCount = 0;
         this.keyStates.forEach(state => {
-            if (state === 'tested') testedCount++;
+            // A chattering key has been pressed and released, so it counts as tested
+            if (state === 'tested' || state === 'chatter') testedCount++;
+            if (state === 'chatter') chatterCount++;
+            if (state === 'stuck') stuckCount++;
         });
         
         return {
             totalKeys: this.keys.length,
             testedKeys: testedCount,
+            chatterKeys: chatterCount,
+            stuckKeys: stuckCount,
             untestedKeys: this.keys.length - testedCount,
             progress: this.keys.length > 0 ? (testedCount / this.keys.length * 100).toFixed(1) : 0
         };
@@ -357,16 +1116,23 @@ class KeyboardRenderer {
             totalKeys: stats.totalKeys,
             testedKeys: stats.testedKeys,
             progress: stats.progress,
+            chatterKeys: stats.chatterKeys,
+            stuckKeys: stats.stuckKeys,
+            chatterWindowMs: this.switchMonitor.chatterWindow,
+            stuckTimeoutMs: this.switchMonitor.stuckTimeout,
             keyDetails: []
         };
         
         this.keys.forEach(key => {
+            const state = this.keyStates.get(key.id);
             results.keyDetails.push({
                 id: key.id,
                 row: key.row,
                 col: key.col,
                 keycode: key.keycode || 'KC_NO',
-                tested: this.keyStates.get(key.id) === 'tested'
+                tested: state === 'tested' || state === 'chatter',
+                state: state,
+                ...this.switchMonitor.summarize(key.id)
             });
         });
         
@@ -384,16 +1150,98 @@ class KeyboardRenderer {
     }
 
     /**
-     * Highlight specific keys (for tutorials or guides)
+     * Press a key by ID and keep it down until simulateKeyUp (e.g. a physical key being held)
+     */
+    simulateKeyDown(keyId, time = performance.now()) {
+        const key = this.keys.find(k => k.id === keyId);
+        if (key) {
+            this.pressKey(key, time);
+        }
+    }
+
+    /**
+     * Release a key pressed with simulateKeyDown
+     */
+    simulateKeyUp(keyId, time = performance.now()) {
+        const key = this.keys.find(k => k.id === keyId);
+        if (key) {
+            this.releaseKey(key, time);
+        }
+    }
+
+    /**
+     * Auto-repeat event for a key held with simulateKeyDown
+     */
+    simulateKeyRepeat(keyId) {
+        const key = this.keys.find(k => k.id === keyId);
+        if (key) {
+            this.repeatKey(key);
+        }
+    }
+
+    /**
+     * Outline the keys the user should press next; an empty list clears the outline
+     */
+    setGuideKeys(keyIds) {
+        this.guideKeys = new Set(keyIds);
+        this.render();
+    }
+
+    /**
+     * Switch between testing keys and selecting them for editing
+     */
+    setEditMode(enabled) {
+        this.editMode = enabled;
+        if (!enabled) this.selectedKey = null;
+        this.render();
+    }
+
+    /**
+     * Select a key for the keymap editor and tell the app which one
      */
-    highlightKeys(keyIds, color = '#ffeb3b') {
+    selectKey(keyId) {
+        this.selectedKey = keyId;
+        this.render();
+        
+        const key = this.keys[this.keyIndex.get(keyId)];
+        this.canvas.dispatchEvent(new CustomEvent('keySelected', {
+            detail: { key, keyId, ...this.resolveKeycode(key) }
+        }));
+    }
+
+    /**
+     * Change what a key sends on one layer; layer 0 is also the key's own keycode
+     */
+    setKeycode(keyId, layerIndex, keycode) {
+        const position = this.keyIndex.get(keyId);
+        const layer = this.layers[layerIndex];
+        if (position === undefined || !layer) return false;
+        
+        layer.keys[position] = keycode;
+        if (layerIndex === 0) this.keys[position].keycode = keycode;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Append a layer; the simulator switches over from the stand-in layer of boards without layer data
+     */
+    addLayer(layer) {
+        this.layers.push(layer);
+        if (this.simulator && this.simulator.layers !== this.layers) {
+            this.simulator.layers = this.layers;
+        }
+        this.render();
+        return this.layers.length - 1;
+    }
+
+    /**
+     * Highlight specific keys (for tutorials, guides or diffs); the tint is kept apart from
+     * the key state so hovering or testing a key does not clear it
+     */
+    highlightKeys(keyIds, color = this.colors.highlight) {
         keyIds.forEach(keyId => {
-            const key = this.keys.find(k => k.id === keyId);
-            if (key) {
-                // Store original color and set highlight
-                key._originalState = this.keyStates.get(key.id);
-                this.keyStates.set(key.id, 'hover');
-            }
+            if (this.keyIndex.has(keyId)) this.highlights.set(keyId, color);
         });
         this.render();
     }
@@ -402,12 +1250,7 @@ class KeyboardRenderer {
      * Clear key highlights
      */
     clearHighlights() {
-        this.keys.forEach(key => {
-            if (key._originalState !== undefined) {
-                this.keyStates.set(key.id, key._originalState);
-                delete key._originalState;
-            }
-        });
+        this.highlights.clear();
         this.render();
     }
 }
\ No newline at end of file
@@ -0,0 +1,566 @@
+/**
+ * Keycodes - QMK keycode tables shared by the parser and the tester
+ */
+
+class Keycodes {
+    constructor() {
+        // Numeric keycode -> QMK short name for the basic (8-bit) range
+        this.basic = this.buildBasicTable();
+
+        // Modifier bits as packed into mod-tap and modded keycodes
+        this.modifierNames = ['LCTL', 'LSFT', 'LALT', 'LGUI'];
+        this.rightModifierNames = ['RCTL', 'RSFT', 'RALT', 'RGUI'];
+
+        // Single-parameter layer keycodes (QMK 0.19+ encoding)
+        this.layerRanges = [
+            { start: 0x5200, name: 'TO' },
+            { start: 0x5220, name: 'MO' },
+            { start: 0x5240, name: 'DF' },
+            { start: 0x5260, name: 'TG' },
+            { start: 0x5280, name: 'OSL' },
+            { start: 0x52C0, name: 'TT' },
+            { start: 0x52E0, name: 'PDF' }
+        ];
+
+        this.quantum = {
+            0x7C00: 'QK_BOOT',
+            0x7C01: 'QK_REBOOT',
+            0x7C02: 'DB_TOGG',
+            0x7C03: 'EE_CLR'
+        };
+
+        // ZMK encodes keys as (implicit mods << 24) | (HID page << 16) | usage
+        this.zmkKeyboard = this.buildZmkKeyboardTable();
+        this.zmkConsumer = {
+            0x6F: 'C_BRI_UP', 0x70: 'C_BRI_DN', 0xB5: 'C_NEXT', 0xB6: 'C_PREV',
+            0xB7: 'C_STOP', 0xCD: 'C_PP', 0xE2: 'C_MUTE', 0xE9: 'C_VOL_UP',
+            0xEA: 'C_VOL_DN', 0x18A: 'C_AL_MAIL', 0x192: 'C_AL_CALC', 0x221: 'C_AC_SEARCH',
+            0x223: 'C_AC_HOME', 0x224: 'C_AC_BACK', 0x225: 'C_AC_FORWARD'
+        };
+        this.zmkModifierFunctions = ['LC', 'LS', 'LA', 'LG', 'RC', 'RS', 'RA', 'RG'];
+
+        // HID usage -> KeyboardEvent.code, for matching typed keys to keymap entries
+        this.eventCodes = this.buildEventCodeTable();
+        this.qmkUsages = this.buildQmkUsageTable();
+        this.zmkUsages = this.buildZmkUsageTable();
+
+        // Usages from raw HID reports (system, consumer, pointer axes) -> QMK basic keycode
+        this.hidUsages = this.buildHidUsageTable();
+    }
+
+    /**
+     * Build the basic keycode table (HID keyboard page plus QMK system/media/mouse)
+     */
+    buildBasicTable() {
+        const table = { 0x00: 'KC_NO', 0x01: 'KC_TRNS' };
+        const assign = (start, names) => {
+            names.forEach((name, index) => {
+                table[start + index] = `KC_${name}`;
+            });
+        };
+
+        assign(0x04, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''));
+        assign(0x1E, ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0']);
+        assign(0x28, [
+            'ENT', 'ESC', 'BSPC', 'TAB', 'SPC', 'MINS', 'EQL', 'LBRC', 'RBRC', 'BSLS',
+            'NUHS', 'SCLN', 'QUOT', 'GRV', 'COMM', 'DOT', 'SLSH', 'CAPS'
+        ]);
+        assign(0x3A, Array.from({ length: 12 }, (_, i) => `F${i + 1}`));
+        assign(0x46, [
+            'PSCR', 'SCRL', 'PAUS', 'INS', 'HOME', 'PGUP', 'DEL', 'END', 'PGDN',
+            'RGHT', 'LEFT', 'DOWN', 'UP', 'NUM', 'PSLS', 'PAST', 'PMNS', 'PPLS', 'PENT',
+            'P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7', 'P8', 'P9', 'P0', 'PDOT',
+            'NUBS', 'APP', 'KB_POWER', 'PEQL'
+        ]);
+        assign(0x68, Array.from({ length: 12 }, (_, i) => `F${i + 13}`));
+        assign(0x74, [
+            'EXEC', 'HELP', 'MENU', 'SLCT', 'STOP', 'AGIN', 'UNDO', 'CUT', 'COPY',
+            'PSTE', 'FIND', 'KB_MUTE', 'KB_VOLUME_UP', 'KB_VOLUME_DOWN', 'LCAP', 'LNUM',
+            'LSCR', 'PCMM', 'KP_EQUAL_AS400'
+        ]);
+        assign(0x87, Array.from({ length: 9 }, (_, i) => `INT${i + 1}`));
+        assign(0x90, Array.from({ length: 9 }, (_, i) => `LNG${i + 1}`));
+        assign(0x99, [
+            'ERAS', 'SYRQ', 'CNCL', 'CLR', 'PRIR', 'RETN', 'SEPR', 'OUT', 'OPER',
+            'CLAG', 'CRSL', 'EXSL'
+        ]);
+        assign(0xA5, [
+            'PWR', 'SLEP', 'WAKE', 'MUTE', 'VOLU', 'VOLD', 'MNXT', 'MPRV', 'MSTP',
+            'MPLY', 'MSEL', 'EJCT', 'MAIL', 'CALC', 'MYCM', 'WSCH', 'WHOM', 'WBAK',
+            'WFWD', 'WSTP', 'WREF', 'WFAV', 'MFFD', 'MRWD', 'BRIU', 'BRID', 'CPNL',
+            'ASST', 'MCTL', 'LPAD'
+        ]);
+        assign(0xCD, [
+            'MS_U', 'MS_D', 'MS_L', 'MS_R', 'BTN1', 'BTN2', 'BTN3', 'BTN4', 'BTN5',
+            'BTN6', 'BTN7', 'BTN8', 'WH_U', 'WH_D', 'WH_L', 'WH_R', 'ACL0', 'ACL1', 'ACL2'
+        ]);
+        assign(0xE0, ['LCTL', 'LSFT', 'LALT', 'LGUI', 'RCTL', 'RSFT', 'RALT', 'RGUI']);
+
+        return table;
+    }
+
+    /**
+     * Build the ZMK name table for the HID keyboard page
+     */
+    buildZmkKeyboardTable() {
+        const table = {};
+        const assign = (start, names) => {
+            names.forEach((name, index) => {
+                table[start + index] = name;
+            });
+        };
+
+        assign(0x04, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''));
+        assign(0x1E, ['N1', 'N2', 'N3', 'N4', 'N5', 'N6', 'N7', 'N8', 'N9', 'N0']);
+        assign(0x28, [
+            'RET', 'ESC', 'BSPC', 'TAB', 'SPACE', 'MINUS', 'EQUAL', 'LBKT', 'RBKT', 'BSLH',
+            'NON_US_HASH', 'SEMI', 'SQT', 'GRAVE', 'COMMA', 'DOT', 'FSLH', 'CAPS'
+        ]);
+        assign(0x3A, Array.from({ length: 12 }, (_, i) => `F${i + 1}`));
+        assign(0x46, [
+            'PSCRN', 'SLCK', 'PAUSE_BREAK', 'INS', 'HOME', 'PG_UP', 'DEL', 'END', 'PG_DN',
+            'RIGHT', 'LEFT', 'DOWN', 'UP', 'KP_NUM', 'KP_DIVIDE', 'KP_MULTIPLY', 'KP_MINUS',
+            'KP_PLUS', 'KP_ENTER', 'KP_N1', 'KP_N2', 'KP_N3', 'KP_N4', 'KP_N5', 'KP_N6',
+            'KP_N7', 'KP_N8', 'KP_N9', 'KP_N0', 'KP_DOT', 'NON_US_BSLH', 'K_APP', 'K_POWER',
+            'KP_EQUAL'
+        ]);
+        assign(0x68, Array.from({ length: 12 }, (_, i) => `F${i + 13}`));
+        assign(0xE0, ['LCTRL', 'LSHFT', 'LALT', 'LGUI', 'RCTRL', 'RSHFT', 'RALT', 'RGUI']);
+
+        return table;
+    }
+
+    /**
+     * Build the HID usage -> KeyboardEvent.code table (keyboard page, plus QMK's system and consumer range)
+     */
+    buildEventCodeTable() {
+        const table = {};
+        const assign = (start, codes) => {
+            codes.forEach((code, index) => {
+                if (code) table[start + index] = code;
+            });
+        };
+
+        assign(0x04, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => `Key${letter}`));
+        assign(0x1E, ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'].map(digit => `Digit${digit}`));
+        assign(0x28, [
+            'Enter', 'Escape', 'Backspace', 'Tab', 'Space', 'Minus', 'Equal', 'BracketLeft',
+            'BracketRight', 'Backslash', 'Backslash', 'Semicolon', 'Quote', 'Backquote', 'Comma',
+            'Period', 'Slash', 'CapsLock'
+        ]);
+        assign(0x3A, Array.from({ length: 12 }, (_, i) => `F${i + 1}`));
+        assign(0x46, [
+            'PrintScreen', 'ScrollLock', 'Pause', 'Insert', 'Home', 'PageUp', 'Delete', 'End',
+            'PageDown', 'ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp', 'NumLock', 'NumpadDivide',
+            'NumpadMultiply', 'NumpadSubtract', 'NumpadAdd', 'NumpadEnter', 'Numpad1', 'Numpad2',
+            'Numpad3', 'Numpad4', 'Numpad5', 'Numpad6', 'Numpad7', 'Numpad8', 'Numpad9', 'Numpad0',
+            'NumpadDecimal', 'IntlBackslash', 'ContextMenu', 'Power', 'NumpadEqual'
+        ]);
+        assign(0x68, Array.from({ length: 12 }, (_, i) => `F${i + 13}`));
+        assign(0x75, ['Help', null, 'Select', null, 'Again', 'Undo', 'Cut', 'Copy', 'Paste', 'Find',
+            'AudioVolumeMute', 'AudioVolumeUp', 'AudioVolumeDown']);
+        assign(0x85, ['NumpadComma', null, 'IntlRo', 'KanaMode', 'IntlYen', 'Convert', 'NonConvert']);
+        assign(0x90, ['Lang1', 'Lang2', 'Lang3', 'Lang4', 'Lang5']);
+        assign(0xA5, [
+            'Power', 'Sleep', 'WakeUp', 'AudioVolumeMute', 'AudioVolumeUp', 'AudioVolumeDown',
+            'MediaTrackNext', 'MediaTrackPrevious', 'MediaStop', 'MediaPlayPause', 'MediaSelect',
+            'Eject', 'LaunchMail', 'LaunchApp2', 'LaunchApp1', 'BrowserSearch', 'BrowserHome',
+            'BrowserBack', 'BrowserForward', 'BrowserStop', 'BrowserRefresh', 'BrowserFavorites',
+            'MediaFastForward', 'MediaRewind'
+        ]);
+
+        // Mouse keys never reach keydown; these names only match reports read over WebHID
+        assign(0xCD, [
+            'MouseMoveUp', 'MouseMoveDown', 'MouseMoveLeft', 'MouseMoveRight',
+            ...Array.from({ length: 8 }, (_, i) => `MouseButton${i + 1}`),
+            'MouseWheelUp', 'MouseWheelDown', 'MouseWheelLeft', 'MouseWheelRight'
+        ]);
+        assign(0xE0, [
+            'ControlLeft', 'ShiftLeft', 'AltLeft', 'MetaLeft',
+            'ControlRight', 'ShiftRight', 'AltRight', 'MetaRight'
+        ]);
+
+        return table;
+    }
+
+    /**
+     * QMK keycode names -> HID usage, long-form aliases and shifted symbols included
+     */
+    buildQmkUsageTable() {
+        const table = {};
+        Object.entries(this.basic).forEach(([usage, name]) => {
+            table[name] = Number(usage);
+        });
+
+        const aliases = {
+            ENTER: 'ENT', ESCAPE: 'ESC', BACKSPACE: 'BSPC', SPACE: 'SPC', MINUS: 'MINS', EQUAL: 'EQL',
+            LEFT_BRACKET: 'LBRC', LBRACKET: 'LBRC', RIGHT_BRACKET: 'RBRC', RBRACKET: 'RBRC',
+            BACKSLASH: 'BSLS', NONUS_HASH: 'NUHS', SEMICOLON: 'SCLN', QUOTE: 'QUOT', GRAVE: 'GRV',
+            COMMA: 'COMM', SLASH: 'SLSH', CAPS_LOCK: 'CAPS', CLCK: 'CAPS', PRINT_SCREEN: 'PSCR',
+            SCROLL_LOCK: 'SCRL', BRMD: 'SCRL', PAUSE: 'PAUS', BRK: 'PAUS', BRMU: 'PAUS',
+            INSERT: 'INS', PAGE_UP: 'PGUP', DELETE: 'DEL', PAGE_DOWN: 'PGDN', RIGHT: 'RGHT',
+            NUM_LOCK: 'NUM', NLCK: 'NUM', KP_SLASH: 'PSLS', KP_ASTERISK: 'PAST', KP_MINUS: 'PMNS',
+            KP_PLUS: 'PPLS', KP_ENTER: 'PENT', KP_DOT: 'PDOT', KP_EQUAL: 'PEQL', NONUS_BACKSLASH: 'NUBS',
+            APPLICATION: 'APP', LEFT_CTRL: 'LCTL', LEFT_SHIFT: 'LSFT', LEFT_ALT: 'LALT', LOPT: 'LALT',
+            LEFT_GUI: 'LGUI', LCMD: 'LGUI', LWIN: 'LGUI', RIGHT_CTRL: 'RCTL', RIGHT_SHIFT: 'RSFT',
+            RIGHT_ALT: 'RALT', ROPT: 'RALT', ALGR: 'RALT', RIGHT_GUI: 'RGUI', RCMD: 'RGUI', RWIN: 'RGUI',
+            SYSTEM_POWER: 'PWR', SYSTEM_SLEEP: 'SLEP', SYSTEM_WAKE: 'WAKE', AUDIO_MUTE: 'MUTE',
+            AUDIO_VOL_UP: 'VOLU', AUDIO_VOL_DOWN: 'VOLD', MEDIA_NEXT_TRACK: 'MNXT',
+            MEDIA_PREV_TRACK: 'MPRV', MEDIA_STOP: 'MSTP', MEDIA_PLAY_PAUSE: 'MPLY', MEDIA_SELECT: 'MSEL',
+            MEDIA_EJECT: 'EJCT', CALCULATOR: 'CALC', MY_COMPUTER: 'MYCM', WWW_SEARCH: 'WSCH',
+            WWW_HOME: 'WHOM', WWW_BACK: 'WBAK', WWW_FORWARD: 'WFWD', WWW_STOP: 'WSTP',
+            WWW_REFRESH: 'WREF', WWW_FAVORITES: 'WFAV', MS_UP: 'MS_U', MS_DOWN: 'MS_D',
+            MS_LEFT: 'MS_L', MS_RIGHT: 'MS_R', MS_WH_UP: 'WH_U', MS_WH_DOWN: 'WH_D',
+            MS_WH_LEFT: 'WH_L', MS_WH_RIGHT: 'WH_R'
+        };
+        for (let button = 1; button <= 8; button++) aliases[`MS_BTN${button}`] = `BTN${button}`;
+        for (let digit = 0; digit <= 9; digit++) aliases[`KP_${digit}`] = `P${digit}`;
+        Object.entries(aliases).forEach(([alias, name]) => {
+            table[`KC_${alias}`] = table[`KC_${name}`];
+        });
+
+        // Shifted symbols are sent with the unshifted key
+        const shifted = {
+            TILD: 'GRV', EXLM: '1', AT: '2', HASH: '3', DLR: '4', PERC: '5', CIRC: '6', AMPR: '7',
+            ASTR: '8', LPRN: '9', RPRN: '0', UNDS: 'MINS', PLUS: 'EQL', LCBR: 'LBRC', RCBR: 'RBRC',
+            PIPE: 'BSLS', COLN: 'SCLN', DQUO: 'QUOT', DQT: 'QUOT', LABK: 'COMM', LT: 'COMM',
+            RABK: 'DOT', GT: 'DOT', QUES: 'SLSH'
+        };
+        Object.entries(shifted).forEach(([alias, name]) => {
+            table[`KC_${alias}`] = table[`KC_${name}`];
+        });
+
+        // Grave escape sends Escape unless a modifier is held
+        table.QK_GESC = table.KC_GESC = table.KC_ESC;
+
+        // Mouse key names introduced in QMK 0.27 drop the KC_ prefix
+        const mouseKeys = {
+            MS_UP: 'MS_U', MS_DOWN: 'MS_D', MS_LEFT: 'MS_L', MS_RGHT: 'MS_R',
+            MS_WHLU: 'WH_U', MS_WHLD: 'WH_D', MS_WHLL: 'WH_L', MS_WHLR: 'WH_R'
+        };
+        for (let button = 1; button <= 8; button++) mouseKeys[`MS_BTN${button}`] = `BTN${button}`;
+        Object.entries(mouseKeys).forEach(([name, basic]) => {
+            table[name] = table[`KC_${basic}`];
+        });
+
+        return table;
+    }
+
+    /**
+     * ZMK key names -> HID usage (keyboard page), aliases and shifted symbols included;
+     * consumer keys map to the QMK consumer usages so they share event codes
+     */
+    buildZmkUsageTable() {
+        const table = {};
+        Object.entries(this.zmkKeyboard).forEach(([usage, name]) => {
+            table[name] = Number(usage);
+        });
+
+        const aliases = {
+            ENTER: 'RET', RETURN: 'RET', ESCAPE: 'ESC', BACKSPACE: 'BSPC', SPC: 'SPACE',
+            LEFT_BRACKET: 'LBKT', RIGHT_BRACKET: 'RBKT', BACKSLASH: 'BSLH', SEMICOLON: 'SEMI',
+            SCLN: 'SEMI', SINGLE_QUOTE: 'SQT', APOSTROPHE: 'SQT', APOS: 'SQT',
+            PERIOD: 'DOT', SLASH: 'FSLH', CAPSLOCK: 'CAPS', CLCK: 'CAPS', PRINTSCREEN: 'PSCRN',
+            SCROLLLOCK: 'SLCK', INSERT: 'INS', PAGE_UP: 'PG_UP',
+            DELETE: 'DEL', PAGE_DOWN: 'PG_DN', RIGHT_ARROW: 'RIGHT', LEFT_ARROW: 'LEFT',
+            DOWN_ARROW: 'DOWN', UP_ARROW: 'UP', KP_NUMLOCK: 'KP_NUM', KP_SLASH: 'KP_DIVIDE',
+            KP_ASTERISK: 'KP_MULTIPLY', KP_SUBTRACT: 'KP_MINUS', KP_PERIOD: 'KP_DOT',
+            K_APPLICATION: 'K_APP', K_CONTEXT_MENU: 'K_APP', K_CMENU: 'K_APP',
+            LEFT_CONTROL: 'LCTRL', LCTL: 'LCTRL', LEFT_SHIFT: 'LSHFT', LSHIFT: 'LSHFT',
+            LEFT_ALT: 'LALT', LEFT_GUI: 'LGUI', LCMD: 'LGUI', LWIN: 'LGUI', LMETA: 'LGUI',
+            RIGHT_CONTROL: 'RCTRL', RCTL: 'RCTRL', RIGHT_SHIFT: 'RSHFT', RSHIFT: 'RSHFT',
+            RIGHT_ALT: 'RALT', RIGHT_GUI: 'RGUI', RCMD: 'RGUI', RWIN: 'RGUI', RMETA: 'RGUI',
+            EXCL: 'N1', EXCLAMATION: 'N1', AT: 'N2', AT_SIGN: 'N2', HASH: 'N3', POUND: 'N3',
+            DOLLAR: 'N4', DLLR: 'N4', PERCENT: 'N5', PRCNT: 'N5', CARET: 'N6', AMPERSAND: 'N7',
+            AMPS: 'N7', ASTERISK: 'N8', ASTRK: 'N8', STAR: 'N8', LPAR: 'N9', LEFT_PARENTHESIS: 'N9',
+            RPAR: 'N0', RIGHT_PARENTHESIS: 'N0', UNDERSCORE: 'MINUS', UNDER: 'MINUS', PLUS: 'EQUAL',
+            LBRC: 'LBKT', LEFT_BRACE: 'LBKT', RBRC: 'RBKT', RIGHT_BRACE: 'RBKT', PIPE: 'BSLH',
+            COLON: 'SEMI', DQT: 'SQT', DOUBLE_QUOTES: 'SQT', LT: 'COMMA', LESS_THAN: 'COMMA',
+            GT: 'DOT', GREATER_THAN: 'DOT', QMARK: 'FSLH', QUESTION: 'FSLH', TILDE: 'GRAVE'
+        };
+        for (let digit = 0; digit <= 9; digit++) {
+            aliases[`NUMBER_${digit}`] = `N${digit}`;
+            aliases[`KP_NUMBER_${digit}`] = `KP_N${digit}`;
+        }
+        Object.entries(aliases).forEach(([alias, name]) => {
+            table[alias] = table[name];
+        });
+
+        const consumer = {
+            C_VOL_UP: 'VOLU', C_VOLUME_UP: 'VOLU', C_VOL_DN: 'VOLD', C_VOLUME_DOWN: 'VOLD',
+            C_MUTE: 'MUTE', C_PP: 'MPLY', C_PLAY_PAUSE: 'MPLY', C_NEXT: 'MNXT', C_PREV: 'MPRV',
+            C_PREVIOUS: 'MPRV', C_STOP: 'MSTP', C_AL_MAIL: 'MAIL', C_AL_CALC: 'CALC',
+            C_AC_SEARCH: 'WSCH', C_AC_HOME: 'WHOM', C_AC_BACK: 'WBAK', C_AC_FORWARD: 'WFWD',
+            C_AC_STOP: 'WSTP', C_AC_REFRESH: 'WREF', C_AC_BOOKMARKS: 'WFAV', C_EJECT: 'EJCT'
+        };
+        Object.entries(consumer).forEach(([name, qmk]) => {
+            table[name] = this.qmkUsages[`KC_${qmk}`];
+        });
+
+        // &mkp buttons, &mmv movement and &msc scrolling share the QMK mouse key usages
+        const mouse = {
+            LCLK: 'BTN1', RCLK: 'BTN2', MCLK: 'BTN3', MB1: 'BTN1', MB2: 'BTN2', MB3: 'BTN3',
+            MB4: 'BTN4', MB5: 'BTN5', MOVE_UP: 'MS_U', MOVE_DOWN: 'MS_D', MOVE_LEFT: 'MS_L',
+            MOVE_RIGHT: 'MS_R', SCRL_UP: 'WH_U', SCRL_DOWN: 'WH_D', SCRL_LEFT: 'WH_L', SCRL_RIGHT: 'WH_R'
+        };
+        Object.entries(mouse).forEach(([name, qmk]) => {
+            table[name] = this.qmkUsages[`KC_${qmk}`];
+        });
+
+        return table;
+    }
+
+    /**
+     * Build the raw HID usage -> QMK basic keycode table; relative axes carry the direction
+     * of movement as a + or - suffix
+     */
+    buildHidUsageTable() {
+        const table = {};
+        const assign = (page, entries) => {
+            Object.entries(entries).forEach(([usage, name]) => {
+                table[this.formatHidUsage(page, Number(usage))] = this.qmkUsages[`KC_${name}`];
+            });
+        };
+
+        // Generic Desktop system control
+        assign(0x01, { 0x81: 'PWR', 0x82: 'SLEP', 0x83: 'WAKE' });
+
+        // Consumer: media and application keys
+        assign(0x0C, {
+            0xE2: 'MUTE', 0xE9: 'VOLU', 0xEA: 'VOLD', 0xB5: 'MNXT', 0xB6: 'MPRV', 0xB7: 'MSTP',
+            0xCD: 'MPLY', 0x183: 'MSEL', 0xB8: 'EJCT', 0x18A: 'MAIL', 0x192: 'CALC', 0x194: 'MYCM',
+            0x221: 'WSCH', 0x223: 'WHOM', 0x224: 'WBAK', 0x225: 'WFWD', 0x226: 'WSTP', 0x227: 'WREF',
+            0x22A: 'WFAV', 0xB3: 'MFFD', 0xB4: 'MRWD', 0x6F: 'BRIU', 0x70: 'BRID'
+        });
+
+        // Button page: mouse buttons 1-8
+        for (let button = 1; button <= 8; button++) {
+            table[this.formatHidUsage(0x09, button)] = this.qmkUsages[`KC_BTN${button}`];
+        }
+
+        // Mouse X, Y, wheel and AC Pan: [page, usage, key for negative values, key for positive values]
+        const axes = [
+            [0x01, 0x30, 'MS_L', 'MS_R'],
+            [0x01, 0x31, 'MS_U', 'MS_D'],
+            [0x01, 0x38, 'WH_D', 'WH_U'],
+            [0x0C, 0x238, 'WH_L', 'WH_R']
+        ];
+        axes.forEach(([page, usage, negative, positive]) => {
+            table[`${this.formatHidUsage(page, usage)}-`] = this.qmkUsages[`KC_${negative}`];
+            table[`${this.formatHidUsage(page, usage)}+`] = this.qmkUsages[`KC_${positive}`];
+        });
+
+        return table;
+    }
+
+    /**
+     * KeyboardEvent.code (or mouse pseudo code) for a usage read from a raw HID report
+     */
+    hidUsageToEventCode(page, usage, direction = '') {
+        if (page === 0x07) {
+            // 0xA5-0xDF holds QMK's own system, media and mouse keycodes, not keyboard page usages
+            return usage < 0xA5 || usage >= 0xE0 ? this.eventCodes[usage] : undefined;
+        }
+        const basic = this.hidUsages[`${this.formatHidUsage(page, usage)}${direction}`];
+        return basic !== undefined ? this.eventCodes[basic] : undefined;
+    }
+
+    /**
+     * Format a HID usage as page:usage, e.g. 0x07:0x04
+     */
+    formatHidUsage(page, usage) {
+        const hex = value => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+        return `${hex(page)}:${hex(usage)}`;
+    }
+
+    /**
+     * KeyboardEvent.code values a keycode can produce on the host: the tapped key and,
+     * for mod-taps, the held modifiers. Layer-only and unknown keycodes produce none.
+     */
+    toEventCodes(keycode) {
+        const text = String(keycode || '').trim();
+        const codes = [];
+        const add = (usage) => {
+            const code = usage !== undefined ? this.eventCodes[usage] : undefined;
+            if (code && !codes.includes(code)) codes.push(code);
+        };
+
+        // ZMK bindings: &kp KEY, &mt MOD KEY, &lt LAYER KEY
+        if (text.startsWith('&')) {
+            const [behavior, ...params] = text.split(/\s+/);
+            const zmkKey = name => add(this.zmkUsages[this.unwrapModifierFunctions(name || '')]);
+            if (['&kp', '&sk', '&mkp', '&mmv', '&msc'].includes(behavior)) zmkKey(params.join(' '));
+            if (behavior === '&mt') {
+                zmkKey(params.slice(1).join(' '));
+                zmkKey(params[0]);
+            }
+            if (behavior === '&lt') zmkKey(params.slice(1).join(' '));
+            if (behavior === '&gresc') add(this.zmkUsages.ESC);
+            return codes;
+        }
+
+        let match = text.match(/^LT\(\s*[^,]+,\s*(.+)\)$/);
+        if (match) {
+            add(this.qmkUsages[this.unwrapModifierFunctions(match[1])]);
+            return codes;
+        }
+
+        match = text.match(/^MT\((.+?),\s*([^,]+)\)$/);
+        if (match) {
+            add(this.qmkUsages[this.unwrapModifierFunctions(match[2])]);
+            match[1].split('|').forEach(mod => add(this.qmkUsages[mod.trim().replace(/^MOD_/, 'KC_')]));
+            return codes;
+        }
+
+        match = text.match(/^(\w+)_T\((.+)\)$/);
+        if (match) {
+            add(this.qmkUsages[this.unwrapModifierFunctions(match[2])]);
+            // LSFT_T -> KC_LSFT, SFT_T -> KC_LSFT
+            add(this.qmkUsages[`KC_${match[1]}`] || this.qmkUsages[`KC_L${match[1]}`]);
+            return codes;
+        }
+
+        add(this.qmkUsages[this.unwrapModifierFunctions(text)]);
+        return codes;
+    }
+
+    /**
+     * Strip modifier wrappers: LCTL(KC_C) -> KC_C, LS(LC(A)) -> A
+     */
+    unwrapModifierFunctions(keycode) {
+        let inner = keycode.trim();
+        let match;
+        while ((match = inner.match(/^[A-Z_]+\((.+)\)$/)) && !/^(LT|MT|MO|TG|TO|TT|DF|OSL|OSM|LM|TD)\(/.test(inner)) {
+            inner = match[1].trim();
+        }
+        return inner;
+    }
+
+    /**
+     * Decode a 32-bit ZMK key value (as passed to &kp) into its source-level name
+     */
+    decodeZmk(value) {
+        const page = (value >> 16) & 0xFF;
+        const usage = value & 0xFFFF;
+        const mods = (value >>> 24) & 0xFF;
+
+        let name;
+        if (page === 0x07 || page === 0x00) {
+            name = this.zmkKeyboard[usage];
+        } else if (page === 0x0C) {
+            name = this.zmkConsumer[usage];
+        }
+        name = name || `0x${(value & 0xFFFFFF).toString(16).toUpperCase()}`;
+
+        return this.zmkModifierFunctions
+            .filter((_, bit) => mods & (1 << bit))
+            .reduceRight((inner, mod) => `${mod}(${inner})`, name);
+    }
+
+    /**
+     * Decode a 16-bit QMK keycode into its source-level name
+     */
+    decode(value) {
+        if (value <= 0xFF) {
+            return this.basic[value] || this.formatHex(value);
+        }
+
+        const basic = (code) => this.basic[code & 0xFF] || this.formatHex(code & 0xFF);
+
+        if (value <= 0x1FFF) {
+            // Modded keycode, e.g. LCTL(KC_C)
+            return this.modifierWrappers((value >> 8) & 0x1F)
+                .reduceRight((inner, mod) => `${mod}(${inner})`, basic(value));
+        }
+        if (value <= 0x3FFF) {
+            return `MT(${this.formatModMask((value >> 8) & 0x1F)}, ${basic(value)})`;
+        }
+        if (value <= 0x4FFF) {
+            return `LT(${(value >> 8) & 0x0F}, ${basic(value)})`;
+        }
+        if (value <= 0x51FF) {
+            return `LM(${(value >> 5) & 0x0F}, ${this.formatModMask(value & 0x1F)})`;
+        }
+        if (value >= 0x52A0 && value <= 0x52BF) {
+            return `OSM(${this.formatModMask(value & 0x1F)})`;
+        }
+
+        const layerRange = this.layerRanges.find(range => value >= range.start && value < range.start + 0x20);
+        if (layerRange) {
+            return `${layerRange.name}(${value & 0x1F})`;
+        }
+
+        if (value >= 0x5700 && value <= 0x57FF) return `TD(${value & 0xFF})`;
+        if (value >= 0x7700 && value <= 0x777F) return `QK_MACRO_${value & 0x7F}`;
+        if (value >= 0x7E00 && value <= 0x7E3F) return `QK_KB_${value & 0x3F}`;
+        if (value >= 0x7E40 && value <= 0x7FFF) return `QK_USER_${value - 0x7E40}`;
+
+        return this.quantum[value] || this.formatHex(value);
+    }
+
+    /**
+     * Check whether a 16-bit value falls in a range QMK actually assigns keycodes to
+     */
+    isKnown(value) {
+        if (value <= 0xFF) return this.basic[value] !== undefined;
+        if (value <= 0x4FFF) return this.basic[value & 0xFF] !== undefined;
+        if (value <= 0x52FF) return true;
+        if (value >= 0x5600 && value <= 0x57FF) return true;
+        if (value >= 0x7000 && value <= 0x7FFF) return true;
+        return false;
+    }
+
+    /**
+     * Modifier wrapper names (LCTL, RSFT, ...) for a 5-bit modifier mask
+     */
+    modifierWrappers(mask) {
+        const names = mask & 0x10 ? this.rightModifierNames : this.modifierNames;
+        return names.filter((_, bit) => mask & (1 << bit));
+    }
+
+    /**
+     * Format a 5-bit modifier mask as MOD_* flags
+     */
+    formatModMask(mask) {
+        const mods = this.modifierWrappers(mask).map(name => `MOD_${name}`);
+        return mods.length > 0 ? mods.join(' | ') : '0';
+    }
+
+    /**
+     * Keycodes offered by the keymap editor's picker, in QMK or ZMK notation
+     */
+    listKeycodes(type, layerCount) {
+        const layers = Array.from({ length: Math.max(layerCount, 1) }, (_, layer) => layer);
+
+        if (type === 'ZMK') {
+            const keys = [...Object.values(this.zmkKeyboard), ...Object.values(this.zmkConsumer)];
+            return [
+                '&trans', '&none',
+                ...keys.map(name => `&kp ${name}`),
+                ...['&mo', '&tog', '&to', '&sl'].flatMap(behavior => layers.map(layer => `${behavior} ${layer}`)),
+                ...['LSHFT', 'LCTRL', 'LALT', 'LGUI', 'RSHFT', 'RCTRL', 'RALT', 'RGUI'].map(mod => `&sk ${mod}`),
+                '&mkp LCLK', '&mkp RCLK', '&mkp MCLK', '&mkp MB4', '&mkp MB5',
+                '&mmv MOVE_UP', '&mmv MOVE_DOWN', '&mmv MOVE_LEFT', '&mmv MOVE_RIGHT',
+                '&msc SCRL_UP', '&msc SCRL_DOWN', '&msc SCRL_LEFT', '&msc SCRL_RIGHT',
+                '&bt BT_CLR', ...[0, 1, 2, 3, 4].map(profile => `&bt BT_SEL ${profile}`),
+                '&out OUT_USB', '&out OUT_BLE', '&out OUT_TOG',
+                '&caps_word', '&key_repeat', '&gresc', '&sys_reset', '&bootloader'
+            ];
+        }
+
+        const mods = [...this.modifierNames, ...this.rightModifierNames];
+        return [
+            ...Object.values(this.basic),
+            ...['MO', 'TG', 'TO', 'OSL', 'TT', 'DF'].flatMap(name => layers.map(layer => `${name}(${layer})`)),
+            ...mods.map(mod => `OSM(MOD_${mod})`),
+            'QK_GESC', 'CW_TOGG', 'QK_REP', 'QK_REBOOT', 'QK_BOOT'
+        ];
+    }
+
+    /**
+     * Format an unknown keycode as a 4-digit hex literal
+     */
+    formatHex(value) {
+        return `0x${value.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Keymap Analyzer - Static checks over parsed layers: reachability, trap layers and dead keys
+ */
+
+class KeymapAnalyzer {
+    constructor() {
+        // The simulator's keycode classification is shared so both agree on what a key does
+        this.actions = new BehaviorSimulator([]);
+
+        // Layer states explored before giving up on keymaps with many toggles
+        this.maxStates = 4096;
+    }
+
+    /**
+     * Analyze the layers of parsed firmware data
+     */
+    analyze(firmwareData) {
+        const layers = firmwareData.layers || [];
+        const keys = firmwareData.keys || [];
+        const positions = Math.max(0, ...layers.map(layer => layer.keys.length));
+
+        // Parse every keycode once
+        const actions = layers.map(layer => layer.keys.map(keycode => this.actions.parseAction(keycode)));
+
+        const exploration = this.exploreLayerStates(layers, actions, positions);
+        const reachable = new Set();
+        exploration.states.forEach(state => {
+            this.activeLayers(state).forEach(layer => reachable.add(layer));
+        });
+
+        const describeLayer = index => ({ index, name: layers[index] ? layers[index].name : `Layer ${index}` });
+        const describeKey = position => {
+            const key = keys[position];
+            return key
+                ? { position, id: key.id, row: key.row, col: key.col }
+                : { position, id: position, row: null, col: null };
+        };
+
+        const deadKeys = [];
+        const transparentKeys = [];
+        for (let position = 0; position < positions; position++) {
+            const types = actions.map(layerActions => (layerActions[position] || { type: 'trans' }).type);
+            if (types.some(type => type !== 'none' && type !== 'trans')) continue;
+
+            if (types.every(type => type === 'trans')) {
+                transparentKeys.push(describeKey(position));
+            } else {
+                deadKeys.push(describeKey(position));
+            }
+        }
+
+        return {
+            layerCount: layers.length,
+            reachableLayers: Array.from(reachable).sort((a, b) => a - b),
+            unreachableLayers: layers
+                .map((_, index) => index)
+                .filter(index => !reachable.has(index))
+                .map(describeLayer),
+            trapLayers: this.findTraps(exploration).map(state => ({
+                ...describeLayer(this.activeLayers(state).pop()),
+                activeLayers: this.activeLayers(state)
+            })),
+            missingLayerRefs: this.findMissingLayerRefs(layers, actions).map(ref => ({
+                ...ref,
+                key: describeKey(ref.position)
+            })),
+            deadKeys,
+            transparentKeys,
+            truncated: exploration.truncated
+        };
+    }
+
+    /**
+     * Breadth-first search over layer states (default layer plus active layer mask) from the power-on state
+     */
+    exploreLayerStates(layers, actions, positions) {
+        const start = this.stateKey(0, 0);
+        const states = new Set([start]);
+        const edges = new Map();
+        const addEdge = (from, to) => {
+            if (!edges.has(from)) edges.set(from, new Set());
+            edges.get(from).add(to);
+        };
+        const queue = [start];
+        let truncated = false;
+
+        while (queue.length > 0) {
+            const state = queue.shift();
+
+            for (let position = 0; position < positions; position++) {
+                const action = this.resolveAction(state, actions, position);
+                this.transitions(state, action, layers.length).forEach(({ target, momentary }) => {
+                    addEdge(state, target);
+                    // Releasing a held layer key returns to where it was pressed
+                    if (momentary) addEdge(target, state);
+
+                    if (states.has(target)) return;
+                    if (states.size >= this.maxStates) {
+                        truncated = true;
+                        return;
+                    }
+                    states.add(target);
+                    queue.push(target);
+                });
+            }
+        }
+
+        return { start, states, edges, truncated };
+    }
+
+    /**
+     * States a key can move the keyboard to
+     */
+    transitions(state, action, layerCount) {
+        const { defaultLayer, mask } = this.parseState(state);
+        const layer = action.layer;
+        if (!Number.isInteger(layer) || layer < 0 || layer >= Math.min(layerCount, 31)) return [];
+
+        const bit = 1 << layer;
+        const move = (nextDefault, nextMask, momentary) => ({
+            target: this.stateKey(nextDefault, nextMask),
+            momentary
+        });
+        switch (action.type) {
+            case 'mo':
+            case 'lm':
+            case 'lt':
+            case 'osl':
+                return [move(defaultLayer, mask | bit, true)];
+            case 'tt':
+                return [move(defaultLayer, mask | bit, true), move(defaultLayer, mask ^ bit, false)];
+            case 'tg':
+                return [move(defaultLayer, mask ^ bit, false)];
+            case 'to':
+                return [move(defaultLayer, layer === defaultLayer ? 0 : bit, false)];
+            case 'df':
+                return [move(layer, mask, false)];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Reachable states from which no sequence of keys leads back to the power-on state
+     */
+    findTraps(exploration) {
+        const reverse = new Map();
+        exploration.edges.forEach((targets, state) => {
+            targets.forEach(target => {
+                if (!reverse.has(target)) reverse.set(target, new Set());
+                reverse.get(target).add(state);
+            });
+        });
+
+        const escapes = new Set([exploration.start]);
+        const queue = [exploration.start];
+        while (queue.length > 0) {
+            const state = queue.shift();
+            (reverse.get(state) || new Set()).forEach(source => {
+                if (escapes.has(source)) return;
+                escapes.add(source);
+                queue.push(source);
+            });
+        }
+
+        return Array.from(exploration.states).filter(state => !escapes.has(state));
+    }
+
+    /**
+     * Layer keys that point at layers the keymap does not have
+     */
+    findMissingLayerRefs(layers, actions) {
+        const refs = [];
+        actions.forEach((layerActions, layer) => {
+            layerActions.forEach((action, position) => {
+                if (action.layer === undefined) return;
+                if (Number.isInteger(action.layer) && action.layer >= 0 && action.layer < layers.length) return;
+                refs.push({ layer, position, keycode: layers[layer].keys[position], target: action.layer });
+            });
+        });
+        return refs;
+    }
+
+    /**
+     * Action at a position for a layer state, falling through transparent keys
+     */
+    resolveAction(state, actions, position) {
+        const active = this.activeLayers(state);
+        for (let i = active.length - 1; i >= 0; i--) {
+            const action = actions[active[i]] && actions[active[i]][position];
+            if (action && action.type !== 'trans') return action;
+        }
+        return { type: 'none' };
+    }
+
+    /**
+     * Active layers of a state in ascending order
+     */
+    activeLayers(state) {
+        const { defaultLayer, mask } = this.parseState(state);
+        const layers = [defaultLayer];
+        for (let layer = 0; (1 << layer) <= mask && layer < 31; layer++) {
+            if (mask & (1 << layer) && layer !== defaultLayer) layers.push(layer);
+        }
+        return layers.sort((a, b) => a - b);
+    }
+
+    /**
+     * Encode a layer state as a string key
+     */
+    stateKey(defaultLayer, mask) {
+        return `${defaultLayer}:${mask}`;
+    }
+
+    /**
+     * Decode a state key
+     */
+    parseState(state) {
+        const [defaultLayer, mask] = state.split(':').map(Number);
+        return { defaultLayer, mask };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * Keymap Diff - Per-layer, per-position comparison of two parsed keymaps, e.g. the last build and the next one
+ */
+
+class KeymapDiff {
+    constructor() {
+        // Spellings that compile to the same keycode
+        this.aliases = {
+            KC_TRANSPARENT: 'KC_TRNS',
+            _______: 'KC_TRNS',
+            XXXXXXX: 'KC_NO'
+        };
+    }
+
+    /**
+     * Compare two parsed keymaps; changes read from `base` to `other`
+     */
+    compare(base, other) {
+        const matching = this.matchKeys(base.keys, other.keys);
+        const baseLayers = this.getLayerKeys(base);
+        const otherLayers = this.getLayerKeys(other);
+
+        const layers = [];
+        for (let index = 0; index < Math.max(baseLayers.length, otherLayers.length); index++) {
+            const before = base.layers[index];
+            const after = other.layers[index];
+            const name = (after || before || {}).name || `Layer ${index}`;
+
+            if (index >= otherLayers.length) {
+                layers.push({ index, name, status: 'removed', changes: [] });
+                continue;
+            }
+            if (index >= baseLayers.length) {
+                layers.push({ index, name, status: 'added', changes: [] });
+                continue;
+            }
+
+            const changes = matching.pairs
+                .filter(pair => this.normalize(baseLayers[index][pair.base]) !== this.normalize(otherLayers[index][pair.other]))
+                .map(pair => {
+                    const key = base.keys[pair.base];
+                    return {
+                        keyId: key.id,
+                        otherKeyId: other.keys[pair.other].id,
+                        row: key.row,
+                        col: key.col,
+                        before: baseLayers[index][pair.base],
+                        after: otherLayers[index][pair.other]
+                    };
+                });
+            // Formats without layer names (VIA, keymap.json) call every layer "Layer N"
+            const named = layer => layer && layer.name && layer.name !== `Layer ${index}`;
+            const renamed = named(before) && named(after) && before.name !== after.name;
+            layers.push({
+                index,
+                name,
+                previousName: renamed ? before.name : undefined,
+                status: changes.length > 0 || renamed ? 'changed' : 'same',
+                changes
+            });
+        }
+
+        const encoders = this.compareEncoders(base.layers, other.layers);
+        const keyChanges = layers.reduce((total, layer) => total + layer.changes.length, 0);
+
+        return {
+            base: this.describe(base, baseLayers),
+            other: this.describe(other, otherLayers),
+            matchedBy: matching.matchedBy,
+            unmatchedKeys: matching.unmatched,
+            layers,
+            encoders,
+            changeCount: keyChanges + encoders.length +
+                layers.filter(layer => layer.status === 'added' || layer.status === 'removed').length +
+                layers.filter(layer => layer.previousName).length
+        };
+    }
+
+    /**
+     * Pair up the keys of two layouts: by matrix position when both have unique ones, else by index
+     */
+    matchKeys(baseKeys, otherKeys) {
+        const position = key => `${key.row},${key.col}`;
+        const hasMatrix = keys => keys.length > 0 &&
+            keys.every(key => Number.isInteger(key.row) && Number.isInteger(key.col)) &&
+            new Set(keys.map(position)).size === keys.length;
+
+        const pairs = [];
+        const unmatched = { base: [], other: [] };
+
+        if (hasMatrix(baseKeys) && hasMatrix(otherKeys)) {
+            const otherIndex = new Map(otherKeys.map((key, index) => [position(key), index]));
+            const matched = new Set();
+            baseKeys.forEach((key, index) => {
+                const match = otherIndex.get(position(key));
+                if (match === undefined) {
+                    unmatched.base.push(key.id);
+                } else {
+                    pairs.push({ base: index, other: match });
+                    matched.add(match);
+                }
+            });
+            otherKeys.forEach((key, index) => {
+                if (!matched.has(index)) unmatched.other.push(key.id);
+            });
+            return { matchedBy: 'matrix', pairs, unmatched };
+        }
+
+        const shared = Math.min(baseKeys.length, otherKeys.length);
+        for (let index = 0; index < shared; index++) pairs.push({ base: index, other: index });
+        unmatched.base = baseKeys.slice(shared).map(key => key.id);
+        unmatched.other = otherKeys.slice(shared).map(key => key.id);
+        return { matchedBy: 'index', pairs, unmatched };
+    }
+
+    /**
+     * Keycodes per layer; a board without layer data is its base keycodes
+     */
+    getLayerKeys(firmware) {
+        if (firmware.layers.length > 0) return firmware.layers.map(layer => layer.keys);
+        return [firmware.keys.map(key => key.keycode || 'KC_NO')];
+    }
+
+    /**
+     * Encoder mappings that differ on layers both keymaps have
+     */
+    compareEncoders(baseLayers, otherLayers) {
+        const changes = [];
+        for (let layer = 0; layer < Math.min(baseLayers.length, otherLayers.length); layer++) {
+            const before = baseLayers[layer].encoders || [];
+            const after = otherLayers[layer].encoders || [];
+            for (let encoder = 0; encoder < Math.max(before.length, after.length); encoder++) {
+                ['ccw', 'cw'].forEach((direction, side) => {
+                    const from = before[encoder] ? before[encoder][side] : null;
+                    const to = after[encoder] ? after[encoder][side] : null;
+                    if (this.normalize(from) !== this.normalize(to)) {
+                        changes.push({ layer, encoder, direction, before: from, after: to });
+                    }
+                });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Canonical spelling for comparison: whitespace collapsed, aliases resolved
+     */
+    normalize(keycode) {
+        if (keycode === null || keycode === undefined) return null;
+        const text = String(keycode).trim().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1');
+        return this.aliases[text] || text;
+    }
+
+    /**
+     * Summary of one side of the diff
+     */
+    describe(firmware, layerKeys) {
+        return {
+            name: firmware.name,
+            type: firmware.type,
+            layerCount: layerKeys.length,
+            keyCount: firmware.keys.length,
+            encoderCount: firmware.encoders.length
+        };
+    }
+
+    /**
+     * Markdown report, e.g. for pasting into a keymap pull request
+     */
+    toMarkdown(diff) {
+        const code = value => (value === null || value === undefined ? '—' : `\`${String(value).replace(/\|/g, '\\|')}\``);
+        const lines = [
+            `# Keymap diff: ${diff.base.name} → ${diff.other.name}`,
+            '',
+            '| | Before | After |',
+            '|---|---|---|',
+            `| Firmware | ${diff.base.type} | ${diff.other.type} |`,
+            `| Layers | ${diff.base.layerCount} | ${diff.other.layerCount} |`,
+            `| Keys | ${diff.base.keyCount} | ${diff.other.keyCount} |`,
+            `| Encoders | ${diff.base.encoderCount} | ${diff.other.encoderCount} |`,
+            ''
+        ];
+
+        if (diff.changeCount === 0) {
+            lines.push('No keymap changes.');
+            return `${lines.join('\n')}\n`;
+        }
+
+        if (diff.unmatchedKeys.base.length + diff.unmatchedKeys.other.length > 0) {
+            lines.push(`Keys matched by ${diff.matchedBy}. Only before: ${diff.unmatchedKeys.base.join(', ') || 'none'}. ` +
+                `Only after: ${diff.unmatchedKeys.other.join(', ') || 'none'}.`, '');
+        }
+
+        diff.layers.filter(layer => layer.status !== 'same').forEach(layer => {
+            const renamed = layer.previousName ? ` (renamed from ${layer.previousName})` : '';
+            if (layer.status !== 'changed') {
+                lines.push(`## Layer ${layer.index} (${layer.name}): ${layer.status}`, '');
+                return;
+            }
+            lines.push(`## Layer ${layer.index} (${layer.name})${renamed}: ${layer.changes.length} change(s)`, '');
+            if (layer.changes.length === 0) return;
+            lines.push('| Key | Matrix | Before | After |', '|---|---|---|---|');
+            layer.changes.forEach(change => {
+                const matrix = change.row !== undefined && change.row !== null ? `${change.row},${change.col}` : '—';
+                lines.push(`| ${change.keyId} | ${matrix} | ${code(change.before)} | ${code(change.after)} |`);
+            });
+            lines.push('');
+        });
+
+        if (diff.encoders.length > 0) {
+            lines.push('## Encoders', '', '| Layer | Encoder | Direction | Before | After |', '|---|---|---|---|---|');
+            diff.encoders.forEach(change => {
+                lines.push(`| ${change.layer} | ${change.encoder} | ${change.direction} | ${code(change.before)} | ${code(change.after)} |`);
+            });
+            lines.push('');
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
\ No newline at end of file
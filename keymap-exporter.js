@@ -0,0 +1,433 @@
+/**
+ * Keymap Exporter - Writes parsed (and edited) layers back out as QMK keymap.c, QMK keymap.json or a ZMK .keymap
+ */
+
+class KeymapExporter {
+    constructor(keycodes) {
+        this.keycodes = keycodes;
+
+        this.formats = {
+            'keymap.c': { type: 'QMK', fileName: 'keymap.c', mimeType: 'text/x-csrc' },
+            'keymap.json': { type: 'QMK', fileName: 'keymap.json', mimeType: 'application/json' },
+            zmk: { type: 'ZMK', fileName: 'keymap.keymap', mimeType: 'text/plain' }
+        };
+
+        // QMK modifier wrappers -> ZMK modifier functions
+        this.modifierFunctions = {
+            LCTL: 'LC', C: 'LC', LSFT: 'LS', S: 'LS', LALT: 'LA', A: 'LA', LOPT: 'LA',
+            LGUI: 'LG', G: 'LG', LCMD: 'LG', LWIN: 'LG', RCTL: 'RC', RSFT: 'RS',
+            RALT: 'RA', ALGR: 'RA', ROPT: 'RA', RGUI: 'RG', RCMD: 'RG', RWIN: 'RG'
+        };
+
+        // Shifted symbols name the unshifted key in the usage tables, so they are translated by name;
+        // the first ZMK name is the one written out
+        const shifted = {
+            KC_TILD: ['TILDE'], KC_EXLM: ['EXCL', 'EXCLAMATION'], KC_AT: ['AT', 'AT_SIGN'],
+            KC_HASH: ['HASH', 'POUND'], KC_DLR: ['DOLLAR', 'DLLR'], KC_PERC: ['PERCENT', 'PRCNT'],
+            KC_CIRC: ['CARET'], KC_AMPR: ['AMPERSAND', 'AMPS'], KC_ASTR: ['ASTERISK', 'ASTRK', 'STAR'],
+            KC_LPRN: ['LPAR', 'LEFT_PARENTHESIS'], KC_RPRN: ['RPAR', 'RIGHT_PARENTHESIS'],
+            KC_UNDS: ['UNDERSCORE', 'UNDER'], KC_PLUS: ['PLUS'], KC_LCBR: ['LBRC', 'LEFT_BRACE'],
+            KC_RCBR: ['RBRC', 'RIGHT_BRACE'], KC_PIPE: ['PIPE'], KC_COLN: ['COLON'],
+            KC_DQUO: ['DQT', 'DOUBLE_QUOTES'], KC_LABK: ['LT', 'LESS_THAN'], KC_RABK: ['GT', 'GREATER_THAN'],
+            KC_QUES: ['QMARK', 'QUESTION']
+        };
+        this.qmkShifted = { KC_DQT: 'DQT', KC_LT: 'LT', KC_GT: 'GT' };
+        this.zmkShifted = {};
+        Object.entries(shifted).forEach(([qmk, zmk]) => {
+            this.qmkShifted[qmk] = zmk[0];
+            zmk.forEach(name => {
+                this.zmkShifted[name] = qmk;
+            });
+        });
+
+        // Behaviors without parameters that both firmwares have
+        this.zmkEquivalents = {
+            QK_BOOT: '&bootloader', QK_BOOTLOADER: '&bootloader', RESET: '&bootloader',
+            QK_REBOOT: '&sys_reset', QK_GESC: '&gresc', KC_GESC: '&gresc',
+            CW_TOGG: '&caps_word', QK_REP: '&key_repeat'
+        };
+        this.qmkLayerFunctions = { MO: '&mo', TG: '&tog', TO: '&to', OSL: '&sl' };
+
+        // QMK keycode names outside the usage tables: prefixed families and bare aliases
+        this.qmkKeycodePrefix = /^(KC|QK|RGB|RM|UG|BL|LED|AU|MU|CK|MI|SH|NK|AS|CM|CW|DT|EE|DB|HF|HPT|SQ|OU|PB|MS|TL|DM|DYN|JS|MAGIC|KO)_/;
+        this.qmkKeycodeAliases = ['XXXXXXX', '_______', 'RESET', 'DEBUG', 'EEP_RST'];
+    }
+
+    /**
+     * Write the firmware's layers in one of the formats; keycodes of the other firmware are translated
+     * where an equivalent exists, anything else becomes KC_NO / &none and is listed in `warnings`
+     */
+    export(firmware, format) {
+        const target = this.formats[format];
+        if (!target) throw new Error(`Unknown keymap format: ${format}`);
+
+        const warnings = [];
+        const layers = this.getLayers(firmware).map((layer, index) => ({
+            ...layer,
+            keys: layer.keys.map(keycode => this.convert(keycode, target.type, index, warnings)),
+            encoders: layer.encoders.map(pair => pair.map(keycode => this.convert(keycode, target.type, index, warnings)))
+        }));
+
+        let content;
+        if (format === 'keymap.c') {
+            content = this.toQmkKeymapC(firmware, layers);
+        } else if (format === 'keymap.json') {
+            content = this.toQmkKeymapJson(firmware, layers, warnings);
+        } else {
+            content = this.toZmkKeymap(firmware, layers);
+        }
+
+        return { content, fileName: target.fileName, mimeType: target.mimeType, warnings };
+    }
+
+    /**
+     * Layers as parsed; a board without layer data exports its base keycodes as one layer
+     */
+    getLayers(firmware) {
+        const layers = firmware.layers.length > 0
+            ? firmware.layers
+            : [{ name: 'Layer 0', keys: firmware.keys.map(key => key.keycode || 'KC_NO') }];
+
+        return layers.map((layer, index) => ({
+            name: layer.name || `Layer ${index}`,
+            keys: firmware.keys.map((key, position) => layer.keys[position] || 'KC_NO'),
+            encoders: layer.encoders || []
+        }));
+    }
+
+    /**
+     * LAYOUT_* macro the keys are ordered for
+     */
+    getLayoutMacro(firmware) {
+        const metadata = firmware.metadata || {};
+        return metadata.layoutName || metadata.layoutMacro || 'LAYOUT';
+    }
+
+    /**
+     * QMK keymap.c with a keymaps[] table of LAYOUT_* calls
+     */
+    toQmkKeymapC(firmware, layers) {
+        // Layer names become an enum when they are usable as C identifiers that no keycode mentions
+        const identifiers = new Set();
+        layers.forEach(layer => layer.keys.forEach(keycode => {
+            (keycode.match(/\b[A-Za-z_]\w*\b/g) || []).forEach(name => identifiers.add(name));
+        }));
+        const names = layers.map(layer => layer.name);
+        const useEnum = names.every(name => /^[A-Za-z_]\w*$/.test(name) && !identifiers.has(name)) &&
+            new Set(names).size === names.length;
+
+        const lines = [
+            `// Exported from ${firmware.name}`,
+            '#include QMK_KEYBOARD_H',
+            ''
+        ];
+        if (useEnum) {
+            lines.push('enum layers {', names.map(name => `    ${name}`).join(',\n'), '};', '');
+        }
+
+        // Keycodes QMK does not define are custom ones; process_record_user decides what they do
+        const custom = this.findCustomKeycodes(layers);
+        if (custom.length > 0) {
+            const entries = custom.map((name, index) => `    ${name}${index === 0 ? ' = SAFE_RANGE' : ''}`);
+            lines.push('enum custom_keycodes {', entries.join(',\n'), '};', '');
+        }
+
+        const macro = this.getLayoutMacro(firmware);
+        lines.push('const uint16_t PROGMEM keymaps[][MATRIX_ROWS][MATRIX_COLS] = {');
+        layers.forEach((layer, index) => {
+            const designator = useEnum ? layer.name : String(index);
+            const rows = this.groupRows(firmware.keys, layer.keys.map(keycode => `${keycode},`));
+            const body = rows.map(row => `        ${row}`).join('\n').replace(/,$/, '');
+            lines.push(`    [${designator}] = ${macro}(`, body, `    )${index < layers.length - 1 ? ',' : ''}`);
+        });
+        lines.push('};');
+
+        const encoderCount = Math.max(0, ...layers.map(layer => layer.encoders.length));
+        if (encoderCount > 0) {
+            lines.push('', '#if defined(ENCODER_MAP_ENABLE)');
+            lines.push('const uint16_t PROGMEM encoder_map[][NUM_ENCODERS][NUM_DIRECTIONS] = {');
+            layers.forEach((layer, index) => {
+                const pairs = Array.from({ length: encoderCount }, (_, encoder) => {
+                    const [ccw, cw] = layer.encoders[encoder] || ['KC_NO', 'KC_NO'];
+                    return `ENCODER_CCW_CW(${ccw}, ${cw})`;
+                });
+                const designator = useEnum ? layer.name : String(index);
+                lines.push(`    [${designator}] = { ${pairs.join(', ')} }${index < layers.length - 1 ? ',' : ''}`);
+            });
+            lines.push('};', '#endif');
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Bare keycode names that are not QMK keycodes, in order of first use
+     */
+    findCustomKeycodes(layers) {
+        const custom = [];
+        layers.forEach(layer => [...layer.keys, ...layer.encoders.flat()].forEach(keycode => {
+            if (/^[A-Za-z_]\w*$/.test(keycode) && !this.isQmkKeycodeName(keycode) && !custom.includes(keycode)) {
+                custom.push(keycode);
+            }
+        }));
+        return custom;
+    }
+
+    /**
+     * Whether QMK defines a keycode of this name
+     */
+    isQmkKeycodeName(name) {
+        return this.keycodes.qmkUsages[name] !== undefined || this.qmkKeycodeAliases.includes(name) ||
+            this.qmkKeycodePrefix.test(name);
+    }
+
+    /**
+     * QMK keymap.json as written by QMK Configurator; it has no place for layer names. `keyboard` is the
+     * board's path in the QMK tree, which only an info.json or keymap.json tells
+     */
+    toQmkKeymapJson(firmware, layers, warnings) {
+        const keyboard = (firmware.metadata && firmware.metadata.keyboardFolder) || '';
+        if (!keyboard) {
+            warnings.push('keymap.json has no "keyboard": fill in the board\'s path in the QMK tree (e.g. planck/rev6) before running qmk compile');
+        }
+
+        const keymap = {
+            version: 1,
+            notes: `Exported from ${firmware.name}`,
+            keyboard,
+            keymap: (firmware.metadata && firmware.metadata.keymapName) || 'default',
+            layout: this.getLayoutMacro(firmware),
+            layers: layers.map(layer => layer.keys)
+        };
+
+        if (layers.some(layer => layer.encoders.length > 0)) {
+            keymap.encoders = layers.map(layer => layer.encoders.map(([ccw, cw]) => ({ ccw, cw })));
+        }
+
+        return `${JSON.stringify(keymap, null, 4)}\n`;
+    }
+
+    /**
+     * ZMK .keymap devicetree with one node per layer
+     */
+    toZmkKeymap(firmware, layers) {
+        const nodeNames = new Set();
+        const nodeName = (name, index) => {
+            let base = name.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || `layer_${index}`;
+            if (/^\d/.test(base)) base = `layer_${base}`;
+            let unique = base;
+            for (let n = 2; nodeNames.has(unique); n++) unique = `${base}_${n}`;
+            nodeNames.add(unique);
+            return unique;
+        };
+
+        const lines = [
+            `// Exported from ${firmware.name}`,
+            '#include <behaviors.dtsi>',
+            '#include <dt-bindings/zmk/keys.h>',
+            '#include <dt-bindings/zmk/bt.h>',
+            '#include <dt-bindings/zmk/outputs.h>',
+            '',
+            '/ {',
+            '    keymap {',
+            '        compatible = "zmk,keymap";'
+        ];
+
+        layers.forEach((layer, index) => {
+            const rows = this.groupRows(firmware.keys, layer.keys);
+            lines.push(
+                '',
+                `        ${nodeName(layer.name, index)} {`,
+                `            display-name = ${JSON.stringify(layer.name)};`,
+                '            bindings = <',
+                ...rows.map(row => `                ${row}`),
+                '            >;'
+            );
+
+            if (layer.encoders.length > 0) {
+                const bindings = layer.encoders.map(([ccw, cw]) => `&inc_dec_kp ${this.bindingParam(cw)} ${this.bindingParam(ccw)}`);
+                lines.push(`            sensor-bindings = <${bindings.join(' ')}>;`);
+            }
+            lines.push('        };');
+        });
+
+        lines.push('    };', '};');
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Key of a `&kp KEY` binding, for sensor bindings that take bare keys
+     */
+    bindingParam(binding) {
+        const match = binding.match(/^&kp\s+(.+)$/);
+        return match ? match[1] : 'NONE';
+    }
+
+    /**
+     * Split entries into lines wherever the keys move to another row, padded into columns
+     */
+    groupRows(keys, entries) {
+        const width = Math.max(0, ...entries.map(entry => entry.length));
+        const rows = [];
+        let lastRow = null;
+
+        entries.forEach((entry, position) => {
+            const key = keys[position];
+            const row = key ? key.row : lastRow;
+            if (rows.length === 0 || row !== lastRow) rows.push([]);
+            rows[rows.length - 1].push(entry.padEnd(width));
+            lastRow = row;
+        });
+
+        return rows.map(row => row.join(' ').trimEnd());
+    }
+
+    /**
+     * Keycode in the target firmware's notation, or KC_NO / &none with a warning
+     */
+    convert(keycode, type, layer, warnings) {
+        const text = String(keycode).trim();
+        const isZmk = text.startsWith('&');
+        if ((type === 'ZMK') === isZmk) return text;
+
+        const converted = type === 'ZMK' ? this.qmkToZmk(text) : this.zmkToQmk(text);
+        if (converted === null) {
+            warnings.push(`${text} on layer ${layer} has no ${type} equivalent; exported as a no-op key`);
+            return type === 'ZMK' ? '&none' : 'KC_NO';
+        }
+        return converted;
+    }
+
+    /**
+     * Translate a QMK keycode to a ZMK binding
+     */
+    qmkToZmk(keycode) {
+        if (['KC_TRNS', 'KC_TRANSPARENT', '_______'].includes(keycode)) return '&trans';
+        if (['KC_NO', 'XXXXXXX'].includes(keycode)) return '&none';
+        if (this.zmkEquivalents[keycode]) return this.zmkEquivalents[keycode];
+
+        let match = keycode.match(/^(MO|TG|TO|OSL)\((\d+)\)$/);
+        if (match) return `${this.qmkLayerFunctions[match[1]]} ${match[2]}`;
+
+        match = keycode.match(/^LT\((\d+),\s*(.+)\)$/);
+        if (match) {
+            const key = this.zmkKeyName(match[2]);
+            return key ? `&lt ${match[1]} ${key}` : null;
+        }
+
+        match = keycode.match(/^OSM\((MOD_\w+)\)$/);
+        if (match) {
+            const modifier = this.zmkKeyName(`KC_${match[1].slice(4)}`);
+            return modifier ? `&sk ${modifier}` : null;
+        }
+
+        const modTap = this.parseQmkModTap(keycode);
+        if (modTap) {
+            const modifier = this.zmkKeyName(`KC_${modTap.modifier}`);
+            const key = this.zmkKeyName(modTap.key);
+            return modifier && key ? `&mt ${modifier} ${key}` : null;
+        }
+
+        // Mouse keys have behaviors of their own
+        const usage = this.keycodes.qmkUsages[keycode];
+        const key = this.zmkKeyName(keycode);
+        if (!key) return null;
+        if (usage >= 0xCD && usage <= 0xD0) return `&mmv ${key}`;
+        if (usage >= 0xD1 && usage <= 0xD8) return `&mkp ${key}`;
+        if (usage >= 0xD9 && usage <= 0xDC) return `&msc ${key}`;
+        return `&kp ${key}`;
+    }
+
+    /**
+     * Single-modifier mod-tap (LCTL_T(KC_A), MT(MOD_LCTL, KC_A)) as { modifier, key }
+     */
+    parseQmkModTap(keycode) {
+        const shorthands = { CTL: 'LCTL', SFT: 'LSFT', ALT: 'LALT', OPT: 'LALT', GUI: 'LGUI', CMD: 'LGUI', WIN: 'LGUI' };
+        let match = keycode.match(/^([A-Z]+)_T\((.+)\)$/);
+        if (match) return { modifier: shorthands[match[1]] || match[1], key: match[2].trim() };
+
+        match = keycode.match(/^MT\(MOD_(\w+),\s*(.+)\)$/);
+        if (match) return { modifier: match[1], key: match[2].trim() };
+        return null;
+    }
+
+    /**
+     * ZMK name for a QMK key, modifier wrappers included: LCTL(KC_C) -> LC(C)
+     */
+    zmkKeyName(keycode) {
+        const wrapper = keycode.match(/^(\w+)\((.+)\)$/);
+        if (wrapper) {
+            const modifier = this.modifierFunctions[wrapper[1]];
+            const inner = modifier ? this.zmkKeyName(wrapper[2].trim()) : null;
+            return inner ? `${modifier}(${inner})` : null;
+        }
+
+        if (this.qmkShifted[keycode]) return this.qmkShifted[keycode];
+        const usage = this.keycodes.qmkUsages[keycode];
+        if (usage === undefined) return null;
+
+        // Canonical names come first in the table, aliases after them
+        const name = Object.keys(this.keycodes.zmkUsages).find(zmk => this.keycodes.zmkUsages[zmk] === usage && !this.zmkShifted[zmk]);
+        return name || null;
+    }
+
+    /**
+     * Translate a ZMK binding to a QMK keycode
+     */
+    zmkToQmk(binding) {
+        const [behavior, ...params] = binding.split(/\s+/);
+        const param = params.join(' ');
+
+        if (behavior === '&trans') return 'KC_TRNS';
+        if (behavior === '&none') return 'KC_NO';
+
+        const equivalent = Object.keys(this.zmkEquivalents).find(qmk => this.zmkEquivalents[qmk] === behavior && params.length === 0);
+        if (equivalent) return equivalent;
+
+        const layerFunction = Object.keys(this.qmkLayerFunctions).find(qmk => this.qmkLayerFunctions[qmk] === behavior);
+        if (layerFunction && /^\d+$/.test(param)) return `${layerFunction}(${param})`;
+
+        if (behavior === '&lt' && params.length === 2) {
+            const key = this.qmkKeyName(params[1]);
+            return key && /^\d+$/.test(params[0]) ? `LT(${params[0]}, ${key})` : null;
+        }
+        if (behavior === '&mt' && params.length === 2) {
+            const modifier = this.qmkModifier(params[0]);
+            const key = this.qmkKeyName(params[1]);
+            return modifier && key ? `${modifier}_T(${key})` : null;
+        }
+        if (behavior === '&sk') {
+            const modifier = this.qmkModifier(param);
+            return modifier ? `OSM(MOD_${modifier})` : null;
+        }
+        if (['&kp', '&mkp', '&mmv', '&msc'].includes(behavior)) {
+            return this.qmkKeyName(param);
+        }
+        return null;
+    }
+
+    /**
+     * QMK name for a ZMK key, modifier functions included: LC(C) -> LCTL(KC_C)
+     */
+    qmkKeyName(name) {
+        const wrapper = name.match(/^(\w+)\((.+)\)$/);
+        if (wrapper) {
+            const modifier = Object.keys(this.modifierFunctions).find(qmk => qmk.length > 1 && this.modifierFunctions[qmk] === wrapper[1]);
+            const inner = modifier ? this.qmkKeyName(wrapper[2].trim()) : null;
+            return inner ? `${modifier}(${inner})` : null;
+        }
+
+        if (this.zmkShifted[name]) return this.zmkShifted[name];
+        const usage = this.keycodes.zmkUsages[name];
+        return usage !== undefined && this.keycodes.basic[usage] ? this.keycodes.basic[usage] : null;
+    }
+
+    /**
+     * QMK modifier (LCTL, RSFT, ...) for a ZMK modifier key
+     */
+    qmkModifier(name) {
+        const usage = this.keycodes.zmkUsages[name];
+        if (usage === undefined || usage < 0xE0 || usage > 0xE7) return null;
+        return this.keycodes.basic[usage].replace(/^KC_/, '');
+    }
+}
\ No newline at end of file
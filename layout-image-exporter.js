@@ -0,0 +1,274 @@
+/**
+ * Layout Image Exporter - SVG and PNG pictures of the layout with one panel per layer, e.g. for printed cheat sheets
+ */
+
+class LayoutImageExporter {
+    constructor(renderer) {
+        // Shapes, keycode resolution and colors all come from the renderer, so the picture matches the screen
+        this.renderer = renderer;
+        this.padding = 20;
+        this.titleHeight = 28;
+        this.lineHeight = 18;
+
+        this.stateNames = {
+            untested: 'Untested',
+            tested: 'Tested',
+            pressed: 'Pressed',
+            repeating: 'Repeating',
+            chatter: 'Chatter',
+            stuck: 'Stuck'
+        };
+    }
+
+    /**
+     * SVG document with a panel per layer (or the base keycodes), encoder mappings and a color key
+     */
+    toSvg(firmware) {
+        const renderer = this.renderer;
+        const bounds = this.getBounds(renderer.keys);
+        const layerCount = Math.max(renderer.layers.length, 1);
+        const encoderLines = firmware.encoders.length;
+
+        const colorKeyWidth = Object.values(this.stateNames).reduce((total, name) => total + this.swatchWidth(name), this.padding * 2);
+        const width = Math.max(bounds.width + this.padding * 2, colorKeyWidth);
+        const panelHeight = this.titleHeight + bounds.height + this.padding + encoderLines * this.lineHeight;
+        const height = this.titleHeight + layerCount * (panelHeight + this.padding) + this.lineHeight + this.padding;
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.number(width)}" height="${this.number(height)}" ` +
+                `viewBox="0 0 ${this.number(width)} ${this.number(height)}" font-family="Arial, sans-serif">`,
+            `<rect width="100%" height="100%" fill="${renderer.colors.background}"/>`,
+            `<text x="${this.padding}" y="${this.titleHeight - 8}" font-size="16" font-weight="bold" fill="${renderer.colors.text}">${this.escape(firmware.name)}</text>`
+        ];
+
+        for (let index = 0; index < layerCount; index++) {
+            const top = this.titleHeight + index * (panelHeight + this.padding);
+            parts.push(this.renderPanel(firmware, index, bounds, top, width, panelHeight));
+        }
+
+        parts.push(this.renderColorKey(height - this.padding));
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Rasterize an SVG document to a PNG blob at `scale` times its size
+     */
+    toPng(svg, scale = 2) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(image.width * scale);
+                canvas.height = Math.ceil(image.height * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.scale(scale, scale);
+                ctx.drawImage(image, 0, 0);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+            };
+            image.onerror = () => reject(new Error('Could not rasterize the SVG'));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    /**
+     * Layout-space bounding box of all keys, rotated corners included
+     */
+    getBounds(keys) {
+        const corners = keys.flatMap(key => this.renderer.getKeyCorners(key));
+        if (corners.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    /**
+     * One layer: title, keys, the gap between split halves and the encoder mappings
+     */
+    renderPanel(firmware, index, bounds, top, width, height) {
+        const renderer = this.renderer;
+        const layer = renderer.layers[index];
+        const name = layer ? layer.name : 'Base';
+        const offsetX = this.padding - bounds.x;
+        const offsetY = top + this.titleHeight - bounds.y;
+
+        const parts = [
+            '<g>',
+            `<rect x="0.5" y="${this.number(top + 0.5)}" width="${this.number(width - 1)}" height="${this.number(height - 1)}" fill="#fff" stroke="#dee2e6"/>`,
+            `<text x="${this.padding}" y="${this.number(top + this.titleHeight - 8)}" font-size="14" font-weight="bold" fill="${renderer.colors.text}">` +
+                `${this.escape(`Layer ${index}: ${name}`)}</text>`,
+            `<g transform="translate(${this.number(offsetX)} ${this.number(offsetY)})">`
+        ];
+
+        // The same layer state the Layer selector shows: the default layer stays underneath
+        const activeLayers = index > 0 ? [0, index] : [0];
+        renderer.keys.forEach(key => {
+            parts.push(this.renderKey(key, renderer.resolveKeycode(key, activeLayers)));
+        });
+
+        const divider = this.getSplitDivider(renderer.keys);
+        if (divider !== null) {
+            parts.push(`<line x1="${this.number(divider)}" y1="${this.number(bounds.y)}" x2="${this.number(divider)}" ` +
+                `y2="${this.number(bounds.y + bounds.height)}" stroke="${renderer.colors.border}" stroke-dasharray="6 4"/>`);
+        }
+        parts.push('</g>');
+
+        const encoderTop = top + this.titleHeight + bounds.height + this.padding;
+        firmware.encoders.forEach((encoder, position) => {
+            const pair = layer && layer.encoders ? layer.encoders[position] : null;
+            const turn = side => (pair && pair[side] ? this.formatLegend(pair[side]) : '—');
+            parts.push(`<text x="${this.padding}" y="${this.number(encoderTop + position * this.lineHeight)}" font-size="12" fill="${renderer.colors.text}">` +
+                `${this.escape(`${encoder.name}: ↶ ${turn(0)}  ↷ ${turn(1)}`)}</text>`);
+        });
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * One key in its test state color, with the tap legend in the middle and the hold legend below it
+     */
+    renderKey(key, resolved) {
+        const renderer = this.renderer;
+        const rects = renderer.getKeyRects(key);
+        const state = renderer.keyStates.get(key.id);
+        const fill = renderer.colors[this.stateNames[state] ? state : 'untested'];
+        const border = resolved.transparent && (!state || state === 'untested' || state === 'hover')
+            ? renderer.colors.transparentBorder
+            : renderer.getBorderColor(state === 'hover' ? 'untested' : state);
+        const dash = resolved.transparent ? ' stroke-dasharray="4 3"' : '';
+
+        const rotation = key.rotation && key.rotation.angle
+            ? ` transform="rotate(${this.number(key.rotation.angle)} ${this.number(key.rotation.x)} ${this.number(key.rotation.y)})"`
+            : '';
+        const parts = [`<g${rotation}>`];
+
+        // Both outlines first, then both faces inset by half the border, so no border crosses an ISO Enter
+        rects.forEach(rect => {
+            parts.push(`<rect x="${this.number(rect.x)}" y="${this.number(rect.y)}" width="${this.number(rect.width)}" height="${this.number(rect.height)}" ` +
+                `fill="${fill}" stroke="${border}" stroke-width="2"${dash}/>`);
+        });
+        if (rects.length > 1) {
+            rects.forEach(rect => {
+                parts.push(`<rect x="${this.number(rect.x + 1)}" y="${this.number(rect.y + 1)}" width="${this.number(rect.width - 2)}" height="${this.number(rect.height - 2)}" fill="${fill}"/>`);
+            });
+            if (key.stepped) {
+                const step = rects[1];
+                parts.push(`<rect x="${this.number(step.x + 3)}" y="${this.number(step.y + 3)}" width="${this.number(step.width - 6)}" height="${this.number(step.height - 6)}" ` +
+                    `fill="none" stroke="${border}"/>`);
+            }
+        }
+
+        const { x, y, width, height } = rects[0];
+        const legends = this.getLegends(key, resolved.keycode);
+        const color = resolved.transparent ? renderer.colors.transparentText : renderer.colors.text;
+        const size = Math.min(width / 3, height / 3, 14);
+        const centerX = x + width / 2;
+        const tapY = legends.hold ? y + height / 2 - size * 0.3 : y + height / 2;
+
+        parts.push(this.renderText(legends.tap, centerX, tapY, size, width - 6, color));
+        if (legends.hold) {
+            parts.push(this.renderText(legends.hold, centerX, y + height - size * 0.55, size * 0.7, width - 6, renderer.colors.transparentText));
+        }
+
+        parts.push('</g>');
+        return parts.join('');
+    }
+
+    /**
+     * Centered text, squeezed to the key's width when it would overflow
+     */
+    renderText(text, x, y, size, maxWidth, color) {
+        if (!text) return '';
+        const squeeze = text.length * size * 0.6 > maxWidth
+            ? ` textLength="${this.number(maxWidth)}" lengthAdjust="spacingAndGlyphs"`
+            : '';
+        return `<text x="${this.number(x)}" y="${this.number(y)}" font-size="${this.number(size)}" fill="${color}" ` +
+            `text-anchor="middle" dominant-baseline="middle"${squeeze}>${this.escape(text)}</text>`;
+    }
+
+    /**
+     * Tap and hold legends: LT(1, KC_SPC) is "Space" over "L1", LCTL_T(KC_A) is "A" over "Ctrl"
+     */
+    getLegends(key, keycode) {
+        // Keys without a keycode show their legend or ID, as on screen
+        if (!keycode || keycode === 'KC_NO' || keycode === '&none') {
+            return { tap: key.label || String(key.id), hold: '' };
+        }
+
+        const action = this.renderer.simulator ? this.renderer.simulator.parseAction(keycode) : { type: 'key' };
+        if (action.type === 'lt') {
+            const layer = this.renderer.layers[action.layer];
+            return { tap: this.formatLegend(action.tap), hold: layer && layer.name ? layer.name : `L${action.layer}` };
+        }
+        if (action.type === 'mt') {
+            return { tap: this.formatLegend(action.tap), hold: action.mods.map(mod => this.formatLegend(mod)).join('+') };
+        }
+        return { tap: this.formatLegend(keycode), hold: '' };
+    }
+
+    /**
+     * Screen label of a keycode; bare ZMK key names get the same short forms as QMK ones
+     */
+    formatLegend(keycode) {
+        const text = String(keycode).trim();
+        return this.renderer.formatKeycode(/^[A-Z0-9_]+$/.test(text) && !text.startsWith('KC_') ? `KC_${text}` : text);
+    }
+
+    /**
+     * X position halfway between the halves of a split keyboard, or null for a one-piece board
+     */
+    getSplitDivider(keys) {
+        const left = keys.filter(key => key.half === 'left');
+        const right = keys.filter(key => key.half === 'right');
+        if (left.length === 0 || right.length === 0) return null;
+
+        const leftEdge = this.getBounds(left);
+        const rightEdge = this.getBounds(right);
+        return (leftEdge.x + leftEdge.width + rightEdge.x) / 2;
+    }
+
+    /**
+     * Swatches for every test state, so a printed sheet still explains its colors
+     */
+    renderColorKey(baseline) {
+        const colors = this.renderer.colors;
+        const parts = [];
+        let x = this.padding;
+        Object.keys(this.stateNames).forEach(state => {
+            const border = this.renderer.getBorderColor(state);
+            parts.push(`<rect x="${x}" y="${baseline - 12}" width="14" height="14" fill="${colors[state]}" stroke="${border}" stroke-width="2"/>`);
+            parts.push(`<text x="${x + 20}" y="${baseline}" font-size="12" fill="${colors.text}">${this.stateNames[state]}</text>`);
+            x += this.swatchWidth(this.stateNames[state]);
+        });
+        return parts.join('\n');
+    }
+
+    /**
+     * Room one color key entry takes: swatch, gap and an estimate of the label's width
+     */
+    swatchWidth(name) {
+        return 30 + name.length * 7;
+    }
+
+    /**
+     * Coordinates rounded to two decimals, keeping the SVG readable
+     */
+    number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Escape text for XML
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
\ No newline at end of file
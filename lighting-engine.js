@@ -0,0 +1,153 @@
+/**
+ * Lighting Engine - Runs a core set of QMK RGB effects over a keyboard's RGB matrix and underglow LEDs
+ */
+
+class LightingEngine {
+    constructor(lighting) {
+        this.lighting = lighting;
+        this.effects = ['solid_color', 'breathing', 'cycle_left_right', 'solid_reactive_simple'];
+        this.flagFilters = {
+            all: 0xFF,
+            keylight: 0x05, // LED_FLAG_KEYLIGHT | LED_FLAG_MODIFIER
+            underglow: 0x02,
+            indicator: 0x08
+        };
+        this.hits = new Map(); // LED index -> time its key was last pressed
+
+        // Start where the firmware would: the configured default animation, color and speed
+        const config = (lighting.matrix || lighting.underglow).defaults;
+        this.effect = this.effects.includes(config.animation) ? config.animation : 'solid_color';
+        this.hsv = {
+            h: config.hue !== undefined ? config.hue : 0,
+            s: config.sat !== undefined ? config.sat : 255,
+            v: config.val !== undefined ? config.val : 255
+        };
+        this.speed = config.speed !== undefined ? config.speed : 127;
+        this.flagFilter = 'all';
+    }
+
+    /**
+     * Pick an effect by its QMK name (lower case, without the RGB_MATRIX_ prefix)
+     */
+    setEffect(effect) {
+        if (this.effects.includes(effect)) this.effect = effect;
+    }
+
+    /**
+     * Light only LEDs with these flags, as rgb_matrix_set_flags does
+     */
+    setFlagFilter(filter) {
+        if (this.flagFilters[filter] !== undefined) this.flagFilter = filter;
+    }
+
+    /**
+     * Remember a key press for the reactive effects
+     */
+    keyPressed(keyId, time) {
+        if (!this.lighting.matrix) return;
+        this.lighting.matrix.leds.forEach(led => {
+            if (led.keyId === keyId) this.hits.set(led.index, time);
+        });
+    }
+
+    /**
+     * Colors at `time` (ms): { matrix: [{ r, g, b }] per RGB matrix LED, underglow: [...] per rgblight LED }
+     */
+    getColors(time) {
+        const matrix = this.lighting.matrix;
+        const underglow = this.lighting.underglow;
+        const mask = this.flagFilters[this.flagFilter];
+
+        return {
+            matrix: matrix
+                ? matrix.leds.map(led => (led.flags & mask
+                    ? this.hsvToRgb(this.computeHsv(led, time, matrix.maxBrightness))
+                    : { r: 0, g: 0, b: 0 }))
+                : [],
+            // rgblight has no LED positions; its strip is spread across 224 like the matrix space
+            underglow: underglow
+                ? Array.from({ length: underglow.count }, (_, index) => this.hsvToRgb(this.computeHsv({
+                    index: -1 - index,
+                    x: underglow.count > 1 ? Math.round(index * 224 / (underglow.count - 1)) : 112,
+                    keyId: null
+                }, time, underglow.maxBrightness)))
+                : []
+        };
+    }
+
+    /**
+     * One LED's color in the current effect, following the math in QMK's rgb_matrix_animations
+     */
+    computeHsv(led, time, maxBrightness) {
+        const hsv = { ...this.hsv, v: Math.min(this.hsv.v, maxBrightness) };
+        const timer = Math.floor(time) & 0xFFFF;
+
+        switch (this.effect) {
+            case 'breathing': {
+                const tick = this.scale16by8(timer, Math.floor(this.speed / 8));
+                hsv.v = this.scale8(Math.abs(this.sin8(tick) - 128) * 2, hsv.v);
+                break;
+            }
+            case 'cycle_left_right': {
+                const tick = this.scale16by8(timer, Math.min(Math.floor(this.speed / 4) + 1, 255));
+                hsv.h = (led.x - tick) & 0xFF;
+                break;
+            }
+            case 'solid_reactive_simple': {
+                // Lit by a press, fading out at a rate set by speed; LEDs without a press stay dark
+                const hit = this.hits.get(led.index);
+                const elapsed = hit === undefined ? 0xFFFF : Math.min(time - hit, 0xFFFF);
+                const offset = Math.min(this.scale16by8(elapsed, Math.min(this.speed + 1, 255)), 255);
+                hsv.v = this.scale8(255 - offset, hsv.v);
+                break;
+            }
+            default:
+                break;
+        }
+        return hsv;
+    }
+
+    /**
+     * FastLED's sin8: a sine over 0..255 mapped to 0..255
+     */
+    sin8(theta) {
+        return Math.round(128 + 127 * Math.sin(theta / 256 * 2 * Math.PI));
+    }
+
+    /**
+     * `value` scaled by `scale` / 256
+     */
+    scale8(value, scale) {
+        return (value * scale) >> 8;
+    }
+
+    /**
+     * 16-bit `value` scaled by an 8-bit `scale` / 256
+     */
+    scale16by8(value, scale) {
+        return (value * scale) >> 8;
+    }
+
+    /**
+     * QMK's hsv_to_rgb: hue, saturation and value in 0..255
+     */
+    hsvToRgb({ h, s, v }) {
+        if (s === 0) return { r: v, g: v, b: v };
+
+        const region = Math.floor(h * 6 / 255);
+        const remainder = (h * 2 - region * 85) * 3;
+        const p = (v * (255 - s)) >> 8;
+        const q = (v * (255 - ((s * remainder) >> 8))) >> 8;
+        const t = (v * (255 - ((s * (255 - remainder)) >> 8))) >> 8;
+
+        switch (region) {
+            case 6:
+            case 0: return { r: v, g: t, b: p };
+            case 1: return { r: q, g: v, b: p };
+            case 2: return { r: p, g: v, b: t };
+            case 3: return { r: p, g: q, b: v };
+            case 4: return { r: t, g: p, b: v };
+            default: return { r: v, g: p, b: q };
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * Mock HID Transport - Stands in for WebHidTransport so the HID input path can run without hardware
+ */
+
+class MockHidTransport {
+    constructor(devices) {
+        // Defaults to the two interfaces a QMK keyboard exposes: boot keyboard and shared endpoint
+        this.devices = devices || this.buildQmkDevices();
+        this.opened = false;
+        this.onReport = null;
+        this.onDisconnect = null;
+    }
+
+    /**
+     * Device descriptions in the shape WebHID reports them
+     */
+    buildQmkDevices() {
+        const item = (fields) => ({
+            isConstant: false,
+            isArray: false,
+            isAbsolute: true,
+            isRange: false,
+            usages: [],
+            logicalMinimum: 0,
+            logicalMaximum: 1,
+            ...fields
+        });
+        const range = (page, minimum, maximum) => ({
+            isRange: true,
+            usageMinimum: (page << 16) | minimum,
+            usageMaximum: (page << 16) | maximum
+        });
+        const modifiers = item({ ...range(0x07, 0xE0, 0xE7), reportSize: 1, reportCount: 8 });
+        const relative = (usages) => item({
+            isAbsolute: false,
+            usages,
+            reportSize: 8,
+            reportCount: usages.length,
+            logicalMinimum: -127,
+            logicalMaximum: 127
+        });
+        const info = { productName: 'Mock QMK Keyboard', vendorId: 0xFEED, productId: 0x0000 };
+
+        return [
+            {
+                ...info,
+                collections: [{
+                    usagePage: 0x01,
+                    usage: 0x06,
+                    children: [],
+                    inputReports: [{
+                        reportId: 0,
+                        items: [
+                            modifiers,
+                            item({ isConstant: true, reportSize: 8, reportCount: 1 }),
+                            item({ ...range(0x07, 0x00, 0xFF), isArray: true, reportSize: 8, reportCount: 6, logicalMaximum: 0xFF })
+                        ]
+                    }]
+                }]
+            },
+            {
+                ...info,
+                collections: [
+                    {
+                        usagePage: 0x01,
+                        usage: 0x02,
+                        inputReports: [],
+                        children: [{
+                            usagePage: 0x01,
+                            usage: 0x01,
+                            children: [],
+                            inputReports: [{
+                                reportId: 2,
+                                items: [
+                                    item({ ...range(0x09, 0x01, 0x08), reportSize: 1, reportCount: 8 }),
+                                    relative([0x010030, 0x010031]),
+                                    relative([0x010038]),
+                                    relative([0x0C0238])
+                                ]
+                            }]
+                        }]
+                    },
+                    {
+                        usagePage: 0x01,
+                        usage: 0x80,
+                        children: [],
+                        inputReports: [{
+                            reportId: 3,
+                            items: [item({ ...range(0x01, 0x81, 0xB7), isArray: true, reportSize: 16, reportCount: 1, logicalMinimum: 0x81, logicalMaximum: 0xB7 })]
+                        }]
+                    },
+                    {
+                        usagePage: 0x0C,
+                        usage: 0x01,
+                        children: [],
+                        inputReports: [{
+                            reportId: 4,
+                            items: [item({ ...range(0x0C, 0x01, 0x2A0), isArray: true, reportSize: 16, reportCount: 1, logicalMinimum: 0x01, logicalMaximum: 0x2A0 })]
+                        }]
+                    },
+                    {
+                        usagePage: 0x01,
+                        usage: 0x06,
+                        children: [],
+                        inputReports: [{
+                            reportId: 6,
+                            items: [
+                                modifiers,
+                                item({ ...range(0x07, 0x00, 0xEF), reportSize: 1, reportCount: 240 })
+                            ]
+                        }]
+                    }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * "Connect" the mock devices
+     */
+    async open() {
+        this.opened = true;
+        return this.devices;
+    }
+
+    /**
+     * "Disconnect" without notifying, as closing a real device does
+     */
+    async close() {
+        this.opened = false;
+    }
+
+    /**
+     * Simulate unplugging the keyboard
+     */
+    disconnect() {
+        this.opened = false;
+        if (this.onDisconnect) this.onDisconnect();
+    }
+
+    /**
+     * Deliver a raw input report (report ID byte excluded, as WebHID delivers it)
+     */
+    sendReport(device, reportId, bytes, time = performance.now()) {
+        if (!this.opened || !this.onReport) return;
+        this.onReport(device, reportId, new DataView(Uint8Array.from(bytes).buffer), time);
+    }
+
+    /**
+     * Boot keyboard report for the keyboard page usages held; more than six keys reports ErrorRollOver
+     */
+    sendKeys(usages, time) {
+        const keys = usages.filter(usage => usage < 0xE0 || usage > 0xE7);
+        const report = [this.modifierByte(usages), 0];
+        for (let i = 0; i < 6; i++) {
+            report.push(keys.length > 6 ? 0x01 : (keys[i] || 0));
+        }
+        this.sendReport(0, 0, report, time);
+    }
+
+    /**
+     * NKRO bitmap report for the keyboard page usages held
+     */
+    sendNkro(usages, time) {
+        const report = new Array(31).fill(0);
+        report[0] = this.modifierByte(usages);
+        usages.filter(usage => usage < 0xF0).forEach(usage => {
+            report[1 + (usage >> 3)] |= 1 << (usage & 7);
+        });
+        this.sendReport(1, 6, report, time);
+    }
+
+    /**
+     * Consumer control report; 0 releases
+     */
+    sendConsumer(usage, time) {
+        this.sendReport(1, 4, [usage & 0xFF, usage >> 8], time);
+    }
+
+    /**
+     * System control report; 0 releases
+     */
+    sendSystem(usage, time) {
+        this.sendReport(1, 3, [usage & 0xFF, usage >> 8], time);
+    }
+
+    /**
+     * Mouse report: button bits and relative movement
+     */
+    sendMouse({ buttons = 0, x = 0, y = 0, wheel = 0, pan = 0 } = {}, time) {
+        this.sendReport(1, 2, [buttons, x & 0xFF, y & 0xFF, wheel & 0xFF, pan & 0xFF], time);
+    }
+
+    /**
+     * Modifier bits for the E0-E7 usages in a list
+     */
+    modifierByte(usages) {
+        return usages
+            .filter(usage => usage >= 0xE0 && usage <= 0xE7)
+            .reduce((mask, usage) => mask | (1 << (usage - 0xE0)), 0);
+    }
+}
\ No newline at end of file
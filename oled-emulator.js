@@ -0,0 +1,257 @@
+/**
+ * OLED Emulator - Monochrome framebuffer in SSD1306 memory layout, driven like QMK's oled_driver
+ */
+
+class OledEmulator {
+    constructor(width = 128, height = 32, rotation = 0) {
+        this.width = width;
+        this.height = height;
+
+        // QMK's glcdfont: 6x8 cells, each glyph one byte per column with bit 0 at the top
+        this.fontWidth = 6;
+        this.fontHeight = 8;
+        this.font = null; // a loaded glcdfont.c table, 6 bytes per glyph, indexed by character code
+        this.builtinFont = [
+            0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5F, 0x00, 0x00, 0x00, 0x07, 0x00, 0x07, 0x00, 0x14, 0x7F, 0x14, 0x7F, 0x14, // space ! " #
+            0x24, 0x2A, 0x7F, 0x2A, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, 0x36, 0x49, 0x55, 0x22, 0x50, 0x00, 0x05, 0x03, 0x00, 0x00, // $ % & '
+            0x00, 0x1C, 0x22, 0x41, 0x00, 0x00, 0x41, 0x22, 0x1C, 0x00, 0x14, 0x08, 0x3E, 0x08, 0x14, 0x08, 0x08, 0x3E, 0x08, 0x08, // ( ) * +
+            0x00, 0x50, 0x30, 0x00, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, 0x00, 0x60, 0x60, 0x00, 0x00, 0x20, 0x10, 0x08, 0x04, 0x02, // , - . /
+            0x3E, 0x51, 0x49, 0x45, 0x3E, 0x00, 0x42, 0x7F, 0x40, 0x00, 0x42, 0x61, 0x51, 0x49, 0x46, 0x21, 0x41, 0x45, 0x4B, 0x31, // 0 1 2 3
+            0x18, 0x14, 0x12, 0x7F, 0x10, 0x27, 0x45, 0x45, 0x45, 0x39, 0x3C, 0x4A, 0x49, 0x49, 0x30, 0x01, 0x71, 0x09, 0x05, 0x03, // 4 5 6 7
+            0x36, 0x49, 0x49, 0x49, 0x36, 0x06, 0x49, 0x49, 0x29, 0x1E, 0x00, 0x36, 0x36, 0x00, 0x00, 0x00, 0x56, 0x36, 0x00, 0x00, // 8 9 : ;
+            0x08, 0x14, 0x22, 0x41, 0x00, 0x14, 0x14, 0x14, 0x14, 0x14, 0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x51, 0x09, 0x06, // < = > ?
+            0x32, 0x49, 0x79, 0x41, 0x3E, 0x7E, 0x11, 0x11, 0x11, 0x7E, 0x7F, 0x49, 0x49, 0x49, 0x36, 0x3E, 0x41, 0x41, 0x41, 0x22, // @ A B C
+            0x7F, 0x41, 0x41, 0x22, 0x1C, 0x7F, 0x49, 0x49, 0x49, 0x41, 0x7F, 0x09, 0x09, 0x01, 0x01, 0x3E, 0x41, 0x41, 0x51, 0x32, // D E F G
+            0x7F, 0x08, 0x08, 0x08, 0x7F, 0x00, 0x41, 0x7F, 0x41, 0x00, 0x20, 0x40, 0x41, 0x3F, 0x01, 0x7F, 0x08, 0x14, 0x22, 0x41, // H I J K
+            0x7F, 0x40, 0x40, 0x40, 0x40, 0x7F, 0x02, 0x04, 0x02, 0x7F, 0x7F, 0x04, 0x08, 0x10, 0x7F, 0x3E, 0x41, 0x41, 0x41, 0x3E, // L M N O
+            0x7F, 0x09, 0x09, 0x09, 0x06, 0x3E, 0x41, 0x51, 0x21, 0x5E, 0x7F, 0x09, 0x19, 0x29, 0x46, 0x46, 0x49, 0x49, 0x49, 0x31, // P Q R S
+            0x01, 0x01, 0x7F, 0x01, 0x01, 0x3F, 0x40, 0x40, 0x40, 0x3F, 0x1F, 0x20, 0x40, 0x20, 0x1F, 0x7F, 0x20, 0x18, 0x20, 0x7F, // T U V W
+            0x63, 0x14, 0x08, 0x14, 0x63, 0x03, 0x04, 0x78, 0x04, 0x03, 0x61, 0x51, 0x49, 0x45, 0x43, 0x00, 0x7F, 0x41, 0x41, 0x00, // X Y Z [
+            0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x7F, 0x00, 0x04, 0x02, 0x01, 0x02, 0x04, 0x40, 0x40, 0x40, 0x40, 0x40, // \ ] ^ _
+            0x00, 0x01, 0x02, 0x04, 0x00, 0x20, 0x54, 0x54, 0x54, 0x78, 0x7F, 0x48, 0x44, 0x44, 0x38, 0x38, 0x44, 0x44, 0x44, 0x20, // ` a b c
+            0x38, 0x44, 0x44, 0x48, 0x7F, 0x38, 0x54, 0x54, 0x54, 0x18, 0x08, 0x7E, 0x09, 0x01, 0x02, 0x08, 0x14, 0x54, 0x54, 0x3C, // d e f g
+            0x7F, 0x08, 0x04, 0x04, 0x78, 0x00, 0x44, 0x7D, 0x40, 0x00, 0x20, 0x40, 0x44, 0x3D, 0x00, 0x7F, 0x10, 0x28, 0x44, 0x00, // h i j k
+            0x00, 0x41, 0x7F, 0x40, 0x00, 0x7C, 0x04, 0x18, 0x04, 0x78, 0x7C, 0x08, 0x04, 0x04, 0x78, 0x38, 0x44, 0x44, 0x44, 0x38, // l m n o
+            0x7C, 0x14, 0x14, 0x14, 0x08, 0x08, 0x14, 0x14, 0x18, 0x7C, 0x7C, 0x08, 0x04, 0x04, 0x08, 0x48, 0x54, 0x54, 0x54, 0x20, // p q r s
+            0x04, 0x3F, 0x44, 0x40, 0x20, 0x3C, 0x40, 0x40, 0x20, 0x7C, 0x1C, 0x20, 0x40, 0x20, 0x1C, 0x3C, 0x40, 0x30, 0x40, 0x3C, // t u v w
+            0x44, 0x28, 0x10, 0x28, 0x44, 0x0C, 0x50, 0x50, 0x50, 0x3C, 0x44, 0x64, 0x54, 0x4C, 0x44, 0x00, 0x08, 0x36, 0x41, 0x00, // x y z {
+            0x00, 0x00, 0x7F, 0x00, 0x00, 0x00, 0x41, 0x36, 0x08, 0x00, 0x02, 0x01, 0x02, 0x04, 0x02 // | } ~
+        ];
+
+        this.color = '#9fe8ff';
+        this.setRotation(rotation);
+    }
+
+    /**
+     * Rotate the drawing space by 0, 90, 180 or 270 degrees clockwise, as OLED_ROTATION_* does; clears the screen
+     */
+    setRotation(rotation) {
+        this.rotation = [90, 180, 270].includes(rotation) ? rotation : 0;
+        const portrait = this.rotation === 90 || this.rotation === 270;
+        this.logicalWidth = portrait ? this.height : this.width;
+        this.logicalHeight = portrait ? this.width : this.height;
+        this.columns = Math.floor(this.logicalWidth / this.fontWidth);
+        this.lines = Math.floor(this.logicalHeight / this.fontHeight);
+        this.clear();
+    }
+
+    /**
+     * oled_clear: all pixels off, cursor home
+     */
+    clear() {
+        // Page layout: byte (page * width + x) holds pixels x, page * 8 .. page * 8 + 7
+        this.buffer = new Uint8Array(this.width * Math.ceil(this.height / 8));
+        this.cursor = { column: 0, line: 0 };
+    }
+
+    /**
+     * oled_set_cursor, in character cells
+     */
+    setCursor(column, line) {
+        this.cursor = {
+            column: Math.max(0, Math.min(column, this.columns - 1)),
+            line: Math.max(0, Math.min(line, this.lines - 1))
+        };
+    }
+
+    /**
+     * oled_write: text or character codes; stops at a NUL like the C string would
+     */
+    write(text, invert = false) {
+        const codes = typeof text === 'string' ? Array.from(text, char => char.charCodeAt(0)) : Array.from(text);
+        for (const code of codes) {
+            if (code === 0) break;
+            this.writeChar(code, invert);
+        }
+    }
+
+    /**
+     * oled_write_ln: text, then blank out the rest of the line
+     */
+    writeLine(text, invert = false) {
+        this.write(text, invert);
+        this.writeChar(10, invert);
+    }
+
+    /**
+     * oled_write_char: one glyph at the cursor; the screen wraps to the top
+     */
+    writeChar(code, invert = false) {
+        if (code === 10) {
+            this.advancePage(invert);
+            return;
+        }
+
+        this.drawGlyph(code, invert);
+        this.cursor.wrapped = false;
+        this.cursor.column++;
+        if (this.cursor.column >= this.columns) {
+            this.nextLine();
+            this.cursor.wrapped = true;
+        }
+    }
+
+    /**
+     * oled_advance_page(true): blank the rest of the line and move to the next one. A newline right after
+     * a full line wrapped is the same advance, so it does not skip a line
+     */
+    advancePage(invert = false) {
+        if (this.cursor.wrapped) {
+            this.cursor.wrapped = false;
+            return;
+        }
+        for (let column = this.cursor.column; column < this.columns; column++) {
+            this.drawGlyph(32, invert, column);
+        }
+        this.nextLine();
+    }
+
+    /**
+     * Move the cursor to the start of the next line, back to the top after the last
+     */
+    nextLine() {
+        this.cursor.column = 0;
+        this.cursor.line = (this.cursor.line + 1) % this.lines;
+    }
+
+    /**
+     * Draw a glyph in a character cell of the cursor's line
+     */
+    drawGlyph(code, invert, column = this.cursor.column) {
+        const glyph = this.getGlyph(code);
+        const left = column * this.fontWidth;
+        const top = this.cursor.line * this.fontHeight;
+        for (let x = 0; x < this.fontWidth; x++) {
+            const bits = glyph[x] ^ (invert ? 0xFF : 0);
+            for (let row = 0; row < this.fontHeight; row++) {
+                this.writePixel(left + x, top + row, (bits >> row) & 1);
+            }
+        }
+    }
+
+    /**
+     * Column bytes of a glyph: from a loaded font when it has the code, else the builtin ASCII set
+     */
+    getGlyph(code) {
+        if (this.font && (code + 1) * this.fontWidth <= this.font.length) {
+            return this.font.slice(code * this.fontWidth, (code + 1) * this.fontWidth);
+        }
+        const start = (code - 0x20) * 5;
+        const columns = code >= 0x20 && code < 0x7F ? this.builtinFont.slice(start, start + 5) : [0, 0, 0, 0, 0];
+        return [...columns, 0];
+    }
+
+    /**
+     * Use a glcdfont.c table (6 bytes per glyph); custom glyphs above 0x7F are how keymaps draw logos as text
+     */
+    setFont(bytes) {
+        this.font = bytes && bytes.length >= this.fontWidth ? Array.from(bytes) : null;
+    }
+
+    /**
+     * oled_write_raw: bytes in page layout of the rotated drawing space, starting `offset` bytes in
+     */
+    writeRaw(bytes, offset = 0) {
+        Array.from(bytes).forEach((byte, index) => {
+            const position = offset + index;
+            const x = position % this.logicalWidth;
+            const page = Math.floor(position / this.logicalWidth);
+            for (let bit = 0; bit < 8; bit++) {
+                this.writePixel(x, page * 8 + bit, (byte >> bit) & 1);
+            }
+        });
+    }
+
+    /**
+     * oled_write_pixel, in rotated drawing space; pixels off the screen are ignored
+     */
+    writePixel(x, y, on = true) {
+        if (x < 0 || y < 0 || x >= this.logicalWidth || y >= this.logicalHeight) return;
+        const point = this.toPanel(x, y);
+        const index = Math.floor(point.y / 8) * this.width + point.x;
+        const mask = 1 << (point.y % 8);
+        this.buffer[index] = on ? this.buffer[index] | mask : this.buffer[index] & ~mask;
+    }
+
+    /**
+     * Whether a pixel of the panel itself is lit
+     */
+    getPixel(x, y) {
+        return (this.buffer[Math.floor(y / 8) * this.width + x] >> (y % 8)) & 1;
+    }
+
+    /**
+     * Panel position of a point in rotated drawing space
+     */
+    toPanel(x, y) {
+        switch (this.rotation) {
+            case 90: return { x: this.width - 1 - y, y: x };
+            case 180: return { x: this.width - 1 - x, y: this.height - 1 - y };
+            case 270: return { x: y, y: this.height - 1 - x };
+            default: return { x, y };
+        }
+    }
+
+    /**
+     * Fill the panel with a test pattern: 'on', 'off' or 'checker'
+     */
+    fillPattern(pattern) {
+        this.cursor = { column: 0, line: 0 };
+        for (let page = 0; page < this.buffer.length / this.width; page++) {
+            for (let x = 0; x < this.width; x++) {
+                const byte = pattern === 'on' ? 0xFF : pattern === 'checker' ? (x % 2 ? 0xAA : 0x55) : 0;
+                this.buffer[page * this.width + x] = byte;
+            }
+        }
+    }
+
+    /**
+     * Number of lit pixels
+     */
+    countLit() {
+        return this.buffer.reduce((total, byte) => {
+            let bits = 0;
+            for (let value = byte; value; value >>= 1) bits += value & 1;
+            return total + bits;
+        }, 0);
+    }
+
+    /**
+     * Draw the panel onto a canvas, `scale` screen pixels per OLED pixel with a hairline gap between them
+     */
+    render(canvas, scale = 3) {
+        canvas.width = this.width * scale;
+        canvas.height = this.height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const gap = scale > 2 ? 1 : 0;
+        ctx.fillStyle = this.color;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.getPixel(x, y)) ctx.fillRect(x * scale, y * scale, scale - gap, scale - gap);
+            }
+        }
+    }
+}
\ No newline at end of file
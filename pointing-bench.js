@@ -0,0 +1,206 @@
+/**
+ * Pointing Bench - Turns hand movement into sensor counts at a device's CPI, with acceleration, drag-scroll and sniping
+ */
+
+class PointingBench {
+    constructor(device) {
+        this.device = device;
+        this.pixelsPerInch = 96; // CSS pixels, which stand in for the distance the ball or finger travels
+        this.coverageInches = 0.5; // travel one direction needs before it counts as covered
+        this.maxPathPoints = 5000;
+        this.directions = ['right', 'up-right', 'up', 'up-left', 'left', 'down-left', 'down', 'down-right'];
+
+        // Gain at a given speed in inches per second; sigmoid follows the shape of the maccel community module
+        this.curves = {
+            none: () => 1,
+            linear: speed => Math.min(1 + speed * 0.25, 4),
+            sigmoid: speed => 1 + 2 / (1 + Math.exp(-1.5 * (speed - 3)))
+        };
+
+        this.mode = 'cursor';
+        this.curve = 'none';
+        this.reset();
+    }
+
+    /**
+     * Forget all movement
+     */
+    reset() {
+        this.position = { x: 0, y: 0 };
+        this.path = [{ x: 0, y: 0 }];
+        this.remainder = { x: 0, y: 0 }; // fractions of a count (or scroll step) carried to the next report
+        this.scroll = { h: 0, v: 0 };
+        this.coverage = this.directions.map(() => 0);
+        this.distance = 0;
+        this.cursorDistance = 0;
+        this.movingTime = 0;
+        this.maxSpeed = 0;
+        this.reports = 0;
+        this.modesUsed = new Set();
+    }
+
+    /**
+     * 'cursor', 'scroll' (drag-scroll) or 'sniping'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.remainder = { x: 0, y: 0 };
+    }
+
+    /**
+     * Acceleration curve applied in cursor mode: 'none', 'linear' or 'sigmoid'
+     */
+    setCurve(curve) {
+        this.curve = this.curves[curve] ? curve : 'none';
+    }
+
+    /**
+     * Counts per inch in the current mode
+     */
+    getCpi() {
+        return this.mode === 'sniping' ? this.device.snipingCpi : this.device.cpi;
+    }
+
+    /**
+     * Feed `dx`, `dy` pixels of movement made over `dt` milliseconds; returns the report the firmware would send
+     */
+    move(dx, dy, dt) {
+        const inches = Math.hypot(dx, dy) / this.pixelsPerInch;
+        if (inches === 0) return null;
+
+        const seconds = Math.max(dt, 1) / 1000;
+        const speed = inches / seconds;
+        const gain = this.mode === 'cursor' ? this.curves[this.curve](speed) : 1;
+        const scale = this.getCpi() / this.pixelsPerInch * this.device.sensitivity * gain;
+        const divisor = this.mode === 'scroll' ? this.device.scrollDivisor : 1;
+
+        // Reports carry whole counts; the rest waits for the next one, as the drivers accumulate it
+        const exactX = dx * scale / divisor + this.remainder.x;
+        const exactY = dy * scale / divisor + this.remainder.y;
+        const x = Math.trunc(exactX);
+        const y = Math.trunc(exactY);
+        this.remainder = { x: exactX - x, y: exactY - y };
+
+        const report = { x: 0, y: 0, h: 0, v: 0, speed, gain };
+        if (this.mode === 'scroll') {
+            // Dragging up scrolls up, and up is positive on the wheel
+            report.h = x;
+            report.v = -y;
+            this.scroll.h += x;
+            this.scroll.v -= y;
+        } else {
+            report.x = x;
+            report.y = y;
+            this.position = { x: this.position.x + x, y: this.position.y + y };
+            this.path.push({ ...this.position });
+            if (this.path.length > this.maxPathPoints) this.path.shift();
+            this.cursorDistance += Math.hypot(x, y);
+        }
+
+        const sector = (Math.round(Math.atan2(-dy, dx) / (Math.PI / 4)) + 8) % 8;
+        const wasCovered = this.isCovered(sector);
+        const wasPassed = this.isPassed();
+        this.coverage[sector] += inches;
+
+        this.distance += inches;
+        this.movingTime += seconds;
+        this.maxSpeed = Math.max(this.maxSpeed, speed);
+        this.reports++;
+        this.modesUsed.add(this.mode);
+
+        report.direction = this.directions[sector];
+        report.newDirection = !wasCovered && this.isCovered(sector);
+        report.nowPassed = !wasPassed && this.isPassed();
+        return report;
+    }
+
+    /**
+     * Whether one of the eight directions has seen enough travel
+     */
+    isCovered(sector) {
+        return this.coverage[sector] >= this.coverageInches;
+    }
+
+    /**
+     * Number of directions covered
+     */
+    getCoveredCount() {
+        return this.coverage.filter((_, sector) => this.isCovered(sector)).length;
+    }
+
+    /**
+     * A device passes once it has moved far enough in all eight directions
+     */
+    isPassed() {
+        return this.getCoveredCount() === this.directions.length;
+    }
+
+    /**
+     * Plot the cursor path, fitted to the canvas, inside a ring of the eight directions lit as they are covered
+     */
+    render(canvas) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) / 2 - 4;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = 6;
+        this.directions.forEach((_, sector) => {
+            // Canvas angles run clockwise from the right; sectors run counter-clockwise
+            const middle = -sector * Math.PI / 4;
+            ctx.strokeStyle = this.isCovered(sector) ? '#28a745' : '#e9ecef';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius, middle - Math.PI / 8 + 0.04, middle + Math.PI / 8 - 0.04);
+            ctx.stroke();
+        });
+
+        const xs = this.path.map(point => point.x);
+        const ys = this.path.map(point => point.y);
+        const midX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const midY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1);
+        const scale = (radius - 10) * 2 / span;
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#667eea';
+        ctx.beginPath();
+        this.path.forEach((point, index) => {
+            const x = centerX + (point.x - midX) * scale;
+            const y = centerY + (point.y - midY) * scale;
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Metrics for the exported report
+     */
+    exportResults() {
+        const coverage = {};
+        this.directions.forEach((direction, sector) => {
+            coverage[direction] = Math.round(this.coverage[sector] * 100) / 100;
+        });
+        return {
+            id: this.device.id,
+            name: this.device.name,
+            type: this.device.type,
+            cpi: this.device.cpi,
+            snipingCpi: this.device.snipingCpi,
+            sensitivity: this.device.sensitivity,
+            curve: this.curve,
+            passed: this.isPassed(),
+            directionsCovered: this.getCoveredCount(),
+            coverageInches: coverage,
+            distanceInches: Math.round(this.distance * 100) / 100,
+            cursorDistance: Math.round(this.cursorDistance),
+            maxSpeed: Math.round(this.maxSpeed * 100) / 100,
+            avgSpeed: this.movingTime > 0 ? Math.round(this.distance / this.movingTime * 100) / 100 : 0,
+            reports: this.reports,
+            scroll: { ...this.scroll },
+            modesUsed: Array.from(this.modesUsed)
+        };
+    }
+}
\ No newline at end of file
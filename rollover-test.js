@@ -0,0 +1,188 @@
+/**
+ * Rollover Test - Counts simultaneously reported keys and runs matrix chord tests for ghosting and blocking
+ */
+
+class RolloverTest {
+    constructor() {
+        this.chords = [];
+        this.reset();
+    }
+
+    /**
+     * Clear the rollover record and all chord results
+     */
+    reset() {
+        this.held = new Map(); // KeyboardEvent.code -> key ID (null when the code maps to no key)
+        this.maxSimultaneous = 0;
+        this.maxSimultaneousCodes = [];
+        this.maxSimultaneousKeys = [];
+        this.current = 0;
+        this.chords.forEach(chord => this.clearChord(chord));
+    }
+
+    /**
+     * Build L-shaped triples from the matrix: a key, its next neighbour in the row and its
+     * next neighbour in the column. In a matrix without diodes, holding all three closes a
+     * path through the fourth corner, which then ghosts (or is blocked by the firmware).
+     */
+    buildChords(keys, canReport = () => true) {
+        const byPosition = new Map();
+        keys.forEach(key => {
+            if (Number.isInteger(key.row) && Number.isInteger(key.col)) {
+                byPosition.set(`${key.row},${key.col}`, key);
+            }
+        });
+        const candidates = Array.from(byPosition.values()).filter(canReport);
+        const nearest = (matches, axis) => matches.sort((a, b) => a[axis] - b[axis])[0];
+
+        this.chords = [];
+        candidates.forEach(key => {
+            const rowNeighbour = nearest(candidates.filter(other => other.row === key.row && other.col > key.col), 'col');
+            const colNeighbour = nearest(candidates.filter(other => other.col === key.col && other.row > key.row), 'row');
+            if (!rowNeighbour || !colNeighbour) return;
+
+            const corner = byPosition.get(`${colNeighbour.row},${rowNeighbour.col}`);
+            if (!corner) return;
+
+            const chord = {
+                keys: [key.id, rowNeighbour.id, colNeighbour.id],
+                matrix: [key, rowNeighbour, colNeighbour].map(member => [member.row, member.col]),
+                corner: corner.id
+            };
+            this.clearChord(chord);
+            this.chords.push(chord);
+        });
+        this.current = 0;
+
+        return this.chords;
+    }
+
+    /**
+     * Forget the outcome of a chord
+     */
+    clearChord(chord) {
+        chord.result = null; // pass, ghost, blocked or skipped
+        chord.mostHeld = 0;
+        chord.ghostKeys = [];
+    }
+
+    /**
+     * The chord waiting to be pressed, or null when all are done
+     */
+    getCurrentChord() {
+        return this.current < this.chords.length ? this.chords[this.current] : null;
+    }
+
+    /**
+     * Record a key down; returns the simultaneous count and any chord it finished
+     */
+    keyDown(code, keyId) {
+        this.held.set(code, keyId);
+
+        const count = this.held.size;
+        const record = count > this.maxSimultaneous;
+        if (record) {
+            this.maxSimultaneous = count;
+            this.maxSimultaneousCodes = Array.from(this.held.keys());
+            this.maxSimultaneousKeys = Array.from(this.held.values()).filter(id => id !== null);
+        }
+
+        const chord = this.getCurrentChord();
+        if (chord) {
+            const heldChordKeys = this.heldChordKeys(chord);
+            chord.mostHeld = Math.max(chord.mostHeld, heldChordKeys);
+
+            // Anything else reported while the chord is being held is a ghost
+            if (heldChordKeys >= 2 && !chord.keys.includes(keyId)) {
+                chord.ghostKeys.push(keyId === null ? code : keyId);
+            }
+        }
+
+        return { count, record };
+    }
+
+    /**
+     * Record a key up; returns the chord it finished, if any
+     */
+    keyUp(code) {
+        if (!this.held.has(code)) return null;
+        this.held.delete(code);
+
+        const chord = this.getCurrentChord();
+        if (!chord || this.heldChordKeys(chord) > 0) return null;
+
+        // The attempt ends once every chord key is up again
+        if (chord.ghostKeys.length > 0) return this.finishChord('ghost');
+        if (chord.mostHeld === chord.keys.length) return this.finishChord('pass');
+        return null;
+    }
+
+    /**
+     * Give up on the current chord; it counts as blocked if part of it registered but never all of it
+     */
+    skipChord() {
+        const chord = this.getCurrentChord();
+        if (!chord) return null;
+        return this.finishChord(chord.mostHeld >= 2 ? 'blocked' : 'skipped');
+    }
+
+    /**
+     * Drop every held key, e.g. when the window loses focus
+     */
+    releaseAll() {
+        this.held.clear();
+    }
+
+    /**
+     * Number of the chord's keys currently held
+     */
+    heldChordKeys(chord) {
+        const heldKeys = new Set(this.held.values());
+        return chord.keys.filter(keyId => heldKeys.has(keyId)).length;
+    }
+
+    /**
+     * Store a chord result and move on to the next chord
+     */
+    finishChord(result) {
+        const chord = this.chords[this.current];
+        chord.result = result;
+        this.current++;
+        return chord;
+    }
+
+    /**
+     * Chord totals by result
+     */
+    summarize() {
+        const count = result => this.chords.filter(chord => chord.result === result).length;
+        return {
+            total: this.chords.length,
+            passed: count('pass'),
+            ghosting: count('ghost'),
+            blocked: count('blocked'),
+            skipped: count('skipped'),
+            untested: count(null)
+        };
+    }
+
+    /**
+     * Export-ready rollover record and per-chord table
+     */
+    exportResults() {
+        return {
+            maxSimultaneous: this.maxSimultaneous,
+            maxSimultaneousCodes: this.maxSimultaneousCodes.slice(),
+            maxSimultaneousKeys: this.maxSimultaneousKeys.slice(),
+            chordSummary: this.summarize(),
+            chords: this.chords.map(chord => ({
+                keys: chord.keys.slice(),
+                matrix: chord.matrix.map(position => position.slice()),
+                corner: chord.corner,
+                result: chord.result || 'untested',
+                passed: chord.result === 'pass',
+                ghostKeys: chord.ghostKeys.slice()
+            }))
+        };
+    }
+}
\ No newline at end of file
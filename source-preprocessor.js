@@ -0,0 +1,336 @@
+/**
+ * Source Preprocessor - C preprocessor subset for keymap.c and ZMK .keymap sources
+ */
+
+class SourcePreprocessor {
+    constructor() {
+        this.directives = new Set([
+            'define', 'undef', 'include', 'ifdef', 'ifndef', 'if', 'elif', 'else', 'endif',
+            'pragma', 'error', 'warning', 'line'
+        ]);
+    }
+
+    /**
+     * Run directives and macro expansion over a source file; `preserve(name)` keeps
+     * matching macros unexpanded in the output text
+     */
+    preprocess(source, predefined = {}, preserve = () => false) {
+        const defines = new Map();
+        Object.entries(predefined).forEach(([name, body]) => {
+            defines.set(name, { params: null, body: String(body) });
+        });
+
+        const includes = [];
+        const output = [];
+        const stack = [];
+        const isActive = () => stack.every(frame => frame.active);
+
+        // Line continuations are joined first so multi-line #defines read as one line
+        const lines = this.stripComments(source).replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+
+        lines.forEach(line => {
+            const directive = line.match(/^\s*#\s*(\w+)\s*(.*)$/);
+            if (!directive || !this.directives.has(directive[1])) {
+                output.push(isActive() ? line : '');
+                return;
+            }
+
+            const [, name, rest] = directive;
+            const frame = stack[stack.length - 1];
+            output.push('');
+
+            switch (name) {
+                case 'ifdef':
+                case 'ifndef': {
+                    const defined = defines.has(rest.trim().split(/\s+/)[0]);
+                    const active = name === 'ifdef' ? defined : !defined;
+                    stack.push({ active, taken: active });
+                    break;
+                }
+                case 'if': {
+                    const active = this.evaluateCondition(rest, defines);
+                    stack.push({ active, taken: active });
+                    break;
+                }
+                case 'elif':
+                    if (frame) {
+                        frame.active = !frame.taken && this.evaluateCondition(rest, defines);
+                        frame.taken = frame.taken || frame.active;
+                    }
+                    break;
+                case 'else':
+                    if (frame) {
+                        frame.active = !frame.taken;
+                        frame.taken = true;
+                    }
+                    break;
+                case 'endif':
+                    stack.pop();
+                    break;
+                case 'define':
+                    if (isActive()) this.addDefine(defines, rest);
+                    break;
+                case 'undef':
+                    if (isActive()) defines.delete(rest.trim());
+                    break;
+                case 'include':
+                    if (isActive()) {
+                        const include = rest.match(/[<"]([^>"]+)[>"]/);
+                        if (include) includes.push(include[1]);
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // Macros the caller wants to see unexpanded are hidden from expansion
+        const hidden = new Set(Array.from(defines.keys()).filter(preserve));
+
+        return {
+            text: this.expandMacros(output.join('\n'), defines, hidden),
+            defines,
+            includes
+        };
+    }
+
+    /**
+     * Record an object-like or function-like #define
+     */
+    addDefine(defines, definition) {
+        const match = definition.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/);
+        if (!match) return;
+
+        const params = match[2] !== undefined
+            ? match[3].split(',').map(param => param.trim()).filter(param => param.length > 0)
+            : null;
+        defines.set(match[1], { params, body: match[4].trim() });
+    }
+
+    /**
+     * Remove comments while keeping string literals and line numbering intact
+     */
+    stripComments(source) {
+        let result = '';
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+            const next = source[i + 1];
+
+            if (char === '"' || char === '\'') {
+                const end = this.findLiteralEnd(source, i);
+                result += source.slice(i, end);
+                i = end;
+            } else if (char === '/' && next === '/') {
+                while (i < source.length && source[i] !== '\n') i++;
+            } else if (char === '/' && next === '*') {
+                const end = source.indexOf('*/', i + 2);
+                const comment = source.slice(i, end < 0 ? source.length : end + 2);
+                result += comment.replace(/[^\n]/g, '');
+                i += comment.length;
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Index just past the string or character literal starting at `start`
+     */
+    findLiteralEnd(text, start) {
+        const quote = text[start];
+        let i = start + 1;
+        while (i < text.length && text[i] !== quote && text[i] !== '\n') {
+            i += text[i] === '\\' ? 2 : 1;
+        }
+        return Math.min(i + 1, text.length);
+    }
+
+    /**
+     * Expand macros, never re-expanding a macro inside its own expansion
+     */
+    expandMacros(text, defines, hidden = new Set()) {
+        if (defines.size === 0) return text;
+
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '"' || char === '\'') {
+                const end = this.findLiteralEnd(text, i);
+                result += text.slice(i, end);
+                i = end;
+                continue;
+            }
+
+            if (!/[A-Za-z_]/.test(char) || (i > 0 && /[\w]/.test(text[i - 1]))) {
+                result += char;
+                i++;
+                continue;
+            }
+
+            const identifier = /[A-Za-z_]\w*/y;
+            identifier.lastIndex = i;
+            const name = identifier.exec(text)[0];
+            const macro = defines.get(name);
+            i += name.length;
+
+            if (!macro || hidden.has(name)) {
+                result += name;
+                continue;
+            }
+
+            const innerHidden = new Set(hidden).add(name);
+            if (macro.params === null) {
+                result += this.expandMacros(macro.body, defines, innerHidden);
+                continue;
+            }
+
+            // Function-like macros only expand when invoked
+            let open = i;
+            while (open < text.length && /\s/.test(text[open])) open++;
+            if (text[open] !== '(') {
+                result += name;
+                continue;
+            }
+
+            const close = this.findClosing(text, open);
+            const args = this.splitTopLevel(text.slice(open + 1, close), ',')
+                .map(arg => this.expandMacros(arg.trim(), defines, hidden));
+            i = close + 1;
+
+            let body = macro.body;
+            macro.params.forEach((param, index) => {
+                const value = param === '...' ? args.slice(index).join(', ') : (args[index] || '');
+                const pattern = param === '...' ? /\b__VA_ARGS__\b/g : new RegExp(`\\b${param}\\b`, 'g');
+                body = body.replace(pattern, () => value);
+            });
+            body = body.replace(/\s*##\s*/g, '');
+
+            result += this.expandMacros(body, defines, innerHidden);
+        }
+
+        return result;
+    }
+
+    /**
+     * Index of the bracket closing the (, [ or { at `openIndex`
+     */
+    findClosing(text, openIndex) {
+        const open = text[openIndex];
+        const close = { '(': ')', '[': ']', '{': '}' }[open];
+        let depth = 0;
+        for (let i = openIndex; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(text, i) - 1;
+            } else if (char === open) {
+                depth++;
+            } else if (char === close) {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        throw new Error(`Unbalanced "${open}" at offset ${openIndex}`);
+    }
+
+    /**
+     * Split on a separator that is not nested inside (), [] or {}
+     */
+    splitTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === '\'') {
+                i = this.findLiteralEnd(text, i) - 1;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            } else if (char === separator && depth === 0) {
+                parts.push(text.slice(start, i));
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start));
+
+        return parts;
+    }
+
+    /**
+     * Evaluate an #if / #elif expression
+     */
+    evaluateCondition(expression, defines) {
+        return this.evaluateExpression(expression, defines) !== 0;
+    }
+
+    /**
+     * Evaluate an integer constant expression; unknown identifiers count as 0
+     */
+    evaluateExpression(expression, defines) {
+        const resolved = expression
+            .replace(/\bdefined\s*\(\s*(\w+)\s*\)|\bdefined\s+(\w+)/g,
+                (_, a, b) => (defines.has(a || b) ? '1' : '0'));
+        const expanded = this.expandMacros(resolved, defines)
+            .replace(/\b(0x[0-9a-fA-F]+|\d+)[uUlL]*\b/g, '$1')
+            .replace(/\b[A-Za-z_]\w*\b/g, '0');
+
+        const tokens = expanded.match(/0x[0-9a-fA-F]+|\d+|&&|\|\||==|!=|<=|>=|[-+*/%<>!()]/g) || [];
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const take = () => tokens[position++];
+        const binary = (operators, next) => () => {
+            let value = next();
+            while (operators.includes(peek())) {
+                const operator = take();
+                const right = next();
+                switch (operator) {
+                    case '||': value = (value || right) ? 1 : 0; break;
+                    case '&&': value = (value && right) ? 1 : 0; break;
+                    case '==': value = value === right ? 1 : 0; break;
+                    case '!=': value = value !== right ? 1 : 0; break;
+                    case '<': value = value < right ? 1 : 0; break;
+                    case '>': value = value > right ? 1 : 0; break;
+                    case '<=': value = value <= right ? 1 : 0; break;
+                    case '>=': value = value >= right ? 1 : 0; break;
+                    case '+': value += right; break;
+                    case '-': value -= right; break;
+                    case '*': value *= right; break;
+                    case '/': value = right ? Math.trunc(value / right) : 0; break;
+                    case '%': value = right ? value % right : 0; break;
+                }
+            }
+            return value;
+        };
+
+        const primary = () => {
+            const token = take();
+            if (token === '!') return primary() ? 0 : 1;
+            if (token === '-') return -primary();
+            if (token === '(') {
+                const value = logicalOr();
+                take();
+                return value;
+            }
+            return token === undefined ? 0 : Number(token);
+        };
+        const multiplicative = binary(['*', '/', '%'], primary);
+        const additive = binary(['+', '-'], multiplicative);
+        const relational = binary(['<', '>', '<=', '>='], additive);
+        const equality = binary(['==', '!='], relational);
+        const logicalAnd = binary(['&&'], equality);
+        const logicalOr = binary(['||'], logicalAnd);
+
+        return logicalOr();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Switch Monitor - Tracks key down/up pairs to catch chattering, stuck and auto-repeating switches
+ */
+
+class SwitchMonitor {
+    constructor(options = {}) {
+        // Two presses of one switch closer together than this are contact bounce, not typing
+        this.chatterWindow = options.chatterWindow || 50;
+
+        // A switch held down longer than this is reported as stuck
+        this.stuckTimeout = options.stuckTimeout || 5000;
+
+        this.reset();
+    }
+
+    /**
+     * Forget all recorded presses
+     */
+    reset() {
+        this.stats = new Map(); // key_id -> per-switch statistics
+    }
+
+    /**
+     * Statistics for a key, created on first use
+     */
+    getStats(keyId) {
+        if (!this.stats.has(keyId)) {
+            this.stats.set(keyId, {
+                pressCount: 0,
+                releaseCount: 0,
+                repeatCount: 0,
+                pressRepeats: 0,
+                chatterCount: 0,
+                minHold: null,
+                maxHold: null,
+                totalHold: 0,
+                lastPress: null,
+                lastRelease: null,
+                down: false,
+                stuck: false,
+                chatterIntervals: []
+            });
+        }
+        return this.stats.get(keyId);
+    }
+
+    /**
+     * Record a key down; returns whether it counts as chatter
+     */
+    keyDown(keyId, time) {
+        const stats = this.getStats(keyId);
+        const interval = stats.lastPress !== null ? time - stats.lastPress : null;
+        const chatter = interval !== null && interval < this.chatterWindow;
+
+        if (chatter) {
+            stats.chatterCount++;
+            stats.chatterIntervals.push(Math.round(interval * 10) / 10);
+        }
+        stats.pressCount++;
+        stats.pressRepeats = 0;
+        stats.lastPress = time;
+        stats.down = true;
+        stats.stuck = false;
+
+        return { chatter, interval };
+    }
+
+    /**
+     * Record a key up; returns how long the key was held
+     */
+    keyUp(keyId, time) {
+        const stats = this.getStats(keyId);
+        if (!stats.down) return { holdTime: null };
+
+        const holdTime = time - stats.lastPress;
+        stats.releaseCount++;
+        stats.lastRelease = time;
+        stats.down = false;
+        stats.stuck = false;
+        stats.totalHold += holdTime;
+        stats.minHold = stats.minHold === null ? holdTime : Math.min(stats.minHold, holdTime);
+        stats.maxHold = stats.maxHold === null ? holdTime : Math.max(stats.maxHold, holdTime);
+
+        return { holdTime };
+    }
+
+    /**
+     * Record an auto-repeat event sent while the key is held; returns the repeat count of this press
+     */
+    keyRepeat(keyId) {
+        const stats = this.getStats(keyId);
+        stats.repeatCount++;
+        stats.pressRepeats++;
+        return stats.pressRepeats;
+    }
+
+    /**
+     * Mark keys held past the stuck timeout; returns the IDs newly found stuck
+     */
+    checkStuck(time) {
+        const stuck = [];
+        this.stats.forEach((stats, keyId) => {
+            if (stats.down && !stats.stuck && time - stats.lastPress >= this.stuckTimeout) {
+                stats.stuck = true;
+                stuck.push(keyId);
+            }
+        });
+        return stuck;
+    }
+
+    /**
+     * Whether a key is currently held down
+     */
+    isDown(keyId) {
+        return this.stats.has(keyId) && this.stats.get(keyId).down;
+    }
+
+    /**
+     * Whether a key has chattered at least once
+     */
+    hasChattered(keyId) {
+        return this.stats.has(keyId) && this.stats.get(keyId).chatterCount > 0;
+    }
+
+    /**
+     * Export-ready statistics for a key, times rounded to 0.1 ms
+     */
+    summarize(keyId) {
+        const stats = this.getStats(keyId);
+        const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+        return {
+            pressCount: stats.pressCount,
+            releaseCount: stats.releaseCount,
+            minHoldMs: round(stats.minHold),
+            maxHoldMs: round(stats.maxHold),
+            avgHoldMs: stats.releaseCount > 0 ? round(stats.totalHold / stats.releaseCount) : null,
+            chatterCount: stats.chatterCount,
+            chatterIntervalsMs: stats.chatterIntervals.slice(),
+            repeatCount: stats.repeatCount,
+            stuck: stats.stuck
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+const { createDom } = require('./dom-stub');
+
+// The page's scripts, in the order index.html loads them
+const scripts = [...fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8').matchAll(/<script src="([^"]+)"/g)]
+    .map(match => match[1]);
+const { VirtualKeyboardTester } = loadScripts(scripts, ['VirtualKeyboardTester'], createDom());
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// 4x6 matrix: the base layer spells KC_A..KC_X, layer 1 holds digits with a transparent corner
+const ROWS = 4;
+const COLS = 6;
+const base = Array.from({ length: ROWS * COLS }, (_, cell) => 0x04 + cell);
+const upper = Array.from({ length: ROWS * COLS }, (_, cell) => (cell === 0 ? 0x01 : 0x1E + (cell % 10)));
+
+function intelHex(bytes, address = 0) {
+    const record = (type, offset, data) => {
+        const fields = [data.length, (offset >> 8) & 0xFF, offset & 0xFF, type, ...data];
+        const checksum = (0x100 - (fields.reduce((sum, byte) => sum + byte, 0) & 0xFF)) & 0xFF;
+        return ':' + [...fields, checksum].map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+    };
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+        lines.push(record(0x00, address + offset, bytes.slice(offset, offset + 16)));
+    }
+    lines.push(record(0x01, 0, []));
+    return lines.join('\n') + '\n';
+}
+
+function buildImage() {
+    const codes = [...base, ...upper];
+    const table = codes.flatMap(code => [code & 0xFF, code >> 8]);
+    return [...new Array(64).fill(0xFF), ...table, ...new Array(64).fill(0xFF)];
+}
+
+// The info.json lists its keys bottom row first, so only the matrix positions line them up with the table
+const infoJson = JSON.stringify({
+    keyboard_name: 'Test Board',
+    matrix_size: { rows: ROWS, cols: COLS },
+    layouts: {
+        LAYOUT: {
+            layout: Array.from({ length: ROWS * COLS }, (_, index) => {
+                const row = ROWS - 1 - Math.floor(index / COLS);
+                const col = index % COLS;
+                return { matrix: [row, col], x: col, y: row };
+            })
+        }
+    }
+});
+
+function createApp() {
+    const app = new VirtualKeyboardTester();
+    app.logs = [];
+    app.addLogEntry = (message, type) => app.logs.push({ message, type });
+    return app;
+}
+
+test('a HEX build dropped with its info.json shows the keymap from flash on the info.json layout', async () => {
+    const app = createApp();
+    await app.handleFiles([
+        { name: 'test_board_default.hex', content: intelHex(buildImage()) },
+        { name: 'info.json', content: infoJson }
+    ]);
+
+    const firmware = app.currentFirmware;
+    assert.deepStrictEqual(app.logs.filter(entry => entry.type === 'error'), []);
+    assert.strictEqual(firmware.name, 'Test Board');
+    assert.strictEqual(firmware.metadata.format, 'Intel HEX');
+    assert.strictEqual(firmware.metadata.layoutSource, 'Test Board');
+    assert.strictEqual(firmware.layers.length, 2);
+
+    // Each layout key gets the keycode at its own matrix position
+    const keycodeAt = (layer, row, col) => firmware.layers[layer].keys[firmware.keys.findIndex(key => key.row === row && key.col === col)];
+    assert.strictEqual(keycodeAt(0, 0, 0), 'KC_A');
+    assert.strictEqual(keycodeAt(0, 3, 5), 'KC_X');
+    assert.strictEqual(keycodeAt(1, 0, 0), 'KC_TRNS');
+    assert.strictEqual(keycodeAt(1, 0, 1), 'KC_2');
+    assert.deepStrictEqual(plain(app.keyboardRenderer.layers), plain(firmware.layers));
+});
+
+test('a HEX build dropped on its own gets a generated matrix layout', async () => {
+    const app = createApp();
+    app.matrixSizeInput.value = `${ROWS}x${COLS}`;
+    await app.handleFiles([{ name: 'test_board_default.hex', content: intelHex(buildImage()) }]);
+
+    const firmware = app.currentFirmware;
+    assert.strictEqual(firmware.layers.length, 2);
+    assert.strictEqual(firmware.keys.length, ROWS * COLS);
+    assert.deepStrictEqual(plain(firmware.metadata.matrix), { rows: ROWS, cols: COLS });
+    assert.strictEqual(firmware.layers[0].keys[0], 'KC_A');
+});
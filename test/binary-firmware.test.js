@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { FirmwareParser } = loadScripts(
+    ['keycodes.js', 'source-preprocessor.js', 'devicetree-parser.js', 'firmware-parser.js'],
+    ['FirmwareParser']
+);
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const RP2350_ARM_S = 0xE48BFF59;
+const RP2XXX_ABSOLUTE = 0xE48BFF57;
+
+// A keymaps[][][] table of `layers` little-endian keycode lists, 64 bytes into 512 bytes of erased flash
+function keymapImage(layers) {
+    const table = layers.flat().flatMap(code => [code & 0xFF, code >> 8]);
+    return [...new Array(64).fill(0xFF), ...table, ...new Array(512 - 64 - table.length).fill(0xFF)];
+}
+
+// 512-byte UF2 blocks of 256 payload bytes each, numbered within their family
+function uf2Blocks(bytes, address, familyId) {
+    const count = Math.ceil(bytes.length / 256);
+    return Array.from({ length: count }, (_, blockNo) => {
+        const block = new Uint8Array(512);
+        const view = new DataView(block.buffer);
+        [0x0A324655, 0x9E5D5157, 0x00002000, address + blockNo * 256, 256, blockNo, count, familyId]
+            .forEach((word, index) => view.setUint32(index * 4, word, true));
+        block.set(bytes.slice(blockNo * 256, blockNo * 256 + 256), 32);
+        view.setUint32(508, 0x0AB16F30, true);
+        return block;
+    });
+}
+
+function uf2File(blocks) {
+    const file = new Uint8Array(blocks.length * 512);
+    blocks.forEach((block, index) => file.set(block, index * 512));
+    return file.buffer;
+}
+
+const base = Array.from({ length: 24 }, (_, cell) => 0x04 + cell);
+const upper = Array.from({ length: 24 }, (_, cell) => (cell === 0 ? 0x01 : 0x1E + (cell % 10)));
+
+test('a combined UF2 is read as one segment per family and contiguous run', () => {
+    const parser = new FirmwareParser();
+    const uf2 = uf2File([
+        ...uf2Blocks(keymapImage([base, upper]), 0x10000000, RP2350_ARM_S),
+        ...uf2Blocks(new Array(256).fill(0), 0x10FFFF00, RP2XXX_ABSOLUTE)
+    ]);
+
+    const firmware = parser.parseUf2Firmware(uf2, 'board.uf2', { matrix: { rows: 4, cols: 6 } });
+    const metadata = firmware.metadata;
+
+    assert.strictEqual(firmware.type, 'QMK');
+    assert.strictEqual(firmware.layers.length, 2);
+    assert.strictEqual(firmware.layers[0].keys[0], 'KC_A');
+    assert.strictEqual(metadata.keymapAddress, 0x10000000 + 64);
+    assert.strictEqual(metadata.family, 'RP2350_ARM_S');
+    assert.deepStrictEqual(plain(metadata.segments), [
+        { start: 0x10000000, end: 0x10000200 },
+        { start: 0x10FFFF00, end: 0x11000000 }
+    ]);
+    assert.strictEqual(metadata.imageSize, 0x300);
+
+    // Each family numbers its blocks from 0, so neither looks short or duplicated
+    assert.deepStrictEqual(plain(metadata.families.map(family => [family.family, family.blockCount, family.missingBlocks, family.duplicateBlocks])), [
+        ['RP2350_ARM_S', 2, [], []],
+        ['RP2XXX_ABSOLUTE', 1, [], []]
+    ]);
+});
+
+test('a family missing a block is reported on its own', () => {
+    const parser = new FirmwareParser();
+    const blocks = uf2Blocks(keymapImage([base, upper]), 0x10000000, RP2350_ARM_S);
+    const uf2 = uf2File([blocks[0], ...uf2Blocks(new Array(256).fill(0), 0x10FFFF00, RP2XXX_ABSOLUTE)]);
+
+    const families = parser.decodeUf2(uf2).families;
+    assert.deepStrictEqual(plain(families.map(family => family.missingBlocks)), [[1], []]);
+});
+
+// A 60% board: 5x14 matrix, KC_NO (0) where a row has fewer switches
+const letter = char => 0x04 + char.charCodeAt(0) - 97;
+const sixty = [
+    0x29, 0x1E, 0x1F, 0x20, 0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x27, 0x2D, 0x2E, 0x2A,
+    0x2B, ...[...'qwertyuiop'].map(letter), 0x2F, 0x30, 0x31,
+    0x39, ...[...'asdfghjkl'].map(letter), 0x33, 0x34, 0x00, 0x28,
+    0xE1, 0x00, ...[...'zxcvbnm'].map(letter), 0x36, 0x37, 0x38, 0x00, 0xE5,
+    0xE0, 0xE3, 0xE2, 0x00, 0x00, 0x2C, 0x00, 0x00, 0x00, 0xE6, 0xE7, 0x5221, 0x00, 0xE4
+];
+
+// Flash around the table is arbitrary data, then `padding` zero bytes follow the table
+function flashWithTable(layers, padding) {
+    const image = new Uint8Array(0x4000).map((_, index) => (index * 73 + 29) & 0xFF);
+    const table = layers.flat().flatMap(code => [code & 0xFF, code >> 8]);
+    image.set(table, 0x1234);
+    image.fill(0, 0x1234 + table.length, 0x1234 + table.length + padding);
+    return image;
+}
+
+test('a single-layer table is read at its full matrix size, not a row short', () => {
+    const parser = new FirmwareParser();
+    [0, 64].forEach(padding => {
+        const table = parser.findQmkKeymapTable(flashWithTable([sixty], padding));
+        assert.deepStrictEqual([table.rows, table.cols, table.offset], [5, 14, 0x1234]);
+        assert.strictEqual(table.layers[0][69], 'KC_RCTL');
+        assert.ok(table.alternatives.length > 0);
+    });
+});
+
+test('an ambiguous matrix size is reported as a guess, a hinted one is not', () => {
+    const parser = new FirmwareParser();
+    const uf2 = uf2File(uf2Blocks([...flashWithTable([sixty], 64)], 0x10000000, RP2350_ARM_S));
+
+    const guessed = parser.parseUf2Firmware(uf2, 'board.uf2');
+    assert.deepStrictEqual(plain(guessed.metadata.matrix), { rows: 5, cols: 14 });
+    assert.match(guessed.metadata.warnings.join('\n'), /Matrix size 5x14 is a guess/);
+
+    const hinted = parser.parseUf2Firmware(uf2, 'board.uf2', { matrix: { rows: 5, cols: 14 } });
+    assert.deepStrictEqual(plain(hinted.metadata.warnings), []);
+});
+
+test('layers that line up settle the matrix size without a warning', () => {
+    const parser = new FirmwareParser();
+    const upper = sixty.map((code, cell) => (code === 0 ? 0 : cell < 14 ? 0x3A + (cell % 12) : 0x01));
+    const table = parser.findQmkKeymapTable(flashWithTable([sixty, upper], 64));
+
+    assert.deepStrictEqual([table.rows, table.cols, table.layers.length], [5, 14, 2]);
+    assert.deepStrictEqual(plain(table.alternatives), []);
+});
@@ -0,0 +1,108 @@
+/**
+ * Just enough of the browser for the app to build its workspace: elements that keep their
+ * listeners and children, a canvas context that draws nothing and a FileReader over in-memory files
+ */
+
+function createElement(tagName = 'div', id = null) {
+    const listeners = {};
+    const context = new Proxy({ measureText: text => ({ width: String(text).length * 6 }) }, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+
+    const element = {
+        tagName: tagName.toUpperCase(),
+        id,
+        style: {},
+        dataset: {},
+        children: [],
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        textContent: '',
+        innerHTML: '',
+        value: '',
+        width: 800,
+        height: 400,
+        get firstChild() {
+            return element.children[0];
+        },
+        getContext: () => context,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 400 }),
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        removeEventListener: () => {},
+        dispatchEvent: event => {
+            (listeners[event.type] || []).forEach(listener => listener(event));
+            return true;
+        },
+        appendChild: child => {
+            element.children.push(child);
+            return child;
+        },
+        removeChild: child => {
+            element.children = element.children.filter(other => other !== child);
+            return child;
+        },
+        querySelector: () => createElement(),
+        querySelectorAll: () => [],
+        setAttribute: () => {},
+        focus: () => {},
+        select: () => {},
+        click: () => {}
+    };
+    return element;
+}
+
+function createDom() {
+    const elements = new Map();
+    const document = {
+        body: createElement('body'),
+        getElementById: id => {
+            if (!elements.has(id)) elements.set(id, createElement('div', id));
+            return elements.get(id);
+        },
+        createElement: tagName => createElement(tagName),
+        addEventListener: () => {}
+    };
+
+    // Files are { name, content }; binary builds are handed over as an ArrayBuffer of their bytes
+    class FileReader {
+        readAsText(file) {
+            this.onload({ target: { result: file.content } });
+        }
+
+        readAsArrayBuffer(file) {
+            const bytes = typeof file.content === 'string' ? new TextEncoder().encode(file.content) : file.content;
+            this.onload({ target: { result: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) } });
+        }
+    }
+
+    class CustomEvent {
+        constructor(type, options = {}) {
+            this.type = type;
+            this.detail = options.detail;
+        }
+    }
+
+    return {
+        document,
+        window: { addEventListener: () => {} },
+        FileReader,
+        CustomEvent,
+        Option: class {
+            constructor(text, value) {
+                this.text = text;
+                this.value = value;
+            }
+        },
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame: () => {},
+        setInterval,
+        clearInterval
+    };
+}
+
+module.exports = { createDom };
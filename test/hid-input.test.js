@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { Keycodes, HidInput, MockHidTransport } = loadScripts(
+    ['keycodes.js', 'hid-input.js', 'mock-hid-transport.js'],
+    ['Keycodes', 'HidInput', 'MockHidTransport']
+);
+
+async function capture() {
+    const transport = new MockHidTransport();
+    const input = new HidInput(transport, new Keycodes());
+    const events = [];
+    input.onEvent = event => events.push(event);
+    await input.open();
+    return { transport, input, events };
+}
+
+const summary = events => events.map(event => `${event.type} ${event.code || event.id}`);
+
+test('reads the report layouts of every mock interface', async () => {
+    const { input } = await capture();
+    assert.deepStrictEqual([...input.layouts.keys()].sort(), ['0:0', '1:2', '1:3', '1:4', '1:6']);
+});
+
+test('boot keyboard reports become presses and releases of what changed', async () => {
+    const { transport, events } = await capture();
+    transport.sendKeys([0xE1, 0x04], 10);
+    transport.sendKeys([0xE1, 0x04, 0x05], 20);
+    transport.sendKeys([], 30);
+
+    assert.deepStrictEqual(summary(events), [
+        'press ShiftLeft', 'press KeyA',
+        'press KeyB',
+        'release ShiftLeft', 'release KeyA', 'release KeyB'
+    ]);
+    assert.deepStrictEqual(events.map(event => event.time), [10, 10, 20, 30, 30, 30]);
+});
+
+test('ErrorRollOver keeps the keys of the previous report', async () => {
+    const { transport, events } = await capture();
+    transport.sendKeys([0x04], 10);
+    transport.sendKeys([0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A], 20);
+    transport.sendKeys([0x04], 30);
+
+    assert.deepStrictEqual(events.map(event => event.type), ['press', 'rollover-error']);
+    assert.strictEqual(events[1].time, 20);
+});
+
+test('NKRO bitmap reports carry more than six keys', async () => {
+    const { transport, events } = await capture();
+    const usages = [0xE0, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0A, 0x28];
+    transport.sendNkro(usages, 10);
+
+    assert.strictEqual(events.length, usages.length);
+    assert.ok(events.every(event => event.type === 'press' && event.page === 0x07));
+    assert.deepStrictEqual(events.map(event => event.usage).sort((a, b) => a - b), usages.slice().sort((a, b) => a - b));
+});
+
+test('consumer, system and mouse reports decode to usages and directions', async () => {
+    const { transport, events } = await capture();
+    transport.sendConsumer(0xE9, 10);
+    transport.sendConsumer(0, 20);
+    transport.sendSystem(0x82, 30);
+    transport.sendMouse({ buttons: 1, y: -3, wheel: 1 }, 40);
+
+    assert.deepStrictEqual(events.map(event => `${event.type} ${event.id}`), [
+        'press 0x0C:0xE9',
+        'release 0x0C:0xE9',
+        'press 0x01:0x82',
+        'press 0x09:0x01',
+        'press 0x01:0x31-',
+        'press 0x01:0x38+'
+    ]);
+});
+
+test('unplugging releases every held input and notifies the listener', async () => {
+    const { transport, input, events } = await capture();
+    let disconnected = false;
+    input.onDisconnect = () => {
+        disconnected = true;
+    };
+    transport.sendKeys([0x04], 10);
+    transport.sendConsumer(0xE9, 10);
+    transport.disconnect();
+
+    assert.ok(disconnected);
+    assert.deepStrictEqual(summary(events.filter(event => event.type === 'release')), ['release KeyA', 'release AudioVolumeUp']);
+
+    // A closed transport delivers nothing more
+    transport.sendKeys([0x05], 20);
+    assert.strictEqual(events.length, 4);
+});
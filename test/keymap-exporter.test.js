@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { FirmwareParser, KeymapExporter } = loadScripts(
+    ['keycodes.js', 'source-preprocessor.js', 'devicetree-parser.js', 'firmware-parser.js', 'keymap-exporter.js'],
+    ['FirmwareParser', 'KeymapExporter']
+);
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const infoJson = folder => JSON.stringify({
+    keyboard_name: 'Test Pad',
+    ...(folder ? { keyboard_folder: folder } : {}),
+    layouts: {
+        LAYOUT: { layout: [0, 1, 2, 3].map(col => ({ matrix: [0, col], x: col, y: 0 })) }
+    }
+});
+
+const keymapJson = JSON.stringify({
+    version: 1,
+    keyboard: 'handwired/testpad',
+    keymap: 'default',
+    layout: 'LAYOUT',
+    layers: [['KC_A', 'MY_MACRO', 'QK_BOOT', 'XXXXXXX'], ['_______', 'OTHER_KEY', 'MY_MACRO', 'RGB_TOG']]
+});
+
+async function load(parser) {
+    const layout = await parser.parseJsonFirmware(infoJson(null), 'info.json');
+    return parser.parseJsonFirmware(keymapJson, 'keymap.json', { baseLayout: layout });
+}
+
+test('keymap.c declares custom keycodes, starting at SAFE_RANGE', async () => {
+    const parser = new FirmwareParser();
+    const exporter = new KeymapExporter(parser.keycodes);
+    const result = exporter.export(await load(parser), 'keymap.c');
+
+    assert.match(result.content, /enum custom_keycodes \{\n {4}MY_MACRO = SAFE_RANGE,\n {4}OTHER_KEY\n\};/);
+    assert.deepStrictEqual(plain(result.warnings), []);
+
+    // The exported file reads back with the same layers
+    const reread = await parser.parseQmkSource(result.content, 'keymap.c');
+    assert.deepStrictEqual(plain(reread.layers.map(layer => layer.keys)), [
+        ['KC_A', 'MY_MACRO', 'QK_BOOT', 'XXXXXXX'],
+        ['_______', 'OTHER_KEY', 'MY_MACRO', 'RGB_TOG']
+    ]);
+});
+
+test('keymap.c without custom keycodes has no custom_keycodes enum', async () => {
+    const parser = new FirmwareParser();
+    const exporter = new KeymapExporter(parser.keycodes);
+    const firmware = await parser.parseJsonFirmware(infoJson(null), 'info.json');
+
+    assert.doesNotMatch(exporter.export(firmware, 'keymap.c').content, /custom_keycodes/);
+});
+
+test('keymap.json names the keyboard by its QMK path', async () => {
+    const parser = new FirmwareParser();
+    const exporter = new KeymapExporter(parser.keycodes);
+
+    // From the keymap.json laid onto the layout
+    let result = exporter.export(await load(parser), 'keymap.json');
+    assert.strictEqual(JSON.parse(result.content).keyboard, 'handwired/testpad');
+    assert.deepStrictEqual(plain(result.warnings), []);
+
+    // From an info.json's keyboard_folder, not its display name
+    result = exporter.export(await parser.parseJsonFirmware(infoJson('handwired/testpad/rev2'), 'info.json'), 'keymap.json');
+    assert.strictEqual(JSON.parse(result.content).keyboard, 'handwired/testpad/rev2');
+});
+
+test('keymap.json leaves an unknown keyboard empty and warns', async () => {
+    const parser = new FirmwareParser();
+    const exporter = new KeymapExporter(parser.keycodes);
+    const source = await parser.parseQmkSource([
+        '#include QMK_KEYBOARD_H',
+        'const uint16_t PROGMEM keymaps[][MATRIX_ROWS][MATRIX_COLS] = {',
+        '    [0] = LAYOUT(KC_A, KC_B)',
+        '};'
+    ].join('\n'), 'keymap.c');
+
+    const result = exporter.export(source, 'keymap.json');
+    assert.strictEqual(JSON.parse(result.content).keyboard, '');
+    assert.strictEqual(result.warnings.length, 1);
+    assert.match(result.warnings[0], /no "keyboard"/);
+});
@@ -0,0 +1,20 @@
+/**
+ * Load the page's browser scripts into a sandbox and hand back the classes a test needs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+function loadScripts(files, names, globals = {}) {
+    const context = vm.createContext({ console, performance, setTimeout, clearTimeout, TextDecoder, TextEncoder, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+    // Top-level class declarations are not properties of the sandbox, but the sandbox's own code can see them
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { OledEmulator } = loadScripts(['oled-emulator.js'], ['OledEmulator']);
+
+// Lit pixels in one 6x8 character cell
+function litInCell(oled, column, line) {
+    let lit = 0;
+    for (let x = 0; x < oled.fontWidth; x++) {
+        for (let y = 0; y < oled.fontHeight; y++) {
+            lit += oled.getPixel(column * oled.fontWidth + x, line * oled.fontHeight + y) ? 1 : 0;
+        }
+    }
+    return lit;
+}
+
+test('each newline advances one line, also from the start of a line', () => {
+    const oled = new OledEmulator(128, 32);
+    oled.write('A\n\nB');
+
+    assert.deepStrictEqual([oled.cursor.column, oled.cursor.line], [1, 2]);
+    assert.ok(litInCell(oled, 0, 2) > 0);
+    assert.strictEqual(litInCell(oled, 0, 1), 0);
+});
+
+test('writeLine of an empty string advances one line', () => {
+    const oled = new OledEmulator(128, 32);
+    oled.writeLine('');
+
+    assert.deepStrictEqual([oled.cursor.column, oled.cursor.line], [0, 1]);
+});
+
+test('a newline after a full line wraps only once', () => {
+    const oled = new OledEmulator(128, 32);
+    oled.writeLine('X'.repeat(oled.columns));
+    oled.write('Z');
+
+    assert.deepStrictEqual([oled.cursor.column, oled.cursor.line], [1, 1]);
+    assert.ok(litInCell(oled, 0, 1) > 0);
+});
+
+test('a newline blanks the rest of the line', () => {
+    const oled = new OledEmulator(128, 32);
+    oled.write('HELLO');
+    oled.setCursor(2, 0);
+    oled.write('\n');
+
+    assert.ok(litInCell(oled, 1, 0) > 0);
+    assert.strictEqual(litInCell(oled, 2, 0), 0);
+    assert.strictEqual(litInCell(oled, 4, 0), 0);
+});
+
+test('the last line wraps back to the top', () => {
+    const oled = new OledEmulator(128, 32);
+    oled.write('\n'.repeat(oled.lines));
+
+    assert.deepStrictEqual([oled.cursor.column, oled.cursor.line], [0, 0]);
+});
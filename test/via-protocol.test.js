@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { ViaProtocol, FakeViaDevice } = loadScripts(
+    ['via-protocol.js', 'fake-via-device.js'],
+    ['ViaProtocol', 'FakeViaDevice']
+);
+
+// Arrays built inside the sandbox have its prototypes, so results are compared as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+async function connect(options) {
+    const device = new FakeViaDevice(options);
+    await device.open();
+    return { device, via: new ViaProtocol(device) };
+}
+
+test('reads the protocol version (0x01) and layer count (0x11)', async () => {
+    const { via } = await connect({ protocolVersion: 11 });
+    assert.strictEqual(await via.getProtocolVersion(), 11);
+    assert.strictEqual(await via.getLayerCount(), 2);
+});
+
+test('reads the whole keymap from the dynamic keymap buffer (0x12)', async () => {
+    const { device, via } = await connect({ layoutOptions: 0x00010002 });
+    const dump = await via.readKeymap({ rows: 2, cols: 3, encoderCount: 1 });
+
+    assert.strictEqual(dump.protocolVersion, 12);
+    assert.strictEqual(dump.layerCount, 2);
+    assert.strictEqual(dump.layoutOptions, 0x00010002);
+    assert.deepStrictEqual(plain(dump.layers), [
+        [0x04, 0x05, 0x06, 0x07, 0x08, 0x5221],
+        [0x1E, 0x1F, 0x20, 0x21, 0x22, 0x01]
+    ]);
+    assert.deepStrictEqual(plain(dump.encoders), [[[0xA9, 0xAA]], [[0xAB, 0xAC]]]);
+    assert.deepStrictEqual(Array.from(device.requests.slice(0, 4)), [0x01, 0x11, 0x02, 0x12]);
+});
+
+test('splits buffer reads larger than one reply into 28-byte chunks', async () => {
+    const rows = 4;
+    const cols = 6;
+    const layers = [0, 1, 2].map(layer => Array.from({ length: rows * cols }, (_, cell) => layer * 0x100 + cell + 4));
+    const { device, via } = await connect({ rows, cols, layers, encoders: [] });
+    const dump = await via.readKeymap({ rows, cols });
+
+    assert.deepStrictEqual(plain(dump.layers), layers);
+    // 3 layers x 24 keys x 2 bytes = 144 bytes
+    assert.strictEqual(device.requests.filter(id => id === 0x12).length, Math.ceil(144 / 28));
+});
+
+test('firmware without encoder support (0xFF) still yields the keymap', async () => {
+    const { via } = await connect({ encoders: null });
+    const dump = await via.readKeymap({ rows: 2, cols: 3, encoderCount: 2 });
+
+    assert.strictEqual(dump.layers.length, 2);
+    assert.deepStrictEqual(plain(dump.encoders), []);
+});
+
+test('an unhandled command (0xFF) is reported as unsupported', async () => {
+    const { via } = await connect();
+    await assert.rejects(via.command(0x30), /Command 0x30 is not supported by the firmware/);
+});
+
+test('a closed device fails the read', async () => {
+    const { device, via } = await connect();
+    await device.close();
+    await assert.rejects(via.readKeymap({ rows: 2, cols: 3 }), /No HID device open/);
+});
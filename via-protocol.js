@@ -0,0 +1,140 @@
+/**
+ * VIA Protocol - Reads the dynamic keymap of a running board over VIA's raw HID commands
+ */
+
+class ViaProtocol {
+    constructor(transport) {
+        // Anything with exchange(bytes) resolving to the 32-byte reply: WebHidTransport, FakeViaDevice
+        this.transport = transport;
+        this.reportSize = 32;
+
+        this.commands = {
+            getProtocolVersion: 0x01,
+            getKeyboardValue: 0x02,
+            getLayerCount: 0x11,
+            getBuffer: 0x12,
+            getEncoder: 0x14,
+            unhandled: 0xFF
+        };
+        this.keyboardValues = {
+            layoutOptions: 0x02
+        };
+
+        // Keycode bytes that fit in one reply after the 4-byte header
+        this.bufferChunk = 28;
+    }
+
+    /**
+     * Send a command and return the reply; throws if the firmware does not handle it
+     */
+    async command(id, ...args) {
+        const request = new Uint8Array(this.reportSize);
+        request[0] = id;
+        args.forEach((value, index) => {
+            request[index + 1] = value;
+        });
+
+        const reply = await this.transport.exchange(request);
+        if (reply[0] === this.commands.unhandled) {
+            throw new Error(`Command 0x${id.toString(16).padStart(2, '0')} is not supported by the firmware`);
+        }
+        if (reply[0] !== id) {
+            throw new Error(`Unexpected reply 0x${reply[0].toString(16).padStart(2, '0')} to command 0x${id.toString(16).padStart(2, '0')}`);
+        }
+        return reply;
+    }
+
+    /**
+     * VIA protocol version (12 and up use QMK's 0.19 keycode numbering)
+     */
+    async getProtocolVersion() {
+        const reply = await this.command(this.commands.getProtocolVersion);
+        return (reply[1] << 8) | reply[2];
+    }
+
+    /**
+     * Number of layers in the dynamic keymap
+     */
+    async getLayerCount() {
+        const reply = await this.command(this.commands.getLayerCount);
+        return reply[1];
+    }
+
+    /**
+     * Packed layout option choices as a 32-bit value
+     */
+    async getLayoutOptions() {
+        const reply = await this.command(this.commands.getKeyboardValue, this.keyboardValues.layoutOptions);
+        return ((reply[2] << 24) | (reply[3] << 16) | (reply[4] << 8) | reply[5]) >>> 0;
+    }
+
+    /**
+     * Read `count` keycodes from the dynamic keymap buffer starting at keycode `start`
+     */
+    async getKeycodes(start, count) {
+        const keycodes = [];
+        let offset = start * 2;
+        const end = (start + count) * 2;
+
+        while (offset < end) {
+            const size = Math.min(this.bufferChunk, end - offset);
+            const reply = await this.command(this.commands.getBuffer, offset >> 8, offset & 0xFF, size);
+            for (let i = 0; i < size; i += 2) {
+                keycodes.push((reply[4 + i] << 8) | reply[5 + i]);
+            }
+            offset += size;
+        }
+
+        return keycodes;
+    }
+
+    /**
+     * Keycode an encoder sends on a layer when turned one way
+     */
+    async getEncoder(layer, encoder, clockwise) {
+        const reply = await this.command(this.commands.getEncoder, layer, encoder, clockwise ? 1 : 0);
+        return (reply[4] << 8) | reply[5];
+    }
+
+    /**
+     * Read everything needed to rebuild the keymap: the matrix size has to come from the
+     * board's definition, since the protocol does not report it
+     */
+    async readKeymap({ rows, cols, encoderCount = 0 }) {
+        const protocolVersion = await this.getProtocolVersion();
+        const layerCount = await this.getLayerCount();
+
+        let layoutOptions = null;
+        try {
+            layoutOptions = await this.getLayoutOptions();
+        } catch (error) {
+            // Boards without layout options may not answer
+        }
+
+        // The buffer holds every layer back to back, row by row
+        const cells = rows * cols;
+        const buffer = await this.getKeycodes(0, layerCount * cells);
+        const layers = Array.from({ length: layerCount }, (_, layer) => buffer.slice(layer * cells, (layer + 1) * cells));
+
+        // Encoder mapping is a later addition to the protocol; older firmware answers "unhandled"
+        const encoders = [];
+        if (encoderCount > 0) {
+            try {
+                for (let layer = 0; layer < layerCount; layer++) {
+                    const pairs = [];
+                    for (let encoder = 0; encoder < encoderCount; encoder++) {
+                        pairs.push([
+                            await this.getEncoder(layer, encoder, false),
+                            await this.getEncoder(layer, encoder, true)
+                        ]);
+                    }
+                    encoders.push(pairs);
+                }
+            } catch (error) {
+                encoders.length = 0;
+            }
+        }
+
+        return { protocolVersion, layerCount, layoutOptions, rows, cols, layers, encoders };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * WebHID Transport - Delivers input reports from a device picked through navigator.hid
+ */
+
+class WebHidTransport {
+    constructor(filters) {
+        // Keyboard, mouse and consumer control interfaces
+        this.filters = filters || [
+            { usagePage: 0x01, usage: 0x06 },
+            { usagePage: 0x01, usage: 0x02 },
+            { usagePage: 0x0C, usage: 0x01 }
+        ];
+        this.devices = [];
+        this.onReport = null;
+        this.onDisconnect = null;
+        this.pending = null; // request waiting for its reply: { device, resolve, reject, timer }
+        this.timeout = 1000;
+
+        this.handleInputReport = (e) => {
+            if (this.pending && e.device === this.pending.device) {
+                const { resolve, timer } = this.pending;
+                clearTimeout(timer);
+                this.pending = null;
+                resolve(new Uint8Array(e.data.buffer, e.data.byteOffset, e.data.byteLength));
+                return;
+            }
+            if (this.onReport) this.onReport(this.devices.indexOf(e.device), e.reportId, e.data, e.timeStamp);
+        };
+        this.handleDeviceDisconnect = (e) => {
+            if (!this.devices.includes(e.device)) return;
+            this.release();
+            if (this.onDisconnect) this.onDisconnect();
+        };
+    }
+
+    /**
+     * Whether the browser supports WebHID
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'hid' in navigator;
+    }
+
+    /**
+     * Ask the user for a device and open all of its interfaces; must run from a user gesture
+     */
+    async open() {
+        if (!this.isSupported()) {
+            throw new Error('WebHID is not supported in this browser');
+        }
+
+        // The chooser returns every interface of the picked keyboard as a separate device
+        const devices = await navigator.hid.requestDevice({ filters: this.filters });
+        if (devices.length === 0) {
+            throw new Error('No HID device selected');
+        }
+
+        for (const device of devices) {
+            if (!device.opened) await device.open();
+            device.addEventListener('inputreport', this.handleInputReport);
+        }
+        this.devices = devices;
+        navigator.hid.addEventListener('disconnect', this.handleDeviceDisconnect);
+
+        return devices.map(device => ({
+            productName: device.productName,
+            vendorId: device.vendorId,
+            productId: device.productId,
+            collections: device.collections
+        }));
+    }
+
+    /**
+     * Send an output report and resolve with the next input report from the same interface,
+     * for request/reply protocols such as VIA's raw HID; by default the first vendor-defined interface is used
+     */
+    exchange(bytes, reportId = 0, device = this.findVendorDevice()) {
+        if (!device) return Promise.reject(new Error('No HID device open'));
+        if (this.pending) return Promise.reject(new Error('Another HID request is still waiting for its reply'));
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending = null;
+                reject(new Error('HID request timed out'));
+            }, this.timeout);
+            this.pending = { device, resolve, reject, timer };
+
+            device.sendReport(reportId, bytes).catch(error => {
+                clearTimeout(timer);
+                this.pending = null;
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * First opened interface with a vendor-defined (0xFF00-0xFFFF) usage page, else the first one
+     */
+    findVendorDevice() {
+        const vendor = this.devices.find(device => device.collections.some(collection => collection.usagePage >= 0xFF00));
+        return vendor || this.devices[0];
+    }
+
+    /**
+     * Close every opened interface
+     */
+    async close() {
+        const devices = this.devices;
+        this.release();
+        for (const device of devices) {
+            if (device.opened) await device.close();
+        }
+    }
+
+    /**
+     * Stop listening to the devices
+     */
+    release() {
+        if (this.pending) {
+            clearTimeout(this.pending.timer);
+            this.pending.reject(new Error('HID device closed'));
+            this.pending = null;
+        }
+        this.devices.forEach(device => {
+            device.removeEventListener('inputreport', this.handleInputReport);
+        });
+        this.devices = [];
+        if (this.isSupported()) {
+            navigator.hid.removeEventListener('disconnect', this.handleDeviceDisconnect);
+        }
+    }
+}
\ No newline at end of file